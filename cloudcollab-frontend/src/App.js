@@ -44,10 +44,12 @@ import {
   Palette,
   Security,
   AdminPanelSettings,
-  Business as BusinessIcon
+  Business as BusinessIcon,
+  Delete as TrashIcon
 } from '@mui/icons-material';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import { NotificationProvider } from './contexts/NotificationContext';
+import { TimerProvider } from './contexts/TimerContext';
 import AuthWrapper from './components/AuthWrapper';
 import Dashboard from './components/Dashboard';
 import TaskManager from './components/TaskManager';
@@ -56,7 +58,9 @@ import TeamManager from './components/TeamManager';
 import AdminPanel from './components/AdminPanel';
 import OrganizationOnboarding from './components/OrganizationOnboarding';
 import WorkspaceInvitations from './components/WorkspaceInvitations';
+import TrashView from './components/TrashView';
 import NotificationDropdown from './components/NotificationDropdown';
+import RunningTimerIndicator from './components/RunningTimerIndicator';
 
 const drawerWidth = 240;
 
@@ -163,6 +167,7 @@ function MainApp() {
     { text: 'Files', icon: <FileIcon />, view: 'files' },
     { text: 'Teams', icon: <TeamIcon />, view: 'teams' },
     { text: 'Invitations', icon: <BusinessIcon />, view: 'invitations' },
+    { text: 'Trash', icon: <TrashIcon />, view: 'trash' },
     ...(isAdmin() ? [{ text: 'Admin Panel', icon: <AdminPanelSettings />, view: 'admin' }] : []),
     { text: 'Settings', icon: <SettingsIcon />, view: 'settings' },
   ];
@@ -219,6 +224,8 @@ function MainApp() {
         return <TeamManager />;
       case 'invitations':
         return <WorkspaceInvitations />;
+      case 'trash':
+        return <TrashView />;
       case 'admin':
         return isAdmin() ? <AdminPanel /> : (
           <Paper sx={{ p: 3, borderRadius: 2 }}>
@@ -285,6 +292,9 @@ function MainApp() {
               {menuItems.find(item => item.view === currentView)?.text || 'Dashboard'}
             </Typography>
             
+            {/* Running timer */}
+            <RunningTimerIndicator onOpen={() => setCurrentView('tasks')} />
+
             {/* Notification Dropdown */}
             <NotificationDropdown />
             
@@ -517,7 +527,9 @@ function App() {
   return (
     <AuthProvider>
       <NotificationProvider>
-        <AppContent />
+        <TimerProvider>
+          <AppContent />
+        </TimerProvider>
       </NotificationProvider>
     </AuthProvider>
   );
@@ -0,0 +1,46 @@
+import React, { useState } from 'react';
+import { FormControl, InputLabel, MenuItem, Select } from '@mui/material';
+import { workspaceAPI } from '../services/api';
+
+const POLICY_OPTIONS = [
+  { value: 'none', label: 'Assign to creator' },
+  { value: 'round_robin', label: 'Round robin' },
+  { value: 'least_loaded', label: 'Least open work' }
+];
+
+// Picks how a workspace assigns new tasks that were created without an assignee
+const AssignmentPolicySelect = ({ workspace, onSaved, onError }) => {
+  const [mode, setMode] = useState(workspace.assignmentPolicy?.mode || 'none');
+  const [saving, setSaving] = useState(false);
+
+  const handleChange = async (e) => {
+    const previous = mode;
+    setMode(e.target.value);
+    try {
+      setSaving(true);
+      const result = await workspaceAPI.updateAssignmentPolicy(workspace.id, {
+        ...workspace.assignmentPolicy,
+        mode: e.target.value
+      });
+      onSaved?.(result.policy);
+    } catch (error) {
+      setMode(previous);
+      onError?.(error.response?.data?.error || 'Failed to update assignment policy');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <FormControl size="small" fullWidth sx={{ mb: 2 }}>
+      <InputLabel>Auto-assign new tasks</InputLabel>
+      <Select value={mode} label="Auto-assign new tasks" onChange={handleChange} disabled={saving}>
+        {POLICY_OPTIONS.map(option => (
+          <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+        ))}
+      </Select>
+    </FormControl>
+  );
+};
+
+export default AssignmentPolicySelect;
@@ -0,0 +1,115 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Alert,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  InputAdornment,
+  TextField,
+  Typography
+} from '@mui/material';
+import { ContentCopy as CopyIcon } from '@mui/icons-material';
+import { formatDistanceToNow } from 'date-fns';
+import { taskAPI } from '../services/api';
+
+// Subscription URL for the user's assigned tasks, which calendar apps poll as an .ics feed
+const CalendarFeedDialog = ({ open, onClose }) => {
+  const [feed, setFeed] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    setError('');
+    setCopied(false);
+    taskAPI.getCalendarFeed()
+      .then(setFeed)
+      .catch(() => setError('Failed to load calendar feed'));
+  }, [open]);
+
+  const run = async (action) => {
+    try {
+      setBusy(true);
+      setError('');
+      setCopied(false);
+      if (action === 'create') {
+        setFeed(await taskAPI.createCalendarFeed());
+      } else {
+        await taskAPI.revokeCalendarFeed();
+        setFeed({ active: false, url: null });
+      }
+    } catch (actionError) {
+      setError(actionError.response?.data?.error || 'Failed to update calendar feed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const copyUrl = async () => {
+    try {
+      await navigator.clipboard.writeText(feed.url);
+      setCopied(true);
+    } catch (copyError) {
+      setError('Could not copy the URL; select it and copy it manually');
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Subscribe in your calendar app</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Add this URL as a calendar subscription to see the due dates of your open assigned tasks.
+          Anyone with the URL can see those tasks, so keep it private and revoke it if it leaks.
+        </Typography>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        {copied && <Alert severity="success" sx={{ mb: 2 }}>URL copied</Alert>}
+        {!feed ? (
+          !error && <CircularProgress size={24} />
+        ) : feed.active ? (
+          <>
+            <TextField
+              fullWidth
+              value={feed.url}
+              InputProps={{
+                readOnly: true,
+                endAdornment: (
+                  <InputAdornment position="end">
+                    <IconButton onClick={copyUrl} edge="end">
+                      <CopyIcon />
+                    </IconButton>
+                  </InputAdornment>
+                )
+              }}
+            />
+            <Typography variant="caption" color="text.secondary">
+              {feed.lastAccessedAt
+                ? `Last fetched ${formatDistanceToNow(new Date(feed.lastAccessedAt), { addSuffix: true })}`
+                : 'Not fetched by a calendar app yet'}
+            </Typography>
+          </>
+        ) : (
+          <Typography variant="body2">You don't have a calendar feed yet.</Typography>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {feed?.active && (
+          <Button color="error" disabled={busy} onClick={() => run('revoke')}>
+            Revoke
+          </Button>
+        )}
+        <Button disabled={busy || !feed} onClick={() => run('create')}>
+          {feed?.active ? 'Generate new URL' : 'Create URL'}
+        </Button>
+        <Button variant="contained" onClick={onClose}>Done</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default CalendarFeedDialog;
@@ -0,0 +1,109 @@
+import React from 'react';
+import {
+  Box,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  TextField,
+  Chip
+} from '@mui/material';
+
+// Values sent to the API: empty inputs are left out so optional fields stay unset
+export const toCustomFieldPayload = (values) => Object.fromEntries(
+  Object.entries(values || {}).filter(([, value]) =>
+    value !== '' && value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0)
+  )
+);
+
+// One input per workspace custom field, rendered from the field definitions
+const CustomFieldInputs = ({ fields = [], values = {}, onChange, members = [] }) => {
+  const setValue = (key, value) => onChange({ ...values, [key]: value });
+
+  const renderField = (field) => {
+    const label = field.required ? `${field.label} *` : field.label;
+    const value = values[field.key];
+
+    switch (field.type) {
+      case 'number':
+      case 'date':
+        return (
+          <TextField
+            key={field.key}
+            fullWidth
+            label={label}
+            type={field.type}
+            value={value ?? ''}
+            onChange={(e) => setValue(field.key, e.target.value)}
+            InputLabelProps={field.type === 'date' ? { shrink: true } : undefined}
+            margin="normal"
+          />
+        );
+      case 'select':
+      case 'multi_select': {
+        const multiple = field.type === 'multi_select';
+        return (
+          <FormControl key={field.key} fullWidth margin="normal">
+            <InputLabel>{label}</InputLabel>
+            <Select
+              multiple={multiple}
+              value={value ?? (multiple ? [] : '')}
+              label={label}
+              onChange={(e) => setValue(field.key, e.target.value)}
+              renderValue={multiple ? (selected) => (
+                <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                  {selected.map(option => <Chip key={option} label={option} size="small" />)}
+                </Box>
+              ) : undefined}
+            >
+              {!multiple && (
+                <MenuItem value="">
+                  <em>None</em>
+                </MenuItem>
+              )}
+              {field.options.map(option => (
+                <MenuItem key={option} value={option}>{option}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        );
+      }
+      case 'user':
+        return (
+          <FormControl key={field.key} fullWidth margin="normal">
+            <InputLabel>{label}</InputLabel>
+            <Select
+              value={value ?? ''}
+              label={label}
+              onChange={(e) => setValue(field.key, e.target.value)}
+            >
+              <MenuItem value="">
+                <em>None</em>
+              </MenuItem>
+              {members.map(member => (
+                <MenuItem key={member.userId} value={member.userId}>
+                  {member.displayName || member.email}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        );
+      default:
+        return (
+          <TextField
+            key={field.key}
+            fullWidth
+            label={label}
+            value={value ?? ''}
+            onChange={(e) => setValue(field.key, e.target.value)}
+            margin="normal"
+          />
+        );
+    }
+  };
+
+  if (fields.length === 0) return null;
+  return <Box>{fields.map(renderField)}</Box>;
+};
+
+export default CustomFieldInputs;
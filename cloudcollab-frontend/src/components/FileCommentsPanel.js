@@ -0,0 +1,375 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Drawer,
+  TextField,
+  IconButton,
+  Chip,
+  Divider,
+  CircularProgress,
+  Alert,
+  Avatar,
+  List,
+  ListItem
+} from '@mui/material';
+import {
+  Close as CloseIcon,
+  Delete as DeleteIcon,
+  Room as PinIcon
+} from '@mui/icons-material';
+import { fileAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import { useNotifications } from '../contexts/NotificationContext';
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '');
+
+const anchorLabel = (anchor, pinNumber) => {
+  if (!anchor) return null;
+  return anchor.type === 'page' ? `Page ${anchor.page}` : `Pin ${pinNumber}`;
+};
+
+// Side panel with a file's comments. PDF comments can be tied to a page and
+// image comments to a point picked on the preview.
+const FileCommentsPanel = ({ open, file, onClose, onChanged }) => {
+  const { user } = useAuth();
+  const { socket, joinWorkspace } = useNotifications();
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [body, setBody] = useState('');
+  const [page, setPage] = useState('');
+  const [pendingPin, setPendingPin] = useState(null);
+  const [pageFilter, setPageFilter] = useState(null);
+  const [activeCommentId, setActiveCommentId] = useState(null);
+  const [previewUrl, setPreviewUrl] = useState(null);
+  const [previewFailed, setPreviewFailed] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const fileId = file?.id;
+  const isPdf = file?.mimeType === 'application/pdf';
+  const isImage = Boolean(file?.mimeType?.startsWith('image/'));
+
+  const loadComments = useCallback(async () => {
+    if (!fileId) return;
+    try {
+      setError('');
+      const result = await fileAPI.getFileComments(fileId);
+      setComments(result.comments);
+    } catch (loadError) {
+      setError('Failed to load comments');
+    } finally {
+      setLoading(false);
+    }
+  }, [fileId]);
+
+  useEffect(() => {
+    if (!open || !fileId) return;
+    setLoading(true);
+    setBody('');
+    setPage('');
+    setPendingPin(null);
+    setPageFilter(null);
+    setActiveCommentId(null);
+    loadComments();
+  }, [open, fileId, loadComments]);
+
+  // Image preview to place pins on
+  useEffect(() => {
+    if (!open || !fileId || !isImage) return undefined;
+
+    let objectUrl = null;
+    setPreviewFailed(false);
+    fileAPI.getFilePreview(fileId)
+      .then(blob => {
+        objectUrl = window.URL.createObjectURL(blob);
+        setPreviewUrl(objectUrl);
+      })
+      .catch(() => setPreviewFailed(true));
+
+    return () => {
+      if (objectUrl) window.URL.revokeObjectURL(objectUrl);
+      setPreviewUrl(null);
+    };
+  }, [open, fileId, isImage]);
+
+  // Reload when someone else comments on this file
+  useEffect(() => {
+    if (!open || !socket) return undefined;
+
+    if (file?.workspaceId) {
+      joinWorkspace(file.workspaceId);
+    }
+    const handleFileUpdate = (event) => {
+      if (event.fileId === fileId && event.userId !== user?.uid && event.action.startsWith('comment')) {
+        loadComments();
+      }
+    };
+
+    socket.on('file-update', handleFileUpdate);
+    return () => socket.off('file-update', handleFileUpdate);
+  }, [open, socket, file?.workspaceId, fileId, user?.uid, joinWorkspace, loadComments]);
+
+  const regionComments = comments.filter(comment => comment.anchor?.type === 'region');
+  const pinNumber = (comment) => regionComments.findIndex(region => region.id === comment.id) + 1;
+  const pages = [...new Set(comments
+    .filter(comment => comment.anchor?.type === 'page')
+    .map(comment => comment.anchor.page))].sort((a, b) => a - b);
+  const visibleComments = pageFilter
+    ? comments.filter(comment => comment.anchor?.type === 'page' && comment.anchor.page === pageFilter)
+    : comments;
+
+  const handlePreviewClick = (event) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    setPendingPin({
+      type: 'region',
+      x: Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1),
+      y: Math.min(Math.max((event.clientY - rect.top) / rect.height, 0), 1)
+    });
+  };
+
+  const handleAdd = async () => {
+    let anchor = null;
+    if (isPdf && page) {
+      anchor = { type: 'page', page: Number(page) };
+    } else if (isImage && pendingPin) {
+      anchor = pendingPin;
+    }
+
+    try {
+      setSaving(true);
+      setError('');
+      await fileAPI.addFileComment(fileId, body.trim(), anchor);
+      setBody('');
+      setPendingPin(null);
+      await loadComments();
+      if (onChanged) onChanged();
+    } catch (addError) {
+      setError(addError.response?.data?.error || 'Failed to add comment');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (commentId) => {
+    if (!window.confirm('Delete this comment?')) return;
+    try {
+      await fileAPI.deleteFileComment(fileId, commentId);
+      await loadComments();
+      if (onChanged) onChanged();
+    } catch (deleteError) {
+      setError(deleteError.response?.data?.error || 'Failed to delete comment');
+    }
+  };
+
+  const renderPin = (key, anchor, label, active, onClick) => (
+    <Box
+      key={key}
+      onClick={onClick}
+      sx={{
+        position: 'absolute',
+        left: `${anchor.x * 100}%`,
+        top: `${anchor.y * 100}%`,
+        transform: 'translate(-50%, -100%)',
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'center',
+        cursor: onClick ? 'pointer' : 'default'
+      }}
+    >
+      <Chip
+        label={label}
+        size="small"
+        color={active ? 'secondary' : 'primary'}
+        sx={{ height: 20, fontSize: '0.7rem' }}
+      />
+      <PinIcon sx={{ color: active ? 'secondary.main' : 'primary.main', mt: -0.5 }} />
+    </Box>
+  );
+
+  return (
+    <Drawer anchor="right" open={open} onClose={onClose}>
+      <Box sx={{ width: { xs: '100vw', sm: 460 }, p: 3, display: 'flex', flexDirection: 'column', height: '100%' }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+          <Box sx={{ flex: 1, minWidth: 0 }}>
+            <Typography variant="h6" sx={{ fontWeight: 600 }}>Comments</Typography>
+            <Typography variant="body2" color="text.secondary" noWrap>{file?.name}</Typography>
+          </Box>
+          <IconButton onClick={onClose}>
+            <CloseIcon />
+          </IconButton>
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+            {error}
+          </Alert>
+        )}
+
+        {isImage && (
+          <Box sx={{ mb: 2 }}>
+            {previewUrl ? (
+              <Box
+                sx={{ position: 'relative', cursor: 'crosshair', lineHeight: 0 }}
+                onClick={handlePreviewClick}
+              >
+                <img src={previewUrl} alt={file?.name} style={{ width: '100%', borderRadius: 8 }} />
+                {regionComments.map(comment => renderPin(
+                  comment.id,
+                  comment.anchor,
+                  pinNumber(comment),
+                  activeCommentId === comment.id,
+                  (event) => {
+                    event.stopPropagation();
+                    setActiveCommentId(comment.id);
+                  }
+                ))}
+                {pendingPin && renderPin('pending', pendingPin, 'New', true)}
+              </Box>
+            ) : previewFailed ? (
+              <Typography variant="body2" color="text.secondary">
+                Preview unavailable
+              </Typography>
+            ) : (
+              <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+                <CircularProgress size={20} />
+              </Box>
+            )}
+            {previewUrl && (
+              <Typography variant="caption" color="text.secondary">
+                Click the image to pin your comment to a spot.
+              </Typography>
+            )}
+          </Box>
+        )}
+
+        {isPdf && pages.length > 0 && (
+          <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap', mb: 2 }}>
+            <Chip
+              label="All"
+              size="small"
+              color={pageFilter ? 'default' : 'primary'}
+              onClick={() => setPageFilter(null)}
+            />
+            {pages.map(pageNumber => (
+              <Chip
+                key={pageNumber}
+                label={`Page ${pageNumber}`}
+                size="small"
+                color={pageFilter === pageNumber ? 'primary' : 'default'}
+                onClick={() => setPageFilter(pageNumber)}
+              />
+            ))}
+          </Box>
+        )}
+
+        <Box sx={{ flex: 1, overflowY: 'auto', mb: 2 }}>
+          {loading ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+              <CircularProgress size={24} />
+            </Box>
+          ) : visibleComments.length === 0 ? (
+            <Typography variant="body2" color="text.secondary" sx={{ textAlign: 'center', py: 4 }}>
+              No comments yet.
+            </Typography>
+          ) : (
+            <List disablePadding>
+              {visibleComments.map(comment => (
+                <ListItem
+                  key={comment.id}
+                  alignItems="flex-start"
+                  onClick={() => setActiveCommentId(comment.id)}
+                  sx={{
+                    px: 1,
+                    borderRadius: 2,
+                    gap: 1.5,
+                    backgroundColor: activeCommentId === comment.id ? 'action.selected' : 'transparent'
+                  }}
+                >
+                  <Avatar sx={{ width: 32, height: 32, fontSize: '0.9rem' }}>
+                    {(comment.authorName || '?').charAt(0).toUpperCase()}
+                  </Avatar>
+                  <Box sx={{ flex: 1, minWidth: 0 }}>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                      <Typography variant="subtitle2">{comment.authorName}</Typography>
+                      {comment.anchor && (
+                        <Chip
+                          label={anchorLabel(comment.anchor, pinNumber(comment))}
+                          size="small"
+                          variant="outlined"
+                          sx={{ height: 20, fontSize: '0.7rem' }}
+                        />
+                      )}
+                      <Typography variant="caption" color="text.secondary">
+                        {formatTime(comment.createdAt)}
+                      </Typography>
+                    </Box>
+                    <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+                      {comment.body}
+                    </Typography>
+                  </Box>
+                  {(comment.authorId === user?.uid || file?.ownerId === user?.uid) && (
+                    <IconButton
+                      size="small"
+                      onClick={(event) => {
+                        event.stopPropagation();
+                        handleDelete(comment.id);
+                      }}
+                    >
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  )}
+                </ListItem>
+              ))}
+            </List>
+          )}
+        </Box>
+
+        <Divider sx={{ mb: 2 }} />
+        {isPdf && (
+          <TextField
+            label="Page (optional)"
+            type="number"
+            size="small"
+            value={page}
+            onChange={(e) => setPage(e.target.value)}
+            inputProps={{ min: 1 }}
+            sx={{ mb: 1.5, width: 160 }}
+          />
+        )}
+        {isImage && pendingPin && (
+          <Box sx={{ mb: 1 }}>
+            <Chip
+              icon={<PinIcon />}
+              label="Pinned to image"
+              size="small"
+              onDelete={() => setPendingPin(null)}
+            />
+          </Box>
+        )}
+        <TextField
+          fullWidth
+          multiline
+          minRows={2}
+          size="small"
+          placeholder="Add a comment..."
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+        />
+        <Box sx={{ display: 'flex', justifyContent: 'flex-end', mt: 1 }}>
+          <Button
+            variant="contained"
+            size="small"
+            onClick={handleAdd}
+            disabled={saving || !body.trim()}
+          >
+            Comment
+          </Button>
+        </Box>
+      </Box>
+    </Drawer>
+  );
+};
+
+export default FileCommentsPanel;
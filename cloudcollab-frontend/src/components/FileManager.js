@@ -22,7 +22,11 @@ import {
   ListItemText,
   CircularProgress,
   Snackbar,
-  Alert
+  Alert,
+  Badge,
+  Breadcrumbs,
+  Link,
+  MenuItem
 } from '@mui/material';
 import {
   CloudUpload,
@@ -34,11 +38,19 @@ import {
   Archive,
   Download,
   Share,
-  Delete
+  Delete,
+  ChatBubbleOutline,
+  History
 } from '@mui/icons-material';
-import { fileAPI } from '../services/api';
+import { fileAPI, workspaceAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import FileCommentsPanel from './FileCommentsPanel';
+import FileVersionHistoryDialog from './FileVersionHistoryDialog';
+import FolderTree, { FILE_DRAG_TYPE } from './FolderTree';
+import InterruptedUploads from './InterruptedUploads';
 
 const FileManager = () => {
+  const { user } = useAuth();
   // Get user info
   const userEmail = localStorage.getItem('userEmail');
   const isNewUser = userEmail !== 'demo@cloudcollab.com';
@@ -49,7 +61,8 @@ const FileManager = () => {
     limitGB: 10,
     usagePercentage: 0,
     fileCount: 0,
-    availableGB: 10
+    availableGB: 10,
+    savedBytes: 0
   });
   const [loadingStorage, setLoadingStorage] = useState(true);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
@@ -85,6 +98,19 @@ const FileManager = () => {
   const [selectedFile, setSelectedFile] = useState(null);
   const [uploadDescription, setUploadDescription] = useState('');
   const [dragOver, setDragOver] = useState(false);
+  const [commentsFile, setCommentsFile] = useState(null);
+  const [versionsFile, setVersionsFile] = useState(null);
+  // '' shows your own files; a workspace ID shows that workspace's files by folder
+  const [workspaces, setWorkspaces] = useState([]);
+  const [scope, setScope] = useState('');
+  const [currentFolderId, setCurrentFolderId] = useState(null);
+  const [breadcrumbs, setBreadcrumbs] = useState([]);
+  const [folderRefreshKey, setFolderRefreshKey] = useState(0);
+  const [interruptedUploads, setInterruptedUploads] = useState([]);
+  
+  const scopeRole = workspaces.find(workspace => workspace.id === scope)?.role;
+  const canEditFolders = Boolean(scopeRole) && scopeRole !== 'viewer';
+  const canDeleteFolders = ['owner', 'workspace_admin', 'manager'].includes(scopeRole);
 
   // Helper functions
   const getFileTypeFromMime = (mimeType) => {
@@ -117,7 +143,14 @@ const FileManager = () => {
 
     try {
       setLoading(true);
-      const filesData = await fileAPI.getFiles();
+      let filesData;
+      if (scope) {
+        const result = await fileAPI.getFolderFiles(scope, currentFolderId || 'root');
+        filesData = result.files;
+        setBreadcrumbs(result.breadcrumbs || []);
+      } else {
+        filesData = await fileAPI.getFiles();
+      }
       
       // Check if filesData is an array
       if (Array.isArray(filesData)) {
@@ -126,12 +159,17 @@ const FileManager = () => {
           name: file.fileName,
           type: getFileTypeFromMime(file.mimeType),
           size: formatFileSize(file.fileSize),
-          uploadedBy: 'You',
+          uploadedBy: !file.uploadedBy || file.uploadedBy === user?.uid ? 'You' : 'A teammate',
           uploadDate: new Date(file.uploadedAt).toLocaleDateString(),
           shared: file.isPublic,
           downloadUrl: file.downloadUrl,
           mimeType: file.mimeType,
-          description: file.description
+          description: file.description,
+          ownerId: file.uploadedBy,
+          workspaceId: file.workspaceId,
+          folderId: file.folderId || null,
+          commentCount: file.commentCount || 0,
+          currentVersion: file.currentVersion || 1
         }));
         setFiles(formattedFiles);
       } else {
@@ -173,13 +211,43 @@ const FileManager = () => {
     } finally {
       setLoading(false);
     }
-  }, [userEmail]);
+  }, [userEmail, scope, currentFolderId, user?.uid]);
 
   // Fetch files on component mount
   useEffect(() => {
     fetchFiles();
   }, [fetchFiles]);
 
+  useEffect(() => {
+    workspaceAPI.getWorkspaces()
+      .then(data => setWorkspaces(Array.isArray(data) ? data : []))
+      .catch(() => setWorkspaces([]));
+  }, []);
+
+  const fetchInterruptedUploads = useCallback(async () => {
+    try {
+      const result = await fileAPI.getUploadSessions();
+      setInterruptedUploads(result.uploads || []);
+    } catch (error) {
+      setInterruptedUploads([]);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchInterruptedUploads();
+  }, [fetchInterruptedUploads]);
+
+  const handleScopeChange = (value) => {
+    setScope(value);
+    setCurrentFolderId(null);
+    setBreadcrumbs([]);
+  };
+
+  const handleMoveFile = async (fileId, folderId) => {
+    await fileAPI.moveFile(fileId, folderId);
+    showSnackbar('File moved');
+  };
+
   const getFileIcon = (type) => {
     switch (type) {
       case 'pdf':
@@ -199,37 +267,17 @@ const FileManager = () => {
     }
   };
 
-  const handleFileUpload = async () => {
-    if (!selectedFile) {
-      alert('Please select a file first');
-      return;
-    }
-
+  // Uploads in chunks so large files work and an interrupted upload can pick up where it stopped
+  const runUpload = async (file, options) => {
     try {
       setUploading(true);
       setUploadProgress(0);
       
-      // Simulate progress updates during upload
-      const progressInterval = setInterval(() => {
-        setUploadProgress(prev => {
-          if (prev >= 90) return prev;
-          return prev + Math.random() * 30;
-        });
-      }, 500);
-      
-      await fileAPI.uploadFile(selectedFile, null, uploadDescription);
-      
-      clearInterval(progressInterval);
-      setUploadProgress(100);
-      
-      // Close dialog and reset form
-      setOpenUploadDialog(false);
-      setSelectedFile(null);
-      setUploadDescription('');
-      setUploadProgress(0);
+      await fileAPI.uploadFileResumable(file, options, setUploadProgress);
       
       // Refresh files list
       await fetchFiles();
+      setFolderRefreshKey(key => key + 1);
       
       // Refresh storage stats
       const statsResponse = await fileAPI.getStorageStats();
@@ -238,14 +286,50 @@ const FileManager = () => {
       }
       
       alert('File uploaded successfully!');
+      return true;
     } catch (error) {
       console.error('Upload error:', error);
-      alert('Upload failed: ' + error.message);
+      alert('Upload failed: ' + (error.response?.data?.error || error.message));
+      return false;
     } finally {
       setUploading(false);
+      setUploadProgress(0);
+      fetchInterruptedUploads();
+    }
+  };
+
+  const handleFileUpload = async () => {
+    if (!selectedFile) {
+      alert('Please select a file first');
+      return;
+    }
+
+    const uploaded = await runUpload(selectedFile, {
+      workspaceId: scope || null,
+      folderId: currentFolderId,
+      description: uploadDescription
+    });
+    if (uploaded) {
+      // Close dialog and reset form
+      setOpenUploadDialog(false);
+      setSelectedFile(null);
+      setUploadDescription('');
     }
   };
 
+  const handleResumeUpload = (upload, file) => {
+    runUpload(file, { sessionId: upload.id });
+  };
+
+  const handleDiscardUpload = async (upload) => {
+    try {
+      await fileAPI.cancelUploadSession(upload.id);
+    } catch (error) {
+      showSnackbar('Failed to discard upload', 'error');
+    }
+    fetchInterruptedUploads();
+  };
+
   const handleFileSelect = (event) => {
     const file = event.target.files[0];
     setSelectedFile(file);
@@ -381,7 +465,7 @@ const FileManager = () => {
   };
 
   const handleDelete = async (file) => {
-    if (!window.confirm(`Are you sure you want to delete "${file.name}"?`)) {
+    if (!window.confirm(`Move "${file.name}" to the trash?`)) {
       return;
     }
     
@@ -390,6 +474,7 @@ const FileManager = () => {
       if (response.message) {
         // Refresh files list
         await fetchFiles();
+        setFolderRefreshKey(key => key + 1);
         
         // Refresh storage stats
         const statsResponse = await fileAPI.getStorageStats();
@@ -397,7 +482,7 @@ const FileManager = () => {
           setStorageStats(statsResponse.storage);
         }
         
-        alert('File deleted successfully!');
+        alert('File moved to trash. You can restore it from the Trash page.');
       } else {
         alert('Failed to delete file: ' + (response.error || 'Unknown error'));
       }
@@ -426,18 +511,36 @@ const FileManager = () => {
         <Typography variant="h4" sx={{ fontWeight: 600 }}>
           File Management
         </Typography>
-        <Button
-          variant="contained"
-          startIcon={<CloudUpload />}
-          onClick={() => setOpenUploadDialog(true)}
-          sx={{
-            background: 'linear-gradient(45deg, #1976d2 30%, #42a5f5 90%)',
-            borderRadius: 2,
-            px: 3
-          }}
-        >
-          Upload File
-        </Button>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+          {workspaces.length > 0 && (
+            <TextField
+              select
+              size="small"
+              label="Showing"
+              value={scope}
+              onChange={(e) => handleScopeChange(e.target.value)}
+              sx={{ minWidth: 200 }}
+            >
+              <MenuItem value="">My files</MenuItem>
+              {workspaces.map(workspace => (
+                <MenuItem key={workspace.id} value={workspace.id}>{workspace.name}</MenuItem>
+              ))}
+            </TextField>
+          )}
+          <Button
+            variant="contained"
+            startIcon={<CloudUpload />}
+            onClick={() => setOpenUploadDialog(true)}
+            disabled={Boolean(scope) && !canEditFolders}
+            sx={{
+              background: 'linear-gradient(45deg, #1976d2 30%, #42a5f5 90%)',
+              borderRadius: 2,
+              px: 3
+            }}
+          >
+            Upload File
+          </Button>
+        </Box>
       </Box>
 
       {/* Upload Progress */}
@@ -461,9 +564,43 @@ const FileManager = () => {
         </Paper>
       )}
 
+      <InterruptedUploads
+        uploads={interruptedUploads}
+        onResume={handleResumeUpload}
+        onDiscard={handleDiscardUpload}
+        disabled={uploading}
+      />
+
       <Grid container spacing={3}>
         {/* File Grid */}
         <Grid item xs={12} lg={8}>
+          {scope && (
+            <Breadcrumbs sx={{ mb: 2 }}>
+              <Link
+                component="button"
+                underline="hover"
+                color={currentFolderId ? 'inherit' : 'text.primary'}
+                onClick={() => setCurrentFolderId(null)}
+              >
+                All files
+              </Link>
+              {breadcrumbs.map((crumb, index) => (
+                index === breadcrumbs.length - 1 ? (
+                  <Typography key={crumb.id} color="text.primary">{crumb.name}</Typography>
+                ) : (
+                  <Link
+                    key={crumb.id}
+                    component="button"
+                    underline="hover"
+                    color="inherit"
+                    onClick={() => setCurrentFolderId(crumb.id)}
+                  >
+                    {crumb.name}
+                  </Link>
+                )
+              ))}
+            </Breadcrumbs>
+          )}
           {loading ? (
             <Card sx={{ 
               p: 8, 
@@ -571,14 +708,22 @@ const FileManager = () => {
             <Grid container spacing={2}>
               {files.map((file) => (
               <Grid item xs={12} sm={6} md={4} key={file.id}>
-                <Card sx={{ 
-                  borderRadius: 3,
-                  transition: 'all 0.2s ease-in-out',
-                  '&:hover': {
-                    transform: 'translateY(-4px)',
-                    boxShadow: '0 8px 25px rgba(0,0,0,0.15)',
-                  }
-                }}>
+                <Card
+                  draggable={Boolean(scope) && canEditFolders}
+                  onDragStart={(e) => {
+                    e.dataTransfer.setData(FILE_DRAG_TYPE, file.id);
+                    e.dataTransfer.effectAllowed = 'move';
+                  }}
+                  sx={{ 
+                    cursor: scope && canEditFolders ? 'grab' : 'default',
+                    borderRadius: 3,
+                    transition: 'all 0.2s ease-in-out',
+                    '&:hover': {
+                      transform: 'translateY(-4px)',
+                      boxShadow: '0 8px 25px rgba(0,0,0,0.15)',
+                    }
+                  }}
+                >
                   <CardContent sx={{ p: 2, textAlign: 'center' }}>
                     <Box sx={{ mb: 2 }}>
                       {getFileIcon(file.type)}
@@ -592,7 +737,14 @@ const FileManager = () => {
                       {file.size}
                     </Typography>
                     
-                    <Box sx={{ display: 'flex', justifyContent: 'center', mb: 2 }}>
+                    <Box sx={{ display: 'flex', justifyContent: 'center', gap: 1, mb: 2 }}>
+                      {file.currentVersion > 1 && (
+                        <Chip 
+                          label={`v${file.currentVersion}`} 
+                          size="small" 
+                          variant="outlined"
+                        />
+                      )}
                       {file.shared && (
                         <Chip 
                           label="Shared" 
@@ -624,6 +776,24 @@ const FileManager = () => {
                       >
                         <Share />
                       </IconButton>
+                      <IconButton 
+                        size="small" 
+                        color="primary"
+                        onClick={() => setCommentsFile(file)}
+                        title="Comments"
+                      >
+                        <Badge badgeContent={file.commentCount} color="secondary" max={99}>
+                          <ChatBubbleOutline />
+                        </Badge>
+                      </IconButton>
+                      <IconButton 
+                        size="small" 
+                        color="primary"
+                        onClick={() => setVersionsFile(file)}
+                        title="Version history"
+                      >
+                        <History />
+                      </IconButton>
                       <IconButton 
                         size="small" 
                         color="error"
@@ -643,6 +813,23 @@ const FileManager = () => {
 
         {/* Sidebar */}
         <Grid item xs={12} lg={4}>
+          {/* Folder Tree */}
+          {scope && (
+            <Card sx={{ mb: 3, borderRadius: 3 }}>
+              <CardContent sx={{ p: 3 }}>
+                <FolderTree
+                  workspaceId={scope}
+                  selectedFolderId={currentFolderId}
+                  onSelect={setCurrentFolderId}
+                  onMoveFile={handleMoveFile}
+                  onChanged={fetchFiles}
+                  canEdit={canEditFolders}
+                  canDelete={canDeleteFolders}
+                  refreshKey={folderRefreshKey}
+                />
+              </CardContent>
+            </Card>
+          )}
           {/* Storage Stats */}
           <Card sx={{ mb: 3, borderRadius: 3 }}>
             <CardContent sx={{ p: 3 }}>
@@ -686,6 +873,11 @@ const FileManager = () => {
                       {storageStats.availableGB.toFixed(2)} GB available
                     </Typography>
                   </Box>
+                  {storageStats.savedBytes > 0 && (
+                    <Typography variant="body2" color="success.main" sx={{ mt: 1 }}>
+                      {formatFileSize(storageStats.savedBytes)} saved by storing identical files once
+                    </Typography>
+                  )}
                 </Box>
               )}
               
@@ -757,7 +949,7 @@ const FileManager = () => {
             onChange={handleFileSelect}
             style={{ display: 'none' }}
             id="file-upload-input"
-            accept="image/*,application/pdf,text/*,.doc,.docx,.xls,.xlsx,.ppt,.pptx"
+            accept="image/*,video/*,audio/*,application/pdf,text/*,.doc,.docx,.xls,.xlsx,.ppt,.pptx,.psd,.zip,.rar"
           />
           <label htmlFor="file-upload-input">
             <Box 
@@ -805,9 +997,9 @@ const FileManager = () => {
           {uploading && (
             <Box sx={{ mt: 2 }}>
               <Typography variant="body2" sx={{ mb: 1 }}>
-                Uploading... Please wait
+                Uploading... {uploadProgress}%
               </Typography>
-              <LinearProgress />
+              <LinearProgress variant="determinate" value={uploadProgress} />
             </Box>
           )}
         </DialogContent>
@@ -826,6 +1018,22 @@ const FileManager = () => {
         </DialogActions>
       </Dialog>
 
+      {/* File Comments Panel */}
+      <FileCommentsPanel
+        open={Boolean(commentsFile)}
+        file={commentsFile}
+        onClose={() => setCommentsFile(null)}
+        onChanged={fetchFiles}
+      />
+
+      {/* File Version History */}
+      <FileVersionHistoryDialog
+        open={Boolean(versionsFile)}
+        file={versionsFile}
+        onClose={() => setVersionsFile(null)}
+        onChanged={fetchFiles}
+      />
+
       {/* Snackbar for notifications */}
       <Snackbar
         open={snackbar.open}
@@ -0,0 +1,203 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import {
+  CloudUpload as UploadIcon,
+  Download as DownloadIcon,
+  Restore as RestoreIcon
+} from '@mui/icons-material';
+import { fileAPI } from '../services/api';
+
+const formatFileSize = (bytes) => {
+  if (!bytes) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(Math.abs(bytes)) / Math.log(k));
+  return Math.round((Math.abs(bytes) / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
+};
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : 'Unknown time');
+
+// Chips describing how a version differs from the one before it
+const changeLabels = (version) => {
+  const labels = [];
+  if (version.restoredFrom) labels.push(`Restored from v${version.restoredFrom}`);
+  const changes = version.changes;
+  if (!changes) return labels;
+  if (changes.sizeDelta) {
+    labels.push(`${changes.sizeDelta > 0 ? '+' : '−'}${formatFileSize(changes.sizeDelta)}`);
+  }
+  if (changes.fileNameChanged) labels.push('Renamed');
+  if (changes.mimeTypeChanged) labels.push('Type changed');
+  if (changes.contentChanged === false) labels.push('Same content');
+  return labels;
+};
+
+// Version history of a file: download any version, restore an older one or upload a new one
+const FileVersionHistoryDialog = ({ open, file, onClose, onChanged }) => {
+  const [history, setHistory] = useState(null);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const fileId = file?.id;
+
+  const loadVersions = useCallback(async () => {
+    if (!fileId) return;
+    try {
+      setError('');
+      setHistory(await fileAPI.getFileVersions(fileId));
+    } catch (loadError) {
+      setError('Failed to load version history');
+    }
+  }, [fileId]);
+
+  useEffect(() => {
+    if (!open) return;
+    setHistory(null);
+    loadVersions();
+  }, [open, loadVersions]);
+
+  const run = async (action) => {
+    try {
+      setBusy(true);
+      setError('');
+      await action();
+      await loadVersions();
+      onChanged?.();
+    } catch (actionError) {
+      setError(actionError.response?.data?.error || 'Something went wrong, please try again');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleUpload = (event) => {
+    const selected = event.target.files[0];
+    event.target.value = '';
+    if (selected) {
+      run(() => fileAPI.uploadFileVersion(fileId, selected));
+    }
+  };
+
+  const handleDownload = async (version) => {
+    try {
+      const blob = await fileAPI.downloadFileVersion(fileId, version.version);
+      const blobUrl = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = blobUrl;
+      link.download = version.fileName || 'download';
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(blobUrl);
+    } catch (downloadError) {
+      setError(`Failed to download version ${version.version}`);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle sx={{ fontWeight: 600 }}>
+        Version history
+        {file && (
+          <Typography variant="body2" color="text.secondary" noWrap>
+            {file.name}
+          </Typography>
+        )}
+      </DialogTitle>
+      <DialogContent dividers>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        {!history ? (
+          !error && (
+            <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+              <CircularProgress size={24} />
+            </Box>
+          )
+        ) : (
+          <List disablePadding>
+            {history.versions.map(version => (
+              <ListItem
+                key={version.version}
+                divider
+                secondaryAction={
+                  <Box sx={{ display: 'flex', gap: 0.5 }}>
+                    <Tooltip title="Download this version">
+                      <IconButton size="small" onClick={() => handleDownload(version)}>
+                        <DownloadIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                    {history.canEdit && !version.isCurrent && (
+                      <Tooltip title="Restore as current version">
+                        <span>
+                          <IconButton
+                            size="small"
+                            disabled={busy}
+                            onClick={() => run(() => fileAPI.restoreFileVersion(fileId, version.version))}
+                          >
+                            <RestoreIcon fontSize="small" />
+                          </IconButton>
+                        </span>
+                      </Tooltip>
+                    )}
+                  </Box>
+                }
+                sx={{ pr: 12 }}
+              >
+                <ListItemText
+                  primary={
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                      <Typography variant="subtitle2" sx={{ fontWeight: 600 }}>
+                        v{version.version}
+                      </Typography>
+                      {version.isCurrent && <Chip label="Current" size="small" color="primary" />}
+                      <Typography variant="body2" noWrap sx={{ maxWidth: 220 }}>
+                        {version.fileName}
+                      </Typography>
+                    </Box>
+                  }
+                  secondary={
+                    <Box component="span" sx={{ display: 'block' }}>
+                      <Typography variant="caption" color="text.secondary" component="span" sx={{ display: 'block' }}>
+                        {formatFileSize(version.fileSize)} • {version.uploadedByName || 'Unknown user'} • {formatTime(version.uploadedAt)}
+                      </Typography>
+                      {changeLabels(version).map(label => (
+                        <Chip key={label} label={label} size="small" variant="outlined" sx={{ mr: 0.5, mt: 0.5 }} />
+                      ))}
+                    </Box>
+                  }
+                  secondaryTypographyProps={{ component: 'span' }}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </DialogContent>
+      <DialogActions sx={{ p: 2 }}>
+        {history?.canEdit && (
+          <Button component="label" startIcon={<UploadIcon />} disabled={busy} sx={{ mr: 'auto' }}>
+            {busy ? 'Working...' : 'Upload new version'}
+            <input type="file" hidden onChange={handleUpload} />
+          </Button>
+        )}
+        <Button variant="contained" onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default FileVersionHistoryDialog;
@@ -0,0 +1,305 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Collapse,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  IconButton,
+  List,
+  ListItemButton,
+  ListItemIcon,
+  ListItemText,
+  Menu,
+  MenuItem,
+  TextField,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import {
+  CreateNewFolder as NewFolderIcon,
+  ExpandLess,
+  ExpandMore,
+  Folder as FolderIcon,
+  FolderOpen as FolderOpenIcon,
+  Home as RootIcon,
+  MoreVert as MoreIcon
+} from '@mui/icons-material';
+import { workspaceAPI } from '../services/api';
+
+// Drag payload types, so file cards and folders can be dropped on folders
+export const FILE_DRAG_TYPE = 'application/x-cloudcollab-file';
+const FOLDER_DRAG_TYPE = 'application/x-cloudcollab-folder';
+
+const countContents = (node) => node.children.reduce((totals, child) => {
+  const nested = countContents(child);
+  return { folders: totals.folders + 1 + nested.folders, files: totals.files + nested.files };
+}, { folders: 0, files: node.fileCount });
+
+const findNode = (nodes, id) => {
+  for (const node of nodes) {
+    if (node.id === id) return node;
+    const found = findNode(node.children, id);
+    if (found) return found;
+  }
+  return null;
+};
+
+// Folder tree of a workspace's files. Selecting a folder opens it; file cards and
+// folders can be dragged onto a folder (or the top level) to move them.
+const FolderTree = ({ workspaceId, selectedFolderId, onSelect, onMoveFile, onChanged, canEdit, canDelete, refreshKey }) => {
+  const [tree, setTree] = useState([]);
+  const [rootFileCount, setRootFileCount] = useState(0);
+  const [expanded, setExpanded] = useState(() => new Set());
+  const [dropTarget, setDropTarget] = useState(null);
+  const [menu, setMenu] = useState(null);
+  const [nameDialog, setNameDialog] = useState(null);
+  const [deleteTarget, setDeleteTarget] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadFolders = useCallback(async () => {
+    try {
+      const result = await workspaceAPI.getFolders(workspaceId);
+      setTree(result.folders);
+      setRootFileCount(result.rootFileCount);
+    } catch (loadError) {
+      setError('Failed to load folders');
+    }
+  }, [workspaceId]);
+
+  useEffect(() => {
+    setError('');
+    loadFolders();
+  }, [loadFolders, refreshKey]);
+
+  const run = async (action) => {
+    try {
+      setBusy(true);
+      setError('');
+      await action();
+      await loadFolders();
+      onChanged?.();
+      return true;
+    } catch (actionError) {
+      setError(actionError.response?.data?.error || 'Something went wrong, please try again');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const toggle = (id) => setExpanded(prev => {
+    const next = new Set(prev);
+    if (next.has(id)) next.delete(id); else next.add(id);
+    return next;
+  });
+
+  const dropProps = (folderId) => (canEdit ? {
+    onDragOver: (e) => {
+      if (![FILE_DRAG_TYPE, FOLDER_DRAG_TYPE].some(type => e.dataTransfer.types.includes(type))) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      setDropTarget(folderId ?? 'root');
+    },
+    onDragLeave: () => setDropTarget(null),
+    onDrop: (e) => {
+      e.preventDefault();
+      setDropTarget(null);
+      const fileId = e.dataTransfer.getData(FILE_DRAG_TYPE);
+      const folderToMove = e.dataTransfer.getData(FOLDER_DRAG_TYPE);
+      if (fileId) {
+        run(() => onMoveFile(fileId, folderId));
+      } else if (folderToMove && folderToMove !== folderId) {
+        run(() => workspaceAPI.updateFolder(workspaceId, folderToMove, { parentId: folderId }));
+      }
+    }
+  } : {});
+
+  const handleSaveName = async () => {
+    const { mode, folder, parentId, name } = nameDialog;
+    const saved = await run(() => (mode === 'create'
+      ? workspaceAPI.createFolder(workspaceId, { name, parentId })
+      : workspaceAPI.updateFolder(workspaceId, folder.id, { name })));
+    if (saved) {
+      if (mode === 'create' && parentId) setExpanded(prev => new Set(prev).add(parentId));
+      setNameDialog(null);
+    }
+  };
+
+  const handleDelete = async () => {
+    const folder = deleteTarget;
+    const deleted = await run(() => workspaceAPI.deleteFolder(workspaceId, folder.id, true));
+    setDeleteTarget(null);
+    if (deleted && (selectedFolderId === folder.id || findNode(folder.children, selectedFolderId))) {
+      onSelect(null);
+    }
+  };
+
+  const renderNodes = (nodes, depth) => nodes.map(node => (
+    <React.Fragment key={node.id}>
+      <ListItemButton
+        selected={selectedFolderId === node.id}
+        onClick={() => onSelect(node.id)}
+        draggable={canEdit}
+        onDragStart={(e) => {
+          e.stopPropagation();
+          e.dataTransfer.setData(FOLDER_DRAG_TYPE, node.id);
+          e.dataTransfer.effectAllowed = 'move';
+        }}
+        {...dropProps(node.id)}
+        sx={{
+          pl: 1 + depth * 2,
+          py: 0.25,
+          borderRadius: 1,
+          outline: dropTarget === node.id ? '2px dashed' : 'none',
+          outlineColor: 'primary.main'
+        }}
+      >
+        <ListItemIcon sx={{ minWidth: 28 }}>
+          {node.children.length > 0 ? (
+            <IconButton size="small" edge="start" onClick={(e) => { e.stopPropagation(); toggle(node.id); }}>
+              {expanded.has(node.id) ? <ExpandLess fontSize="small" /> : <ExpandMore fontSize="small" />}
+            </IconButton>
+          ) : null}
+        </ListItemIcon>
+        <ListItemIcon sx={{ minWidth: 28 }}>
+          {selectedFolderId === node.id ? <FolderOpenIcon fontSize="small" color="primary" /> : <FolderIcon fontSize="small" color="action" />}
+        </ListItemIcon>
+        <ListItemText
+          primary={node.name}
+          secondary={node.fileCount > 0 ? `${node.fileCount} file${node.fileCount === 1 ? '' : 's'}` : null}
+          primaryTypographyProps={{ variant: 'body2', noWrap: true }}
+          secondaryTypographyProps={{ variant: 'caption' }}
+        />
+        {(canEdit || canDelete) && (
+          <IconButton size="small" onClick={(e) => { e.stopPropagation(); setMenu({ anchor: e.currentTarget, node }); }}>
+            <MoreIcon fontSize="small" />
+          </IconButton>
+        )}
+      </ListItemButton>
+      {node.children.length > 0 && (
+        <Collapse in={expanded.has(node.id)} unmountOnExit>
+          {renderNodes(node.children, depth + 1)}
+        </Collapse>
+      )}
+    </React.Fragment>
+  ));
+
+  const deleteCounts = deleteTarget ? countContents(deleteTarget) : null;
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
+        <Typography variant="h6" sx={{ fontWeight: 600, flexGrow: 1 }}>
+          Folders
+        </Typography>
+        {canEdit && (
+          <Tooltip title={selectedFolderId ? 'New folder here' : 'New folder'}>
+            <IconButton
+              size="small"
+              onClick={() => setNameDialog({ mode: 'create', parentId: selectedFolderId, name: '' })}
+            >
+              <NewFolderIcon />
+            </IconButton>
+          </Tooltip>
+        )}
+      </Box>
+      {error && <Alert severity="error" sx={{ mb: 1 }} onClose={() => setError('')}>{error}</Alert>}
+      <List dense disablePadding>
+        <ListItemButton
+          selected={!selectedFolderId}
+          onClick={() => onSelect(null)}
+          {...dropProps(null)}
+          sx={{
+            py: 0.25,
+            borderRadius: 1,
+            outline: dropTarget === 'root' ? '2px dashed' : 'none',
+            outlineColor: 'primary.main'
+          }}
+        >
+          <ListItemIcon sx={{ minWidth: 28 }}>
+            <RootIcon fontSize="small" color="action" />
+          </ListItemIcon>
+          <ListItemText
+            primary="All files"
+            secondary={rootFileCount > 0 ? `${rootFileCount} outside folders` : null}
+            primaryTypographyProps={{ variant: 'body2' }}
+            secondaryTypographyProps={{ variant: 'caption' }}
+          />
+        </ListItemButton>
+        {renderNodes(tree, 0)}
+      </List>
+      {tree.length === 0 && !error && (
+        <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+          No folders yet.
+        </Typography>
+      )}
+
+      <Menu anchorEl={menu?.anchor} open={Boolean(menu)} onClose={() => setMenu(null)}>
+        {canEdit && (
+          <MenuItem onClick={() => { setNameDialog({ mode: 'create', parentId: menu.node.id, name: '' }); setMenu(null); }}>
+            New subfolder
+          </MenuItem>
+        )}
+        {canEdit && (
+          <MenuItem onClick={() => { setNameDialog({ mode: 'rename', folder: menu.node, name: menu.node.name }); setMenu(null); }}>
+            Rename
+          </MenuItem>
+        )}
+        {canDelete && (
+          <MenuItem sx={{ color: 'error.main' }} onClick={() => { setDeleteTarget(menu.node); setMenu(null); }}>
+            Delete
+          </MenuItem>
+        )}
+      </Menu>
+
+      <Dialog open={Boolean(nameDialog)} onClose={() => setNameDialog(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>{nameDialog?.mode === 'create' ? 'New folder' : 'Rename folder'}</DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            fullWidth
+            margin="dense"
+            label="Folder name"
+            value={nameDialog?.name || ''}
+            onChange={(e) => setNameDialog(prev => ({ ...prev, name: e.target.value }))}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' && nameDialog?.name.trim()) handleSaveName();
+            }}
+            inputProps={{ maxLength: 100 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setNameDialog(null)}>Cancel</Button>
+          <Button variant="contained" disabled={busy || !nameDialog?.name.trim()} onClick={handleSaveName}>
+            {nameDialog?.mode === 'create' ? 'Create' : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={Boolean(deleteTarget)} onClose={() => setDeleteTarget(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>Delete "{deleteTarget?.name}"?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            {deleteCounts && (deleteCounts.folders > 0 || deleteCounts.files > 0)
+              ? `This also deletes ${deleteCounts.folders} subfolder${deleteCounts.folders === 1 ? '' : 's'} and moves ${deleteCounts.files} file${deleteCounts.files === 1 ? '' : 's'} to the trash.`
+              : 'The folder is empty.'}
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDeleteTarget(null)}>Cancel</Button>
+          <Button variant="contained" color="error" disabled={busy} onClick={handleDelete}>
+            Delete
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default FolderTree;
@@ -0,0 +1,80 @@
+import React, { useRef, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  LinearProgress,
+  Paper,
+  Typography
+} from '@mui/material';
+import { CloudUpload } from '@mui/icons-material';
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(k)), sizes.length - 1);
+  return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
+};
+
+// Uploads that stopped part way through. The browser can't reopen a file by itself,
+// so resuming asks for the same file again and checks its name and size.
+const InterruptedUploads = ({ uploads, onResume, onDiscard, disabled }) => {
+  const inputRef = useRef(null);
+  const [resuming, setResuming] = useState(null);
+  const [error, setError] = useState('');
+
+  if (uploads.length === 0) return null;
+
+  const handleResume = (upload) => {
+    setError('');
+    setResuming(upload);
+    inputRef.current.value = '';
+    inputRef.current.click();
+  };
+
+  const handleFilePicked = (event) => {
+    const file = event.target.files[0];
+    if (!file || !resuming) return;
+    if (file.name !== resuming.fileName || file.size !== resuming.totalSize) {
+      setError(`That isn't the same file. Pick "${resuming.fileName}" (${formatBytes(resuming.totalSize)}) to resume.`);
+      return;
+    }
+    onResume(resuming, file);
+    setResuming(null);
+  };
+
+  return (
+    <Paper sx={{ p: 2, mb: 3, borderRadius: 2 }}>
+      <Typography variant="subtitle1" sx={{ fontWeight: 600, mb: 1 }}>
+        Interrupted uploads
+      </Typography>
+      {error && <Alert severity="warning" sx={{ mb: 1 }} onClose={() => setError('')}>{error}</Alert>}
+      <input ref={inputRef} type="file" hidden onChange={handleFilePicked} />
+      {uploads.map(upload => (
+        <Box key={upload.id} sx={{ display: 'flex', alignItems: 'center', gap: 2, py: 1 }}>
+          <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+            <Typography variant="body2" noWrap>{upload.fileName}</Typography>
+            <LinearProgress
+              variant="determinate"
+              value={upload.totalSize ? (upload.receivedBytes / upload.totalSize) * 100 : 0}
+              sx={{ height: 6, borderRadius: 3, my: 0.5 }}
+            />
+            <Typography variant="caption" color="text.secondary">
+              {formatBytes(upload.receivedBytes)} of {formatBytes(upload.totalSize)}
+              {upload.expiresAt && ` · kept until ${new Date(upload.expiresAt).toLocaleString()}`}
+            </Typography>
+          </Box>
+          <Button size="small" startIcon={<CloudUpload />} disabled={disabled} onClick={() => handleResume(upload)}>
+            Resume
+          </Button>
+          <Button size="small" color="error" disabled={disabled} onClick={() => onDiscard(upload)}>
+            Discard
+          </Button>
+        </Box>
+      ))}
+    </Paper>
+  );
+};
+
+export default InterruptedUploads;
@@ -0,0 +1,195 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Chip,
+  Paper,
+  IconButton,
+  Avatar,
+  Tooltip
+} from '@mui/material';
+import {
+  MoreVert as MoreIcon,
+  CalendarToday,
+  Block as BlockIcon,
+  Checklist as ChecklistIcon
+} from '@mui/icons-material';
+
+const CATEGORY_COLORS = {
+  todo: '#757575',
+  in_progress: '#1976d2',
+  done: '#2e7d32'
+};
+
+// Workflow columns with native drag-and-drop; only columns reachable from the
+// dragged task's status accept the drop. The card menu is hidden when no onMenuClick is given.
+const KanbanBoard = ({ tasks, workflow, onMove, onMenuClick, getPriorityColor }) => {
+  const [draggedTask, setDraggedTask] = useState(null);
+  const [hoverStatus, setHoverStatus] = useState(null);
+
+  const allowedTargets = draggedTask
+    ? (workflow.transitions?.[draggedTask.status] || [])
+    : [];
+
+  const handleDragStart = (event, task) => {
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', task.id);
+    setDraggedTask(task);
+  };
+
+  const handleDragEnd = () => {
+    setDraggedTask(null);
+    setHoverStatus(null);
+  };
+
+  const handleDragOver = (event, statusKey) => {
+    if (!allowedTargets.includes(statusKey)) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'move';
+    if (hoverStatus !== statusKey) {
+      setHoverStatus(statusKey);
+    }
+  };
+
+  const handleDrop = (event, statusKey) => {
+    event.preventDefault();
+    const task = draggedTask;
+    handleDragEnd();
+    if (task && task.status !== statusKey) {
+      onMove(task, statusKey);
+    }
+  };
+
+  return (
+    <Box sx={{ display: 'flex', gap: 2, overflowX: 'auto', pb: 1 }}>
+      {workflow.statuses.map((status) => {
+        const columnTasks = tasks.filter(task => task.status === status.key);
+        const color = CATEGORY_COLORS[status.category] || CATEGORY_COLORS.todo;
+        const isAllowed = allowedTargets.includes(status.key);
+
+        return (
+          <Paper
+            key={status.key}
+            onDragOver={(e) => handleDragOver(e, status.key)}
+            onDragLeave={() => setHoverStatus(null)}
+            onDrop={(e) => handleDrop(e, status.key)}
+            sx={{
+              p: 2,
+              minWidth: 260,
+              flex: '1 0 260px',
+              borderRadius: 3,
+              border: '1px solid',
+              borderColor: hoverStatus === status.key ? 'primary.main' : 'divider',
+              backgroundColor: draggedTask && !isAllowed && draggedTask.status !== status.key
+                ? 'action.disabledBackground'
+                : 'background.paper',
+              transition: 'background-color 0.2s ease'
+            }}
+          >
+            <Box sx={{
+              display: 'flex',
+              alignItems: 'center',
+              mb: 2,
+              pb: 1,
+              borderBottom: '2px solid',
+              borderColor: color
+            }}>
+              <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>
+                {status.label}
+              </Typography>
+              <Chip
+                label={columnTasks.length}
+                size="small"
+                sx={{ ml: 'auto', backgroundColor: color, color: 'white' }}
+              />
+            </Box>
+
+            {columnTasks.length === 0 ? (
+              <Typography variant="body2" color="text.secondary" sx={{ textAlign: 'center', py: 4 }}>
+                Drop tasks here
+              </Typography>
+            ) : (
+              columnTasks.map((task) => (
+                <Card
+                  key={task.id}
+                  draggable
+                  onDragStart={(e) => handleDragStart(e, task)}
+                  onDragEnd={handleDragEnd}
+                  sx={{
+                    mb: 1.5,
+                    borderRadius: 2,
+                    border: '1px solid',
+                    borderColor: 'divider',
+                    cursor: 'grab',
+                    opacity: draggedTask?.id === task.id ? 0.5 : 1
+                  }}
+                >
+                  <CardContent sx={{ p: 1.5, '&:last-child': { pb: 1.5 } }}>
+                    <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+                      <Typography
+                        variant="body2"
+                        sx={{
+                          fontWeight: 600,
+                          textDecoration: status.category === 'done' ? 'line-through' : 'none'
+                        }}
+                      >
+                        {task.title}
+                      </Typography>
+                      {onMenuClick && (
+                        <IconButton size="small" onClick={(e) => onMenuClick(e, task)}>
+                          <MoreIcon fontSize="small" />
+                        </IconButton>
+                      )}
+                    </Box>
+                    <Box sx={{ display: 'flex', gap: 0.5, mt: 1, flexWrap: 'wrap', alignItems: 'center' }}>
+                      {task.blocked && (
+                        <Chip
+                          icon={<BlockIcon sx={{ fontSize: '0.8rem' }} />}
+                          label="Blocked"
+                          size="small"
+                          color="error"
+                        />
+                      )}
+                      <Chip
+                        label={task.priority}
+                        size="small"
+                        sx={{ backgroundColor: getPriorityColor(task.priority), color: 'white' }}
+                      />
+                      {task.assignee && (
+                        <Tooltip title={`Assigned to ${task.assignee.displayName}`} arrow>
+                          <Avatar sx={{ width: 22, height: 22, fontSize: '0.7rem' }}>
+                            {task.assignee.displayName.charAt(0).toUpperCase()}
+                          </Avatar>
+                        </Tooltip>
+                      )}
+                      {task.checklistProgress?.total > 0 && (
+                        <Chip
+                          icon={<ChecklistIcon sx={{ fontSize: '0.8rem' }} />}
+                          label={`${task.checklistProgress.completed}/${task.checklistProgress.total}`}
+                          size="small"
+                          variant="outlined"
+                        />
+                      )}
+                      {task.dueDate && (
+                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, ml: 'auto' }}>
+                          <CalendarToday sx={{ fontSize: 14, color: 'text.secondary' }} />
+                          <Typography variant="caption" color="textSecondary">
+                            {new Date(task.dueDate).toLocaleDateString()}
+                          </Typography>
+                        </Box>
+                      )}
+                    </Box>
+                  </CardContent>
+                </Card>
+              ))
+            )}
+          </Paper>
+        );
+      })}
+    </Box>
+  );
+};
+
+export default KanbanBoard;
@@ -104,6 +104,7 @@ const NotificationDropdown = () => {
       case 'task_completed':
       case 'task_due_soon':
       case 'task_overdue':
+      case 'tasks_bulk_updated':
         return <TaskIcon {...iconProps} />;
       case 'workspace_invite':
       case 'member_joined':
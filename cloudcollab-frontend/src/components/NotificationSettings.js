@@ -43,6 +43,7 @@ const NotificationSettings = ({ open, onClose }) => {
     task_completed: 'Task completion updates',
     task_due_soon: 'Task due date reminders',
     task_overdue: 'Overdue task alerts',
+    tasks_bulk_updated: 'Bulk changes to your tasks',
     workspace_invite: 'Workspace invitations',
     member_joined: 'New members joining workspaces',
     member_left: 'Members leaving workspaces',
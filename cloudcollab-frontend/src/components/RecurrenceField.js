@@ -0,0 +1,64 @@
+import React from 'react';
+import {
+  Box,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  TextField
+} from '@mui/material';
+
+const PRESETS = {
+  daily: 'FREQ=DAILY',
+  weekly: 'FREQ=WEEKLY',
+  monthly: 'FREQ=MONTHLY'
+};
+
+export const EMPTY_RECURRENCE = { mode: 'none', rrule: '' };
+
+// Value sent to the API: null, a preset name, or an RRULE string
+export const toRecurrencePayload = (value) => {
+  if (!value || value.mode === 'none') return null;
+  if (value.mode === 'custom') return value.rrule.trim() || null;
+  return value.mode;
+};
+
+// Form value for a rule returned by the API
+export const fromRecurrenceRule = (rule) => {
+  if (!rule) return EMPTY_RECURRENCE;
+  const preset = Object.keys(PRESETS).find(mode => PRESETS[mode] === rule.rrule);
+  return preset ? { mode: preset, rrule: '' } : { mode: 'custom', rrule: rule.rrule };
+};
+
+// Repeat selector with presets and a free-form RRULE subset
+const RecurrenceField = ({ value, onChange, allowNone = true }) => (
+  <Box>
+    <FormControl fullWidth margin="normal">
+      <InputLabel>Repeat</InputLabel>
+      <Select
+        value={value.mode}
+        label="Repeat"
+        onChange={(e) => onChange({ ...value, mode: e.target.value })}
+      >
+        {allowNone && <MenuItem value="none">Does not repeat</MenuItem>}
+        <MenuItem value="daily">Daily</MenuItem>
+        <MenuItem value="weekly">Weekly</MenuItem>
+        <MenuItem value="monthly">Monthly</MenuItem>
+        <MenuItem value="custom">Custom rule</MenuItem>
+      </Select>
+    </FormControl>
+    {value.mode === 'custom' && (
+      <TextField
+        fullWidth
+        label="Recurrence rule"
+        placeholder="FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH"
+        helperText="Supports FREQ (DAILY, WEEKLY, MONTHLY), INTERVAL, BYDAY, BYMONTHDAY, COUNT and UNTIL"
+        value={value.rrule}
+        onChange={(e) => onChange({ ...value, rrule: e.target.value })}
+        margin="normal"
+      />
+    )}
+  </Box>
+);
+
+export default RecurrenceField;
@@ -0,0 +1,188 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Chip,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import { Repeat as RepeatIcon } from '@mui/icons-material';
+import { taskAPI } from '../services/api';
+import RecurrenceField, { EMPTY_RECURRENCE, toRecurrencePayload, fromRecurrenceRule } from './RecurrenceField';
+
+// Edit or stop every open and future task of a recurring series
+const RecurringSeriesDialog = ({ open, seriesId, onClose, onChanged }) => {
+  const [series, setSeries] = useState(null);
+  const [form, setForm] = useState({ title: '', description: '', priority: 'medium', category: 'general' });
+  const [recurrence, setRecurrence] = useState(EMPTY_RECURRENCE);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!open || !seriesId) return;
+
+    const loadSeries = async () => {
+      try {
+        setSeries(null);
+        setError('');
+        const result = await taskAPI.getSeries(seriesId);
+        setSeries(result.series);
+        setForm({
+          title: result.series.title,
+          description: result.series.description,
+          priority: result.series.priority,
+          category: result.series.category
+        });
+        setRecurrence(fromRecurrenceRule(result.series.rule));
+      } catch (loadError) {
+        setError('Failed to load series');
+      }
+    };
+
+    loadSeries();
+  }, [open, seriesId]);
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError('');
+      await taskAPI.updateSeries(seriesId, {
+        ...form,
+        recurrence: series.active ? toRecurrencePayload(recurrence) : undefined
+      });
+      onChanged('Series updated');
+      onClose();
+    } catch (saveError) {
+      setError(saveError.response?.data?.error || 'Failed to update series');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleStop = async () => {
+    if (!window.confirm('Stop this series? Existing tasks are kept, but no new ones will be created.')) {
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await taskAPI.stopSeries(seriesId);
+      onChanged('Series stopped');
+      onClose();
+    } catch (stopError) {
+      setError(stopError.response?.data?.error || 'Failed to stop series');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle sx={{ fontWeight: 600, display: 'flex', alignItems: 'center', gap: 1 }}>
+        <RepeatIcon />
+        Edit Recurring Series
+      </DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        {!series ? (
+          !error && <CircularProgress size={24} sx={{ m: 2 }} />
+        ) : (
+          <>
+            <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap' }}>
+              <Chip
+                label={series.active ? 'Active' : 'Stopped'}
+                size="small"
+                color={series.active ? 'success' : 'default'}
+              />
+              <Typography variant="body2" color="text.secondary">
+                {series.summary} · {series.occurrenceCount} created
+                {series.active && series.nextOccurrenceAt &&
+                  ` · next on ${new Date(series.nextOccurrenceAt).toLocaleDateString()}`}
+              </Typography>
+            </Box>
+            <TextField
+              fullWidth
+              label="Title"
+              value={form.title}
+              onChange={(e) => setForm({ ...form, title: e.target.value })}
+              margin="normal"
+            />
+            <TextField
+              fullWidth
+              label="Description"
+              multiline
+              rows={3}
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              margin="normal"
+            />
+            <FormControl fullWidth margin="normal">
+              <InputLabel>Priority</InputLabel>
+              <Select
+                value={form.priority}
+                label="Priority"
+                onChange={(e) => setForm({ ...form, priority: e.target.value })}
+              >
+                <MenuItem value="low">Low</MenuItem>
+                <MenuItem value="medium">Medium</MenuItem>
+                <MenuItem value="high">High</MenuItem>
+              </Select>
+            </FormControl>
+            <FormControl fullWidth margin="normal">
+              <InputLabel>Category</InputLabel>
+              <Select
+                value={form.category}
+                label="Category"
+                onChange={(e) => setForm({ ...form, category: e.target.value })}
+              >
+                <MenuItem value="general">General</MenuItem>
+                <MenuItem value="development">Development</MenuItem>
+                <MenuItem value="design">Design</MenuItem>
+                <MenuItem value="documentation">Documentation</MenuItem>
+                <MenuItem value="testing">Testing</MenuItem>
+                <MenuItem value="bug">Bug Fix</MenuItem>
+              </Select>
+            </FormControl>
+            {series.active && (
+              <RecurrenceField value={recurrence} onChange={setRecurrence} allowNone={false} />
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions sx={{ p: 3 }}>
+        {series?.active && (
+          <Button color="error" onClick={handleStop} disabled={saving} sx={{ mr: 'auto' }}>
+            Stop Series
+          </Button>
+        )}
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          onClick={handleSave}
+          variant="contained"
+          disabled={!series || saving || !form.title || !form.description}
+          sx={{
+            background: 'linear-gradient(45deg, #1976d2 30%, #42a5f5 90%)',
+          }}
+        >
+          Save Series
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default RecurringSeriesDialog;
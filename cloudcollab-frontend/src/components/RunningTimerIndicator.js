@@ -0,0 +1,67 @@
+import React, { useState, useEffect } from 'react';
+import { Box, Chip, IconButton, Tooltip } from '@mui/material';
+import { Timer as TimerIcon, Stop as StopIcon } from '@mui/icons-material';
+import { useTimer } from '../contexts/TimerContext';
+
+// h:mm:ss since the timer started
+export const formatElapsed = (startedAt, now = Date.now()) => {
+  const totalSeconds = Math.max(0, Math.floor((now - new Date(startedAt).getTime()) / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, '0');
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${hours}:${minutes}:${seconds}`;
+};
+
+// Header chip for the running timer; hidden when no timer is running
+const RunningTimerIndicator = ({ onOpen }) => {
+  const { runningTimer, stopTimer } = useTimer();
+  const [now, setNow] = useState(Date.now());
+  const [stopping, setStopping] = useState(false);
+
+  useEffect(() => {
+    if (!runningTimer) return undefined;
+    setNow(Date.now());
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [runningTimer]);
+
+  if (!runningTimer) return null;
+
+  const handleStop = async () => {
+    try {
+      setStopping(true);
+      await stopTimer();
+    } catch (error) {
+      console.error('Error stopping timer:', error);
+    } finally {
+      setStopping(false);
+    }
+  };
+
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', mr: 1 }}>
+      <Tooltip title={`Tracking time on "${runningTimer.taskTitle}"`} arrow>
+        <Chip
+          icon={<TimerIcon sx={{ color: 'inherit !important' }} />}
+          label={`${formatElapsed(runningTimer.startedAt, now)} · ${runningTimer.taskTitle}`}
+          onClick={onOpen}
+          sx={{
+            maxWidth: { xs: 140, md: 280 },
+            color: 'white',
+            backgroundColor: 'rgba(255,255,255,0.2)',
+            fontVariantNumeric: 'tabular-nums'
+          }}
+        />
+      </Tooltip>
+      <Tooltip title="Stop timer" arrow>
+        <span>
+          <IconButton color="inherit" size="small" onClick={handleStop} disabled={stopping}>
+            <StopIcon fontSize="small" />
+          </IconButton>
+        </span>
+      </Tooltip>
+    </Box>
+  );
+};
+
+export default RunningTimerIndicator;
@@ -0,0 +1,64 @@
+import React from 'react';
+import { Box, Typography } from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+
+const WIDTH = 600;
+const HEIGHT = 200;
+const PADDING = { top: 12, right: 12, bottom: 24, left: 36 };
+
+// Remaining work per sprint day against the ideal straight line to zero
+const SprintBurndownChart = ({ burndown }) => {
+  const theme = useTheme();
+  const days = burndown?.days || [];
+
+  if (days.length === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        No burndown data yet
+      </Typography>
+    );
+  }
+
+  const maxValue = Math.max(1, ...days.map(day => Math.max(day.ideal || 0, day.scope || 0)));
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (index) => PADDING.left + (days.length === 1 ? plotWidth / 2 : (index / (days.length - 1)) * plotWidth);
+  const y = (value) => PADDING.top + plotHeight - (value / maxValue) * plotHeight;
+  const toPoints = (key) => days
+    .map((day, index) => (day[key] === null ? null : `${x(index)},${y(day[key])}`))
+    .filter(Boolean)
+    .join(' ');
+
+  return (
+    <Box>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} width="100%" role="img" aria-label="Sprint burndown chart">
+        <line x1={PADDING.left} y1={y(0)} x2={WIDTH - PADDING.right} y2={y(0)} stroke={theme.palette.divider} />
+        <line x1={PADDING.left} y1={PADDING.top} x2={PADDING.left} y2={y(0)} stroke={theme.palette.divider} />
+        <text x={PADDING.left - 6} y={PADDING.top + 4} textAnchor="end" fontSize="11" fill={theme.palette.text.secondary}>
+          {maxValue}
+        </text>
+        <text x={PADDING.left - 6} y={y(0)} textAnchor="end" fontSize="11" fill={theme.palette.text.secondary}>0</text>
+        <text x={PADDING.left} y={HEIGHT - 6} fontSize="11" fill={theme.palette.text.secondary}>{days[0].date}</text>
+        <text x={WIDTH - PADDING.right} y={HEIGHT - 6} textAnchor="end" fontSize="11" fill={theme.palette.text.secondary}>
+          {days[days.length - 1].date}
+        </text>
+
+        <polyline points={toPoints('ideal')} fill="none" stroke={theme.palette.text.disabled} strokeDasharray="6 4" strokeWidth="2" />
+        <polyline points={toPoints('scope')} fill="none" stroke={theme.palette.warning.light} strokeWidth="1.5" />
+        <polyline points={toPoints('remaining')} fill="none" stroke={theme.palette.primary.main} strokeWidth="2.5" />
+        {days.map((day, index) => day.remaining !== null && (
+          <circle key={day.date} cx={x(index)} cy={y(day.remaining)} r="3" fill={theme.palette.primary.main}>
+            <title>{`${day.date}: ${day.remaining} of ${day.scope} ${burndown.unit} remaining`}</title>
+          </circle>
+        ))}
+      </svg>
+      <Box sx={{ display: 'flex', gap: 2, justifyContent: 'center' }}>
+        <Typography variant="caption" sx={{ color: 'primary.main' }}>— Remaining {burndown.unit}</Typography>
+        <Typography variant="caption" sx={{ color: 'warning.light' }}>— Scope</Typography>
+        <Typography variant="caption" color="text.disabled">- - Ideal</Typography>
+      </Box>
+    </Box>
+  );
+};
+
+export default SprintBurndownChart;
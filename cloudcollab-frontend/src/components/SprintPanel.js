@@ -0,0 +1,248 @@
+// components/SprintPanel.js - Sprint selector, sprint details and burndown for a workspace board
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  Chip,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  TextField,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  CircularProgress
+} from '@mui/material';
+import { Add as AddIcon, Flag as CloseSprintIcon } from '@mui/icons-material';
+import { workspaceAPI } from '../services/api';
+import SprintBurndownChart from './SprintBurndownChart';
+
+// Shown in the selector; the board filters on these values
+export const ALL_SPRINTS = '';
+export const BACKLOG = 'none';
+
+const STATE_COLORS = { planned: 'default', active: 'primary', closed: 'success' };
+
+const dateKey = (date) => date.toISOString().slice(0, 10);
+const twoWeeksFromToday = () => {
+  const start = new Date();
+  return { startDate: dateKey(start), endDate: dateKey(new Date(start.getTime() + 13 * 24 * 60 * 60 * 1000)) };
+};
+
+const SprintPanel = ({ workspaceId, sprintId, onSprintChange, canManage, onTasksChanged, onError }) => {
+  const [sprints, setSprints] = useState([]);
+  const [burndown, setBurndown] = useState(null);
+  const [createDialog, setCreateDialog] = useState({ open: false, sprint: null });
+  const [closeDialog, setCloseDialog] = useState({ open: false, carryOverTo: 'new' });
+  const [busy, setBusy] = useState(false);
+
+  const loadSprints = useCallback(async () => {
+    try {
+      const data = await workspaceAPI.getSprints(workspaceId);
+      setSprints(data.sprints || []);
+    } catch (error) {
+      setSprints([]);
+    }
+  }, [workspaceId]);
+
+  useEffect(() => {
+    loadSprints();
+  }, [loadSprints]);
+
+  const selected = sprints.find(sprint => sprint.id === sprintId) || null;
+
+  useEffect(() => {
+    setBurndown(null);
+    if (!sprintId || sprintId === BACKLOG) return;
+    workspaceAPI.getSprintBurndown(workspaceId, sprintId)
+      .then(setBurndown)
+      .catch(() => setBurndown({ days: [] }));
+  }, [workspaceId, sprintId, sprints]);
+
+  const handleCreate = async () => {
+    try {
+      setBusy(true);
+      const result = await workspaceAPI.createSprint(workspaceId, createDialog.sprint);
+      setCreateDialog({ open: false, sprint: null });
+      await loadSprints();
+      onSprintChange(result.sprint.id);
+    } catch (error) {
+      onError?.(error.response?.data?.details?.join(', ') || error.response?.data?.error || 'Failed to create sprint');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleClose = async () => {
+    try {
+      setBusy(true);
+      const carryOverTo = closeDialog.carryOverTo === BACKLOG ? null : closeDialog.carryOverTo;
+      const result = await workspaceAPI.closeSprint(workspaceId, selected.id, carryOverTo);
+      setCloseDialog({ open: false, carryOverTo: 'new' });
+      await loadSprints();
+      onTasksChanged?.();
+      if (result.nextSprint) onSprintChange(result.nextSprint.id);
+    } catch (error) {
+      onError?.(error.response?.data?.error || 'Failed to close sprint');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const openSprints = sprints.filter(sprint => sprint.state !== 'closed' && sprint.id !== selected?.id);
+  const newSprint = createDialog.sprint || {};
+  const setNewSprint = (changes) => setCreateDialog(prev => ({ ...prev, sprint: { ...prev.sprint, ...changes } }));
+
+  return (
+    <Paper sx={{ p: 2, mb: 2, borderRadius: 3, border: '1px solid', borderColor: 'divider' }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap' }}>
+        <FormControl size="small" sx={{ minWidth: 240 }}>
+          <InputLabel>Sprint</InputLabel>
+          <Select value={sprintId} label="Sprint" onChange={(e) => onSprintChange(e.target.value)}>
+            <MenuItem value={ALL_SPRINTS}>All tasks</MenuItem>
+            <MenuItem value={BACKLOG}>Backlog (no sprint)</MenuItem>
+            {sprints.map(sprint => (
+              <MenuItem key={sprint.id} value={sprint.id}>
+                {sprint.name} · {sprint.state}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        {selected && (
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+            <Chip size="small" label={selected.state} color={STATE_COLORS[selected.state]} />
+            {selected.type === 'milestone' && <Chip size="small" variant="outlined" label="Milestone" />}
+            <Typography variant="body2" color="text.secondary">
+              {selected.startDate} → {selected.endDate} · {selected.taskCount - selected.openTaskCount}/{selected.taskCount} done
+            </Typography>
+          </Box>
+        )}
+
+        {canManage && (
+          <Box sx={{ display: 'flex', gap: 1, ml: 'auto' }}>
+            {selected && selected.state !== 'closed' && (
+              <Button size="small" startIcon={<CloseSprintIcon />} onClick={() => setCloseDialog({ open: true, carryOverTo: 'new' })}>
+                Close sprint
+              </Button>
+            )}
+            <Button
+              size="small"
+              startIcon={<AddIcon />}
+              onClick={() => setCreateDialog({ open: true, sprint: { name: '', type: 'sprint', goal: '', ...twoWeeksFromToday() } })}
+            >
+              New sprint
+            </Button>
+          </Box>
+        )}
+      </Box>
+
+      {selected?.goal && (
+        <Typography variant="body2" sx={{ mt: 1 }}>
+          Goal: {selected.goal}
+        </Typography>
+      )}
+
+      {selected && (
+        <Box sx={{ mt: 2 }}>
+          {burndown ? <SprintBurndownChart burndown={burndown} /> : (
+            <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+              <CircularProgress size={24} />
+            </Box>
+          )}
+        </Box>
+      )}
+
+      <Dialog open={createDialog.open} onClose={() => setCreateDialog({ open: false, sprint: null })} maxWidth="xs" fullWidth>
+        <DialogTitle>New Sprint</DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            fullWidth
+            margin="normal"
+            label="Name"
+            value={newSprint.name || ''}
+            onChange={(e) => setNewSprint({ name: e.target.value })}
+          />
+          <FormControl fullWidth margin="normal">
+            <InputLabel>Type</InputLabel>
+            <Select value={newSprint.type || 'sprint'} label="Type" onChange={(e) => setNewSprint({ type: e.target.value })}>
+              <MenuItem value="sprint">Sprint</MenuItem>
+              <MenuItem value="milestone">Milestone</MenuItem>
+            </Select>
+          </FormControl>
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            <TextField
+              fullWidth
+              margin="normal"
+              type="date"
+              label="Start"
+              InputLabelProps={{ shrink: true }}
+              value={newSprint.startDate || ''}
+              onChange={(e) => setNewSprint({ startDate: e.target.value })}
+            />
+            <TextField
+              fullWidth
+              margin="normal"
+              type="date"
+              label="End"
+              InputLabelProps={{ shrink: true }}
+              value={newSprint.endDate || ''}
+              onChange={(e) => setNewSprint({ endDate: e.target.value })}
+            />
+          </Box>
+          <TextField
+            fullWidth
+            multiline
+            rows={2}
+            margin="normal"
+            label="Goal"
+            value={newSprint.goal || ''}
+            onChange={(e) => setNewSprint({ goal: e.target.value })}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setCreateDialog({ open: false, sprint: null })}>Cancel</Button>
+          <Button variant="contained" onClick={handleCreate} disabled={busy || !newSprint.name?.trim()}>
+            Create
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={closeDialog.open} onClose={() => setCloseDialog({ open: false, carryOverTo: 'new' })} maxWidth="xs" fullWidth>
+        <DialogTitle>Close {selected?.name}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" sx={{ mb: 1 }}>
+            {selected?.openTaskCount || 0} unfinished task{selected?.openTaskCount === 1 ? '' : 's'} will be moved to:
+          </Typography>
+          <FormControl fullWidth margin="normal">
+            <InputLabel>Carry over to</InputLabel>
+            <Select
+              value={closeDialog.carryOverTo}
+              label="Carry over to"
+              onChange={(e) => setCloseDialog(prev => ({ ...prev, carryOverTo: e.target.value }))}
+            >
+              <MenuItem value="new">A new sprint of the same length</MenuItem>
+              {openSprints.map(sprint => (
+                <MenuItem key={sprint.id} value={sprint.id}>{sprint.name}</MenuItem>
+              ))}
+              <MenuItem value={BACKLOG}>The backlog</MenuItem>
+            </Select>
+          </FormControl>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setCloseDialog({ open: false, carryOverTo: 'new' })}>Cancel</Button>
+          <Button variant="contained" onClick={handleClose} disabled={busy}>
+            Close sprint
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+};
+
+export default SprintPanel;
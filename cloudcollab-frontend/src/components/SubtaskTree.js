@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  IconButton,
+  Checkbox,
+  Collapse,
+  Chip,
+  Tooltip
+} from '@mui/material';
+import {
+  ExpandMore as ExpandMoreIcon,
+  ChevronRight as ChevronRightIcon,
+  Add as AddIcon
+} from '@mui/icons-material';
+
+// Recursive list of subtasks rendered as collapsible nested rows
+const SubtaskTree = ({ subtasks, depth = 0, onToggleComplete, onAddSubtask }) => {
+  const [expanded, setExpanded] = useState({});
+
+  const toggleExpanded = (subtaskId) => {
+    setExpanded(prev => ({ ...prev, [subtaskId]: !prev[subtaskId] }));
+  };
+
+  if (!subtasks || subtasks.length === 0) {
+    return depth === 0 ? (
+      <Typography variant="caption" color="text.secondary" sx={{ pl: 1 }}>
+        No subtasks yet
+      </Typography>
+    ) : null;
+  }
+
+  return (
+    <Box>
+      {subtasks.map((subtask) => {
+        const hasChildren = subtask.subtasks && subtask.subtasks.length > 0;
+        const isExpanded = Boolean(expanded[subtask.id]);
+
+        return (
+          <Box key={subtask.id}>
+            <Box sx={{
+              display: 'flex',
+              alignItems: 'center',
+              pl: depth * 2,
+              borderRadius: 1,
+              '&:hover': { backgroundColor: 'action.hover' }
+            }}>
+              <IconButton
+                size="small"
+                onClick={() => toggleExpanded(subtask.id)}
+                sx={{ visibility: hasChildren ? 'visible' : 'hidden' }}
+              >
+                {isExpanded ? <ExpandMoreIcon fontSize="small" /> : <ChevronRightIcon fontSize="small" />}
+              </IconButton>
+              <Checkbox
+                size="small"
+                checked={Boolean(subtask.completed)}
+                onChange={() => onToggleComplete(subtask, !subtask.completed)}
+              />
+              <Typography
+                variant="body2"
+                sx={{
+                  flexGrow: 1,
+                  textDecoration: subtask.completed ? 'line-through' : 'none',
+                  color: subtask.completed ? 'text.secondary' : 'text.primary'
+                }}
+              >
+                {subtask.title}
+              </Typography>
+              {subtask.subtaskCount > 0 && (
+                <Chip
+                  label={`${subtask.completedSubtaskCount}/${subtask.subtaskCount} · ${subtask.progress}%`}
+                  size="small"
+                  variant="outlined"
+                  sx={{ mr: 1, fontSize: '0.7rem' }}
+                />
+              )}
+              {!subtask.completed && (
+                <Tooltip title="Add subtask" arrow>
+                  <IconButton size="small" onClick={() => onAddSubtask(subtask)}>
+                    <AddIcon fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+              )}
+            </Box>
+            {hasChildren && (
+              <Collapse in={isExpanded} timeout="auto" unmountOnExit>
+                <SubtaskTree
+                  subtasks={subtask.subtasks}
+                  depth={depth + 1}
+                  onToggleComplete={onToggleComplete}
+                  onAddSubtask={onAddSubtask}
+                />
+              </Collapse>
+            )}
+          </Box>
+        );
+      })}
+    </Box>
+  );
+};
+
+export default SubtaskTree;
@@ -0,0 +1,50 @@
+import React from 'react';
+import { Avatar, AvatarGroup, Box, Tooltip, Typography } from '@mui/material';
+import { AutoMode as AutoAssignIcon, Visibility as WatchIcon } from '@mui/icons-material';
+
+const nameOf = (members, userId) => {
+  const member = members.find(m => m.userId === userId);
+  return member ? (member.displayName || member.email) : 'Unknown User';
+};
+
+// Stack of assignee avatars for a task card, followed by the auto-assignment reason and a watcher count
+const TaskAssigneeAvatars = ({ task, members = [], max = 4 }) => {
+  const assignees = task.assignees || (task.assignedTo ? [task.assignedTo] : []);
+  const watchers = task.watchers || [];
+
+  // Personal tasks are always the owner's own, so there is nothing to show
+  if (!task.workspaceId || assignees.length === 0) return null;
+
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+      <AvatarGroup
+        max={max}
+        sx={{ '& .MuiAvatar-root': { width: 24, height: 24, fontSize: '0.75rem' } }}
+      >
+        {assignees.map(userId => {
+          const name = nameOf(members, userId);
+          return (
+            <Tooltip key={userId} title={`Assigned to ${name}`} arrow>
+              <Avatar sx={{ bgcolor: '#9c27b0' }}>{name.charAt(0).toUpperCase()}</Avatar>
+            </Tooltip>
+          );
+        })}
+      </AvatarGroup>
+      {task.autoAssignment && (
+        <Tooltip title={task.autoAssignment.reason} arrow>
+          <AutoAssignIcon sx={{ fontSize: 16, color: 'text.secondary' }} />
+        </Tooltip>
+      )}
+      {watchers.length > 0 && (
+        <Tooltip title={`Watched by ${watchers.map(userId => nameOf(members, userId)).join(', ')}`} arrow>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.25, color: 'text.secondary' }}>
+            <WatchIcon sx={{ fontSize: 16 }} />
+            <Typography variant="caption">{watchers.length}</Typography>
+          </Box>
+        </Tooltip>
+      )}
+    </Box>
+  );
+};
+
+export default TaskAssigneeAvatars;
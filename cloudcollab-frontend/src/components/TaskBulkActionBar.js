@@ -0,0 +1,142 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Button,
+  FormControl,
+  InputLabel,
+  MenuItem,
+  Paper,
+  Select,
+  Typography
+} from '@mui/material';
+import {
+  CheckCircle as CompleteIcon,
+  Replay as ReopenIcon,
+  Delete as DeleteIcon,
+  Close as CloseIcon
+} from '@mui/icons-material';
+import { workspaceAPI } from '../services/api';
+
+// Actions for the tasks selected in the list view. Assignment and sprints are only offered
+// when every selected task is in the same workspace, since both belong to it.
+const TaskBulkActionBar = ({ selectedTasks, workspaces = [], workspaceMembers = {}, busy, onApply, onClear }) => {
+  const [sprints, setSprints] = useState([]);
+
+  const workspaceIds = [...new Set(selectedTasks.map(task => task.workspaceId || ''))];
+  const sharedWorkspaceId = workspaceIds.length === 1 ? workspaceIds[0] : '';
+  const members = sharedWorkspaceId ? workspaceMembers[sharedWorkspaceId] || [] : [];
+
+  useEffect(() => {
+    setSprints([]);
+    if (!sharedWorkspaceId) return;
+    workspaceAPI.getSprints(sharedWorkspaceId)
+      .then(data => setSprints((data.sprints || []).filter(sprint => sprint.state !== 'closed')))
+      .catch(() => setSprints([]));
+  }, [sharedWorkspaceId]);
+
+  if (selectedTasks.length === 0) return null;
+
+  const handleDelete = () => {
+    const count = selectedTasks.length;
+    if (window.confirm(`Move ${count} task${count === 1 ? '' : 's'} and their subtasks to the trash?`)) {
+      onApply({ action: 'delete' });
+    }
+  };
+
+  return (
+    <Paper
+      sx={{
+        p: 1.5,
+        mb: 2,
+        borderRadius: 2,
+        display: 'flex',
+        flexWrap: 'wrap',
+        alignItems: 'center',
+        gap: 1.5,
+        border: '1px solid',
+        borderColor: 'primary.main'
+      }}
+    >
+      <Typography variant="subtitle2" sx={{ mr: 1 }}>
+        {selectedTasks.length} selected
+      </Typography>
+
+      <FormControl size="small" sx={{ minWidth: 130 }} disabled={busy}>
+        <InputLabel>Priority</InputLabel>
+        <Select
+          value=""
+          label="Priority"
+          onChange={(e) => onApply({ action: 'update', changes: { priority: e.target.value } })}
+        >
+          <MenuItem value="low">Low</MenuItem>
+          <MenuItem value="medium">Medium</MenuItem>
+          <MenuItem value="high">High</MenuItem>
+        </Select>
+      </FormControl>
+
+      <FormControl size="small" sx={{ minWidth: 160 }} disabled={busy || !sharedWorkspaceId}>
+        <InputLabel>Assign to</InputLabel>
+        <Select
+          value=""
+          label="Assign to"
+          onChange={(e) => onApply({ action: 'update', changes: { assignedTo: e.target.value === '__none__' ? null : e.target.value } })}
+        >
+          <MenuItem value="__none__">
+            <em>Unassigned</em>
+          </MenuItem>
+          {members.map(member => (
+            <MenuItem key={member.userId} value={member.userId}>
+              {member.displayName || member.email}
+            </MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+
+      <FormControl size="small" sx={{ minWidth: 140 }} disabled={busy || !sharedWorkspaceId}>
+        <InputLabel>Sprint</InputLabel>
+        <Select
+          value=""
+          label="Sprint"
+          onChange={(e) => onApply({ action: 'update', changes: { sprintId: e.target.value === '__none__' ? null : e.target.value } })}
+        >
+          <MenuItem value="__none__">
+            <em>Backlog</em>
+          </MenuItem>
+          {sprints.map(sprint => (
+            <MenuItem key={sprint.id} value={sprint.id}>{sprint.name}</MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+
+      <FormControl size="small" sx={{ minWidth: 160 }} disabled={busy}>
+        <InputLabel>Move to</InputLabel>
+        <Select
+          value=""
+          label="Move to"
+          onChange={(e) => onApply({ action: 'move', workspaceId: e.target.value === '__personal__' ? null : e.target.value })}
+        >
+          <MenuItem value="__personal__">
+            <em>Personal tasks</em>
+          </MenuItem>
+          {workspaces.map(workspace => (
+            <MenuItem key={workspace.id} value={workspace.id}>{workspace.name}</MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+
+      <Button size="small" startIcon={<CompleteIcon />} disabled={busy} onClick={() => onApply({ action: 'complete', completed: true })}>
+        Complete
+      </Button>
+      <Button size="small" startIcon={<ReopenIcon />} disabled={busy} onClick={() => onApply({ action: 'complete', completed: false })}>
+        Reopen
+      </Button>
+      <Button size="small" color="error" startIcon={<DeleteIcon />} disabled={busy} onClick={handleDelete}>
+        Delete
+      </Button>
+      <Button size="small" color="inherit" startIcon={<CloseIcon />} onClick={onClear} sx={{ ml: 'auto' }}>
+        Clear
+      </Button>
+    </Paper>
+  );
+};
+
+export default TaskBulkActionBar;
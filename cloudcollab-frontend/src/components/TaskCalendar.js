@@ -0,0 +1,228 @@
+// components/TaskCalendar.js - Month and week calendar of task due dates with drag-to-reschedule
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  IconButton,
+  Button,
+  ToggleButton,
+  ToggleButtonGroup,
+  Tooltip,
+  CircularProgress
+} from '@mui/material';
+import {
+  ChevronLeft as PreviousIcon,
+  ChevronRight as NextIcon,
+  EventAvailable as FeedIcon
+} from '@mui/icons-material';
+import {
+  addMonths,
+  addWeeks,
+  eachDayOfInterval,
+  endOfMonth,
+  endOfWeek,
+  format,
+  isSameMonth,
+  isToday,
+  startOfMonth,
+  startOfWeek
+} from 'date-fns';
+import { taskAPI } from '../services/api';
+import CalendarFeedDialog from './CalendarFeedDialog';
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_PAGES = 5;
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const dayKey = (date) => format(date, 'yyyy-MM-dd');
+
+// Date-only due dates are calendar days already; others are shown on their local day
+const taskDayKey = (task) => (DATE_ONLY.test(task.dueDate) ? task.dueDate : dayKey(new Date(task.dueDate)));
+
+// Moving a task keeps its time of day when it has one
+const rescheduledDueDate = (task, targetKey) => {
+  if (DATE_ONLY.test(task.dueDate)) return targetKey;
+  const [year, month, day] = targetKey.split('-').map(Number);
+  const due = new Date(task.dueDate);
+  due.setFullYear(year, month - 1, day);
+  return due.toISOString();
+};
+
+const TaskCalendar = ({ currentUserId, getPriorityColor, onTaskUpdated, onError }) => {
+  const [mode, setMode] = useState('month');
+  const [cursor, setCursor] = useState(new Date());
+  const [tasks, setTasks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [draggedTask, setDraggedTask] = useState(null);
+  const [hoverDay, setHoverDay] = useState(null);
+  const [feedDialogOpen, setFeedDialogOpen] = useState(false);
+
+  const rangeStart = startOfWeek(mode === 'month' ? startOfMonth(cursor) : cursor, { weekStartsOn: 1 });
+  const rangeEnd = endOfWeek(mode === 'month' ? endOfMonth(cursor) : cursor, { weekStartsOn: 1 });
+  const days = eachDayOfInterval({ start: rangeStart, end: rangeEnd });
+  const fromKey = dayKey(rangeStart);
+  const toKey = dayKey(rangeEnd);
+
+  const loadTasks = useCallback(async () => {
+    try {
+      setLoading(true);
+      const loaded = [];
+      let nextCursor;
+      for (let page = 0; page < MAX_PAGES; page++) {
+        const result = await taskAPI.getTasks({ dueFrom: fromKey, dueTo: toKey, sort: 'dueDate', limit: 100, cursor: nextCursor });
+        loaded.push(...result.tasks);
+        nextCursor = result.nextCursor;
+        if (!nextCursor) break;
+      }
+      setTasks(loaded);
+    } catch (error) {
+      onError?.('Failed to load calendar');
+    } finally {
+      setLoading(false);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [fromKey, toKey]);
+
+  useEffect(() => {
+    loadTasks();
+  }, [loadTasks]);
+
+  const tasksByDay = tasks.reduce((groups, task) => {
+    if (!task.dueDate) return groups;
+    const key = taskDayKey(task);
+    groups[key] = [...(groups[key] || []), task];
+    return groups;
+  }, {});
+
+  const handleDrop = async (event, targetKey) => {
+    event.preventDefault();
+    const task = draggedTask;
+    setDraggedTask(null);
+    setHoverDay(null);
+    if (!task || taskDayKey(task) === targetKey) return;
+
+    const dueDate = rescheduledDueDate(task, targetKey);
+    setTasks(prev => prev.map(t => (t.id === task.id ? { ...t, dueDate } : t)));
+    const result = await taskAPI.updateTask(task.id, { dueDate });
+    if (result.success === false) {
+      setTasks(prev => prev.map(t => (t.id === task.id ? { ...t, dueDate: task.dueDate } : t)));
+      onError?.(`Failed to reschedule "${task.title}"`);
+      return;
+    }
+    onTaskUpdated?.({ ...task, dueDate });
+  };
+
+  const step = (direction) => setCursor(prev => (mode === 'month' ? addMonths(prev, direction) : addWeeks(prev, direction)));
+
+  return (
+    <Paper sx={{ p: 2, borderRadius: 3, border: '1px solid', borderColor: 'divider' }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2, flexWrap: 'wrap' }}>
+        <IconButton size="small" onClick={() => step(-1)}>
+          <PreviousIcon />
+        </IconButton>
+        <IconButton size="small" onClick={() => step(1)}>
+          <NextIcon />
+        </IconButton>
+        <Button size="small" onClick={() => setCursor(new Date())}>Today</Button>
+        <Typography variant="h6" sx={{ fontWeight: 600, ml: 1 }}>
+          {mode === 'month' ? format(cursor, 'MMMM yyyy') : `${format(rangeStart, 'MMM d')} – ${format(rangeEnd, 'MMM d, yyyy')}`}
+        </Typography>
+        {loading && <CircularProgress size={18} sx={{ ml: 1 }} />}
+        <Box sx={{ ml: 'auto', display: 'flex', gap: 1 }}>
+          <Button size="small" startIcon={<FeedIcon />} onClick={() => setFeedDialogOpen(true)}>
+            Subscribe
+          </Button>
+          <ToggleButtonGroup value={mode} exclusive size="small" onChange={(e, value) => value && setMode(value)}>
+            <ToggleButton value="month">Month</ToggleButton>
+            <ToggleButton value="week">Week</ToggleButton>
+          </ToggleButtonGroup>
+        </Box>
+      </Box>
+
+      <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(7, minmax(0, 1fr))', gap: 0.5 }}>
+        {WEEKDAYS.map(weekday => (
+          <Typography key={weekday} variant="caption" color="text.secondary" sx={{ textAlign: 'center', fontWeight: 600 }}>
+            {weekday}
+          </Typography>
+        ))}
+        {days.map(day => {
+          const key = dayKey(day);
+          const dayTasks = tasksByDay[key] || [];
+          return (
+            <Box
+              key={key}
+              onDragOver={(e) => {
+                if (!draggedTask) return;
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+                setHoverDay(key);
+              }}
+              onDragLeave={() => setHoverDay(null)}
+              onDrop={(e) => handleDrop(e, key)}
+              sx={{
+                minHeight: mode === 'month' ? 96 : 320,
+                p: 0.5,
+                borderRadius: 1,
+                border: '1px solid',
+                borderColor: hoverDay === key ? 'primary.main' : 'divider',
+                backgroundColor: hoverDay === key ? 'action.hover' : 'background.paper',
+                opacity: mode === 'month' && !isSameMonth(day, cursor) ? 0.5 : 1
+              }}
+            >
+              <Typography
+                variant="caption"
+                sx={{ fontWeight: isToday(day) ? 700 : 400, color: isToday(day) ? 'primary.main' : 'text.secondary' }}
+              >
+                {format(day, 'd')}
+              </Typography>
+              {dayTasks.map(task => {
+                const movable = task.userId === currentUserId;
+                return (
+                  <Tooltip
+                    key={task.id}
+                    title={movable ? task.title : `${task.title} (only its creator can reschedule it)`}
+                    arrow
+                  >
+                    <Box
+                      draggable={movable}
+                      onDragStart={(e) => {
+                        e.dataTransfer.effectAllowed = 'move';
+                        setDraggedTask(task);
+                      }}
+                      onDragEnd={() => {
+                        setDraggedTask(null);
+                        setHoverDay(null);
+                      }}
+                      sx={{
+                        mt: 0.5,
+                        px: 0.75,
+                        py: 0.25,
+                        borderRadius: 1,
+                        fontSize: '0.75rem',
+                        overflow: 'hidden',
+                        textOverflow: 'ellipsis',
+                        whiteSpace: 'nowrap',
+                        cursor: movable ? 'grab' : 'default',
+                        borderLeft: '3px solid',
+                        borderLeftColor: getPriorityColor ? getPriorityColor(task.priority) : 'primary.main',
+                        backgroundColor: 'action.selected',
+                        textDecoration: task.completed ? 'line-through' : 'none'
+                      }}
+                    >
+                      {task.title}
+                    </Box>
+                  </Tooltip>
+                );
+              })}
+            </Box>
+          );
+        })}
+      </Box>
+
+      <CalendarFeedDialog open={feedDialogOpen} onClose={() => setFeedDialogOpen(false)} />
+    </Paper>
+  );
+};
+
+export default TaskCalendar;
@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Checkbox,
+  Collapse,
+  IconButton,
+  LinearProgress,
+  TextField,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import {
+  Checklist as ChecklistIcon,
+  Add as AddIcon,
+  Close as CloseIcon,
+  ArrowUpward as MoveUpIcon,
+  ArrowDownward as MoveDownIcon,
+  ExpandMore as ExpandMoreIcon,
+  ExpandLess as ExpandLessIcon
+} from '@mui/icons-material';
+import { taskAPI } from '../services/api';
+
+// Collapsible checklist for a task card; every change returns the server's copy of the list
+const TaskChecklist = ({ task, onChange, onError }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [newItem, setNewItem] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const checklist = task.checklist || [];
+  const progress = task.checklistProgress || { completed: 0, total: checklist.length };
+
+  const run = async (request) => {
+    try {
+      setBusy(true);
+      const result = await request();
+      onChange(task.id, result.checklist, result.checklistProgress);
+      return true;
+    } catch (error) {
+      // Conflicts come back with the current list, so the card can catch up
+      const current = error.response?.data?.checklist;
+      if (current) onChange(task.id, current);
+      if (onError) onError(error.response?.data?.error || 'Failed to update checklist');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAdd = async () => {
+    if (!newItem.trim()) return;
+    if (await run(() => taskAPI.addChecklistItem(task.id, newItem.trim()))) {
+      setNewItem('');
+    }
+  };
+
+  const handleMove = (index, offset) => {
+    const ids = checklist.map(item => item.id);
+    [ids[index], ids[index + offset]] = [ids[index + offset], ids[index]];
+    run(() => taskAPI.reorderChecklist(task.id, ids));
+  };
+
+  return (
+    <Box sx={{ mt: 1 }}>
+      <Button
+        size="small"
+        startIcon={<ChecklistIcon sx={{ fontSize: 16 }} />}
+        endIcon={expanded ? <ExpandLessIcon /> : <ExpandMoreIcon />}
+        onClick={() => setExpanded(!expanded)}
+        sx={{ textTransform: 'none' }}
+      >
+        {progress.total > 0 ? `${progress.completed}/${progress.total} checklist` : 'Checklist'}
+      </Button>
+      {progress.total > 0 && (
+        <LinearProgress
+          variant="determinate"
+          color="success"
+          value={(progress.completed / progress.total) * 100}
+          sx={{ height: 4, borderRadius: 2 }}
+        />
+      )}
+
+      <Collapse in={expanded} timeout="auto" unmountOnExit>
+        <Box sx={{ mt: 0.5 }}>
+          {checklist.map((item, index) => (
+            <Box key={item.id} sx={{ display: 'flex', alignItems: 'center' }}>
+              <Checkbox
+                size="small"
+                checked={Boolean(item.completed)}
+                disabled={busy}
+                onChange={(e) => run(() => taskAPI.updateChecklistItem(task.id, item.id, { completed: e.target.checked }))}
+              />
+              <Typography
+                variant="body2"
+                sx={{
+                  flex: 1,
+                  textDecoration: item.completed ? 'line-through' : 'none',
+                  color: item.completed ? 'text.secondary' : 'text.primary'
+                }}
+              >
+                {item.text}
+              </Typography>
+              <IconButton size="small" disabled={busy || index === 0} onClick={() => handleMove(index, -1)}>
+                <MoveUpIcon sx={{ fontSize: 16 }} />
+              </IconButton>
+              <IconButton size="small" disabled={busy || index === checklist.length - 1} onClick={() => handleMove(index, 1)}>
+                <MoveDownIcon sx={{ fontSize: 16 }} />
+              </IconButton>
+              <Tooltip title="Remove item" arrow>
+                <span>
+                  <IconButton size="small" disabled={busy} onClick={() => run(() => taskAPI.deleteChecklistItem(task.id, item.id))}>
+                    <CloseIcon sx={{ fontSize: 16 }} />
+                  </IconButton>
+                </span>
+              </Tooltip>
+            </Box>
+          ))}
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 0.5 }}>
+            <TextField
+              size="small"
+              fullWidth
+              placeholder="Add an item"
+              value={newItem}
+              onChange={(e) => setNewItem(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') handleAdd();
+              }}
+            />
+            <IconButton size="small" color="primary" disabled={busy || !newItem.trim()} onClick={handleAdd}>
+              <AddIcon />
+            </IconButton>
+          </Box>
+        </Box>
+      </Collapse>
+    </Box>
+  );
+};
+
+export default TaskChecklist;
@@ -0,0 +1,354 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Drawer,
+  TextField,
+  IconButton,
+  Chip,
+  Divider,
+  CircularProgress,
+  Alert,
+  Tooltip,
+  Collapse,
+  Avatar
+} from '@mui/material';
+import {
+  Close as CloseIcon,
+  Reply as ReplyIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  History as HistoryIcon
+} from '@mui/icons-material';
+import { taskAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import { useNotifications } from '../contexts/NotificationContext';
+
+const mentionHandle = (member) => (member.email ? member.email.split('@')[0] : member.displayName);
+
+// Highlight @mentions inside a comment body
+const renderBody = (body) => body.split(/(@[\w.+-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/g).map((part, index) => (
+  part.startsWith('@')
+    ? <Box key={index} component="span" sx={{ color: 'primary.main', fontWeight: 600 }}>{part}</Box>
+    : part
+));
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '');
+
+const CommentEditor = ({ initialValue = '', placeholder, submitLabel, members, onSubmit, onCancel }) => {
+  const [value, setValue] = useState(initialValue);
+  const [saving, setSaving] = useState(false);
+
+  const insertMention = (member) => {
+    const handle = `@${mentionHandle(member)} `;
+    setValue(prev => (prev && !prev.endsWith(' ') ? `${prev} ${handle}` : `${prev}${handle}`));
+  };
+
+  const handleSubmit = async () => {
+    try {
+      setSaving(true);
+      await onSubmit(value.trim());
+      setValue('');
+    } catch (submitError) {
+      // The drawer shows the error and the text is kept for another try
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Box>
+      <TextField
+        fullWidth
+        multiline
+        minRows={2}
+        size="small"
+        placeholder={placeholder}
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+      />
+      {members.length > 0 && (
+        <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap', mt: 1 }}>
+          {members.map(member => (
+            <Chip
+              key={member.userId}
+              label={`@${mentionHandle(member)}`}
+              size="small"
+              variant="outlined"
+              onClick={() => insertMention(member)}
+            />
+          ))}
+        </Box>
+      )}
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1, mt: 1 }}>
+        {onCancel && <Button size="small" onClick={onCancel}>Cancel</Button>}
+        <Button
+          size="small"
+          variant="contained"
+          onClick={handleSubmit}
+          disabled={saving || !value.trim()}
+        >
+          {submitLabel}
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+// Threaded comments for a task, updated live from the workspace room
+const TaskCommentsDrawer = ({ open, task, members = [], onClose, onChanged }) => {
+  const { user } = useAuth();
+  const { socket, joinWorkspace } = useNotifications();
+  const [threads, setThreads] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [replyTo, setReplyTo] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [histories, setHistories] = useState({});
+
+  const taskId = task?.id;
+  const mentionable = members.filter(member => member.userId !== user?.uid);
+
+  const loadComments = useCallback(async () => {
+    if (!taskId) return;
+    try {
+      setError('');
+      const result = await taskAPI.getComments(taskId);
+      setThreads(result.threads);
+    } catch (loadError) {
+      setError('Failed to load comments');
+    } finally {
+      setLoading(false);
+    }
+  }, [taskId]);
+
+  useEffect(() => {
+    if (!open || !taskId) return;
+    setLoading(true);
+    setReplyTo(null);
+    setEditing(null);
+    setHistories({});
+    loadComments();
+  }, [open, taskId, loadComments]);
+
+  // Reload when someone else comments on this task
+  useEffect(() => {
+    if (!open || !socket || !task?.workspaceId) return undefined;
+
+    joinWorkspace(task.workspaceId);
+    const handleComment = (event) => {
+      if (event.taskId === taskId && event.userId !== user?.uid) {
+        loadComments();
+      }
+    };
+
+    socket.on('task-comment', handleComment);
+    return () => socket.off('task-comment', handleComment);
+  }, [open, socket, task?.workspaceId, taskId, user?.uid, joinWorkspace, loadComments]);
+
+  const runAction = async (action, failureMessage) => {
+    try {
+      setError('');
+      await action();
+      await loadComments();
+      if (onChanged) onChanged();
+    } catch (actionError) {
+      setError(actionError.response?.data?.error || failureMessage);
+      throw actionError;
+    }
+  };
+
+  const handleAdd = (body, parentCommentId = null) => runAction(async () => {
+    await taskAPI.addComment(taskId, body, parentCommentId);
+    setReplyTo(null);
+  }, 'Failed to add comment');
+
+  const handleEdit = (commentId, body) => runAction(async () => {
+    await taskAPI.updateComment(taskId, commentId, body);
+    setEditing(null);
+    setHistories(prev => ({ ...prev, [commentId]: undefined }));
+  }, 'Failed to update comment');
+
+  const handleDelete = async (commentId) => {
+    if (!window.confirm('Delete this comment?')) return;
+    try {
+      await runAction(() => taskAPI.deleteComment(taskId, commentId), 'Failed to delete comment');
+    } catch (deleteError) {
+      // Error is shown in the drawer
+    }
+  };
+
+  const toggleHistory = async (commentId) => {
+    if (histories[commentId]) {
+      setHistories(prev => ({ ...prev, [commentId]: undefined }));
+      return;
+    }
+    try {
+      const history = await taskAPI.getCommentHistory(taskId, commentId);
+      setHistories(prev => ({ ...prev, [commentId]: history.edits }));
+    } catch (historyError) {
+      setError('Failed to load edit history');
+    }
+  };
+
+  const renderComment = (comment, isReply = false) => {
+    const isAuthor = comment.authorId === user?.uid;
+    const canDelete = isAuthor || task?.userId === user?.uid;
+
+    return (
+      <Box key={comment.id} sx={{ display: 'flex', gap: 1.5, mt: isReply ? 1.5 : 0, ml: isReply ? 5 : 0 }}>
+        <Avatar sx={{ width: 32, height: 32, fontSize: '0.9rem' }}>
+          {(comment.authorName || '?').charAt(0).toUpperCase()}
+        </Avatar>
+        <Box sx={{ flex: 1, minWidth: 0 }}>
+          <Box sx={{ display: 'flex', alignItems: 'baseline', gap: 1, flexWrap: 'wrap' }}>
+            <Typography variant="subtitle2">{comment.deleted ? 'Deleted comment' : comment.authorName}</Typography>
+            <Typography variant="caption" color="text.secondary">
+              {formatTime(comment.createdAt)}
+            </Typography>
+            {comment.editCount > 0 && !comment.deleted && (
+              <Typography
+                variant="caption"
+                color="text.secondary"
+                sx={{ cursor: 'pointer', textDecoration: 'underline' }}
+                onClick={() => toggleHistory(comment.id)}
+              >
+                (edited)
+              </Typography>
+            )}
+          </Box>
+
+          {editing === comment.id ? (
+            <CommentEditor
+              initialValue={comment.body}
+              submitLabel="Save"
+              members={mentionable}
+              onSubmit={(body) => handleEdit(comment.id, body)}
+              onCancel={() => setEditing(null)}
+            />
+          ) : (
+            <Typography
+              variant="body2"
+              sx={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word', fontStyle: comment.deleted ? 'italic' : 'normal' }}
+              color={comment.deleted ? 'text.secondary' : 'text.primary'}
+            >
+              {comment.deleted ? 'This comment was deleted' : renderBody(comment.body)}
+            </Typography>
+          )}
+
+          <Collapse in={Boolean(histories[comment.id])}>
+            <Box sx={{ mt: 1, pl: 1.5, borderLeft: '2px solid', borderColor: 'divider' }}>
+              {(histories[comment.id] || []).slice().reverse().map((edit, index) => (
+                <Box key={index} sx={{ mb: 1 }}>
+                  <Typography variant="caption" color="text.secondary">
+                    {formatTime(edit.editedAt)}
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary" sx={{ whiteSpace: 'pre-wrap' }}>
+                    {edit.body}
+                  </Typography>
+                </Box>
+              ))}
+            </Box>
+          </Collapse>
+
+          {!comment.deleted && editing !== comment.id && (
+            <Box sx={{ display: 'flex', gap: 0.5, mt: 0.5 }}>
+              {!isReply && (
+                <Tooltip title="Reply" arrow>
+                  <IconButton size="small" onClick={() => setReplyTo(comment.id)}>
+                    <ReplyIcon fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+              )}
+              {isAuthor && (
+                <Tooltip title="Edit" arrow>
+                  <IconButton size="small" onClick={() => setEditing(comment.id)}>
+                    <EditIcon fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+              )}
+              {comment.editCount > 0 && (
+                <Tooltip title="Edit history" arrow>
+                  <IconButton size="small" onClick={() => toggleHistory(comment.id)}>
+                    <HistoryIcon fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+              )}
+              {canDelete && (
+                <Tooltip title="Delete" arrow>
+                  <IconButton size="small" onClick={() => handleDelete(comment.id)}>
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+              )}
+            </Box>
+          )}
+        </Box>
+      </Box>
+    );
+  };
+
+  return (
+    <Drawer anchor="right" open={open} onClose={onClose}>
+      <Box sx={{ width: { xs: '100vw', sm: 440 }, p: 3, display: 'flex', flexDirection: 'column', height: '100%' }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+          <Box sx={{ flex: 1, minWidth: 0 }}>
+            <Typography variant="h6" sx={{ fontWeight: 600 }}>Comments</Typography>
+            <Typography variant="body2" color="text.secondary" noWrap>{task?.title}</Typography>
+          </Box>
+          <IconButton onClick={onClose}>
+            <CloseIcon />
+          </IconButton>
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+            {error}
+          </Alert>
+        )}
+
+        <Box sx={{ flex: 1, overflowY: 'auto', mb: 2 }}>
+          {loading ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+              <CircularProgress size={24} />
+            </Box>
+          ) : threads.length === 0 ? (
+            <Typography variant="body2" color="text.secondary" sx={{ textAlign: 'center', py: 4 }}>
+              No comments yet. Start the conversation below.
+            </Typography>
+          ) : (
+            threads.map((thread, index) => (
+              <Box key={thread.id}>
+                {index > 0 && <Divider sx={{ my: 2 }} />}
+                {renderComment(thread)}
+                {thread.replies.map(reply => renderComment(reply, true))}
+                {replyTo === thread.id && (
+                  <Box sx={{ ml: 5, mt: 1.5 }}>
+                    <CommentEditor
+                      placeholder="Write a reply..."
+                      submitLabel="Reply"
+                      members={mentionable}
+                      onSubmit={(body) => handleAdd(body, thread.id)}
+                      onCancel={() => setReplyTo(null)}
+                    />
+                  </Box>
+                )}
+              </Box>
+            ))
+          )}
+        </Box>
+
+        <Divider sx={{ mb: 2 }} />
+        <CommentEditor
+          placeholder={mentionable.length > 0 ? 'Add a comment... use @ to mention someone' : 'Add a comment...'}
+          submitLabel="Comment"
+          members={mentionable}
+          onSubmit={(body) => handleAdd(body)}
+        />
+      </Box>
+    </Drawer>
+  );
+};
+
+export default TaskCommentsDrawer;
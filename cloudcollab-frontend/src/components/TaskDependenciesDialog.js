@@ -0,0 +1,184 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  List,
+  ListItem,
+  ListItemText,
+  ListItemIcon,
+  IconButton,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import {
+  Block as BlockIcon,
+  CheckCircle,
+  Delete as DeleteIcon,
+  Link as LinkIcon
+} from '@mui/icons-material';
+import { taskAPI } from '../services/api';
+
+// Lists what blocks a task and lets the user add or remove blockers
+const TaskDependenciesDialog = ({ open, task, tasks, onClose, onChanged }) => {
+  const [dependencies, setDependencies] = useState({ blockedBy: [], blocking: [] });
+  const [loading, setLoading] = useState(false);
+  const [blockerId, setBlockerId] = useState('');
+  const [error, setError] = useState('');
+
+  const loadDependencies = async (taskId) => {
+    try {
+      setLoading(true);
+      const result = await taskAPI.getDependencies(taskId);
+      setDependencies({ blockedBy: result.blockedBy || [], blocking: result.blocking || [] });
+    } catch (loadError) {
+      setError('Failed to load dependencies');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (open && task) {
+      setBlockerId('');
+      setError('');
+      loadDependencies(task.id);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [open, task]);
+
+  const handleAdd = async () => {
+    if (!blockerId) return;
+
+    try {
+      setError('');
+      await taskAPI.addDependency(task.id, blockerId);
+      setBlockerId('');
+      await loadDependencies(task.id);
+      onChanged();
+    } catch (addError) {
+      // Cycle and permission errors carry a readable message from the server
+      setError(addError.response?.data?.message || addError.response?.data?.error || 'Failed to add dependency');
+    }
+  };
+
+  const handleRemove = async (blocker) => {
+    try {
+      setError('');
+      await taskAPI.removeDependency(task.id, blocker.id);
+      await loadDependencies(task.id);
+      onChanged();
+    } catch (removeError) {
+      setError(removeError.response?.data?.error || 'Failed to remove dependency');
+    }
+  };
+
+  // Only offer tasks that are not already linked and not the task itself
+  const linkedIds = new Set([task?.id, ...dependencies.blockedBy.map(blocker => blocker.id)]);
+  const candidates = (tasks || []).filter(candidate => !linkedIds.has(candidate.id));
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle sx={{ fontWeight: 600 }}>
+        Dependencies: {task?.title}
+      </DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+            {error}
+          </Alert>
+        )}
+
+        <Typography variant="subtitle2" sx={{ mt: 1 }}>
+          Blocked by
+        </Typography>
+        {loading ? (
+          <CircularProgress size={20} sx={{ m: 1 }} />
+        ) : dependencies.blockedBy.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" sx={{ my: 1 }}>
+            This task is not blocked by anything
+          </Typography>
+        ) : (
+          <List dense>
+            {dependencies.blockedBy.map((blocker) => (
+              <ListItem
+                key={blocker.id}
+                secondaryAction={
+                  <IconButton edge="end" size="small" onClick={() => handleRemove(blocker)}>
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                }
+              >
+                <ListItemIcon sx={{ minWidth: 32 }}>
+                  {blocker.completed
+                    ? <CheckCircle fontSize="small" color="success" />
+                    : <BlockIcon fontSize="small" color="error" />}
+                </ListItemIcon>
+                <ListItemText
+                  primary={blocker.title}
+                  secondary={blocker.completed ? 'Completed' : 'Open'}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+
+        {dependencies.blocking.length > 0 && (
+          <>
+            <Typography variant="subtitle2" sx={{ mt: 2 }}>
+              Blocking
+            </Typography>
+            <List dense>
+              {dependencies.blocking.map((dependent) => (
+                <ListItem key={dependent.id}>
+                  <ListItemIcon sx={{ minWidth: 32 }}>
+                    <LinkIcon fontSize="small" />
+                  </ListItemIcon>
+                  <ListItemText primary={dependent.title} />
+                </ListItem>
+              ))}
+            </List>
+          </>
+        )}
+
+        <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', mt: 2 }}>
+          <FormControl fullWidth size="small">
+            <InputLabel>Add blocker</InputLabel>
+            <Select
+              value={blockerId}
+              label="Add blocker"
+              onChange={(e) => setBlockerId(e.target.value)}
+            >
+              {candidates.length === 0 && (
+                <MenuItem value="" disabled>
+                  <em>No other tasks available</em>
+                </MenuItem>
+              )}
+              {candidates.map((candidate) => (
+                <MenuItem key={candidate.id} value={candidate.id}>
+                  {candidate.title}{candidate.completed ? ' (completed)' : ''}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <Button variant="contained" onClick={handleAdd} disabled={!blockerId}>
+            Add
+          </Button>
+        </Box>
+      </DialogContent>
+      <DialogActions sx={{ p: 3 }}>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default TaskDependenciesDialog;
@@ -0,0 +1,160 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import { formatDistanceToNow } from 'date-fns';
+import { taskAPI, workspaceAPI } from '../services/api';
+
+const ACTION_LABELS = {
+  create: 'created the task',
+  update: 'updated the task',
+  assign: 'changed the assignees',
+  complete: 'completed the task',
+  reopen: 'reopened the task',
+  attach_file: 'attached a file',
+  detach_file: 'removed a file'
+};
+
+const ACTION_COLORS = {
+  create: 'primary.main',
+  complete: 'success.main',
+  reopen: 'warning.main',
+  assign: 'secondary.main'
+};
+
+const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  priority: 'Priority',
+  dueDate: 'Due date',
+  category: 'Category',
+  assignedTo: 'Assignee',
+  assignees: 'Assignees',
+  watchers: 'Watchers',
+  workspaceId: 'Workspace',
+  sprintId: 'Sprint',
+  status: 'Status',
+  completed: 'Completed',
+  attachedFiles: 'File'
+};
+
+// Timeline of every recorded change to a task, newest first
+const TaskHistoryDialog = ({ open, task, members = [], workspaces = [], onClose }) => {
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [sprints, setSprints] = useState([]);
+
+  useEffect(() => {
+    if (!open || !task) return;
+
+    setSprints([]);
+    if (task.workspaceId) {
+      workspaceAPI.getSprints(task.workspaceId)
+        .then(data => setSprints(data.sprints || []))
+        .catch(() => setSprints([]));
+    }
+
+    setError('');
+    setLoading(true);
+    taskAPI.getTaskHistory(task.id)
+      .then(entries => setHistory(entries.slice().reverse()))
+      .catch(() => setError('Failed to load task history'))
+      .finally(() => setLoading(false));
+  }, [open, task]);
+
+  const formatValue = (field, value) => {
+    if (value === null || value === undefined || value === '') return 'none';
+    const memberName = (userId) => {
+      const member = members.find(m => m.userId === userId);
+      return member ? (member.displayName || member.email) : userId;
+    };
+    if (field === 'assignedTo') return memberName(value);
+    if (field === 'assignees' || field === 'watchers') return value.map(memberName).join(', ');
+    if (field === 'workspaceId') {
+      return workspaces.find(w => w.id === value)?.name || value;
+    }
+    if (field === 'sprintId') {
+      return sprints.find(sprint => sprint.id === value)?.name || 'a deleted sprint';
+    }
+    if (field === 'dueDate') return new Date(value).toLocaleDateString();
+    if (typeof value === 'boolean') return value ? 'yes' : 'no';
+    if (Array.isArray(value)) return value.join(', ');
+    return String(value);
+  };
+
+  const fieldLabel = (field) => (
+    field.startsWith('customFields.') ? field.slice('customFields.'.length) : FIELD_LABELS[field] || field
+  );
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle sx={{ fontWeight: 600 }}>
+        History: {task?.title}
+      </DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+            {error}
+          </Alert>
+        )}
+
+        {loading ? (
+          <CircularProgress size={20} sx={{ m: 1 }} />
+        ) : history.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" sx={{ my: 1 }}>
+            No changes recorded yet
+          </Typography>
+        ) : (
+          history.map((entry, index) => (
+            <Box key={entry.id} sx={{ display: 'flex', gap: 1.5 }}>
+              <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center', pt: 0.75 }}>
+                <Box
+                  sx={{
+                    width: 10,
+                    height: 10,
+                    borderRadius: '50%',
+                    backgroundColor: ACTION_COLORS[entry.action] || 'grey.500'
+                  }}
+                />
+                {index < history.length - 1 && (
+                  <Box sx={{ flex: 1, width: 2, backgroundColor: 'divider', my: 0.5 }} />
+                )}
+              </Box>
+              <Box sx={{ pb: 2, flex: 1 }}>
+                <Typography variant="body2">
+                  <strong>{entry.changedByName || 'Someone'}</strong> {ACTION_LABELS[entry.action] || entry.action}
+                </Typography>
+                <Typography variant="caption" color="text.secondary">
+                  {entry.changedAt
+                    ? formatDistanceToNow(new Date(entry.changedAt), { addSuffix: true })
+                    : 'just now'}
+                </Typography>
+                {entry.changes.map(change => (
+                  <Typography key={change.field} variant="body2" color="text.secondary" sx={{ wordBreak: 'break-word' }}>
+                    {fieldLabel(change.field)}: {entry.action === 'create'
+                      ? formatValue(change.field, change.to)
+                      : `${formatValue(change.field, change.from)} → ${formatValue(change.field, change.to)}`}
+                  </Typography>
+                ))}
+              </Box>
+            </Box>
+          ))
+        )}
+      </DialogContent>
+      <DialogActions sx={{ p: 3 }}>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default TaskHistoryDialog;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import {
   Box,
   Card,
@@ -28,7 +28,12 @@ import {
   List,
   ListItem,
   ListItemText,
-  ListItemIcon
+  ListItemIcon,
+  Collapse,
+  Checkbox,
+  LinearProgress,
+  ToggleButton,
+  ToggleButtonGroup
 } from '@mui/material';
 import {
   Add as AddIcon,
@@ -44,13 +49,49 @@ import {
   GetApp as DownloadIcon,
   Share as ShareIcon,
   AssignmentInd as AssignmentIndIcon,
-  Business as BusinessIcon
+  Business as BusinessIcon,
+  AccountTree as SubtaskIcon,
+  ExpandMore as ExpandMoreIcon,
+  ExpandLess as ExpandLessIcon,
+  Block as BlockIcon,
+  Link as LinkIcon,
+  ViewList as ViewListIcon,
+  ViewKanban as ViewKanbanIcon,
+  CalendarMonth as CalendarIcon,
+  Repeat as RepeatIcon,
+  ChatBubbleOutline as CommentIcon,
+  History as HistoryIcon,
+  Visibility as WatchIcon,
+  VisibilityOff as UnwatchIcon
 } from '@mui/icons-material';
 import { taskAPI, fileAPI, workspaceAPI } from '../services/api';
+import { useNotifications } from '../contexts/NotificationContext';
+import { useAuth } from '../contexts/AuthContext';
+import SubtaskTree from './SubtaskTree';
+import TaskDependenciesDialog from './TaskDependenciesDialog';
+import TaskHistoryDialog from './TaskHistoryDialog';
+import KanbanBoard from './KanbanBoard';
+import RecurrenceField, { EMPTY_RECURRENCE, toRecurrencePayload } from './RecurrenceField';
+import RecurringSeriesDialog from './RecurringSeriesDialog';
+import TaskCommentsDrawer from './TaskCommentsDrawer';
+import TaskTimerButton from './TaskTimerButton';
+import CustomFieldInputs, { toCustomFieldPayload } from './CustomFieldInputs';
+import TaskTemplatePicker, { EMPTY_TEMPLATE_CHOICE } from './TaskTemplatePicker';
+import TaskChecklist from './TaskChecklist';
+import TaskBulkActionBar from './TaskBulkActionBar';
+import TaskAssigneeAvatars from './TaskAssigneeAvatars';
+import TaskPeopleFields from './TaskPeopleFields';
+import SprintPanel, { ALL_SPRINTS, BACKLOG } from './SprintPanel';
+import TaskCalendar from './TaskCalendar';
+
+const TASK_PAGE_SIZE = 25;
 
 const TaskManager = () => {
   const [tasks, setTasks] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const loadMoreRef = useRef(null);
   
   // Helper function to format file sizes
   const formatFileSize = (bytes) => {
@@ -68,7 +109,8 @@ const TaskManager = () => {
     dueDate: '',
     category: 'general',
     workspaceId: '',
-    assignedTo: ''
+    assignees: [],
+    watchers: []
   });
   const [anchorEl, setAnchorEl] = useState(null);
   const [selectedTask, setSelectedTask] = useState(null);
@@ -84,14 +126,110 @@ const TaskManager = () => {
   const [workspaceMembers, setWorkspaceMembers] = useState({});
   const [loadingWorkspaces, setLoadingWorkspaces] = useState(false);
   const [assignDialog, setAssignDialog] = useState(false);
-  const [assignTask, setAssignTask] = useState({ workspaceId: '', assignedTo: '' });
+  const [assignTask, setAssignTask] = useState({ workspaceId: '', assignees: [], watchers: [] });
+
+  // Subtask states
+  const [expandedTasks, setExpandedTasks] = useState({});
+  const [subtaskTrees, setSubtaskTrees] = useState({});
+  const [subtaskDialog, setSubtaskDialog] = useState({ open: false, parent: null });
+  const [newSubtask, setNewSubtask] = useState({ title: '', description: '' });
+
+  // Dependency states
+  const [dependencyDialog, setDependencyDialog] = useState({ open: false, task: null });
+
+  // Change history state
+  const [historyDialog, setHistoryDialog] = useState({ open: false, task: null });
+
+  // Workflow board states
+  const [viewMode, setViewMode] = useState('list');
+  const [boardWorkspaceId, setBoardWorkspaceId] = useState('');
+  const [boardWorkflow, setBoardWorkflow] = useState(null);
+
+  // Shared workspace board states ("My tasks" only covers tasks the user created or was assigned)
+  const [taskScope, setTaskScope] = useState('mine');
+  const [sharedWorkspaceId, setSharedWorkspaceId] = useState('');
+  const [sharedBoard, setSharedBoard] = useState({ tasks: [], workflow: null });
+  const [sharedSprintId, setSharedSprintId] = useState(ALL_SPRINTS);
+
+  // Recurring task states
+  const [newTaskRecurrence, setNewTaskRecurrence] = useState(EMPTY_RECURRENCE);
+  const [seriesDialog, setSeriesDialog] = useState({ open: false, seriesId: null });
+
+  // Custom fields and templates of the workspace chosen in the create dialog
+  const [newTaskFields, setNewTaskFields] = useState([]);
+  const [newTaskCustomValues, setNewTaskCustomValues] = useState({});
+  const [newTaskTemplates, setNewTaskTemplates] = useState([]);
+  const [newTaskTemplate, setNewTaskTemplate] = useState(EMPTY_TEMPLATE_CHOICE);
+
+  // Comment drawer state
+  const [commentsDrawer, setCommentsDrawer] = useState({ open: false, task: null });
+
+  // Multi-select for bulk actions in the list view
+  const [selectedTaskIds, setSelectedTaskIds] = useState([]);
+  const [bulkBusy, setBulkBusy] = useState(false);
+
+  useEffect(() => {
+    setNewTaskCustomValues({});
+    setNewTaskTemplate(EMPTY_TEMPLATE_CHOICE);
+    if (!newTask.workspaceId) {
+      setNewTaskFields([]);
+      setNewTaskTemplates([]);
+      return;
+    }
+
+    let cancelled = false;
+    workspaceAPI.getCustomFields(newTask.workspaceId)
+      .then(result => {
+        if (!cancelled) setNewTaskFields(result.fields || []);
+      })
+      .catch(() => {
+        if (!cancelled) setNewTaskFields([]);
+      });
+    workspaceAPI.getTaskTemplates(newTask.workspaceId)
+      .then(result => {
+        if (!cancelled) setNewTaskTemplates(result.templates || []);
+      })
+      .catch(() => {
+        if (!cancelled) setNewTaskTemplates([]);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [newTask.workspaceId]);
+
+  const { socket, joinWorkspace } = useNotifications();
+  const { user } = useAuth();
+
+  const applyChecklist = useCallback((taskId, checklist, checklistProgress) => {
+    const progress = checklistProgress || {
+      completed: checklist.filter(item => item.completed).length,
+      total: checklist.length
+    };
+    const update = (task) => (task.id === taskId ? { ...task, checklist, checklistProgress: progress } : task);
+    setTasks(prev => prev.map(update));
+    setSharedBoard(prev => ({ ...prev, tasks: prev.tasks.map(update) }));
+  }, []);
+
+  // Checklist changes made by other workspace members
+  useEffect(() => {
+    if (!socket) return undefined;
+
+    workspaces.forEach(workspace => joinWorkspace(workspace.id));
+    const handleActivity = (activity) => {
+      if (activity.type === 'task_update' && activity.change === 'checklist') {
+        applyChecklist(activity.taskId, activity.checklist, activity.checklistProgress);
+      }
+    };
+    socket.on('workspace-activity', handleActivity);
+    return () => socket.off('workspace-activity', handleActivity);
+  }, [socket, workspaces, joinWorkspace, applyChecklist]);
 
   // Load tasks on component mount
   useEffect(() => {
     const loadTasks = async () => {
       try {
         setLoading(true);
-        const tasksData = await taskAPI.getTasks();
+        const { tasks: tasksData, nextCursor: cursor } = await taskAPI.getTasks({ limit: TASK_PAGE_SIZE });
         console.log('📋 TaskManager loaded tasks:', tasksData.length);
         console.log('📎 Tasks with attachments:', tasksData.filter(t => t.attachmentCount > 0).length);
         tasksData.forEach(task => {
@@ -100,6 +238,7 @@ const TaskManager = () => {
           }
         });
         setTasks(tasksData);
+        setNextCursor(cursor);
       } catch (error) {
         showSnackbar('Failed to load tasks', 'error');
       } finally {
@@ -112,10 +251,244 @@ const TaskManager = () => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  // Each workspace has its own statuses, so the board shows one workspace at a time
+  useEffect(() => {
+    if (viewMode !== 'board') return;
+
+    const loadBoard = async () => {
+      try {
+        setBoardWorkflow(null);
+        const [workflow] = await Promise.all([
+          taskAPI.getWorkflow(boardWorkspaceId || null),
+          refreshTasks()
+        ]);
+        setBoardWorkflow(workflow);
+      } catch (error) {
+        showSnackbar('Failed to load workflow', 'error');
+      }
+    };
+
+    loadBoard();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [viewMode, boardWorkspaceId]);
+
+  useEffect(() => {
+    if (taskScope !== 'workspace' || !sharedWorkspaceId) return;
+    setSharedBoard({ tasks: [], workflow: null });
+    setSharedSprintId(ALL_SPRINTS);
+    loadSharedBoard();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [taskScope, sharedWorkspaceId]);
+
+  const loadSharedBoard = async () => {
+    try {
+      const [result, workflow] = await Promise.all([
+        workspaceAPI.getWorkspaceTasks(sharedWorkspaceId),
+        taskAPI.getWorkflow(sharedWorkspaceId)
+      ]);
+      setSharedBoard({ tasks: result.tasks, workflow });
+    } catch (error) {
+      showSnackbar('Failed to load workspace board', 'error');
+    }
+  };
+
+  const handleScopeChange = (event, scope) => {
+    if (!scope) return;
+    if (scope === 'workspace' && !sharedWorkspaceId && workspaces.length > 0) {
+      setSharedWorkspaceId(workspaces[0].id);
+    }
+    setTaskScope(scope);
+  };
+
   const showSnackbar = (message, severity = 'success') => {
     setSnackbar({ open: true, message, severity });
   };
 
+  // Reload tasks without the full-page spinner (e.g. after subtask progress changes),
+  // keeping as many pages as were already scrolled into view
+  const refreshTasks = async () => {
+    try {
+      const loadedCount = Math.max(tasks.length, TASK_PAGE_SIZE);
+      let tasksData = [];
+      let cursor = null;
+      do {
+        const page = await taskAPI.getTasks({ limit: TASK_PAGE_SIZE, cursor: cursor || undefined });
+        tasksData = tasksData.concat(page.tasks);
+        cursor = page.nextCursor;
+      } while (cursor && tasksData.length < loadedCount);
+      setTasks(tasksData);
+      setNextCursor(cursor);
+    } catch (error) {
+      console.error('Error refreshing tasks:', error);
+    }
+  };
+
+  const loadMoreTasks = async () => {
+    if (!nextCursor || loadingMore) return;
+    try {
+      setLoadingMore(true);
+      const page = await taskAPI.getTasks({ limit: TASK_PAGE_SIZE, cursor: nextCursor });
+      setTasks(prev => {
+        const loadedIds = new Set(prev.map(task => task.id));
+        return [...prev, ...page.tasks.filter(task => !loadedIds.has(task.id))];
+      });
+      setNextCursor(page.nextCursor);
+    } catch (error) {
+      showSnackbar('Failed to load more tasks', 'error');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  // Infinite scroll: fetch the next page when the end of the list comes into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !nextCursor || loadingMore) return undefined;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        loadMoreTasks();
+      }
+    }, { rootMargin: '200px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [nextCursor, loadingMore, loading]);
+
+  const loadSubtaskTree = async (taskId) => {
+    try {
+      const result = await taskAPI.getSubtasks(taskId);
+      setSubtaskTrees(prev => ({ ...prev, [taskId]: result.subtasks || [] }));
+    } catch (error) {
+      showSnackbar('Failed to load subtasks', 'error');
+    }
+  };
+
+  const reloadExpandedSubtaskTrees = async () => {
+    const expandedIds = Object.keys(expandedTasks).filter(taskId => expandedTasks[taskId]);
+    await Promise.all(expandedIds.map(taskId => loadSubtaskTree(taskId)));
+  };
+
+  const toggleSubtasks = (task) => {
+    const willExpand = !expandedTasks[task.id];
+    setExpandedTasks(prev => ({ ...prev, [task.id]: willExpand }));
+    if (willExpand) {
+      loadSubtaskTree(task.id);
+    }
+  };
+
+  // Completing a parent with open subtasks needs an explicit override
+  const setTaskCompletion = async (task, completed) => {
+    try {
+      await taskAPI.setCompletion(task.id, completed);
+      return true;
+    } catch (error) {
+      if (error.response?.status !== 409) {
+        showSnackbar('Failed to update task', 'error');
+        return false;
+      }
+
+      const openTitles = (error.response.data.openSubtasks || []).map(subtask => subtask.title).join(', ');
+      if (!window.confirm(`"${task.title}" still has open subtasks: ${openTitles}. Complete it anyway?`)) {
+        return false;
+      }
+
+      try {
+        await taskAPI.setCompletion(task.id, completed, true);
+        return true;
+      } catch (forceError) {
+        showSnackbar('Failed to update task', 'error');
+        return false;
+      }
+    }
+  };
+
+  const handleSubtaskToggle = async (subtask, completed) => {
+    const updated = await setTaskCompletion(subtask, completed);
+    if (updated) {
+      await Promise.all([refreshTasks(), reloadExpandedSubtaskTrees()]);
+    }
+  };
+
+  const openSubtaskDialog = (parent) => {
+    setAnchorEl(null);
+    setNewSubtask({ title: '', description: '' });
+    setSubtaskDialog({ open: true, parent });
+  };
+
+  const handleAddSubtask = async () => {
+    const parent = subtaskDialog.parent;
+    if (!parent || !newSubtask.title) return;
+
+    try {
+      await taskAPI.createSubtask(parent.id, newSubtask);
+      setSubtaskDialog({ open: false, parent: null });
+      setNewSubtask({ title: '', description: '' });
+
+      // Expand the root card so the new subtask is visible
+      const rootId = parent.parentTaskId ? null : parent.id;
+      if (rootId && !expandedTasks[rootId]) {
+        setExpandedTasks(prev => ({ ...prev, [rootId]: true }));
+        await loadSubtaskTree(rootId);
+      } else {
+        await reloadExpandedSubtaskTrees();
+      }
+      await refreshTasks();
+      showSnackbar('Subtask added');
+    } catch (error) {
+      showSnackbar(error.response?.data?.error || 'Failed to add subtask', 'error');
+    }
+  };
+
+  const moveTaskToStatus = async (task, status, force = false) => {
+    try {
+      // Move the card right away; the reload below reconciles with the server
+      setTasks(prev => prev.map(t => (t.id === task.id ? { ...t, status } : t)));
+      setSharedBoard(prev => ({ ...prev, tasks: prev.tasks.map(t => (t.id === task.id ? { ...t, status } : t)) }));
+      await taskAPI.transitionTask(task.id, status, force);
+      const workflow = taskScope === 'workspace' ? sharedBoard.workflow : boardWorkflow;
+      const label = workflow?.statuses.find(s => s.key === status)?.label || status;
+      showSnackbar(`"${task.title}" moved to ${label}`);
+    } catch (error) {
+      const data = error.response?.data;
+      if (error.response?.status === 409 && data?.openSubtasks) {
+        const openTitles = data.openSubtasks.map(subtask => subtask.title).join(', ');
+        if (window.confirm(`"${task.title}" still has open subtasks: ${openTitles}. Move it anyway?`)) {
+          await moveTaskToStatus(task, status, true);
+          return;
+        }
+      } else {
+        showSnackbar(data?.message || data?.error || 'Failed to move task', 'error');
+      }
+    }
+    await (taskScope === 'workspace' ? loadSharedBoard() : refreshTasks());
+  };
+
+  const openSeriesDialog = (task) => {
+    setAnchorEl(null);
+    setSeriesDialog({ open: true, seriesId: task.seriesId });
+  };
+
+  const handleSeriesChanged = async (message) => {
+    showSnackbar(message);
+    await refreshTasks();
+  };
+
+  const openCommentsDrawer = (task) => {
+    setAnchorEl(null);
+    setCommentsDrawer({ open: true, task });
+  };
+
+  const openHistoryDialog = (task) => {
+    setAnchorEl(null);
+    setHistoryDialog({ open: true, task });
+  };
+
+  const openDependencyDialog = (task) => {
+    setAnchorEl(null);
+    setDependencyDialog({ open: true, task });
+  };
+
   // Load workspaces and members for task assignment
   const loadWorkspacesAndMembers = async () => {
     try {
@@ -202,10 +575,27 @@ const TaskManager = () => {
   };
 
   const handleAddTask = async () => {
-    if (newTask.title && newTask.description) {
+    const fromTemplate = Boolean(newTaskTemplate.templateId);
+    if (fromTemplate || (newTask.title && newTask.description)) {
       try {
-        const createdTask = await taskAPI.createTask(newTask);
+        const customFields = toCustomFieldPayload(newTaskCustomValues);
+        let createdTask;
+        if (fromTemplate) {
+          // Title, description, priority, category and checklist come from the template
+          createdTask = await taskAPI.createTaskFromTemplate(newTaskTemplate.templateId, {
+            variables: newTaskTemplate.variables,
+            dueDate: newTask.dueDate || undefined,
+            assignees: newTask.assignees,
+            watchers: newTask.watchers,
+            customFields
+          });
+        } else {
+          const recurrence = toRecurrencePayload(newTaskRecurrence);
+          const payload = { ...newTask, customFields };
+          createdTask = await taskAPI.createTask(recurrence ? { ...payload, recurrence } : payload);
+        }
         setTasks(prev => [createdTask, ...prev]);
+        setNewTaskRecurrence(EMPTY_RECURRENCE);
         setNewTask({
           title: '',
           description: '',
@@ -213,16 +603,21 @@ const TaskManager = () => {
           dueDate: '',
           category: 'general',
           workspaceId: '',
-          assignedTo: ''
+          assignees: [],
+          watchers: []
         });
         setOpenDialog(false);
         showSnackbar(
-          newTask.assignedTo ? 
+          newTask.assignees.length > 0 ? 
           `Task created and assigned successfully` : 
           'Task created successfully'
         );
       } catch (error) {
-        showSnackbar('Failed to create task', 'error');
+        const details = error.response?.data?.details;
+        showSnackbar(
+          details ? details.join('; ') : error.response?.data?.error || 'Failed to create task',
+          'error'
+        );
       }
     }
   };
@@ -237,30 +632,61 @@ const TaskManager = () => {
     setSelectedTask(null);
   };
 
-  const updateTaskStatus = async (taskId, completed) => {
-    try {
-      await taskAPI.updateTask(taskId, { completed });
-      setTasks(tasks.map(task => 
-        task.id === taskId ? { ...task, completed } : task
+  const updateTaskStatus = async (task, completed) => {
+    handleMenuClose();
+    if (!task) return;
+
+    const updated = await setTaskCompletion(task, completed);
+    if (updated) {
+      setTasks(prev => prev.map(t => 
+        t.id === task.id ? { ...t, completed } : t
       ));
       showSnackbar(`Task marked as ${completed ? 'completed' : 'incomplete'}`);
-    } catch (error) {
-      showSnackbar('Failed to update task', 'error');
+      if (task.parentTaskId) {
+        await Promise.all([refreshTasks(), reloadExpandedSubtaskTrees()]);
+      }
     }
-    handleMenuClose();
   };
 
   const deleteTask = async (taskId) => {
     try {
-      await taskAPI.deleteTask(taskId);
-      setTasks(tasks.filter(task => task.id !== taskId));
-      showSnackbar('Task deleted successfully');
+      const result = await taskAPI.deleteTask(taskId);
+      const removedIds = new Set([taskId, ...(result.deletedSubtaskIds || [])]);
+      setTasks(tasks.filter(task => !removedIds.has(task.id)));
+      showSnackbar('Task moved to trash');
     } catch (error) {
       showSnackbar('Failed to delete task', 'error');
     }
     handleMenuClose();
   };
 
+  const toggleTaskSelection = (taskId) => {
+    setSelectedTaskIds(prev => (
+      prev.includes(taskId) ? prev.filter(id => id !== taskId) : [...prev, taskId]
+    ));
+  };
+
+  const handleBulkAction = async (request) => {
+    try {
+      setBulkBusy(true);
+      const result = await taskAPI.bulkUpdateTasks({ ...request, taskIds: selectedTaskIds });
+      if (result.failed === 0) {
+        showSnackbar(`${result.succeeded} task${result.succeeded === 1 ? '' : 's'} updated`);
+        setSelectedTaskIds([]);
+      } else {
+        // Keep the tasks that failed selected so they can be retried
+        const firstError = result.results.find(item => !item.success).error;
+        showSnackbar(`${result.succeeded} updated, ${result.failed} failed: ${firstError}`, 'warning');
+        setSelectedTaskIds(result.results.filter(item => !item.success).map(item => item.taskId));
+      }
+      await Promise.all([refreshTasks(), reloadExpandedSubtaskTrees()]);
+    } catch (error) {
+      showSnackbar(error.response?.data?.error || 'Failed to apply bulk action', 'error');
+    } finally {
+      setBulkBusy(false);
+    }
+  };
+
   const handleFileUpload = (task) => {
     // Close menu first
     setAnchorEl(null);
@@ -276,7 +702,8 @@ const TaskManager = () => {
     setSelectedTask(task);
     setAssignTask({
       workspaceId: task.workspaceId || '',
-      assignedTo: task.assignedTo || ''
+      assignees: task.assignees || (task.assignedTo ? [task.assignedTo] : []),
+      watchers: task.watchers || []
     });
     setAssignDialog(true);
   };
@@ -287,24 +714,30 @@ const TaskManager = () => {
     try {
       const updateData = {
         workspaceId: assignTask.workspaceId || null,
-        assignedTo: assignTask.assignedTo || null
+        assignees: assignTask.assignees,
+        watchers: assignTask.watchers
       };
 
-      await taskAPI.updateTask(selectedTask.id, updateData);
+      const result = await taskAPI.updateTask(selectedTask.id, updateData);
+      if (result.success === false) {
+        showSnackbar('Failed to update task assignment', 'error');
+        return;
+      }
       
-      // Update local task state
+      // Update local task state with the assignment the server settled on
+      const { assignedTo, assignees, watchers } = result.task;
       setTasks(tasks.map(task => 
         task.id === selectedTask.id 
-          ? { ...task, ...updateData }
+          ? { ...task, workspaceId: updateData.workspaceId, assignedTo, assignees, watchers }
           : task
       ));
 
       setAssignDialog(false);
-      setAssignTask({ workspaceId: '', assignedTo: '' });
+      setAssignTask({ workspaceId: '', assignees: [], watchers: [] });
       
-      if (assignTask.assignedTo) {
-        const assigneeName = getAssigneeName({ ...selectedTask, ...updateData });
-        showSnackbar(`Task assigned to ${assigneeName}`, 'success');
+      if (assignTask.assignees.length > 0) {
+        const names = assignTask.assignees.map(userId => getMemberName(updateData.workspaceId, userId));
+        showSnackbar(`Task assigned to ${names.join(', ')}`, 'success');
       } else {
         showSnackbar('Task assignment updated', 'success');
       }
@@ -374,12 +807,23 @@ const TaskManager = () => {
     }
   };
 
-  // Get assignee display name
-  const getAssigneeName = (task) => {
-    if (!task.assignedTo || !task.workspaceId) return null;
-    const members = workspaceMembers[task.workspaceId] || [];
-    const assignee = members.find(m => m.userId === task.assignedTo);
-    return assignee ? (assignee.displayName || assignee.email) : 'Unknown User';
+  // Get a workspace member's display name
+  const getMemberName = (workspaceId, userId) => {
+    const members = workspaceMembers[workspaceId] || [];
+    const member = members.find(m => m.userId === userId);
+    return member ? (member.displayName || member.email) : 'Unknown User';
+  };
+
+  const toggleWatchTask = async (task) => {
+    setAnchorEl(null);
+    const watching = (task.watchers || []).includes(user?.uid);
+    try {
+      const result = watching ? await taskAPI.unwatchTask(task.id) : await taskAPI.watchTask(task.id);
+      setTasks(prev => prev.map(t => (t.id === task.id ? { ...t, watchers: result.watchers } : t)));
+      showSnackbar(watching ? `Stopped watching "${task.title}"` : `Watching "${task.title}"`);
+    } catch (error) {
+      showSnackbar(error.response?.data?.error || 'Failed to update watch status', 'error');
+    }
   };
 
   // Get workspace name
@@ -389,9 +833,23 @@ const TaskManager = () => {
     return workspace ? workspace.name : 'Unknown Workspace';
   };
 
+  // Subtasks render nested under their parent card when the parent is loaded
+  const loadedTaskIds = new Set(tasks.map(task => task.id));
+  const rootTasks = tasks.filter(task => !task.parentTaskId || !loadedTaskIds.has(task.parentTaskId));
+
+  const boardTasks = rootTasks.filter(task => (task.workspaceId || '') === boardWorkspaceId);
+
+  const sharedTaskIds = new Set(sharedBoard.tasks.map(task => task.id));
+  const sharedBoardTasks = sharedBoard.tasks
+    .filter(task => !task.parentTaskId || !sharedTaskIds.has(task.parentTaskId))
+    .filter(task => sharedSprintId === ALL_SPRINTS || (task.sprintId || BACKLOG) === sharedSprintId);
+  // Managing sprints takes the right to assign tasks, which starts at manager
+  const sharedWorkspaceRole = workspaces.find(workspace => workspace.id === sharedWorkspaceId)?.role;
+  const canManageSprints = ['owner', 'workspace_admin', 'manager'].includes(sharedWorkspaceRole);
+
   // Organize tasks by status
-  const todoTasks = tasks.filter(task => !task.completed);
-  const completedTasks = tasks.filter(task => task.completed);
+  const todoTasks = rootTasks.filter(task => !task.completed);
+  const completedTasks = rootTasks.filter(task => task.completed);
   
   // Debug logging for attachment rendering
   console.log('🔍 TaskManager render - Todo tasks:', todoTasks.length);
@@ -415,6 +873,75 @@ const TaskManager = () => {
         <Typography variant="h4" sx={{ fontWeight: 600 }}>
           Task Management
         </Typography>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, ml: 'auto', mr: 2 }}>
+          <ToggleButtonGroup
+            value={taskScope}
+            exclusive
+            size="small"
+            onChange={handleScopeChange}
+          >
+            <ToggleButton value="mine">My tasks</ToggleButton>
+            <ToggleButton value="workspace" disabled={workspaces.length === 0}>Workspace board</ToggleButton>
+          </ToggleButtonGroup>
+          {taskScope === 'workspace' ? (
+            <FormControl size="small" sx={{ minWidth: 200 }}>
+              <InputLabel>Workspace</InputLabel>
+              <Select
+                value={sharedWorkspaceId}
+                label="Workspace"
+                onChange={(e) => setSharedWorkspaceId(e.target.value)}
+              >
+                {workspaces.map((workspace) => (
+                  <MenuItem key={workspace.id} value={workspace.id}>
+                    {workspace.name}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          ) : (
+            <>
+              {viewMode === 'board' && (
+                <FormControl size="small" sx={{ minWidth: 200 }}>
+                  <InputLabel>Board</InputLabel>
+                  <Select
+                    value={boardWorkspaceId}
+                    label="Board"
+                    onChange={(e) => setBoardWorkspaceId(e.target.value)}
+                  >
+                    <MenuItem value="">Personal Tasks</MenuItem>
+                    {workspaces.map((workspace) => (
+                      <MenuItem key={workspace.id} value={workspace.id}>
+                        {workspace.name}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              )}
+              <ToggleButtonGroup
+                value={viewMode}
+                exclusive
+                size="small"
+                onChange={(e, mode) => mode && setViewMode(mode)}
+              >
+                <ToggleButton value="list">
+                  <Tooltip title="List view" arrow>
+                    <ViewListIcon fontSize="small" />
+                  </Tooltip>
+                </ToggleButton>
+                <ToggleButton value="board">
+                  <Tooltip title="Workflow board" arrow>
+                    <ViewKanbanIcon fontSize="small" />
+                  </Tooltip>
+                </ToggleButton>
+                <ToggleButton value="calendar">
+                  <Tooltip title="Calendar" arrow>
+                    <CalendarIcon fontSize="small" />
+                  </Tooltip>
+                </ToggleButton>
+              </ToggleButtonGroup>
+            </>
+          )}
+        </Box>
         <Button
           variant="contained"
           startIcon={<AddIcon />}
@@ -429,325 +956,485 @@ const TaskManager = () => {
         </Button>
       </Box>
 
-      {/* Kanban Board */}
-      <Grid container spacing={3}>
-        {/* Todo Column */}
-        <Grid item xs={12} md={6}>
-          <Paper sx={{ 
-            p: 2, 
-            borderRadius: 3,
-            backgroundColor: 'background.paper',
-            border: '1px solid',
-            borderColor: 'divider',
-            minHeight: todoTasks.length > 0 ? 'auto' : '300px',
-            height: 'fit-content'
-          }}>
-            <Box sx={{ 
-              display: 'flex', 
-              alignItems: 'center', 
-              mb: 2,
-              pb: 1,
-              borderBottom: '2px solid',
-              borderColor: '#757575'
+      {taskScope === 'mine' && viewMode === 'list' && (
+        <TaskBulkActionBar
+          selectedTasks={tasks.filter(task => selectedTaskIds.includes(task.id))}
+          workspaces={workspaces}
+          workspaceMembers={workspaceMembers}
+          busy={bulkBusy}
+          onApply={handleBulkAction}
+          onClear={() => setSelectedTaskIds([])}
+        />
+      )}
+
+      {taskScope === 'workspace' && sharedWorkspaceId && (
+        <SprintPanel
+          workspaceId={sharedWorkspaceId}
+          sprintId={sharedSprintId}
+          onSprintChange={setSharedSprintId}
+          canManage={canManageSprints}
+          onTasksChanged={loadSharedBoard}
+          onError={(message) => showSnackbar(message, 'error')}
+        />
+      )}
+
+      {taskScope === 'workspace' ? (
+        sharedBoard.workflow ? (
+          <KanbanBoard
+            tasks={sharedBoardTasks}
+            workflow={sharedBoard.workflow}
+            onMove={moveTaskToStatus}
+            getPriorityColor={getPriorityColor}
+          />
+        ) : (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 6 }}>
+            <CircularProgress />
+          </Box>
+        )
+      ) : viewMode === 'calendar' ? (
+        <TaskCalendar
+          currentUserId={user?.uid}
+          getPriorityColor={getPriorityColor}
+          onTaskUpdated={(updated) => setTasks(prev => prev.map(task => (task.id === updated.id ? { ...task, dueDate: updated.dueDate } : task)))}
+          onError={(message) => showSnackbar(message, 'error')}
+        />
+      ) : viewMode === 'board' ? (
+        boardWorkflow ? (
+          <KanbanBoard
+            tasks={boardTasks}
+            workflow={boardWorkflow}
+            onMove={moveTaskToStatus}
+            onMenuClick={handleMenuClick}
+            getPriorityColor={getPriorityColor}
+          />
+        ) : (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 6 }}>
+            <CircularProgress />
+          </Box>
+        )
+      ) : (
+        // List view: todo and completed columns
+        <Grid container spacing={3}>
+          {/* Todo Column */}
+          <Grid item xs={12} md={6}>
+            <Paper sx={{ 
+              p: 2, 
+              borderRadius: 3,
+              backgroundColor: 'background.paper',
+              border: '1px solid',
+              borderColor: 'divider',
+              minHeight: todoTasks.length > 0 ? 'auto' : '300px',
+              height: 'fit-content'
             }}>
-              <Schedule />
-              <Typography variant="h6" sx={{ ml: 1, fontWeight: 600 }}>
-                Todo
-              </Typography>
-              <Chip 
-                label={todoTasks.length} 
-                size="small" 
-                sx={{ 
-                  ml: 'auto',
-                  backgroundColor: '#757575',
-                  color: 'white'
-                }}
-              />
-            </Box>
-
-            {todoTasks.length === 0 ? (
-              <Box sx={{
-                display: 'flex',
-                flexDirection: 'column',
-                alignItems: 'center',
-                justifyContent: 'center',
-                py: 6,
-                textAlign: 'center'
+              <Box sx={{ 
+                display: 'flex', 
+                alignItems: 'center', 
+                mb: 2,
+                pb: 1,
+                borderBottom: '2px solid',
+                borderColor: '#757575'
               }}>
-                <AssignmentIcon sx={{ 
-                  fontSize: 64, 
-                  color: 'text.secondary',
-                  opacity: 0.5,
-                  mb: 2 
-                }} />
-                <Typography variant="h6" color="text.secondary" sx={{ mb: 1 }}>
-                  No tasks in progress
-                </Typography>
-                <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
-                  Create a new task to get started
+                <Schedule />
+                <Typography variant="h6" sx={{ ml: 1, fontWeight: 600 }}>
+                  Todo
                 </Typography>
-                <Button
-                  variant="outlined"
-                  startIcon={<AddIcon />}
-                  onClick={() => setOpenDialog(true)}
-                  sx={{ borderRadius: 2 }}
-                >
-                  Add First Task
-                </Button>
+                <Chip 
+                  label={todoTasks.length} 
+                  size="small" 
+                  sx={{ 
+                    ml: 'auto',
+                    backgroundColor: '#757575',
+                    color: 'white'
+                  }}
+                />
               </Box>
-            ) : (
-              todoTasks.map((task) => (
-                <Card key={task.id} sx={{ 
-                  mb: 2, 
-                  borderRadius: 2,
-                  border: '1px solid',
-                  borderColor: 'divider',
-                  transition: 'all 0.2s ease-in-out',
-                  '&:hover': {
-                    transform: 'translateY(-2px)',
-                    boxShadow: '0 4px 20px rgba(0,0,0,0.1)',
-                  }
+
+              {todoTasks.length === 0 ? (
+                <Box sx={{
+                  display: 'flex',
+                  flexDirection: 'column',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                  py: 6,
+                  textAlign: 'center'
                 }}>
-                  <CardContent sx={{ p: 2 }}>
-                    <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 1 }}>
-                      <Typography variant="h6" sx={{ fontWeight: 600, fontSize: '1rem' }}>
-                        {task.title}
+                  <AssignmentIcon sx={{ 
+                    fontSize: 64, 
+                    color: 'text.secondary',
+                    opacity: 0.5,
+                    mb: 2 
+                  }} />
+                  <Typography variant="h6" color="text.secondary" sx={{ mb: 1 }}>
+                    No tasks in progress
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                    Create a new task to get started
+                  </Typography>
+                  <Button
+                    variant="outlined"
+                    startIcon={<AddIcon />}
+                    onClick={() => setOpenDialog(true)}
+                    sx={{ borderRadius: 2 }}
+                  >
+                    Add First Task
+                  </Button>
+                </Box>
+              ) : (
+                todoTasks.map((task) => (
+                  <Card key={task.id} sx={{ 
+                    mb: 2, 
+                    borderRadius: 2,
+                    border: '1px solid',
+                    borderColor: 'divider',
+                    transition: 'all 0.2s ease-in-out',
+                    '&:hover': {
+                      transform: 'translateY(-2px)',
+                      boxShadow: '0 4px 20px rgba(0,0,0,0.1)',
+                    }
+                  }}>
+                    <CardContent sx={{ p: 2 }}>
+                      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 1 }}>
+                        <Checkbox
+                          size="small"
+                          checked={selectedTaskIds.includes(task.id)}
+                          onChange={() => toggleTaskSelection(task.id)}
+                          sx={{ p: 0.5, mr: 1 }}
+                        />
+                        <Typography variant="h6" sx={{ fontWeight: 600, fontSize: '1rem', flex: 1 }}>
+                          {task.title}
+                        </Typography>
+                        <IconButton 
+                          size="small" 
+                          onClick={(e) => handleMenuClick(e, task)}
+                        >
+                          <MoreIcon />
+                        </IconButton>
+                      </Box>
+
+                      <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+                        {task.description}
                       </Typography>
-                      <IconButton 
-                        size="small" 
-                        onClick={(e) => handleMenuClick(e, task)}
-                      >
-                        <MoreIcon />
-                      </IconButton>
-                    </Box>
 
-                    <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
-                      {task.description}
-                    </Typography>
+                      {task.blocked && (
+                        <Typography variant="caption" color="error" sx={{ display: 'block', mb: 1 }}>
+                          Blocked by: {(task.blockers || [])
+                            .filter(blocker => !blocker.completed)
+                            .map(blocker => blocker.title)
+                            .join(', ')}
+                        </Typography>
+                      )}
 
-                    <Box sx={{ display: 'flex', gap: 1, mb: 2, flexWrap: 'wrap' }}>
-                      <Chip 
-                        label={task.priority} 
-                        size="small"
-                        sx={{
-                          backgroundColor: getPriorityColor(task.priority),
-                          color: 'white',
-                          fontWeight: 500
-                        }}
-                      />
-                      <Chip 
-                        label={task.category} 
-                        size="small"
-                        variant="outlined"
-                        sx={{
-                          borderColor: getCategoryColor(task.category),
-                          color: getCategoryColor(task.category)
-                        }}
-                      />
-                      
-                      {/* Workspace Chip */}
-                      {getWorkspaceName(task) && (
+                      <Box sx={{ display: 'flex', gap: 1, mb: 2, flexWrap: 'wrap' }}>
+                        {task.blocked && (
+                          <Chip
+                            icon={<BlockIcon sx={{ fontSize: '0.8rem' }} />}
+                            label="Blocked"
+                            size="small"
+                            color="error"
+                            onClick={() => openDependencyDialog(task)}
+                          />
+                        )}
                         <Chip 
-                          icon={<BusinessIcon sx={{ fontSize: '0.8rem' }} />}
-                          label={getWorkspaceName(task)} 
+                          label={task.priority} 
                           size="small"
                           sx={{
-                            backgroundColor: '#e3f2fd',
-                            color: '#1976d2',
-                            borderColor: '#1976d2'
+                            backgroundColor: getPriorityColor(task.priority),
+                            color: 'white',
+                            fontWeight: 500
                           }}
                         />
-                      )}
-                      
-                      {/* Assignment Chip */}
-                      {getAssigneeName(task) && (
                         <Chip 
-                          icon={<AssignmentIndIcon sx={{ fontSize: '0.8rem' }} />}
-                          label={getAssigneeName(task)} 
+                          label={task.category} 
                           size="small"
+                          variant="outlined"
                           sx={{
-                            backgroundColor: '#f3e5f5',
-                            color: '#9c27b0',
-                            borderColor: '#9c27b0'
+                            borderColor: getCategoryColor(task.category),
+                            color: getCategoryColor(task.category)
                           }}
                         />
-                      )}
-                    </Box>
+                        
+                        {task.recurrenceSummary && (
+                          <Tooltip title="Recurring task - use Edit Series to change it" arrow>
+                            <Chip
+                              icon={<RepeatIcon sx={{ fontSize: '0.8rem' }} />}
+                              label={task.recurrenceSummary}
+                              size="small"
+                              variant="outlined"
+                              onClick={() => openSeriesDialog(task)}
+                            />
+                          </Tooltip>
+                        )}
 
-                    <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
-                        {task.dueDate && (
-                          <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
-                            <CalendarToday sx={{ fontSize: 16, color: 'text.secondary' }} />
-                            <Typography variant="caption" color="textSecondary">
-                              {new Date(task.dueDate).toLocaleDateString()}
-                            </Typography>
-                          </Box>
+                        {/* Workspace Chip */}
+                        {getWorkspaceName(task) && (
+                          <Chip 
+                            icon={<BusinessIcon sx={{ fontSize: '0.8rem' }} />}
+                            label={getWorkspaceName(task)} 
+                            size="small"
+                            sx={{
+                              backgroundColor: '#e3f2fd',
+                              color: '#1976d2',
+                              borderColor: '#1976d2'
+                            }}
+                          />
                         )}
-                        {task.attachmentCount > 0 && (
-                          <Tooltip title="Click to view attached files" arrow>
-                            <Box 
-                              sx={{ 
-                                display: 'flex', 
-                                alignItems: 'center', 
-                                gap: 0.5,
-                                backgroundColor: 'primary.main',
-                                color: 'white',
-                                px: 1,
-                                py: 0.5,
-                                borderRadius: 1,
-                                fontSize: '0.75rem',
-                                cursor: 'pointer',
-                                '&:hover': {
-                                  backgroundColor: 'primary.dark',
-                                  transform: 'scale(1.05)'
-                                },
-                                transition: 'all 0.2s ease'
-                              }}
-                              onClick={(e) => handleShowAttachments(e, task)}
-                            >
-                              <AttachFileIcon sx={{ fontSize: 14, color: 'white' }} />
-                              <Typography variant="caption" sx={{ color: 'white', fontWeight: 'bold' }}>
-                                {task.attachmentCount} file{task.attachmentCount !== 1 ? 's' : ''}
+                        
+                        {/* Assignees and watchers */}
+                        <TaskAssigneeAvatars
+                          task={task}
+                          members={workspaceMembers[task.workspaceId] || []}
+                        />
+                      </Box>
+
+                      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                          {task.dueDate && (
+                            <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                              <CalendarToday sx={{ fontSize: 16, color: 'text.secondary' }} />
+                              <Typography variant="caption" color="textSecondary">
+                                {new Date(task.dueDate).toLocaleDateString()}
                               </Typography>
                             </Box>
+                          )}
+                          {task.attachmentCount > 0 && (
+                            <Tooltip title="Click to view attached files" arrow>
+                              <Box 
+                                sx={{ 
+                                  display: 'flex', 
+                                  alignItems: 'center', 
+                                  gap: 0.5,
+                                  backgroundColor: 'primary.main',
+                                  color: 'white',
+                                  px: 1,
+                                  py: 0.5,
+                                  borderRadius: 1,
+                                  fontSize: '0.75rem',
+                                  cursor: 'pointer',
+                                  '&:hover': {
+                                    backgroundColor: 'primary.dark',
+                                    transform: 'scale(1.05)'
+                                  },
+                                  transition: 'all 0.2s ease'
+                                }}
+                                onClick={(e) => handleShowAttachments(e, task)}
+                              >
+                                <AttachFileIcon sx={{ fontSize: 14, color: 'white' }} />
+                                <Typography variant="caption" sx={{ color: 'white', fontWeight: 'bold' }}>
+                                  {task.attachmentCount} file{task.attachmentCount !== 1 ? 's' : ''}
+                                </Typography>
+                              </Box>
+                            </Tooltip>
+                          )}
+                          <Tooltip title="Comments" arrow>
+                            <Button
+                              size="small"
+                              startIcon={<CommentIcon sx={{ fontSize: 16 }} />}
+                              onClick={() => openCommentsDrawer(task)}
+                              sx={{ textTransform: 'none', minWidth: 0 }}
+                            >
+                              {task.commentCount || 0}
+                            </Button>
                           </Tooltip>
-                        )}
+                          <TaskTimerButton
+                            task={task}
+                            onStopped={refreshTasks}
+                            onError={(message) => showSnackbar(message, 'error')}
+                          />
+                        </Box>
+                        <Button
+                          size="small"
+                          startIcon={<SubtaskIcon sx={{ fontSize: 16 }} />}
+                          endIcon={expandedTasks[task.id] ? <ExpandLessIcon /> : <ExpandMoreIcon />}
+                          onClick={() => toggleSubtasks(task)}
+                          sx={{ textTransform: 'none' }}
+                        >
+                          {task.subtaskCount > 0
+                            ? `${task.completedSubtaskCount}/${task.subtaskCount} subtasks`
+                            : 'Subtasks'}
+                        </Button>
                       </Box>
-                    </Box>
-                  </CardContent>
-                </Card>
-              ))
-            )}
-          </Paper>
-        </Grid>
 
-        {/* Completed Column */}
-        <Grid item xs={12} md={6}>
-          <Paper sx={{ 
-            p: 2, 
-            borderRadius: 3,
-            backgroundColor: 'background.paper',
-            border: '1px solid',
-            borderColor: 'divider',
-            minHeight: completedTasks.length > 0 ? 'auto' : '300px',
-            height: 'fit-content'
-          }}>
-            <Box sx={{ 
-              display: 'flex', 
-              alignItems: 'center', 
-              mb: 2,
-              pb: 1,
-              borderBottom: '2px solid',
-              borderColor: '#2e7d32'
+                      {task.subtaskCount > 0 && (
+                        <LinearProgress
+                          variant="determinate"
+                          value={task.progress || 0}
+                          sx={{ mt: 1, height: 6, borderRadius: 3 }}
+                        />
+                      )}
+
+                      <TaskChecklist
+                        task={task}
+                        onChange={applyChecklist}
+                        onError={(message) => showSnackbar(message, 'error')}
+                      />
+
+                      <Collapse in={Boolean(expandedTasks[task.id])} timeout="auto" unmountOnExit>
+                        <Box sx={{ mt: 1, pt: 1, borderTop: '1px solid', borderColor: 'divider' }}>
+                          {subtaskTrees[task.id] ? (
+                            <SubtaskTree
+                              subtasks={subtaskTrees[task.id]}
+                              onToggleComplete={handleSubtaskToggle}
+                              onAddSubtask={openSubtaskDialog}
+                            />
+                          ) : (
+                            <CircularProgress size={20} sx={{ ml: 1 }} />
+                          )}
+                          <Button
+                            size="small"
+                            startIcon={<AddIcon />}
+                            onClick={() => openSubtaskDialog(task)}
+                            sx={{ mt: 0.5, textTransform: 'none' }}
+                          >
+                            Add subtask
+                          </Button>
+                        </Box>
+                      </Collapse>
+                    </CardContent>
+                  </Card>
+                ))
+              )}
+            </Paper>
+          </Grid>
+
+          {/* Completed Column */}
+          <Grid item xs={12} md={6}>
+            <Paper sx={{ 
+              p: 2, 
+              borderRadius: 3,
+              backgroundColor: 'background.paper',
+              border: '1px solid',
+              borderColor: 'divider',
+              minHeight: completedTasks.length > 0 ? 'auto' : '300px',
+              height: 'fit-content'
             }}>
-              <CheckCircle />
-              <Typography variant="h6" sx={{ ml: 1, fontWeight: 600 }}>
-                Completed
-              </Typography>
-              <Chip 
-                label={completedTasks.length} 
-                size="small" 
-                sx={{ 
-                  ml: 'auto',
-                  backgroundColor: '#2e7d32',
-                  color: 'white'
-                }}
-              />
-            </Box>
-
-            {completedTasks.length === 0 ? (
-              <Box sx={{
-                display: 'flex',
-                flexDirection: 'column',
-                alignItems: 'center',
-                justifyContent: 'center',
-                py: 6,
-                textAlign: 'center'
+              <Box sx={{ 
+                display: 'flex', 
+                alignItems: 'center', 
+                mb: 2,
+                pb: 1,
+                borderBottom: '2px solid',
+                borderColor: '#2e7d32'
               }}>
-                <DoneAllIcon sx={{ 
-                  fontSize: 64, 
-                  color: 'text.secondary',
-                  opacity: 0.5,
-                  mb: 2 
-                }} />
-                <Typography variant="h6" color="text.secondary" sx={{ mb: 1 }}>
-                  No completed tasks yet
-                </Typography>
-                <Typography variant="body2" color="text.secondary">
-                  Completed tasks will appear here
+                <CheckCircle />
+                <Typography variant="h6" sx={{ ml: 1, fontWeight: 600 }}>
+                  Completed
                 </Typography>
+                <Chip 
+                  label={completedTasks.length} 
+                  size="small" 
+                  sx={{ 
+                    ml: 'auto',
+                    backgroundColor: '#2e7d32',
+                    color: 'white'
+                  }}
+                />
               </Box>
-            ) : (
-              completedTasks.map((task) => (
-                <Card key={task.id} sx={{ 
-                  mb: 2, 
-                  borderRadius: 2,
-                  border: '1px solid',
-                  borderColor: 'divider',
-                  transition: 'all 0.2s ease-in-out',
-                  opacity: 0.8,
-                  '&:hover': {
-                    transform: 'translateY(-2px)',
-                    boxShadow: '0 4px 20px rgba(0,0,0,0.1)',
-                    opacity: 1,
-                  }
+
+              {completedTasks.length === 0 ? (
+                <Box sx={{
+                  display: 'flex',
+                  flexDirection: 'column',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                  py: 6,
+                  textAlign: 'center'
                 }}>
-                  <CardContent sx={{ p: 2 }}>
-                    <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 1 }}>
-                      <Typography variant="h6" sx={{ fontWeight: 600, fontSize: '1rem', textDecoration: 'line-through' }}>
-                        {task.title}
+                  <DoneAllIcon sx={{ 
+                    fontSize: 64, 
+                    color: 'text.secondary',
+                    opacity: 0.5,
+                    mb: 2 
+                  }} />
+                  <Typography variant="h6" color="text.secondary" sx={{ mb: 1 }}>
+                    No completed tasks yet
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary">
+                    Completed tasks will appear here
+                  </Typography>
+                </Box>
+              ) : (
+                completedTasks.map((task) => (
+                  <Card key={task.id} sx={{ 
+                    mb: 2, 
+                    borderRadius: 2,
+                    border: '1px solid',
+                    borderColor: 'divider',
+                    transition: 'all 0.2s ease-in-out',
+                    opacity: 0.8,
+                    '&:hover': {
+                      transform: 'translateY(-2px)',
+                      boxShadow: '0 4px 20px rgba(0,0,0,0.1)',
+                      opacity: 1,
+                    }
+                  }}>
+                    <CardContent sx={{ p: 2 }}>
+                      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 1 }}>
+                        <Checkbox
+                          size="small"
+                          checked={selectedTaskIds.includes(task.id)}
+                          onChange={() => toggleTaskSelection(task.id)}
+                          sx={{ p: 0.5, mr: 1 }}
+                        />
+                        <Typography variant="h6" sx={{ fontWeight: 600, fontSize: '1rem', flex: 1, textDecoration: 'line-through' }}>
+                          {task.title}
+                        </Typography>
+                        <IconButton 
+                          size="small" 
+                          onClick={(e) => handleMenuClick(e, task)}
+                        >
+                          <MoreIcon />
+                        </IconButton>
+                      </Box>
+
+                      <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+                        {task.description}
                       </Typography>
-                      <IconButton 
-                        size="small" 
-                        onClick={(e) => handleMenuClick(e, task)}
-                      >
-                        <MoreIcon />
-                      </IconButton>
-                    </Box>
 
-                    <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
-                      {task.description}
-                    </Typography>
+                      <Box sx={{ display: 'flex', gap: 1, mb: 2, flexWrap: 'wrap' }}>
+                        <Chip 
+                          label={task.priority} 
+                          size="small"
+                          sx={{
+                            backgroundColor: getPriorityColor(task.priority),
+                            color: 'white',
+                            fontWeight: 500
+                          }}
+                        />
+                        <Chip 
+                          label={task.category} 
+                          size="small"
+                          variant="outlined"
+                          sx={{
+                            borderColor: getCategoryColor(task.category),
+                            color: getCategoryColor(task.category)
+                          }}
+                        />
+                      </Box>
 
-                    <Box sx={{ display: 'flex', gap: 1, mb: 2, flexWrap: 'wrap' }}>
-                      <Chip 
-                        label={task.priority} 
-                        size="small"
-                        sx={{
-                          backgroundColor: getPriorityColor(task.priority),
-                          color: 'white',
-                          fontWeight: 500
-                        }}
-                      />
-                      <Chip 
-                        label={task.category} 
-                        size="small"
-                        variant="outlined"
-                        sx={{
-                          borderColor: getCategoryColor(task.category),
-                          color: getCategoryColor(task.category)
-                        }}
-                      />
-                    </Box>
-
-                    <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-                      {task.dueDate && (
-                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
-                          <CalendarToday sx={{ fontSize: 16, color: 'text.secondary' }} />
-                          <Typography variant="caption" color="textSecondary">
-                            {new Date(task.dueDate).toLocaleDateString()}
-                          </Typography>
-                        </Box>
-                      )}
-                    </Box>
-                  </CardContent>
-                </Card>
-              ))
-            )}
-          </Paper>
+                      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                        {task.dueDate && (
+                          <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                            <CalendarToday sx={{ fontSize: 16, color: 'text.secondary' }} />
+                            <Typography variant="caption" color="textSecondary">
+                              {new Date(task.dueDate).toLocaleDateString()}
+                            </Typography>
+                          </Box>
+                        )}
+                      </Box>
+                    </CardContent>
+                  </Card>
+                ))
+              )}
+            </Paper>
+          </Grid>
         </Grid>
-      </Grid>
+      )}
+
+      {taskScope === 'mine' && nextCursor && (
+        <Box ref={loadMoreRef} sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+          {loadingMore && <CircularProgress size={24} />}
+        </Box>
+      )}
 
       {/* Context Menu */}
       <Menu
@@ -763,10 +1450,49 @@ const TaskManager = () => {
           <AssignmentIndIcon sx={{ mr: 1, fontSize: '1.2rem' }} />
           Assign Task
         </MenuItemComponent>
-        <MenuItemComponent onClick={() => updateTaskStatus(selectedTask?.id, false)}>
+        {!selectedTask?.completed && (
+          <MenuItemComponent onClick={() => openSubtaskDialog(selectedTask)}>
+            <SubtaskIcon sx={{ mr: 1, fontSize: '1.2rem' }} />
+            Add Subtask
+          </MenuItemComponent>
+        )}
+        {selectedTask?.seriesId && (
+          <MenuItemComponent onClick={() => openSeriesDialog(selectedTask)}>
+            <RepeatIcon sx={{ mr: 1, fontSize: '1.2rem' }} />
+            Edit Series
+          </MenuItemComponent>
+        )}
+        <MenuItemComponent onClick={() => openCommentsDrawer(selectedTask)}>
+          <CommentIcon sx={{ mr: 1, fontSize: '1.2rem' }} />
+          Comments
+        </MenuItemComponent>
+        <MenuItemComponent onClick={() => openDependencyDialog(selectedTask)}>
+          <LinkIcon sx={{ mr: 1, fontSize: '1.2rem' }} />
+          Manage Dependencies
+        </MenuItemComponent>
+        <MenuItemComponent onClick={() => openHistoryDialog(selectedTask)}>
+          <HistoryIcon sx={{ mr: 1, fontSize: '1.2rem' }} />
+          History
+        </MenuItemComponent>
+        {selectedTask?.workspaceId && (
+          <MenuItemComponent onClick={() => toggleWatchTask(selectedTask)}>
+            {(selectedTask.watchers || []).includes(user?.uid) ? (
+              <>
+                <UnwatchIcon sx={{ mr: 1, fontSize: '1.2rem' }} />
+                Stop Watching
+              </>
+            ) : (
+              <>
+                <WatchIcon sx={{ mr: 1, fontSize: '1.2rem' }} />
+                Watch
+              </>
+            )}
+          </MenuItemComponent>
+        )}
+        <MenuItemComponent onClick={() => updateTaskStatus(selectedTask, false)}>
           Mark as Todo
         </MenuItemComponent>
-        <MenuItemComponent onClick={() => updateTaskStatus(selectedTask?.id, true)}>
+        <MenuItemComponent onClick={() => updateTaskStatus(selectedTask, true)}>
           Mark as Completed
         </MenuItemComponent>
         <MenuItemComponent onClick={() => deleteTask(selectedTask?.id)} sx={{ color: 'error.main' }}>
@@ -849,49 +1575,54 @@ const TaskManager = () => {
       <Dialog open={openDialog} onClose={() => setOpenDialog(false)} maxWidth="sm" fullWidth>
         <DialogTitle sx={{ fontWeight: 600 }}>Create New Task</DialogTitle>
         <DialogContent>
-          <TextField
-            fullWidth
-            label="Task Title"
-            value={newTask.title}
-            onChange={(e) => setNewTask({...newTask, title: e.target.value})}
-            margin="normal"
-          />
-          <TextField
-            fullWidth
-            label="Description"
-            multiline
-            rows={3}
-            value={newTask.description}
-            onChange={(e) => setNewTask({...newTask, description: e.target.value})}
-            margin="normal"
-          />
-          <FormControl fullWidth margin="normal">
-            <InputLabel>Priority</InputLabel>
-            <Select
-              value={newTask.priority}
-              label="Priority"
-              onChange={(e) => setNewTask({...newTask, priority: e.target.value})}
-            >
-              <MenuItem value="low">Low</MenuItem>
-              <MenuItem value="medium">Medium</MenuItem>
-              <MenuItem value="high">High</MenuItem>
-            </Select>
-          </FormControl>
-          <FormControl fullWidth margin="normal">
-            <InputLabel>Category</InputLabel>
-            <Select
-              value={newTask.category}
-              label="Category"
-              onChange={(e) => setNewTask({...newTask, category: e.target.value})}
-            >
-              <MenuItem value="general">General</MenuItem>
-              <MenuItem value="development">Development</MenuItem>
-              <MenuItem value="design">Design</MenuItem>
-              <MenuItem value="documentation">Documentation</MenuItem>
-              <MenuItem value="testing">Testing</MenuItem>
-              <MenuItem value="bug">Bug Fix</MenuItem>
-            </Select>
-          </FormControl>
+          {/* Templates fill in these fields */}
+          {!newTaskTemplate.templateId && (
+            <>
+              <TextField
+                fullWidth
+                label="Task Title"
+                value={newTask.title}
+                onChange={(e) => setNewTask({...newTask, title: e.target.value})}
+                margin="normal"
+              />
+              <TextField
+                fullWidth
+                label="Description"
+                multiline
+                rows={3}
+                value={newTask.description}
+                onChange={(e) => setNewTask({...newTask, description: e.target.value})}
+                margin="normal"
+              />
+              <FormControl fullWidth margin="normal">
+                <InputLabel>Priority</InputLabel>
+                <Select
+                  value={newTask.priority}
+                  label="Priority"
+                  onChange={(e) => setNewTask({...newTask, priority: e.target.value})}
+                >
+                  <MenuItem value="low">Low</MenuItem>
+                  <MenuItem value="medium">Medium</MenuItem>
+                  <MenuItem value="high">High</MenuItem>
+                </Select>
+              </FormControl>
+              <FormControl fullWidth margin="normal">
+                <InputLabel>Category</InputLabel>
+                <Select
+                  value={newTask.category}
+                  label="Category"
+                  onChange={(e) => setNewTask({...newTask, category: e.target.value})}
+                >
+                  <MenuItem value="general">General</MenuItem>
+                  <MenuItem value="development">Development</MenuItem>
+                  <MenuItem value="design">Design</MenuItem>
+                  <MenuItem value="documentation">Documentation</MenuItem>
+                  <MenuItem value="testing">Testing</MenuItem>
+                  <MenuItem value="bug">Bug Fix</MenuItem>
+                </Select>
+              </FormControl>
+            </>
+          )}
           
           {/* Workspace Assignment Section */}
           <FormControl fullWidth margin="normal">
@@ -900,7 +1631,7 @@ const TaskManager = () => {
               value={newTask.workspaceId}
               label="Workspace (Optional)"
               onChange={(e) => {
-                setNewTask({...newTask, workspaceId: e.target.value, assignedTo: ''});
+                setNewTask({...newTask, workspaceId: e.target.value, assignees: [], watchers: []});
               }}
               disabled={loadingWorkspaces}
             >
@@ -915,26 +1646,28 @@ const TaskManager = () => {
             </Select>
           </FormControl>
 
+          <TaskTemplatePicker
+            templates={newTaskTemplates}
+            value={newTaskTemplate}
+            onChange={setNewTaskTemplate}
+          />
+
           {newTask.workspaceId && (
-            <FormControl fullWidth margin="normal">
-              <InputLabel>Assign To</InputLabel>
-              <Select
-                value={newTask.assignedTo}
-                label="Assign To"
-                onChange={(e) => setNewTask({...newTask, assignedTo: e.target.value})}
-              >
-                <MenuItem value="">
-                  <em>Unassigned</em>
-                </MenuItem>
-                {(workspaceMembers[newTask.workspaceId] || []).map((member) => (
-                  <MenuItem key={member.userId} value={member.userId}>
-                    {member.displayName || member.email} ({member.role})
-                  </MenuItem>
-                ))}
-              </Select>
-            </FormControl>
+            <TaskPeopleFields
+              members={workspaceMembers[newTask.workspaceId] || []}
+              assignees={newTask.assignees}
+              watchers={newTask.watchers}
+              onChange={(people) => setNewTask({...newTask, ...people})}
+            />
           )}
 
+          <CustomFieldInputs
+            fields={newTaskFields}
+            values={newTaskCustomValues}
+            onChange={setNewTaskCustomValues}
+            members={workspaceMembers[newTask.workspaceId] || []}
+          />
+
           <TextField
             fullWidth
             label="Due Date"
@@ -946,6 +1679,9 @@ const TaskManager = () => {
             }}
             margin="normal"
           />
+          {!newTaskTemplate.templateId && (
+            <RecurrenceField value={newTaskRecurrence} onChange={setNewTaskRecurrence} />
+          )}
         </DialogContent>
         <DialogActions sx={{ p: 3 }}>
           <Button onClick={() => setOpenDialog(false)}>Cancel</Button>
@@ -961,6 +1697,85 @@ const TaskManager = () => {
         </DialogActions>
       </Dialog>
 
+      {/* Add Subtask Dialog */}
+      <Dialog
+        open={subtaskDialog.open}
+        onClose={() => setSubtaskDialog({ open: false, parent: null })}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle sx={{ fontWeight: 600 }}>
+          Add Subtask to: {subtaskDialog.parent?.title}
+        </DialogTitle>
+        <DialogContent>
+          <TextField
+            fullWidth
+            autoFocus
+            label="Subtask Title"
+            value={newSubtask.title}
+            onChange={(e) => setNewSubtask({ ...newSubtask, title: e.target.value })}
+            margin="normal"
+          />
+          <TextField
+            fullWidth
+            label="Description (Optional)"
+            multiline
+            rows={2}
+            value={newSubtask.description}
+            onChange={(e) => setNewSubtask({ ...newSubtask, description: e.target.value })}
+            margin="normal"
+          />
+        </DialogContent>
+        <DialogActions sx={{ p: 3 }}>
+          <Button onClick={() => setSubtaskDialog({ open: false, parent: null })}>Cancel</Button>
+          <Button
+            onClick={handleAddSubtask}
+            variant="contained"
+            disabled={!newSubtask.title}
+            sx={{
+              background: 'linear-gradient(45deg, #1976d2 30%, #42a5f5 90%)',
+            }}
+          >
+            Add Subtask
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Recurring Series Dialog */}
+      <RecurringSeriesDialog
+        open={seriesDialog.open}
+        seriesId={seriesDialog.seriesId}
+        onClose={() => setSeriesDialog({ open: false, seriesId: null })}
+        onChanged={handleSeriesChanged}
+      />
+
+      {/* Task Comments Drawer */}
+      <TaskCommentsDrawer
+        open={commentsDrawer.open}
+        task={commentsDrawer.task}
+        members={workspaceMembers[commentsDrawer.task?.workspaceId] || []}
+        onClose={() => setCommentsDrawer({ open: false, task: null })}
+        onChanged={refreshTasks}
+      />
+
+      {/* Task Dependencies Dialog */}
+      <TaskDependenciesDialog
+        open={dependencyDialog.open}
+        task={dependencyDialog.task}
+        tasks={tasks}
+        onClose={() => setDependencyDialog({ open: false, task: null })}
+        onChanged={refreshTasks}
+      />
+
+      {/* Task History Dialog */}
+      <TaskHistoryDialog
+        open={historyDialog.open}
+        task={historyDialog.task}
+        members={workspaceMembers[historyDialog.task?.workspaceId] || []}
+        workspaces={workspaces}
+        onClose={() => setHistoryDialog({ open: false, task: null })}
+      />
+
       {/* Snackbar for notifications */}
       <Snackbar
         open={snackbar.open}
@@ -1095,7 +1910,7 @@ const TaskManager = () => {
               value={assignTask.workspaceId}
               label="Workspace"
               onChange={(e) => {
-                setAssignTask({...assignTask, workspaceId: e.target.value, assignedTo: ''});
+                setAssignTask({...assignTask, workspaceId: e.target.value, assignees: [], watchers: []});
               }}
               disabled={loadingWorkspaces}
             >
@@ -1111,23 +1926,12 @@ const TaskManager = () => {
           </FormControl>
 
           {assignTask.workspaceId && (
-            <FormControl fullWidth margin="normal">
-              <InputLabel>Assign To</InputLabel>
-              <Select
-                value={assignTask.assignedTo}
-                label="Assign To"
-                onChange={(e) => setAssignTask({...assignTask, assignedTo: e.target.value})}
-              >
-                <MenuItem value="">
-                  <em>Unassigned</em>
-                </MenuItem>
-                {(workspaceMembers[assignTask.workspaceId] || []).map((member) => (
-                  <MenuItem key={member.userId} value={member.userId}>
-                    {member.displayName || member.email} ({member.role})
-                  </MenuItem>
-                ))}
-              </Select>
-            </FormControl>
+            <TaskPeopleFields
+              members={workspaceMembers[assignTask.workspaceId] || []}
+              assignees={assignTask.assignees}
+              watchers={assignTask.watchers}
+              onChange={(people) => setAssignTask({...assignTask, ...people})}
+            />
           )}
         </DialogContent>
         <DialogActions sx={{ p: 3 }}>
@@ -1140,7 +1944,7 @@ const TaskManager = () => {
               background: 'linear-gradient(45deg, #9c27b0 30%, #e1bee7 90%)',
             }}
           >
-            {assignTask.assignedTo ? 'Assign Task' : 'Update Task'}
+            {assignTask.assignees.length > 0 ? 'Assign Task' : 'Update Task'}
           </Button>
         </DialogActions>
       </Dialog>
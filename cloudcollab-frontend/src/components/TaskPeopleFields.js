@@ -0,0 +1,44 @@
+import React from 'react';
+import { Box, Chip, FormControl, InputLabel, MenuItem, Select } from '@mui/material';
+
+// Assignee and watcher pickers for a workspace task; the first assignee is the primary one
+const TaskPeopleFields = ({ members = [], assignees = [], watchers = [], onChange }) => {
+  const nameOf = (userId) => {
+    const member = members.find(m => m.userId === userId);
+    return member ? (member.displayName || member.email) : userId;
+  };
+
+  const renderChips = (selected) => (
+    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+      {selected.map(userId => <Chip key={userId} label={nameOf(userId)} size="small" />)}
+    </Box>
+  );
+
+  const renderPicker = (label, value, field) => (
+    <FormControl fullWidth margin="normal">
+      <InputLabel>{label}</InputLabel>
+      <Select
+        multiple
+        value={value}
+        label={label}
+        renderValue={renderChips}
+        onChange={(e) => onChange({ assignees, watchers, [field]: e.target.value })}
+      >
+        {members.map((member) => (
+          <MenuItem key={member.userId} value={member.userId}>
+            {member.displayName || member.email} ({member.role})
+          </MenuItem>
+        ))}
+      </Select>
+    </FormControl>
+  );
+
+  return (
+    <>
+      {renderPicker('Assignees', assignees, 'assignees')}
+      {renderPicker('Watchers', watchers, 'watchers')}
+    </>
+  );
+};
+
+export default TaskPeopleFields;
@@ -0,0 +1,66 @@
+import React from 'react';
+import {
+  Box,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  TextField,
+  Typography
+} from '@mui/material';
+
+export const EMPTY_TEMPLATE_CHOICE = { templateId: '', variables: {} };
+
+// Template selector for the create dialog, with an input for each {{variable}} the template uses
+const TaskTemplatePicker = ({ templates = [], value, onChange }) => {
+  if (templates.length === 0) return null;
+
+  const template = templates.find(t => t.id === value.templateId);
+  const details = template ? [
+    `${template.priority} priority`,
+    template.category,
+    template.checklist?.length ? `${template.checklist.length} checklist items` : null,
+    template.dueOffsetDays !== null && template.dueOffsetDays !== undefined
+      ? `due in ${template.dueOffsetDays} day${template.dueOffsetDays === 1 ? '' : 's'}`
+      : null
+  ].filter(Boolean).join(' · ') : '';
+
+  return (
+    <Box>
+      <FormControl fullWidth margin="normal">
+        <InputLabel>Template (Optional)</InputLabel>
+        <Select
+          value={value.templateId}
+          label="Template (Optional)"
+          onChange={(e) => onChange({ templateId: e.target.value, variables: {} })}
+        >
+          <MenuItem value="">
+            <em>Blank task</em>
+          </MenuItem>
+          {templates.map(t => (
+            <MenuItem key={t.id} value={t.id}>{t.name}</MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+      {template && (
+        <>
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 0.5 }}>
+            {template.titlePattern} — {details}
+          </Typography>
+          {template.variables.map(name => (
+            <TextField
+              key={name}
+              fullWidth
+              label={name}
+              value={value.variables[name] || ''}
+              onChange={(e) => onChange({ ...value, variables: { ...value.variables, [name]: e.target.value } })}
+              margin="normal"
+            />
+          ))}
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default TaskTemplatePicker;
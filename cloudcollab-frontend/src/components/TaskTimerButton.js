@@ -0,0 +1,75 @@
+import React, { useState, useEffect } from 'react';
+import { Button, Tooltip } from '@mui/material';
+import { PlayArrow as PlayIcon, Stop as StopIcon } from '@mui/icons-material';
+import { useTimer } from '../contexts/TimerContext';
+import { formatElapsed } from './RunningTimerIndicator';
+
+const formatTracked = (seconds = 0) => {
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+// Start/stop button for a task card; shows the task's tracked total, or the elapsed time while running
+const TaskTimerButton = ({ task, onStopped, onError }) => {
+  const { runningTimer, startTimer, stopTimer } = useTimer();
+  const [busy, setBusy] = useState(false);
+  const [now, setNow] = useState(Date.now());
+
+  const isRunning = runningTimer?.taskId === task.id;
+
+  useEffect(() => {
+    if (!isRunning) return undefined;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [isRunning]);
+
+  const handleStop = async () => {
+    const entry = await stopTimer();
+    if (onStopped) onStopped(entry);
+  };
+
+  const handleStart = async () => {
+    try {
+      await startTimer(task.id);
+    } catch (error) {
+      const running = error.response?.status === 409 ? error.response.data.running : null;
+      if (!running) throw error;
+      if (!window.confirm(`A timer is running on "${running.taskTitle}". Stop it and start timing "${task.title}"?`)) {
+        return;
+      }
+      await handleStop();
+      await startTimer(task.id);
+    }
+  };
+
+  const handleClick = async () => {
+    try {
+      setBusy(true);
+      await (isRunning ? handleStop() : handleStart());
+    } catch (error) {
+      if (onError) onError(error.response?.data?.error || 'Failed to update timer');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Tooltip title={isRunning ? 'Stop timer' : 'Start timer'} arrow>
+      <span>
+        <Button
+          size="small"
+          color={isRunning ? 'error' : 'primary'}
+          startIcon={isRunning ? <StopIcon sx={{ fontSize: 16 }} /> : <PlayIcon sx={{ fontSize: 16 }} />}
+          onClick={handleClick}
+          disabled={busy}
+          sx={{ textTransform: 'none', minWidth: 0, fontVariantNumeric: 'tabular-nums' }}
+        >
+          {isRunning ? formatElapsed(runningTimer.startedAt, now) : formatTracked(task.timeTrackedSeconds)}
+        </Button>
+      </span>
+    </Tooltip>
+  );
+};
+
+export default TaskTimerButton;
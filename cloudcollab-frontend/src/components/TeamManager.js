@@ -36,6 +36,7 @@ import {
   Refresh
 } from '@mui/icons-material';
 import { workspaceAPI } from '../services/api';
+import AssignmentPolicySelect from './AssignmentPolicySelect';
 
 const TeamManager = () => {
   // State management
@@ -293,6 +294,17 @@ const TeamManager = () => {
                       </IconButton>
                     </Box>
 
+                    {(workspace.role === 'owner' || workspace.role === 'workspace_admin') && (
+                      <AssignmentPolicySelect
+                        workspace={workspace}
+                        onSaved={(policy) => {
+                          setWorkspaces(prev => prev.map(ws => (ws.id === workspace.id ? { ...ws, assignmentPolicy: policy } : ws)));
+                          setSuccess(`Assignment policy updated for ${workspace.name}`);
+                        }}
+                        onError={setError}
+                      />
+                    )}
+
                     <Box sx={{ display: 'flex', alignItems: 'center', mb: 3 }}>
                       <AvatarGroup max={4} sx={{ mr: 2 }}>
                         {members.slice(0, 4).map((member, index) => (
@@ -0,0 +1,188 @@
+// components/TrashView.js - Deleted tasks and files, per workspace, with restore and permanent delete
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  Alert,
+  CircularProgress,
+  Tooltip
+} from '@mui/material';
+import {
+  Assignment as TaskIcon,
+  Description as FileIcon,
+  RestoreFromTrash as RestoreIcon,
+  DeleteForever as DeleteForeverIcon
+} from '@mui/icons-material';
+import { formatDistanceToNow } from 'date-fns';
+import { trashAPI, workspaceAPI } from '../services/api';
+
+// Personal items (outside any workspace) are listed under this choice
+const PERSONAL = '__personal__';
+
+const TrashView = () => {
+  const [workspaces, setWorkspaces] = useState([]);
+  const [scope, setScope] = useState(PERSONAL);
+  const [trash, setTrash] = useState({ items: [], retentionDays: null });
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    workspaceAPI.getWorkspaces()
+      .then(data => setWorkspaces(data || []))
+      .catch(() => setWorkspaces([]));
+  }, []);
+
+  const fetchTrash = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await trashAPI.getTrash(scope === PERSONAL ? null : scope);
+      setTrash({ items: data.items || [], retentionDays: data.retentionDays });
+      setError('');
+    } catch (fetchError) {
+      setError(fetchError.response?.data?.error || 'Failed to load trash');
+    } finally {
+      setLoading(false);
+    }
+  }, [scope]);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  const runAction = async (item, action) => {
+    try {
+      setBusyId(item.id);
+      setError('');
+      setSuccess('');
+      if (action === 'restore') {
+        await trashAPI.restore(item.id);
+        setSuccess(`"${item.title}" restored`);
+      } else {
+        await trashAPI.deletePermanently(item.id);
+        setSuccess(`"${item.title}" permanently deleted`);
+      }
+      setTrash(prev => ({ ...prev, items: prev.items.filter(entry => entry.id !== item.id) }));
+    } catch (actionError) {
+      setError(actionError.response?.data?.error || `Failed to ${action === 'restore' ? 'restore' : 'delete'} "${item.title}"`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handlePermanentDelete = (item) => {
+    if (window.confirm(`Permanently delete "${item.title}"? This cannot be undone.`)) {
+      runAction(item, 'delete');
+    }
+  };
+
+  const describe = (item) => {
+    const parts = [
+      item.deletedAt ? `Deleted ${formatDistanceToNow(new Date(item.deletedAt), { addSuffix: true })}` : 'Deleted',
+      item.type === 'task' && item.itemCount > 1 ? `with ${item.itemCount - 1} subtask${item.itemCount === 2 ? '' : 's'}` : null,
+      item.purgeAt ? `removed for good ${formatDistanceToNow(new Date(item.purgeAt), { addSuffix: true })}` : null
+    ];
+    return parts.filter(Boolean).join(' · ');
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 3, gap: 2, flexWrap: 'wrap' }}>
+        <Box>
+          <Typography variant="h4" sx={{ fontWeight: 600 }}>
+            Trash
+          </Typography>
+          {trash.retentionDays && (
+            <Typography variant="body2" color="text.secondary">
+              Deleted items are kept for {trash.retentionDays} days
+            </Typography>
+          )}
+        </Box>
+        <FormControl size="small" sx={{ minWidth: 220 }}>
+          <InputLabel>Show</InputLabel>
+          <Select value={scope} label="Show" onChange={(e) => setScope(e.target.value)}>
+            <MenuItem value={PERSONAL}>My personal items</MenuItem>
+            {workspaces.map(workspace => (
+              <MenuItem key={workspace.id} value={workspace.id}>{workspace.name}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>
+          {success}
+        </Alert>
+      )}
+
+      <Paper sx={{ borderRadius: 3, border: '1px solid', borderColor: 'divider' }}>
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 6 }}>
+            <CircularProgress />
+          </Box>
+        ) : trash.items.length === 0 ? (
+          <Typography color="text.secondary" sx={{ textAlign: 'center', py: 6 }}>
+            The trash is empty
+          </Typography>
+        ) : (
+          <List>
+            {trash.items.map(item => (
+              <ListItem
+                key={item.id}
+                divider
+                secondaryAction={
+                  <Box sx={{ display: 'flex', gap: 1 }}>
+                    <Button
+                      size="small"
+                      startIcon={<RestoreIcon />}
+                      disabled={busyId === item.id}
+                      onClick={() => runAction(item, 'restore')}
+                    >
+                      Restore
+                    </Button>
+                    <Tooltip title="Delete permanently" arrow>
+                      <span>
+                        <Button
+                          size="small"
+                          color="error"
+                          startIcon={<DeleteForeverIcon />}
+                          disabled={busyId === item.id}
+                          onClick={() => handlePermanentDelete(item)}
+                        >
+                          Delete
+                        </Button>
+                      </span>
+                    </Tooltip>
+                  </Box>
+                }
+              >
+                <ListItemIcon>
+                  {item.type === 'task' ? <TaskIcon /> : <FileIcon />}
+                </ListItemIcon>
+                <ListItemText primary={item.title} secondary={describe(item)} sx={{ pr: 24 }} />
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </Paper>
+    </Box>
+  );
+};
+
+export default TrashView;
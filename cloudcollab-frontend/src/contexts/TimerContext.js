@@ -0,0 +1,80 @@
+// src/contexts/TimerContext.js - The user's running task timer, shared by task cards and the header
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { useAuth } from './AuthContext';
+import { useNotifications } from './NotificationContext';
+import { taskAPI } from '../services/api';
+
+const TimerContext = createContext();
+
+export const useTimer = () => {
+  const context = useContext(TimerContext);
+  if (!context) {
+    throw new Error('useTimer must be used within a TimerProvider');
+  }
+  return context;
+};
+
+export const TimerProvider = ({ children }) => {
+  const { user } = useAuth();
+  const { socket } = useNotifications();
+  const [runningTimer, setRunningTimer] = useState(null);
+
+  const fetchRunningTimer = useCallback(async () => {
+    try {
+      const result = await taskAPI.getRunningTimer();
+      setRunningTimer(result.timer);
+    } catch (error) {
+      console.error('Error fetching running timer:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user) {
+      fetchRunningTimer();
+    } else {
+      setRunningTimer(null);
+    }
+  }, [user, fetchRunningTimer]);
+
+  // Timers started or stopped in another tab
+  useEffect(() => {
+    if (!socket) return undefined;
+
+    const handleTimerUpdate = ({ timer }) => setRunningTimer(timer);
+    socket.on('timer-update', handleTimerUpdate);
+    return () => socket.off('timer-update', handleTimerUpdate);
+  }, [socket]);
+
+  // Rejects with a 409 (error.response.data.running) while another timer is running
+  const startTimer = useCallback(async (taskId) => {
+    const result = await taskAPI.startTimer(taskId);
+    setRunningTimer(result.timer);
+    return result.timer;
+  }, []);
+
+  const stopTimer = useCallback(async () => {
+    try {
+      const result = await taskAPI.stopTimer();
+      return result.entry;
+    } catch (error) {
+      // Already stopped elsewhere
+      if (error.response?.status === 404) return null;
+      throw error;
+    } finally {
+      setRunningTimer(null);
+    }
+  }, []);
+
+  const value = {
+    runningTimer,
+    fetchRunningTimer,
+    startTimer,
+    stopTimer
+  };
+
+  return (
+    <TimerContext.Provider value={value}>
+      {children}
+    </TimerContext.Provider>
+  );
+};
@@ -174,10 +174,10 @@ export const authAPI = {
 
 // ==================== TASK SERVICES ====================
 export const taskAPI = {
-  // Get all tasks for user
-  getTasks: async () => {
+  // Get a page of the user's tasks; pass the previous page's nextCursor to load more
+  getTasks: async (params = {}) => {
     try {
-      const response = await api.get('/tasks');
+      const response = await api.get('/tasks', { params });
       return response.data;
     } catch (error) {
       console.error('Error fetching tasks:', error);
@@ -185,83 +185,697 @@ export const taskAPI = {
     }
   },
 
+  // Get the calendar feed subscription URL ({ active, url })
+  getCalendarFeed: async () => {
+    try {
+      const response = await api.get('/tasks/calendar-feed');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching calendar feed:', error);
+      throw error;
+    }
+  },
+
+  // Create a new calendar feed URL; the previous one stops working
+  createCalendarFeed: async () => {
+    try {
+      const response = await api.post('/tasks/calendar-feed');
+      return response.data;
+    } catch (error) {
+      console.error('Error creating calendar feed:', error);
+      throw error;
+    }
+  },
+
+  // Revoke the calendar feed URL
+  revokeCalendarFeed: async () => {
+    try {
+      const response = await api.delete('/tasks/calendar-feed');
+      return response.data;
+    } catch (error) {
+      console.error('Error revoking calendar feed:', error);
+      throw error;
+    }
+  },
+
   // Create new task
   createTask: async (taskData) => {
     try {
-      const response = await api.post('/tasks', taskData);
+      const response = await api.post('/tasks', taskData);
+      return response.data;
+    } catch (error) {
+      console.error('Error creating task:', error);
+      throw error;
+    }
+  },
+
+  // Create a task from a workspace template ({ variables, dueDate, assignedTo, customFields })
+  createTaskFromTemplate: async (templateId, data = {}) => {
+    try {
+      const response = await api.post(`/tasks/from-template/${templateId}`, data);
+      return response.data;
+    } catch (error) {
+      console.error('Error creating task from template:', error);
+      throw error;
+    }
+  },
+
+  // Apply one action to many tasks: { action, taskIds, changes, completed, workspaceId, force }
+  bulkUpdateTasks: async (payload) => {
+    try {
+      const response = await api.post('/tasks/bulk', payload);
+      return response.data;
+    } catch (error) {
+      console.error('Error applying bulk task action:', error);
+      throw error;
+    }
+  },
+
+  // Update task
+  updateTask: async (id, updates) => {
+    try {
+      const response = await api.put(`/tasks/${id}`, updates);
+      return response.data;
+    } catch (error) {
+      console.error('Error updating task:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Delete task
+  deleteTask: async (id) => {
+    try {
+      const response = await api.delete(`/tasks/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting task:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Toggle task completion
+  toggleComplete: async (id) => {
+    try {
+      const response = await api.patch(`/tasks/${id}/complete`);
+      return response.data;
+    } catch (error) {
+      console.error('Error toggling task completion:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Set task completion explicitly (force completes a task whose subtasks are still open)
+  setCompletion: async (id, completed, force = false) => {
+    try {
+      const response = await api.patch(`/tasks/${id}/complete`, { completed, force });
+      return response.data;
+    } catch (error) {
+      console.error('Error setting task completion:', error);
+      throw error;
+    }
+  },
+
+  // Create subtask under a parent task
+  createSubtask: async (parentId, subtaskData) => {
+    try {
+      const response = await api.post(`/tasks/${parentId}/subtasks`, subtaskData);
+      return response.data;
+    } catch (error) {
+      console.error('Error creating subtask:', error);
+      throw error;
+    }
+  },
+
+  // Get nested subtask tree for a task
+  getSubtasks: async (id) => {
+    try {
+      const response = await api.get(`/tasks/${id}/subtasks`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching subtasks:', error);
+      throw error;
+    }
+  },
+
+  // Get blockers and dependents of a task
+  getDependencies: async (id) => {
+    try {
+      const response = await api.get(`/tasks/${id}/dependencies`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching task dependencies:', error);
+      throw error;
+    }
+  },
+
+  // Mark a task as blocked by another task
+  addDependency: async (id, blockerId) => {
+    try {
+      const response = await api.post(`/tasks/${id}/dependencies`, { blockerId });
+      return response.data;
+    } catch (error) {
+      console.error('Error adding task dependency:', error);
+      throw error;
+    }
+  },
+
+  removeDependency: async (id, blockerId) => {
+    try {
+      const response = await api.delete(`/tasks/${id}/dependencies/${blockerId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error removing task dependency:', error);
+      throw error;
+    }
+  },
+
+  // Get workflow statuses for a workspace (personal tasks when workspaceId is empty)
+  getWorkflow: async (workspaceId = null) => {
+    try {
+      const params = workspaceId ? { workspaceId } : {};
+      const response = await api.get('/tasks/workflow', { params });
+      return response.data.workflow;
+    } catch (error) {
+      console.error('Error fetching workflow:', error);
+      throw error;
+    }
+  },
+
+  // Move a task to another workflow status
+  transitionTask: async (id, status, force = false) => {
+    try {
+      const response = await api.post(`/tasks/${id}/transition`, { status, force });
+      return response.data;
+    } catch (error) {
+      console.error('Error changing task status:', error);
+      throw error;
+    }
+  },
+
+  getTransitions: async (id) => {
+    try {
+      const response = await api.get(`/tasks/${id}/transitions`);
+      return response.data.transitions;
+    } catch (error) {
+      console.error('Error fetching task transitions:', error);
+      throw error;
+    }
+  },
+
+  // Field-level change history of a task, oldest first
+  getTaskHistory: async (id) => {
+    try {
+      const response = await api.get(`/tasks/${id}/history`);
+      return response.data.history;
+    } catch (error) {
+      console.error('Error fetching task history:', error);
+      throw error;
+    }
+  },
+
+  // Start or stop watching a task; returns { watching, watchers }
+  watchTask: async (id) => {
+    try {
+      const response = await api.post(`/tasks/${id}/watch`);
+      return response.data;
+    } catch (error) {
+      console.error('Error watching task:', error);
+      throw error;
+    }
+  },
+
+  unwatchTask: async (id) => {
+    try {
+      const response = await api.delete(`/tasks/${id}/watch`);
+      return response.data;
+    } catch (error) {
+      console.error('Error unwatching task:', error);
+      throw error;
+    }
+  },
+
+  // Get a recurring series and its instances
+  getSeries: async (seriesId) => {
+    try {
+      const response = await api.get(`/tasks/series/${seriesId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching task series:', error);
+      throw error;
+    }
+  },
+
+  // Edit every open and future task of a recurring series
+  updateSeries: async (seriesId, updates) => {
+    try {
+      const response = await api.put(`/tasks/series/${seriesId}`, updates);
+      return response.data;
+    } catch (error) {
+      console.error('Error updating task series:', error);
+      throw error;
+    }
+  },
+
+  stopSeries: async (seriesId) => {
+    try {
+      const response = await api.post(`/tasks/series/${seriesId}/stop`);
+      return response.data;
+    } catch (error) {
+      console.error('Error stopping task series:', error);
+      throw error;
+    }
+  },
+
+  // Get comment threads for a task
+  getComments: async (taskId) => {
+    try {
+      const response = await api.get(`/tasks/${taskId}/comments`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching task comments:', error);
+      throw error;
+    }
+  },
+
+  // Add a comment, or a reply when parentCommentId is given
+  addComment: async (taskId, body, parentCommentId = null) => {
+    try {
+      const response = await api.post(`/tasks/${taskId}/comments`, { body, parentCommentId });
+      return response.data;
+    } catch (error) {
+      console.error('Error adding task comment:', error);
+      throw error;
+    }
+  },
+
+  updateComment: async (taskId, commentId, body) => {
+    try {
+      const response = await api.put(`/tasks/${taskId}/comments/${commentId}`, { body });
+      return response.data;
+    } catch (error) {
+      console.error('Error updating task comment:', error);
+      throw error;
+    }
+  },
+
+  deleteComment: async (taskId, commentId) => {
+    try {
+      const response = await api.delete(`/tasks/${taskId}/comments/${commentId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting task comment:', error);
+      throw error;
+    }
+  },
+
+  getCommentHistory: async (taskId, commentId) => {
+    try {
+      const response = await api.get(`/tasks/${taskId}/comments/${commentId}/history`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching comment history:', error);
+      throw error;
+    }
+  },
+
+  // Add a checklist item; `position` inserts it at that index
+  addChecklistItem: async (taskId, text, position) => {
+    try {
+      const response = await api.post(`/tasks/${taskId}/checklist`, { text, position });
+      return response.data;
+    } catch (error) {
+      console.error('Error adding checklist item:', error);
+      throw error;
+    }
+  },
+
+  // Check, uncheck or rename a checklist item ({ completed } and/or { text })
+  updateChecklistItem: async (taskId, itemId, updates) => {
+    try {
+      const response = await api.patch(`/tasks/${taskId}/checklist/${itemId}`, updates);
+      return response.data;
+    } catch (error) {
+      console.error('Error updating checklist item:', error);
+      throw error;
+    }
+  },
+
+  // Reorder the checklist; rejects with 409 and the current list if it changed meanwhile
+  reorderChecklist: async (taskId, itemIds) => {
+    try {
+      const response = await api.put(`/tasks/${taskId}/checklist/order`, { itemIds });
+      return response.data;
+    } catch (error) {
+      console.error('Error reordering checklist:', error);
+      throw error;
+    }
+  },
+
+  // Remove a checklist item
+  deleteChecklistItem: async (taskId, itemId) => {
+    try {
+      const response = await api.delete(`/tasks/${taskId}/checklist/${itemId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error removing checklist item:', error);
+      throw error;
+    }
+  },
+
+  // Get the user's running timer ({ timer: null } when none is running)
+  getRunningTimer: async () => {
+    try {
+      const response = await api.get('/tasks/timer');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching running timer:', error);
+      throw error;
+    }
+  },
+
+  // Start a timer on a task; fails with 409 while another timer is running
+  startTimer: async (taskId, note = '') => {
+    try {
+      const response = await api.post(`/tasks/${taskId}/timer/start`, { note });
+      return response.data;
+    } catch (error) {
+      console.error('Error starting timer:', error);
+      throw error;
+    }
+  },
+
+  // Stop the user's running timer
+  stopTimer: async () => {
+    try {
+      const response = await api.post('/tasks/timer/stop');
+      return response.data;
+    } catch (error) {
+      console.error('Error stopping timer:', error);
+      throw error;
+    }
+  },
+
+  // Get a task's time entries and totals
+  getTimeEntries: async (taskId) => {
+    try {
+      const response = await api.get(`/tasks/${taskId}/time-entries`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching time entries:', error);
+      throw error;
+    }
+  },
+
+  // Log time manually: { startedAt, endedAt } or { date, minutes }, plus an optional note
+  addTimeEntry: async (taskId, entry) => {
+    try {
+      const response = await api.post(`/tasks/${taskId}/time-entries`, entry);
+      return response.data;
+    } catch (error) {
+      console.error('Error adding time entry:', error);
+      throw error;
+    }
+  },
+
+  // Delete one of your own time entries
+  deleteTimeEntry: async (taskId, entryId) => {
+    try {
+      const response = await api.delete(`/tasks/${taskId}/time-entries/${entryId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting time entry:', error);
+      throw error;
+    }
+  },
+
+  // Hours by user, workspace and day: { from, to, workspaceId, userId }
+  getTimeReport: async (params = {}) => {
+    try {
+      const response = await api.get('/tasks/time-report', { params });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching time report:', error);
+      throw error;
+    }
+  },
+
+  // Same report as a CSV blob
+  downloadTimeReport: async (params = {}) => {
+    try {
+      const response = await api.get('/tasks/time-report', {
+        params: { ...params, format: 'csv' },
+        responseType: 'blob'
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error downloading time report:', error);
+      throw error;
+    }
+  }
+};
+
+// ==================== FILE SERVICES ====================
+export const fileAPI = {
+  // Get all files for user
+  getFiles: async (workspaceId = null) => {
+    try {
+      const params = workspaceId ? { workspaceId } : {};
+      // Use the simple endpoint that bypasses index issues
+      const response = await api.get('/files/simple', { params });
+      // Return the files array from the response
+      return response.data.files || [];
+    } catch (error) {
+      console.error('Error fetching files:', error);
+      throw error;
+    }
+  },
+
+  // Upload file
+  uploadFile: async (file, workspaceId = null, description = '', taskId = null, folderId = null) => {
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      if (workspaceId) formData.append('workspaceId', workspaceId);
+      if (description) formData.append('description', description);
+      if (taskId) formData.append('taskId', taskId);
+      if (folderId) formData.append('folderId', folderId);
+
+      const response = await api.post('/files/upload', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error uploading file:', error);
+      throw error;
+    }
+  },
+
+  // Get the files in one folder of a workspace (folderId 'root' for files outside any folder),
+  // with the folder's breadcrumbs
+  getFolderFiles: async (workspaceId, folderId = 'root') => {
+    try {
+      const response = await api.get('/files', { params: { workspaceId, folderId } });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching folder files:', error);
+      throw error;
+    }
+  },
+
+  // Move a workspace file into a folder (null for the top level)
+  moveFile: async (fileId, folderId) => {
+    try {
+      const response = await api.put(`/files/${fileId}/folder`, { folderId });
+      return response.data;
+    } catch (error) {
+      console.error('Error moving file:', error);
+      throw error;
+    }
+  },
+
+  // Upload a new version of an existing file (older versions are kept)
+  uploadFileVersion: async (fileId, file) => {
+    try {
+      const formData = new FormData();
+      formData.append('fileId', fileId);
+      formData.append('file', file);
+
+      const response = await api.post('/files/upload', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error uploading file version:', error);
+      throw error;
+    }
+  },
+
+  // Get a file's versions, newest first
+  getFileVersions: async (fileId) => {
+    try {
+      const response = await api.get(`/files/${fileId}/versions`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching file versions:', error);
+      throw error;
+    }
+  },
+
+  // Fetch the contents of a specific version
+  downloadFileVersion: async (fileId, version) => {
+    try {
+      const response = await api.get(`/files/${fileId}/versions/${version}/download`, {
+        responseType: 'blob'
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error downloading file version:', error);
+      throw error;
+    }
+  },
+
+  // Make an older version current again
+  restoreFileVersion: async (fileId, version) => {
+    try {
+      const response = await api.post(`/files/${fileId}/versions/${version}/restore`);
+      return response.data;
+    } catch (error) {
+      console.error('Error restoring file version:', error);
+      throw error;
+    }
+  },
+
+  // Start a resumable upload; options are the same as for uploadFile, or fileId for a new version
+  startUploadSession: async (file, { workspaceId = null, folderId = null, description = '', taskId = null, fileId = null } = {}) => {
+    try {
+      const response = await api.post('/files/uploads', {
+        fileName: file.name,
+        fileSize: file.size,
+        mimeType: file.type,
+        workspaceId,
+        folderId,
+        description,
+        taskId,
+        fileId
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error starting upload:', error);
+      throw error;
+    }
+  },
+
+  // Get your unfinished uploads
+  getUploadSessions: async () => {
+    try {
+      const response = await api.get('/files/uploads');
       return response.data;
     } catch (error) {
-      console.error('Error creating task:', error);
+      console.error('Error fetching uploads:', error);
       throw error;
     }
   },
 
-  // Update task
-  updateTask: async (id, updates) => {
+  getUploadSession: async (sessionId) => {
     try {
-      const response = await api.put(`/tasks/${id}`, updates);
+      const response = await api.get(`/files/uploads/${sessionId}`);
       return response.data;
     } catch (error) {
-      console.error('Error updating task:', error);
-      return { success: false, error: error.message };
+      console.error('Error fetching upload:', error);
+      throw error;
     }
   },
 
-  // Delete task
-  deleteTask: async (id) => {
+  // Send one chunk (a Blob) starting at the given byte offset
+  uploadChunk: async (sessionId, offset, chunk) => {
     try {
-      const response = await api.delete(`/tasks/${id}`);
+      const response = await api.put(`/files/uploads/${sessionId}`, chunk, {
+        params: { offset },
+        headers: {
+          'Content-Type': 'application/octet-stream',
+        },
+      });
       return response.data;
     } catch (error) {
-      console.error('Error deleting task:', error);
-      return { success: false, error: error.message };
+      console.error('Error uploading chunk:', error);
+      throw error;
     }
   },
 
-  // Toggle task completion
-  toggleComplete: async (id) => {
+  completeUploadSession: async (sessionId) => {
     try {
-      const response = await api.patch(`/tasks/${id}/complete`);
+      const response = await api.post(`/files/uploads/${sessionId}/complete`);
       return response.data;
     } catch (error) {
-      console.error('Error toggling task completion:', error);
-      return { success: false, error: error.message };
+      console.error('Error completing upload:', error);
+      throw error;
     }
-  }
-};
+  },
 
-// ==================== FILE SERVICES ====================
-export const fileAPI = {
-  // Get all files for user
-  getFiles: async (workspaceId = null) => {
+  cancelUploadSession: async (sessionId) => {
     try {
-      const params = workspaceId ? { workspaceId } : {};
-      // Use the simple endpoint that bypasses index issues
-      const response = await api.get('/files/simple', { params });
-      // Return the files array from the response
-      return response.data.files || [];
+      const response = await api.delete(`/files/uploads/${sessionId}`);
+      return response.data;
     } catch (error) {
-      console.error('Error fetching files:', error);
+      console.error('Error cancelling upload:', error);
       throw error;
     }
   },
 
-  // Upload file
-  uploadFile: async (file, workspaceId = null, description = '', taskId = null) => {
+  // Upload a file in chunks, picking up where an interrupted upload of the same file left off.
+  // onProgress receives a percentage. Pass sessionId to resume a specific upload.
+  uploadFileResumable: async (file, options = {}, onProgress = () => {}) => {
+    const storageKey = `upload:${file.name}:${file.size}:${file.lastModified}`;
+    let session = null;
+
     try {
-      const formData = new FormData();
-      formData.append('file', file);
-      if (workspaceId) formData.append('workspaceId', workspaceId);
-      if (description) formData.append('description', description);
-      if (taskId) formData.append('taskId', taskId);
+      const savedSessionId = options.sessionId || localStorage.getItem(storageKey);
+      if (savedSessionId) {
+        session = await fileAPI.getUploadSession(savedSessionId).catch(() => null);
+        if (session && (session.fileName !== file.name || session.totalSize !== file.size)) {
+          throw new Error(`Pick the same file to resume: ${session.fileName}`);
+        }
+      }
+      if (!session) {
+        session = await fileAPI.startUploadSession(file, options);
+      }
+      localStorage.setItem(storageKey, session.id);
 
-      const response = await api.post('/files/upload', formData, {
-        headers: {
-          'Content-Type': 'multipart/form-data',
-        },
-      });
-      return response.data;
+      let offset = session.receivedBytes;
+      onProgress(Math.round((offset / file.size) * 100));
+
+      while (offset < file.size) {
+        const chunk = file.slice(offset, offset + session.chunkSize);
+        for (let attempt = 1; ; attempt++) {
+          try {
+            offset = (await fileAPI.uploadChunk(session.id, offset, chunk)).receivedBytes;
+            break;
+          } catch (error) {
+            // The server tells us where to continue if we got out of step with it
+            if (error.response?.status === 409 && typeof error.response.data?.receivedBytes === 'number') {
+              offset = error.response.data.receivedBytes;
+              break;
+            }
+            const retryable = !error.response || error.response.status >= 500;
+            if (!retryable || attempt >= 4) throw error;
+            await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (attempt - 1)));
+          }
+        }
+        onProgress(Math.round((offset / file.size) * 100));
+      }
+
+      const result = await fileAPI.completeUploadSession(session.id);
+      localStorage.removeItem(storageKey);
+      return result;
     } catch (error) {
+      // The server no longer has what was uploaded, so the next try starts over
+      if ([404, 410].includes(error.response?.status)) {
+        localStorage.removeItem(storageKey);
+      }
       console.error('Error uploading file:', error);
       throw error;
     }
@@ -314,6 +928,52 @@ export const fileAPI = {
     }
   },
 
+  // Get comments on a file
+  getFileComments: async (fileId) => {
+    try {
+      const response = await api.get(`/files/${fileId}/comments`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching file comments:', error);
+      throw error;
+    }
+  },
+
+  // Comment on a file, optionally anchored to a PDF page or an image region
+  addFileComment: async (fileId, body, anchor = null) => {
+    try {
+      const response = await api.post(`/files/${fileId}/comments`, { body, anchor });
+      return response.data;
+    } catch (error) {
+      console.error('Error adding file comment:', error);
+      throw error;
+    }
+  },
+
+  deleteFileComment: async (fileId, commentId) => {
+    try {
+      const response = await api.delete(`/files/${fileId}/comments/${commentId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting file comment:', error);
+      throw error;
+    }
+  },
+
+  // Fetch a file for inline preview (does not count as a download)
+  getFilePreview: async (fileId) => {
+    try {
+      const response = await api.get(`/files/download/${fileId}`, {
+        params: { inline: true },
+        responseType: 'blob'
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching file preview:', error);
+      throw error;
+    }
+  },
+
   // Get user storage statistics (only user files, excludes system defaults)
   getStorageStats: async () => {
     try {
@@ -331,7 +991,10 @@ export const fileAPI = {
           limitGB: 10,
           usagePercentage: 0,
           fileCount: 0,
-          availableGB: 10
+          availableGB: 10,
+          logicalBytes: 0,
+          physicalBytes: 0,
+          savedBytes: 0
         }
       };
     }
@@ -373,6 +1036,217 @@ export const workspaceAPI = {
     }
   },
 
+  // Configure task statuses and allowed transitions
+  updateWorkflow: async (id, workflow) => {
+    try {
+      const response = await api.put(`/workspaces/${id}/workflow`, workflow);
+      return response.data;
+    } catch (error) {
+      console.error('Error updating workflow:', error);
+      throw error;
+    }
+  },
+
+  // Get the workspace's custom task field definitions
+  getCustomFields: async (id) => {
+    try {
+      const response = await api.get(`/workspaces/${id}/custom-fields`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching custom fields:', error);
+      throw error;
+    }
+  },
+
+  // Replace the workspace's custom task field definitions
+  updateCustomFields: async (id, fields) => {
+    try {
+      const response = await api.put(`/workspaces/${id}/custom-fields`, { fields });
+      return response.data;
+    } catch (error) {
+      console.error('Error updating custom fields:', error);
+      throw error;
+    }
+  },
+
+  // Get the auto-assignment policy and the members it chooses from
+  getAssignmentPolicy: async (id) => {
+    try {
+      const response = await api.get(`/workspaces/${id}/assignment-policy`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching assignment policy:', error);
+      throw error;
+    }
+  },
+
+  // Set how tasks created without an assignee are assigned
+  updateAssignmentPolicy: async (id, policy) => {
+    try {
+      const response = await api.put(`/workspaces/${id}/assignment-policy`, policy);
+      return response.data;
+    } catch (error) {
+      console.error('Error updating assignment policy:', error);
+      throw error;
+    }
+  },
+
+  // Get the workspace's saved task templates
+  getTaskTemplates: async (id) => {
+    try {
+      const response = await api.get(`/workspaces/${id}/task-templates`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching task templates:', error);
+      throw error;
+    }
+  },
+
+  // Save a task template
+  createTaskTemplate: async (id, template) => {
+    try {
+      const response = await api.post(`/workspaces/${id}/task-templates`, template);
+      return response.data;
+    } catch (error) {
+      console.error('Error creating task template:', error);
+      throw error;
+    }
+  },
+
+  // Replace a task template
+  updateTaskTemplate: async (id, templateId, template) => {
+    try {
+      const response = await api.put(`/workspaces/${id}/task-templates/${templateId}`, template);
+      return response.data;
+    } catch (error) {
+      console.error('Error updating task template:', error);
+      throw error;
+    }
+  },
+
+  // Delete a task template
+  deleteTaskTemplate: async (id, templateId) => {
+    try {
+      const response = await api.delete(`/workspaces/${id}/task-templates/${templateId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting task template:', error);
+      throw error;
+    }
+  },
+
+  // Get the workspace's sprints and milestones, by start date
+  getSprints: async (id) => {
+    try {
+      const response = await api.get(`/workspaces/${id}/sprints`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching sprints:', error);
+      throw error;
+    }
+  },
+
+  // Create a sprint or milestone ({ name, type, goal, startDate, endDate, pointsField })
+  createSprint: async (id, sprint) => {
+    try {
+      const response = await api.post(`/workspaces/${id}/sprints`, sprint);
+      return response.data;
+    } catch (error) {
+      console.error('Error creating sprint:', error);
+      throw error;
+    }
+  },
+
+  // Update a sprint's details
+  updateSprint: async (id, sprintId, sprint) => {
+    try {
+      const response = await api.put(`/workspaces/${id}/sprints/${sprintId}`, sprint);
+      return response.data;
+    } catch (error) {
+      console.error('Error updating sprint:', error);
+      throw error;
+    }
+  },
+
+  // Delete a sprint; its tasks go back to the backlog
+  deleteSprint: async (id, sprintId) => {
+    try {
+      const response = await api.delete(`/workspaces/${id}/sprints/${sprintId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting sprint:', error);
+      throw error;
+    }
+  },
+
+  // Get remaining tasks (or points) per day of a sprint
+  getSprintBurndown: async (id, sprintId) => {
+    try {
+      const response = await api.get(`/workspaces/${id}/sprints/${sprintId}/burndown`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching burndown:', error);
+      throw error;
+    }
+  },
+
+  // Close a sprint; carryOverTo is a sprint ID, 'new' or null for the backlog
+  closeSprint: async (id, sprintId, carryOverTo) => {
+    try {
+      const response = await api.post(`/workspaces/${id}/sprints/${sprintId}/close`, { carryOverTo });
+      return response.data;
+    } catch (error) {
+      console.error('Error closing sprint:', error);
+      throw error;
+    }
+  },
+
+  // Get the workspace's folder tree
+  getFolders: async (id) => {
+    try {
+      const response = await api.get(`/workspaces/${id}/folders`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching folders:', error);
+      throw error;
+    }
+  },
+
+  // Create a folder ({ name, parentId })
+  createFolder: async (id, folder) => {
+    try {
+      const response = await api.post(`/workspaces/${id}/folders`, folder);
+      return response.data;
+    } catch (error) {
+      console.error('Error creating folder:', error);
+      throw error;
+    }
+  },
+
+  // Rename and/or move a folder ({ name, parentId })
+  updateFolder: async (id, folderId, updates) => {
+    try {
+      const response = await api.put(`/workspaces/${id}/folders/${folderId}`, updates);
+      return response.data;
+    } catch (error) {
+      console.error('Error updating folder:', error);
+      throw error;
+    }
+  },
+
+  // Delete a folder; recursive also deletes its subfolders and trashes the files inside
+  deleteFolder: async (id, folderId, recursive = false) => {
+    try {
+      const response = await api.delete(`/workspaces/${id}/folders/${folderId}`, {
+        params: recursive ? { recursive: true } : {}
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting folder:', error);
+      throw error;
+    }
+  },
+
   // Delete workspace
   deleteWorkspace: async (id) => {
     try {
@@ -409,6 +1283,17 @@ export const workspaceAPI = {
     }
   },
 
+  // Get every task in a workspace, with assignee display info, for the shared board
+  getWorkspaceTasks: async (workspaceId) => {
+    try {
+      const response = await api.get(`/workspaces/${workspaceId}/tasks`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching workspace tasks:', error);
+      throw error;
+    }
+  },
+
   // Remove member from workspace
   removeMember: async (workspaceId, memberId) => {
     try {
@@ -750,4 +1635,39 @@ export const organizationAPI = {
   }
 };
 
+export const trashAPI = {
+  // List deleted tasks and files of a workspace, or the user's personal ones without a workspace
+  getTrash: async (workspaceId = null) => {
+    try {
+      const response = await api.get('/trash', { params: workspaceId ? { workspaceId } : {} });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching trash:', error);
+      throw error;
+    }
+  },
+
+  // Restore a deleted task (with its subtasks) or file
+  restore: async (entryId) => {
+    try {
+      const response = await api.post(`/trash/${entryId}/restore`);
+      return response.data;
+    } catch (error) {
+      console.error('Error restoring trash item:', error);
+      throw error;
+    }
+  },
+
+  // Permanently delete an item from the trash
+  deletePermanently: async (entryId) => {
+    try {
+      const response = await api.delete(`/trash/${entryId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error permanently deleting trash item:', error);
+      throw error;
+    }
+  }
+};
+
 export default api;
\ No newline at end of file
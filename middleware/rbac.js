@@ -1,4 +1,5 @@
 const admin = require('firebase-admin');
+const { isTaskAssignee } = require('../services/taskService');
 const db = admin.firestore();
 
 const ROLES = {
@@ -397,7 +398,7 @@ const requireOwnershipOrRole = (requiredRole) => {
       // If checking task ownership
       if (req.params.id && req.baseUrl.includes('/tasks')) {
         const taskDoc = await db.collection('tasks').doc(req.params.id).get();
-        if (taskDoc.exists && (taskDoc.data().userId === req.user.uid || taskDoc.data().assignedTo === req.user.uid)) {
+        if (taskDoc.exists && (taskDoc.data().userId === req.user.uid || isTaskAssignee(taskDoc.data(), req.user.uid))) {
           return next(); // User owns or is assigned the task
         }
       }
@@ -12,6 +12,7 @@ const {
   getUserOrganizationRole,
   getRoleLevel
 } = require('../middleware/rbac');
+const { getReminderStatus } = require('../services/reminderService');
 
 const db = admin.firestore();
 
@@ -209,6 +210,17 @@ router.get('/audit-logs', verifyToken, requireOrganizationPermission(PERMISSIONS
   }
 });
 
+// GET /api/admin/reminders/status - Last due-date reminder scan and how many reminders were sent
+router.get('/reminders/status', verifyToken, requireOrganizationPermission(PERMISSIONS.VIEW_ORG_MEMBERS), async (req, res) => {
+  try {
+    const status = await getReminderStatus();
+    res.json(status);
+  } catch (error) {
+    console.error('Error fetching reminder scheduler status:', error);
+    res.status(500).json({ error: 'Failed to fetch reminder scheduler status' });
+  }
+});
+
 // Helper function to get role descriptions
 function getRoleDescription(role) {
   const descriptions = {
@@ -5,9 +5,25 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { verifyToken } = require('../middleware/auth');
-const { requirePermission, requireOwnershipOrRole, PERMISSIONS, ROLES } = require('../middleware/rbac');
+const {
+  requirePermission,
+  requireOwnershipOrRole,
+  getUserWorkspaceRole,
+  getUserOrganizationId,
+  hasPermission,
+  PERMISSIONS,
+  ROLES
+} = require('../middleware/rbac');
 const { notificationHelpers } = require('../services/notificationService');
 const socketService = require('../services/socketService');
+const { recordTaskHistory, HISTORY_ACTIONS } = require('../services/taskHistoryService');
+const trashService = require('../services/trashService');
+const { getTaskAssignees, isTaskAssignee } = require('../services/taskService');
+const fileVersionService = require('../services/fileVersionService');
+const folderService = require('../services/folderService');
+const uploadSessionService = require('../services/uploadSessionService');
+const storageService = require('../services/storageService');
+const fileBlobService = require('../services/fileBlobService');
 
 const db = admin.firestore();
 
@@ -17,6 +33,18 @@ if (!fs.existsSync(uploadsDir)) {
   console.log('📁 Created uploads directory:', uploadsDir);
 }
 
+const ALLOWED_MIME_TYPES = [
+  'image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/vnd.adobe.photoshop',
+  'application/pdf', 'text/plain', 'text/csv',
+  'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint', 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/zip', 'application/x-rar-compressed',
+  'video/mp4', 'video/webm', 'video/quicktime',
+  'audio/mpeg', 'audio/wav', 'audio/webm'
+];
+
+// Single-request uploads are capped at 10 MB; larger files use the resumable upload endpoints
 const upload = multer({
   storage: multer.diskStorage({
     destination: (req, file, cb) => {
@@ -36,16 +64,7 @@ const upload = multer({
     fileSize: 10 * 1024 * 1024,
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = [
-      'image/jpeg', 'image/png', 'image/gif', 'image/webp',
-      'application/pdf', 'text/plain', 'text/csv',
-      'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-      'application/vnd.ms-powerpoint', 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-      'application/zip', 'application/x-rar-compressed'
-    ];
-    
-    if (allowedTypes.includes(file.mimetype)) {
+    if (ALLOWED_MIME_TYPES.includes(file.mimetype)) {
       cb(null, true);
     } else {
       cb(new Error(`File type ${file.mimetype} not allowed`), false);
@@ -72,9 +91,12 @@ router.get('/simple', verifyToken, async (req, res) => {
           downloadUrl: data.downloadUrl,
           uploadedBy: data.uploadedBy,
           workspaceId: data.workspaceId || null,
+          folderId: data.folderId || null,
           description: data.description || '',
           isPublic: data.isPublic || false,
           downloadCount: data.downloadCount || 0,
+          commentCount: data.commentCount || 0,
+          currentVersion: data.currentVersion || 1,
           storagePath: data.storagePath, // Include storage path for debugging
           uploadedAt: data.uploadedAt?.toDate?.()?.toISOString() || data.uploadedAt,
           updatedAt: data.updatedAt?.toDate?.()?.toISOString() || data.updatedAt
@@ -99,7 +121,7 @@ router.get('/simple', verifyToken, async (req, res) => {
 router.get('/', verifyToken, requirePermission(PERMISSIONS.VIEW_FILES), async (req, res) => {
   console.log('📋 Fetching files for user:', req.user.uid);
   try {
-    const { workspaceId, isPublic } = req.query;
+    const { workspaceId, isPublic, folderId } = req.query;
     
     console.log('🔍 Starting simple Firestore query...');
     
@@ -136,9 +158,12 @@ router.get('/', verifyToken, requirePermission(PERMISSIONS.VIEW_FILES), async (r
           downloadUrl: data.downloadUrl,
           uploadedBy: data.uploadedBy,
           workspaceId: data.workspaceId || null,
+          folderId: data.folderId || null,
           description: data.description || '',
           isPublic: data.isPublic || false,
           downloadCount: data.downloadCount || 0,
+          commentCount: data.commentCount || 0,
+          currentVersion: data.currentVersion || 1,
           storagePath: data.storagePath, // Include storage path for debugging
           uploadedAt: data.uploadedAt?.toDate?.()?.toISOString() || data.uploadedAt,
           updatedAt: data.updatedAt?.toDate?.()?.toISOString() || data.updatedAt
@@ -155,6 +180,24 @@ router.get('/', verifyToken, requirePermission(PERMISSIONS.VIEW_FILES), async (r
       return bDate - aDate;
     });
     
+    // ?folderId=<id> lists one folder of a workspace, ?folderId=root the files outside any folder
+    if (workspaceId && folderId) {
+      const folders = await folderService.getWorkspaceFolders(workspaceId);
+      const currentFolderId = folderId === folderService.ROOT_FOLDER ? null : folderId;
+      if (currentFolderId && !folders.has(currentFolderId)) {
+        return res.status(404).json({ error: 'Folder not found' });
+      }
+      
+      // Files in a folder that no longer exists are shown at the top level
+      const inFolder = files.filter(file => (folders.has(file.folderId) ? file.folderId : null) === currentFolderId);
+      
+      return res.json({
+        files: inFolder,
+        folder: currentFolderId ? folderService.formatFolder(folders.get(currentFolderId), folders) : null,
+        breadcrumbs: folderService.getBreadcrumbs(currentFolderId, folders)
+      });
+    }
+    
     console.log('✅ Successfully processed', files.length, 'files');
     console.log('📋 File names:', files.map(f => f.fileName));
     
@@ -171,7 +214,17 @@ router.get('/', verifyToken, requirePermission(PERMISSIONS.VIEW_FILES), async (r
 });
 
 // POST /api/files/upload - Upload file (requires UPLOAD_FILES permission)
-router.post('/upload', verifyToken, requirePermission(PERMISSIONS.UPLOAD_FILES), upload.single('file'), async (req, res) => {
+router.post('/upload', verifyToken, requirePermission(PERMISSIONS.UPLOAD_FILES), upload.single('file'), handleUpload);
+
+// Use environment variable for base URL, fallback to localhost for development
+const getDownloadUrl = (fileId) =>
+  `${process.env.API_BASE_URL || process.env.RENDER_EXTERNAL_URL || 'http://localhost:5000'}/api/files/download/${fileId}`;
+
+// Saves the file in req.file (from multer, or assembled from a resumable upload) with the
+// fields in req.body
+async function handleUpload(req, res) {
+  let stored = null;
+  let saved = false;
   console.log('📤 Upload request received');
   console.log('User:', req.user?.uid);
   console.log('File:', req.file ? { name: req.file.originalname, size: req.file.size, type: req.file.mimetype, path: req.file.path } : 'No file');
@@ -182,9 +235,30 @@ router.post('/upload', verifyToken, requirePermission(PERMISSIONS.UPLOAD_FILES),
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
+    // The multer cap is fixed; organizations can set a lower limit
+    const maxSize = await uploadSessionService.getMaxUploadSize(await getUserOrganizationId(req.user.uid));
+    if (req.file.size > maxSize) {
+      discardUpload(req.file);
+      return res.status(413).json({
+        error: `File is larger than your organization's ${Math.round(maxSize / (1024 * 1024))} MB upload limit`,
+        maxSize
+      });
+    }
+
+    // Uploading with a fileId adds a new version of that file instead of a new file
+    if (req.body.fileId) {
+      return uploadNewVersion(req, res);
+    }
+
     const { workspaceId, description, isPublic = false, taskId } = req.body;
     const file = req.file;
     
+    const { folderId, error: folderError } = await folderService.resolveFolderForFile(req.body.folderId, workspaceId || null);
+    if (folderError) {
+      discardUpload(file);
+      return res.status(400).json({ error: folderError });
+    }
+    
     console.log('📁 File details:', {
       originalName: file.originalname,
       size: file.size,
@@ -195,25 +269,34 @@ router.post('/upload', verifyToken, requirePermission(PERMISSIONS.UPLOAD_FILES),
       isPublic
     });
 
-    console.log('✅ File saved locally successfully at:', file.path);
+    // Generate download URL for the file. Stored content is shared between identical
+    // uploads, so the URL uses the document ID rather than the stored file's name
+    const docRef = db.collection('files').doc();
+    const downloadUrl = getDownloadUrl(docRef.id);
+    const checksum = await fileVersionService.computeChecksum(file.path);
 
-    // Generate download URL for local file
-    const fileId = path.basename(file.path, path.extname(file.path));
-    // Use environment variable for base URL, fallback to localhost for development
-    const baseUrl = process.env.API_BASE_URL || process.env.RENDER_EXTERNAL_URL || 'http://localhost:5000';
-    const downloadUrl = `${baseUrl}/api/files/download/${fileId}`;
+    stored = await fileBlobService.storeUpload(file.path, {
+      checksum,
+      contentType: file.mimetype,
+      size: file.size
+    });
+    const { blobId, storageDriver, storagePath, deduplicated } = stored;
+    console.log(deduplicated ? `♻️ Same content already stored (${storageDriver}):` : `✅ File stored (${storageDriver}):`, storagePath);
 
     // Save file metadata to Firestore
     const fileData = {
       fileName: file.originalname, // Keep for backend compatibility
       originalName: file.originalname, // Add for frontend compatibility
-      storagePath: file.path, // Local file path
+      storageDriver, // Storage backend holding the file (see services/storageService.js)
+      storagePath, // Key of the file in that backend
+      blobId, // Shared stored content (see services/fileBlobService.js)
       fileSize: file.size,
       size: file.size, // Add alias for frontend
       mimeType: file.mimetype,
       downloadUrl: downloadUrl,
       uploadedBy: req.user.uid,
       workspaceId: workspaceId || null,
+      folderId,
       description: description || '',
       isPublic: Boolean(isPublic),
       // Task-File Integration Fields
@@ -221,12 +304,28 @@ router.post('/upload', verifyToken, requirePermission(PERMISSIONS.UPLOAD_FILES),
       linkedTasks: taskId ? [taskId] : [], // Array of task IDs this file is linked to
       taskCount: taskId ? 1 : 0, // Quick count of linked tasks
       downloadCount: 0,
+      checksum,
+      currentVersion: 1,
       uploadedAt: admin.firestore.FieldValue.serverTimestamp(),
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
     };
 
     console.log('💾 Saving file metadata to Firestore...');
-    const docRef = await db.collection('files').add(fileData);
+    // The file and its first version are written together: the version holds the blob reference
+    const batch = db.batch();
+    batch.set(docRef, fileData);
+    fileVersionService.recordInitialVersion(docRef.id, {
+      fileName: file.originalname,
+      mimeType: file.mimetype,
+      fileSize: file.size,
+      storageDriver,
+      storagePath,
+      blobId,
+      checksum,
+      uploadedBy: req.user.uid
+    }, batch);
+    await batch.commit();
+    saved = true;
     console.log('✅ File metadata saved with ID:', docRef.id);
 
     // Handle automatic task attachment if taskId is provided
@@ -240,7 +339,7 @@ router.post('/upload', verifyToken, requirePermission(PERMISSIONS.UPLOAD_FILES),
           const taskData = taskDoc.data();
           
           // Check if user has permission to attach to this task
-          if (taskData.userId === req.user.uid || taskData.assignedTo === req.user.uid) {
+          if (taskData.userId === req.user.uid || isTaskAssignee(taskData, req.user.uid)) {
             // Update file with task reference (taskId and linkedTasks already set above)
             await docRef.update({
               description: `${description || ''} (Attached to task: ${taskData.title})`.trim()
@@ -255,18 +354,26 @@ router.post('/upload', verifyToken, requirePermission(PERMISSIONS.UPLOAD_FILES),
             
             console.log('✅ File automatically linked to task:', taskId);
             
-            // Send task update notification if assigned to someone else
-            if (taskData.assignedTo && taskData.assignedTo !== req.user.uid) {
-              try {
+            await recordTaskHistory({
+              taskId,
+              workspaceId: taskData.workspaceId,
+              action: HISTORY_ACTIONS.ATTACH_FILE,
+              changes: [{ field: 'attachedFiles', from: null, to: file.originalname, fileId: docRef.id }],
+              changedBy: req.user.uid
+            });
+            
+            // Send task update notification to every assignee other than the uploader
+            try {
+              for (const assigneeId of getTaskAssignees(taskData)) {
                 await notificationHelpers.fileAttachedToTask({
                   taskId: taskId,
                   taskTitle: taskData.title,
                   fileName: file.originalname,
                   attachedBy: req.user.uid
-                }, taskData.assignedTo);
-              } catch (notificationError) {
-                console.error('Error sending task file notification:', notificationError);
+                }, assigneeId);
               }
+            } catch (notificationError) {
+              console.error('Error sending task file notification:', notificationError);
             }
             
             // Send real-time update
@@ -352,18 +459,26 @@ router.post('/upload', verifyToken, requirePermission(PERMISSIONS.UPLOAD_FILES),
 
   } catch (error) {
     console.error('💥 Upload error:', error);
+    if (stored) {
+      if (!saved) {
+        fileBlobService.releaseStoredUpload(stored).catch(releaseError => console.error('Error removing stored upload:', releaseError));
+      }
+    } else if (req.file) {
+      discardUpload(req.file);
+    }
     res.status(500).json({ error: 'Failed to upload file', details: error.message });
   }
-});
+}
 
-// GET /api/files/download/:fileId - Download file
+// GET /api/files/download/:fileId - Download file (?inline=true to preview without counting a download)
 router.get('/download/:fileId', verifyToken, async (req, res) => {
   try {
     const { fileId } = req.params;
     
     console.log('🔽 Download request for fileId:', fileId);
     
-    // Try to find file by ID first, then by storage path
+    // Try to find file by ID first. Older download URLs end with the stored file's name
+    // instead; those are matched on the URL they were given, then among the user's own files
     let fileDoc = await db.collection('files').doc(fileId).get();
     let fileData = null;
     
@@ -371,35 +486,30 @@ router.get('/download/:fileId', verifyToken, async (req, res) => {
       console.log('✅ Found file by ID:', fileId);
       fileData = fileDoc.data();
     } else {
-      console.log('🔍 File ID not found, searching by storage path...');
+      console.log('🔍 File ID not found, searching by download URL...');
       
-      // Search by storage path matching
-      const allFiles = await db.collection('files').get();
-      let foundFile = false;
+      const byUrl = await db.collection('files')
+        .where('downloadUrl', '==', getDownloadUrl(fileId))
+        .limit(1)
+        .get();
+      let match = byUrl.empty ? null : byUrl.docs[0];
       
-      allFiles.forEach(doc => {
-        if (!foundFile) {  // Only search if we haven't found one yet
-          const data = doc.data();
-          if (data.storagePath) {
-            // Extract filename without extension from storage path
-            const fileName = path.basename(data.storagePath, path.extname(data.storagePath));
-            console.log('🔍 Checking file:', fileName, 'against', fileId);
-            
-            // Try multiple matching strategies
-            if (fileName === fileId || 
-                data.storagePath.includes(fileId) || 
-                doc.id === fileId ||
-                data.storagePath.endsWith(`/${fileId}.docx`) ||
-                data.storagePath.endsWith(`/${fileId}.txt`) ||
-                data.storagePath.endsWith(`/${fileId}.pdf`)) {
-              console.log('✅ Found matching file:', data.fileName);
-              fileDoc = doc;
-              fileData = data;
-              foundFile = true;
-            }
-          }
-        }
-      });
+      if (!match) {
+        // Links created under another base URL (e.g. in development)
+        const ownFiles = await db.collection('files')
+          .where('uploadedBy', '==', req.user.uid)
+          .get();
+        match = ownFiles.docs.find(doc => {
+          const { storagePath } = doc.data();
+          return storagePath && path.basename(storagePath, path.extname(storagePath)) === fileId;
+        }) || null;
+      }
+      
+      if (match) {
+        console.log('✅ Found matching file:', match.data().fileName);
+        fileDoc = match;
+        fileData = match.data();
+      }
     }
     
     if (!fileData) {
@@ -409,45 +519,30 @@ router.get('/download/:fileId', verifyToken, async (req, res) => {
     
     console.log('📁 File storage path:', fileData.storagePath);
     
-    // Resolve the full file path
-    let fullFilePath = fileData.storagePath;
-    if (!path.isAbsolute(fullFilePath)) {
-      fullFilePath = path.join(__dirname, '..', fullFilePath);
-    }
-    
-    console.log('📁 Resolved full path:', fullFilePath);
-    
-    // Check if file exists on disk
-    if (!fs.existsSync(fullFilePath)) {
-      console.log('❌ File not found on disk:', fullFilePath);
-      
-      // Try alternative path in uploads directory
-      const alternativePath = path.join(__dirname, '..', 'uploads', fileData.uploadedBy, path.basename(fullFilePath));
-      console.log('🔍 Trying alternative path:', alternativePath);
-      
-      if (fs.existsSync(alternativePath)) {
-        fullFilePath = alternativePath;
-        console.log('✅ Found file at alternative path');
-      } else {
-        return res.status(404).json({ error: 'File not found on disk' });
-      }
+    const fileStream = await storageService.openStoredFile(fileData);
+    if (!fileStream) {
+      console.log('❌ File not found in storage:', fileData.storagePath);
+      return res.status(404).json({ error: 'File not found in storage' });
     }
     
     console.log('✅ File exists, serving download');
     
+    // Inline previews (?inline=true, used by the comment panel) don't count as downloads
+    const inline = req.query.inline === 'true';
+    
     // Update download count
-    await fileDoc.ref.update({
-      downloadCount: admin.firestore.FieldValue.increment(1),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    });
+    if (!inline) {
+      await fileDoc.ref.update({
+        downloadCount: admin.firestore.FieldValue.increment(1),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
     
     // Set appropriate headers
-    res.setHeader('Content-Disposition', `attachment; filename="${fileData.fileName}"`);
+    res.setHeader('Content-Disposition', `${inline ? 'inline' : 'attachment'}; filename="${fileData.fileName}"`);
     res.setHeader('Content-Type', fileData.mimeType);
     
-    // Stream the file using the resolved path
-    const fileStream = fs.createReadStream(fullFilePath);
-    fileStream.pipe(res);
+    storageService.sendStoredFile(res, fileStream);
     
   } catch (error) {
     console.error('Error downloading file:', error);
@@ -455,7 +550,7 @@ router.get('/download/:fileId', verifyToken, async (req, res) => {
   }
 });
 
-// DELETE /api/files/:id - Delete file
+// DELETE /api/files/:id - Move a file to the trash
 router.delete('/:id', verifyToken, async (req, res) => {
   try {
     const { id } = req.params;
@@ -480,16 +575,10 @@ router.delete('/:id', verifyToken, async (req, res) => {
       }
     }
     
-    // Delete file from disk
-    if (fs.existsSync(fileData.storagePath)) {
-      fs.unlinkSync(fileData.storagePath);
-      console.log('🗑️ File deleted from disk:', fileData.storagePath);
-    }
-    
-    // Delete from database
-    await fileDoc.ref.delete();
+    // The file stays in storage (and its comments stay stored) until the trash entry is purged
+    const trashEntryId = await trashService.trashFile(fileDoc, req.user.uid);
     
-    res.json({ message: 'File deleted successfully' });
+    res.json({ message: 'File moved to trash', trashEntryId });
     
   } catch (error) {
     console.error('Error deleting file:', error);
@@ -497,25 +586,79 @@ router.delete('/:id', verifyToken, async (req, res) => {
   }
 });
 
+// GET /api/files/storage-stats - Storage used by the user's files (every version, and files
+// in the trash until they are purged), with the space saved by storing identical content once
+router.get('/storage-stats', verifyToken, async (req, res) => {
+  try {
+    const [filesSnapshot, trashSnapshot] = await Promise.all([
+      db.collection('files').where('uploadedBy', '==', req.user.uid).get(),
+      db.collection('trash').where('ownerId', '==', req.user.uid).get()
+    ]);
+
+    const files = filesSnapshot.docs.filter(doc => doc.data().fileSize);
+    const storedFiles = [
+      ...filesSnapshot.docs.map(doc => ({ fileId: doc.id, fileData: doc.data() })),
+      ...trashSnapshot.docs
+        .filter(doc => doc.data().type === trashService.TRASH_TYPES.FILE)
+        .map(doc => ({ fileId: doc.data().itemId, fileData: doc.data().items[0].data }))
+    ];
+    const versions = await Promise.all(storedFiles.map(({ fileId, fileData }) =>
+      fileVersionService.getStoredVersions(fileId, fileData)
+    ));
+    const { logicalBytes, physicalBytes, savedBytes } = fileBlobService.summarizeStorage(versions.flat());
+
+    const sizeInMB = logicalBytes / (1024 * 1024);
+    const sizeInGB = logicalBytes / (1024 * 1024 * 1024);
+
+    // Define storage limits (can be configured per user plan)
+    const storageLimit = 10 * 1024 * 1024 * 1024; // 10GB in bytes
+    const storageLimitGB = 10;
+    const usagePercentage = (logicalBytes / storageLimit) * 100;
+
+    res.json({
+      success: true,
+      storage: {
+        usedBytes: logicalBytes,
+        usedMB: Math.round(sizeInMB * 100) / 100,
+        usedGB: Math.round(sizeInGB * 100) / 100,
+        limitGB: storageLimitGB,
+        usagePercentage: Math.round(usagePercentage * 100) / 100,
+        fileCount: files.length,
+        availableGB: Math.round((storageLimitGB - sizeInGB) * 100) / 100,
+        logicalBytes, // What all versions add up to
+        physicalBytes, // What is actually stored for them
+        savedBytes
+      }
+    });
+  } catch (error) {
+    console.error('Error calculating storage stats:', error);
+    res.status(500).json({ error: 'Failed to calculate storage usage' });
+  }
+});
+
 // Test storage connection
 router.get('/test-storage', verifyToken, async (req, res) => {
   try {
-    console.log('🧪 Testing local storage...');
+    const storageType = storageService.getStorageDriverName();
+    console.log(`🧪 Testing ${storageType} storage...`);
     console.log('📁 Uploads directory:', uploadsDir);
     console.log('📊 Directory exists:', fs.existsSync(uploadsDir));
     
+    // Looking up a missing file fails if the backend is unreachable or misconfigured
+    await storageService.getDriver().stat('.storage-check');
+    
     res.json({ 
       success: true, 
-      storageType: 'local',
+      storageType,
       uploadsDir: uploadsDir,
       exists: fs.existsSync(uploadsDir),
-      message: 'Local storage connection working'
+      message: `${storageType} storage connection working`
     });
   } catch (error) {
-    console.error('Local storage test failed:', error);
+    console.error('Storage test failed:', error);
     res.status(500).json({ 
       success: false, 
-      error: 'Local storage connection failed',
+      error: 'Storage connection failed',
       details: error.message 
     });
   }
@@ -557,6 +700,808 @@ router.get('/debug', verifyToken, async (req, res) => {
   }
 });
 
+// ========================= FILE COMMENT ENDPOINTS =========================
+
+const MAX_FILE_COMMENT_LENGTH = 5000;
+
+// Uploader, anyone for public files, and members of the file's workspace
+async function canAccessFile(fileData, userId) {
+  if (fileData.uploadedBy === userId || fileData.isPublic) return true;
+  if (!fileData.workspaceId) return false;
+  return Boolean(await getUserWorkspaceRole(userId, fileData.workspaceId));
+}
+
+/**
+ * Validate a comment anchor against the file type
+ * PDFs take { type: 'page', page }, images take { type: 'region', x, y, width?, height? }
+ * where coordinates are fractions (0-1) of the image size
+ */
+function parseCommentAnchor(anchor, mimeType) {
+  if (anchor === undefined || anchor === null) return { anchor: null };
+
+  if (anchor.type === 'page') {
+    if (mimeType !== 'application/pdf') {
+      return { error: 'Page anchors are only supported on PDF files' };
+    }
+    const page = Number(anchor.page);
+    if (!Number.isInteger(page) || page < 1) {
+      return { error: 'Page must be a positive whole number' };
+    }
+    return { anchor: { type: 'page', page } };
+  }
+
+  if (anchor.type === 'region') {
+    if (!mimeType || !mimeType.startsWith('image/')) {
+      return { error: 'Region anchors are only supported on images' };
+    }
+    const region = { type: 'region' };
+    for (const key of ['x', 'y', 'width', 'height']) {
+      if (anchor[key] === undefined || anchor[key] === null) {
+        if (key === 'x' || key === 'y') {
+          return { error: 'Region anchors need x and y' };
+        }
+        continue;
+      }
+      const value = Number(anchor[key]);
+      if (!Number.isFinite(value) || value < 0 || value > 1) {
+        return { error: `Region ${key} must be between 0 and 1` };
+      }
+      region[key] = value;
+    }
+    if ((region.x + (region.width || 0)) > 1 || (region.y + (region.height || 0)) > 1) {
+      return { error: 'Region must fit inside the image' };
+    }
+    return { anchor: region };
+  }
+
+  return { error: 'Anchor type must be "page" or "region"' };
+}
+
+const formatFileComment = (doc) => {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    fileId: data.fileId,
+    authorId: data.authorId,
+    authorName: data.authorName,
+    body: data.body,
+    anchor: data.anchor || null,
+    createdAt: data.createdAt?.toDate?.()?.toISOString() || data.createdAt,
+    updatedAt: data.updatedAt?.toDate?.()?.toISOString() || data.updatedAt,
+    editedAt: data.editedAt?.toDate?.()?.toISOString() || null
+  };
+};
+
+// GET /api/files/:fileId/comments - Get comments on a file (oldest first)
+// Query: ?page=<n> to only return comments anchored to a PDF page
+router.get('/:fileId/comments', verifyToken, requirePermission(PERMISSIONS.VIEW_FILES), async (req, res) => {
+  try {
+    const { fileId } = req.params;
+
+    const fileDoc = await db.collection('files').doc(fileId).get();
+    if (!fileDoc.exists) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    if (!(await canAccessFile(fileDoc.data(), req.user.uid))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const snapshot = await db.collection('fileComments')
+      .where('fileId', '==', fileId)
+      .get();
+
+    let comments = snapshot.docs.map(formatFileComment);
+    if (req.query.page) {
+      const page = Number(req.query.page);
+      comments = comments.filter(comment => comment.anchor?.type === 'page' && comment.anchor.page === page);
+    }
+    comments.sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
+
+    res.json({
+      fileId,
+      fileName: fileDoc.data().fileName,
+      comments
+    });
+  } catch (error) {
+    console.error('Error fetching file comments:', error);
+    res.status(500).json({ error: 'Failed to fetch file comments' });
+  }
+});
+
+// POST /api/files/:fileId/comments - Comment on a file
+// Body: { body: string, anchor?: { type: 'page', page } | { type: 'region', x, y, width?, height? } }
+router.post('/:fileId/comments', verifyToken, requirePermission(PERMISSIONS.VIEW_FILES), async (req, res) => {
+  try {
+    const { fileId } = req.params;
+    const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+
+    if (!body) {
+      return res.status(400).json({ error: 'Comment body is required' });
+    }
+    if (body.length > MAX_FILE_COMMENT_LENGTH) {
+      return res.status(400).json({ error: `Comment cannot be longer than ${MAX_FILE_COMMENT_LENGTH} characters` });
+    }
+
+    const fileDoc = await db.collection('files').doc(fileId).get();
+    if (!fileDoc.exists) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const fileData = fileDoc.data();
+
+    if (!(await canAccessFile(fileData, req.user.uid))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { anchor, error: anchorError } = parseCommentAnchor(req.body.anchor, fileData.mimeType);
+    if (anchorError) {
+      return res.status(400).json({ error: anchorError });
+    }
+
+    const authorData = await admin.auth().getUser(req.user.uid);
+
+    const commentRef = db.collection('fileComments').doc();
+    const batch = db.batch();
+    batch.set(commentRef, {
+      fileId,
+      workspaceId: fileData.workspaceId || null,
+      authorId: req.user.uid,
+      authorName: authorData.displayName || authorData.email,
+      body,
+      anchor,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      editedAt: null
+    });
+    batch.update(fileDoc.ref, {
+      commentCount: admin.firestore.FieldValue.increment(1)
+    });
+    await batch.commit();
+
+    const comment = formatFileComment(await commentRef.get());
+
+    try {
+      const recipients = [fileData.uploadedBy];
+
+      if (fileData.workspaceId) {
+        const workspaceDoc = await db.collection('workspaces').doc(fileData.workspaceId).get();
+        const membersSnapshot = await db.collection('workspaceMembers')
+          .where('workspaceId', '==', fileData.workspaceId)
+          .get();
+
+        if (workspaceDoc.exists) {
+          recipients.push(workspaceDoc.data().ownerId);
+        }
+        membersSnapshot.forEach(doc => recipients.push(doc.data().userId));
+      }
+
+      await notificationHelpers.fileComment(comment, { id: fileId, ...fileData }, recipients);
+
+      if (fileData.workspaceId) {
+        socketService.sendFileUpdate(fileData.workspaceId, {
+          id: fileId,
+          name: fileData.fileName,
+          comment
+        }, 'commented', req.user.uid);
+      }
+    } catch (notificationError) {
+      console.error('Error sending file comment notifications:', notificationError);
+      // Don't fail the comment if notifications fail
+    }
+
+    res.status(201).json(comment);
+  } catch (error) {
+    console.error('Error creating file comment:', error);
+    res.status(500).json({ error: 'Failed to create file comment' });
+  }
+});
+
+// PUT /api/files/:fileId/comments/:commentId - Edit your own comment or move its anchor
+// Body: { body?: string, anchor?: object|null }
+router.put('/:fileId/comments/:commentId', verifyToken, requirePermission(PERMISSIONS.VIEW_FILES), async (req, res) => {
+  try {
+    const { fileId, commentId } = req.params;
+
+    const commentRef = db.collection('fileComments').doc(commentId);
+    const commentDoc = await commentRef.get();
+    if (!commentDoc.exists || commentDoc.data().fileId !== fileId) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const existing = commentDoc.data();
+    if (existing.authorId !== req.user.uid) {
+      return res.status(403).json({ error: 'Only the author can edit a comment' });
+    }
+
+    const fileDoc = await db.collection('files').doc(fileId).get();
+    const fileData = fileDoc.exists ? fileDoc.data() : {};
+    const updates = {};
+
+    if (req.body.body !== undefined) {
+      const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+      if (!body) {
+        return res.status(400).json({ error: 'Comment body is required' });
+      }
+      if (body.length > MAX_FILE_COMMENT_LENGTH) {
+        return res.status(400).json({ error: `Comment cannot be longer than ${MAX_FILE_COMMENT_LENGTH} characters` });
+      }
+      updates.body = body;
+    }
+
+    if (req.body.anchor !== undefined) {
+      const { anchor, error: anchorError } = parseCommentAnchor(req.body.anchor, fileData.mimeType);
+      if (anchorError) {
+        return res.status(400).json({ error: anchorError });
+      }
+      updates.anchor = anchor;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    await commentRef.update({
+      ...updates,
+      editedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    const comment = formatFileComment(await commentRef.get());
+
+    try {
+      if (existing.workspaceId) {
+        socketService.sendFileUpdate(existing.workspaceId, {
+          id: fileId,
+          name: fileData.fileName,
+          comment
+        }, 'comment-updated', req.user.uid);
+      }
+    } catch (socketError) {
+      console.error('Error broadcasting file comment update:', socketError);
+    }
+
+    res.json(comment);
+  } catch (error) {
+    console.error('Error updating file comment:', error);
+    res.status(500).json({ error: 'Failed to update file comment' });
+  }
+});
+
+// DELETE /api/files/:fileId/comments/:commentId - Delete a comment (author or file uploader)
+router.delete('/:fileId/comments/:commentId', verifyToken, requirePermission(PERMISSIONS.VIEW_FILES), async (req, res) => {
+  try {
+    const { fileId, commentId } = req.params;
+
+    const commentRef = db.collection('fileComments').doc(commentId);
+    const commentDoc = await commentRef.get();
+    if (!commentDoc.exists || commentDoc.data().fileId !== fileId) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const fileRef = db.collection('files').doc(fileId);
+    const fileDoc = await fileRef.get();
+    const commentData = commentDoc.data();
+
+    if (commentData.authorId !== req.user.uid &&
+        (!fileDoc.exists || fileDoc.data().uploadedBy !== req.user.uid)) {
+      return res.status(403).json({ error: 'Only the author or the file owner can delete a comment' });
+    }
+
+    const batch = db.batch();
+    batch.delete(commentRef);
+    if (fileDoc.exists) {
+      batch.update(fileRef, {
+        commentCount: admin.firestore.FieldValue.increment(-1)
+      });
+    }
+    await batch.commit();
+
+    try {
+      if (commentData.workspaceId) {
+        socketService.sendFileUpdate(commentData.workspaceId, {
+          id: fileId,
+          name: fileDoc.exists ? fileDoc.data().fileName : null,
+          commentId
+        }, 'comment-deleted', req.user.uid);
+      }
+    } catch (socketError) {
+      console.error('Error broadcasting file comment deletion:', socketError);
+    }
+
+    res.json({ message: 'Comment deleted successfully', commentId });
+  } catch (error) {
+    console.error('Error deleting file comment:', error);
+    res.status(500).json({ error: 'Failed to delete file comment' });
+  }
+});
+
+// ========================= FILE VERSION ENDPOINTS =========================
+
+// Uploader, and workspace members allowed to upload files, can add and restore versions
+async function canEditFile(fileData, userId) {
+  if (fileData.uploadedBy === userId) return true;
+  if (!fileData.workspaceId) return false;
+  const role = await getUserWorkspaceRole(userId, fileData.workspaceId);
+  return Boolean(role) && hasPermission(role, PERMISSIONS.UPLOAD_FILES);
+}
+
+// Remove an upload received on local disk when the request is rejected before it is stored
+function discardUpload(file) {
+  fs.unlink(file.path, (unlinkError) => {
+    if (unlinkError) console.error('Error removing rejected upload:', unlinkError);
+  });
+}
+
+function sendVersionUpdate(fileId, fileData, action, userId, details) {
+  if (!fileData.workspaceId) return;
+  try {
+    socketService.sendFileUpdate(fileData.workspaceId, {
+      id: fileId,
+      name: fileData.fileName,
+      ...details
+    }, action, userId);
+  } catch (socketError) {
+    console.error('Error sending file version update:', socketError);
+  }
+}
+
+// POST /api/files/upload (with fileId) - Upload a new version of an existing file
+// The previous version's file stays in storage so it can be downloaded or restored
+async function uploadNewVersion(req, res) {
+  const file = req.file;
+  let stored = null;
+  try {
+    const fileRef = db.collection('files').doc(req.body.fileId);
+    const fileDoc = await fileRef.get();
+    if (!fileDoc.exists) {
+      discardUpload(file);
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    if (!(await canEditFile(fileDoc.data(), req.user.uid))) {
+      discardUpload(file);
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const checksum = await fileVersionService.computeChecksum(file.path);
+    stored = await fileBlobService.storeUpload(file.path, { checksum, contentType: file.mimetype, size: file.size });
+
+    const result = await fileVersionService.addFileVersion(fileRef, {
+      fileName: file.originalname,
+      mimeType: file.mimetype,
+      fileSize: file.size,
+      storageDriver: stored.storageDriver,
+      storagePath: stored.storagePath,
+      blobId: stored.blobId,
+      checksum,
+      uploadedBy: req.user.uid
+    });
+    if (result.error) {
+      await fileBlobService.releaseStoredUpload(stored);
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    console.log(`✅ Version ${result.version} uploaded for file:`, fileRef.id);
+
+    sendVersionUpdate(fileRef.id, result.fileData, 'version_uploaded', req.user.uid, {
+      version: result.version,
+      size: file.size
+    });
+
+    res.status(201).json({
+      id: fileRef.id,
+      message: `Version ${result.version} uploaded successfully`,
+      ...result.fileData,
+      changes: result.changes,
+      uploadedAt: result.fileData.uploadedAt?.toDate?.()?.toISOString() || result.fileData.uploadedAt,
+      updatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Version upload error:', error);
+    if (stored) {
+      fileBlobService.releaseStoredUpload(stored).catch(deleteError => console.error('Error removing stored version:', deleteError));
+    } else {
+      discardUpload(file);
+    }
+    res.status(500).json({ error: 'Failed to upload new version', details: error.message });
+  }
+}
+
+// GET /api/files/:fileId/versions - List a file's versions, newest first
+router.get('/:fileId/versions', verifyToken, requirePermission(PERMISSIONS.VIEW_FILES), async (req, res) => {
+  try {
+    const { fileId } = req.params;
+
+    const fileDoc = await db.collection('files').doc(fileId).get();
+    if (!fileDoc.exists) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const fileData = fileDoc.data();
+    if (!(await canAccessFile(fileData, req.user.uid))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const versions = await fileVersionService.listFileVersions(fileId, fileData);
+
+    res.json({
+      fileId,
+      fileName: fileData.fileName,
+      currentVersion: fileData.currentVersion || 1,
+      canEdit: await canEditFile(fileData, req.user.uid),
+      versions
+    });
+  } catch (error) {
+    console.error('Error fetching file versions:', error);
+    res.status(500).json({ error: 'Failed to fetch file versions' });
+  }
+});
+
+// GET /api/files/:fileId/versions/:version/download - Download a specific version (?inline=true to preview)
+router.get('/:fileId/versions/:version/download', verifyToken, requirePermission(PERMISSIONS.VIEW_FILES), async (req, res) => {
+  try {
+    const { fileId } = req.params;
+    const versionNumber = Number(req.params.version);
+    if (!Number.isInteger(versionNumber) || versionNumber < 1) {
+      return res.status(400).json({ error: 'Version must be a positive whole number' });
+    }
+
+    const fileDoc = await db.collection('files').doc(fileId).get();
+    if (!fileDoc.exists) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const fileData = fileDoc.data();
+    if (!(await canAccessFile(fileData, req.user.uid))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const version = await fileVersionService.getFileVersion(fileId, fileData, versionNumber);
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    const fileStream = await storageService.openStoredFile(version);
+    if (!fileStream) {
+      return res.status(404).json({ error: 'File not found in storage' });
+    }
+
+    const inline = req.query.inline === 'true';
+    res.setHeader('Content-Disposition', `${inline ? 'inline' : 'attachment'}; filename="${version.fileName}"`);
+    res.setHeader('Content-Type', version.mimeType);
+    storageService.sendStoredFile(res, fileStream);
+  } catch (error) {
+    console.error('Error downloading file version:', error);
+    res.status(500).json({ error: 'Failed to download file version' });
+  }
+});
+
+// POST /api/files/:fileId/versions/:version/restore - Make an older version current again
+// Restoring adds a new version with the old content, so the history is never rewritten
+router.post('/:fileId/versions/:version/restore', verifyToken, requirePermission(PERMISSIONS.UPLOAD_FILES), async (req, res) => {
+  try {
+    const { fileId } = req.params;
+    const versionNumber = Number(req.params.version);
+    if (!Number.isInteger(versionNumber) || versionNumber < 1) {
+      return res.status(400).json({ error: 'Version must be a positive whole number' });
+    }
+
+    const fileRef = db.collection('files').doc(fileId);
+    const fileDoc = await fileRef.get();
+    if (!fileDoc.exists) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const fileData = fileDoc.data();
+    if (!(await canEditFile(fileData, req.user.uid))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (versionNumber === (fileData.currentVersion || 1)) {
+      return res.status(400).json({ error: 'This version is already the current version' });
+    }
+
+    const version = await fileVersionService.getFileVersion(fileId, fileData, versionNumber);
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    if (!(await storageService.statStoredFile(version))) {
+      return res.status(404).json({ error: 'File not found in storage' });
+    }
+
+    // The restored version points at the old version's file rather than copying it
+    const result = await fileVersionService.addFileVersion(fileRef, {
+      fileName: version.fileName,
+      mimeType: version.mimeType,
+      fileSize: version.fileSize,
+      storageDriver: version.storageDriver,
+      storagePath: version.storagePath,
+      blobId: version.blobId,
+      checksum: version.checksum,
+      uploadedBy: req.user.uid,
+      restoredFrom: versionNumber
+    }, { retainBlob: true });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    sendVersionUpdate(fileId, result.fileData, 'version_restored', req.user.uid, {
+      version: result.version,
+      restoredFrom: versionNumber
+    });
+
+    res.json({
+      message: `Version ${versionNumber} restored as version ${result.version}`,
+      fileId,
+      currentVersion: result.version,
+      restoredFrom: versionNumber,
+      changes: result.changes
+    });
+  } catch (error) {
+    console.error('Error restoring file version:', error);
+    res.status(500).json({ error: 'Failed to restore file version' });
+  }
+});
+
+// ========================= FILE FOLDER ENDPOINTS =========================
+
+// PUT /api/files/:fileId/folder - Move a workspace file into a folder
+// Body: { folderId } - null or "root" moves it out of any folder
+router.put('/:fileId/folder', verifyToken, requirePermission(PERMISSIONS.UPLOAD_FILES), async (req, res) => {
+  try {
+    const { fileId } = req.params;
+
+    const fileDoc = await db.collection('files').doc(fileId).get();
+    if (!fileDoc.exists) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const fileData = fileDoc.data();
+    if (!(await canEditFile(fileData, req.user.uid))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { folderId, error: folderError } = await folderService.resolveFolderForFile(req.body.folderId, fileData.workspaceId);
+    if (folderError) {
+      return res.status(400).json({ error: folderError });
+    }
+
+    await fileDoc.ref.update({
+      folderId,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    const folders = fileData.workspaceId ? await folderService.getWorkspaceFolders(fileData.workspaceId) : new Map();
+
+    if (fileData.workspaceId && (fileData.folderId || null) !== folderId) {
+      try {
+        socketService.sendFileUpdate(fileData.workspaceId, {
+          id: fileId,
+          name: fileData.fileName,
+          folderId,
+          previousFolderId: fileData.folderId || null
+        }, 'moved', req.user.uid);
+      } catch (socketError) {
+        console.error('Error sending file move update:', socketError);
+      }
+    }
+
+    res.json({
+      message: 'File moved successfully',
+      id: fileId,
+      folderId,
+      breadcrumbs: folderService.getBreadcrumbs(folderId, folders)
+    });
+  } catch (error) {
+    console.error('Error moving file:', error);
+    res.status(500).json({ error: 'Failed to move file' });
+  }
+});
+
+// ========================= RESUMABLE UPLOAD ENDPOINTS =========================
+
+const MIN_CHUNK_SIZE = 256 * 1024;
+
+// The caller's own upload session, or null after sending a 404
+async function getOwnUploadSession(req, res) {
+  const sessionDoc = await db.collection('uploadSessions').doc(req.params.sessionId).get();
+  if (!sessionDoc.exists || sessionDoc.data().userId !== req.user.uid) {
+    res.status(404).json({ error: 'Upload not found' });
+    return null;
+  }
+  return sessionDoc;
+}
+
+// POST /api/files/uploads - Start a resumable upload
+// Body: { fileName, fileSize, mimeType, chunkSize?, workspaceId?, folderId?, description?, isPublic?, taskId?, fileId? }
+// The optional fields mean the same as for POST /api/files/upload
+router.post('/uploads', verifyToken, requirePermission(PERMISSIONS.UPLOAD_FILES), async (req, res) => {
+  try {
+    const { fileSize, mimeType, workspaceId, description, isPublic, taskId, fileId } = req.body;
+    const fileName = typeof req.body.fileName === 'string' ? path.basename(req.body.fileName.trim()) : '';
+
+    if (!fileName || fileName.length > 255) {
+      return res.status(400).json({ error: 'fileName is required and cannot be longer than 255 characters' });
+    }
+    if (!Number.isInteger(fileSize) || fileSize < 1) {
+      return res.status(400).json({ error: 'fileSize must be a positive whole number of bytes' });
+    }
+    if (!ALLOWED_MIME_TYPES.includes(mimeType)) {
+      return res.status(400).json({ error: `File type ${mimeType} not allowed` });
+    }
+
+    const chunkSize = req.body.chunkSize === undefined ? uploadSessionService.DEFAULT_CHUNK_SIZE : req.body.chunkSize;
+    if (!Number.isInteger(chunkSize) || chunkSize < MIN_CHUNK_SIZE || chunkSize > uploadSessionService.MAX_CHUNK_SIZE) {
+      return res.status(400).json({
+        error: `chunkSize must be between ${MIN_CHUNK_SIZE} and ${uploadSessionService.MAX_CHUNK_SIZE} bytes`
+      });
+    }
+
+    const maxSize = await uploadSessionService.getMaxUploadSize(await getUserOrganizationId(req.user.uid));
+    if (fileSize > maxSize) {
+      return res.status(413).json({
+        error: `File is larger than your organization's ${Math.round(maxSize / (1024 * 1024))} MB upload limit`,
+        maxSize
+      });
+    }
+
+    // Check the target up front so a large upload isn't rejected only after it arrives
+    let folderId = null;
+    if (fileId) {
+      const fileDoc = await db.collection('files').doc(fileId).get();
+      if (!fileDoc.exists) {
+        return res.status(404).json({ error: 'File not found' });
+      }
+      if (!(await canEditFile(fileDoc.data(), req.user.uid))) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+    } else {
+      const resolved = await folderService.resolveFolderForFile(req.body.folderId, workspaceId || null);
+      if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+      }
+      folderId = resolved.folderId;
+    }
+
+    const sessionRef = await db.collection('uploadSessions').add({
+      userId: req.user.uid,
+      fileName,
+      mimeType,
+      totalSize: fileSize,
+      receivedBytes: 0,
+      chunkSize,
+      workspaceId: workspaceId || null,
+      folderId,
+      description: description || '',
+      isPublic: isPublic === true,
+      taskId: taskId || null,
+      fileId: fileId || null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    res.status(201).json({
+      ...uploadSessionService.formatUploadSession(await sessionRef.get()),
+      maxSize
+    });
+  } catch (error) {
+    console.error('Error starting upload:', error);
+    res.status(500).json({ error: 'Failed to start upload' });
+  }
+});
+
+// GET /api/files/uploads - Your unfinished uploads, most recently active first
+router.get('/uploads', verifyToken, async (req, res) => {
+  try {
+    const snapshot = await db.collection('uploadSessions')
+      .where('userId', '==', req.user.uid)
+      .get();
+
+    const uploads = snapshot.docs
+      .map(uploadSessionService.formatUploadSession)
+      .sort((a, b) => new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0));
+
+    res.json({ uploads });
+  } catch (error) {
+    console.error('Error fetching uploads:', error);
+    res.status(500).json({ error: 'Failed to fetch uploads' });
+  }
+});
+
+// GET /api/files/uploads/:sessionId - Upload progress; resume by sending the chunk at receivedBytes
+router.get('/uploads/:sessionId', verifyToken, async (req, res) => {
+  try {
+    const sessionDoc = await getOwnUploadSession(req, res);
+    if (!sessionDoc) return;
+
+    res.json(uploadSessionService.formatUploadSession(sessionDoc));
+  } catch (error) {
+    console.error('Error fetching upload:', error);
+    res.status(500).json({ error: 'Failed to fetch upload' });
+  }
+});
+
+// PUT /api/files/uploads/:sessionId?offset=<bytes> - Send the next chunk as the raw request body
+router.put('/uploads/:sessionId', verifyToken, express.raw({ type: () => true, limit: uploadSessionService.MAX_CHUNK_SIZE }), async (req, res) => {
+  try {
+    const offset = Number(req.query.offset);
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ error: 'offset must be a whole number of bytes' });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Chunk is empty' });
+    }
+
+    const sessionDoc = await getOwnUploadSession(req, res);
+    if (!sessionDoc) return;
+
+    const result = await uploadSessionService.writeChunk(sessionDoc, offset, req.body);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, receivedBytes: result.receivedBytes });
+    }
+
+    res.json({
+      id: sessionDoc.id,
+      receivedBytes: result.receivedBytes,
+      totalSize: sessionDoc.data().totalSize
+    });
+  } catch (error) {
+    console.error('Error receiving upload chunk:', error);
+    res.status(500).json({ error: 'Failed to receive chunk' });
+  }
+});
+
+// POST /api/files/uploads/:sessionId/complete - Assemble the chunks and save the file
+// Responds like POST /api/files/upload
+router.post('/uploads/:sessionId/complete', verifyToken, requirePermission(PERMISSIONS.UPLOAD_FILES), async (req, res) => {
+  try {
+    const sessionDoc = await getOwnUploadSession(req, res);
+    if (!sessionDoc) return;
+
+    const assembled = await uploadSessionService.assembleUpload(sessionDoc);
+    if (assembled.error) {
+      return res.status(assembled.status).json({ error: assembled.error });
+    }
+    await sessionDoc.ref.delete();
+
+    // Hand the assembled file to the regular upload handling, the way multer would
+    const session = sessionDoc.data();
+    req.file = {
+      originalname: session.fileName,
+      mimetype: session.mimeType,
+      size: session.totalSize,
+      path: assembled.path
+    };
+    req.body = {
+      workspaceId: session.workspaceId,
+      folderId: session.folderId,
+      description: session.description,
+      isPublic: session.isPublic,
+      taskId: session.taskId,
+      fileId: session.fileId
+    };
+    return handleUpload(req, res);
+  } catch (error) {
+    console.error('Error completing upload:', error);
+    res.status(500).json({ error: 'Failed to complete upload' });
+  }
+});
+
+// DELETE /api/files/uploads/:sessionId - Cancel an upload and discard what was received
+router.delete('/uploads/:sessionId', verifyToken, async (req, res) => {
+  try {
+    const sessionDoc = await getOwnUploadSession(req, res);
+    if (!sessionDoc) return;
+
+    await uploadSessionService.discardSession(sessionDoc);
+    res.json({ message: 'Upload cancelled' });
+  } catch (error) {
+    console.error('Error cancelling upload:', error);
+    res.status(500).json({ error: 'Failed to cancel upload' });
+  }
+});
+
 // ========================= TASK-FILE INTEGRATION ENDPOINTS =========================
 
 // GET /api/files/by-task/:taskId - Get all files linked to a specific task
@@ -571,7 +1516,7 @@ router.get('/by-task/:taskId', verifyToken, requirePermission(PERMISSIONS.VIEW_F
     }
     
     const taskData = taskDoc.data();
-    if (taskData.userId !== req.user.uid && taskData.assignedTo !== req.user.uid) {
+    if (taskData.userId !== req.user.uid && !isTaskAssignee(taskData, req.user.uid)) {
       return res.status(403).json({ error: 'Access denied' });
     }
     
@@ -654,7 +1599,7 @@ router.get('/:fileId/tasks', verifyToken, requirePermission(PERMISSIONS.VIEW_TAS
       if (doc.exists) {
         const data = doc.data();
         // Only include tasks user has access to
-        if (data.userId === req.user.uid || data.assignedTo === req.user.uid) {
+        if (data.userId === req.user.uid || isTaskAssignee(data, req.user.uid)) {
           tasks.push({
             id: doc.id,
             title: data.title,
@@ -663,6 +1608,7 @@ router.get('/:fileId/tasks', verifyToken, requirePermission(PERMISSIONS.VIEW_TAS
             completed: data.completed,
             dueDate: data.dueDate,
             assignedTo: data.assignedTo,
+            assignees: getTaskAssignees(data),
             workspaceId: data.workspaceId,
             attachmentCount: data.attachmentCount || 0,
             createdAt: data.createdAt?.toDate?.()?.toISOString() || data.createdAt
@@ -9,6 +9,8 @@ const { verifyToken } = require('../middleware/auth');
 const { requirePermission, requireOwnershipOrRole, PERMISSIONS, ROLES } = require('../middleware/rbac');
 const { notificationHelpers } = require('../services/notificationService');
 const socketService = require('../services/socketService');
+const storageService = require('../services/storageService');
+const { releaseStoredUpload } = require('../services/fileBlobService');
 
 const db = admin.firestore();
 
@@ -119,16 +121,18 @@ router.post('/upload', verifyToken, requirePermission(PERMISSIONS.UPLOAD_FILES),
       isPublic
     });
 
-    console.log('✅ File saved locally successfully at:', file.path);
-
-    // Generate download URL for local file
+    // Generate download URL for the file
     const fileId = path.basename(file.path, path.extname(file.path));
     const downloadUrl = `http://localhost:5000/api/files/download/${fileId}`;
 
+    const { storageDriver, storagePath } = await storageService.storeUploadedFile(file.path, { contentType: file.mimetype });
+    console.log(`✅ File stored (${storageDriver}):`, storagePath);
+
     // Save file metadata to Firestore
     const fileData = {
       fileName: file.originalname,
-      storagePath: file.path, // Local file path
+      storageDriver, // Storage backend holding the file
+      storagePath, // Key of the file in that backend
       fileSize: file.size,
       mimeType: file.mimetype,
       downloadUrl: downloadUrl,
@@ -218,16 +222,14 @@ router.get('/download/:fileId', async (req, res) => {
     const { fileId } = req.params;
     
     // Find the file in the database
-    const filesSnapshot = await db.collection('files')
-      .where('storagePath', '>=', `uploads`)
-      .get();
+    const filesSnapshot = await db.collection('files').get();
     
     let fileDoc = null;
     let fileData = null;
     
     filesSnapshot.forEach(doc => {
       const data = doc.data();
-      const fileName = path.basename(data.storagePath, path.extname(data.storagePath));
+      const fileName = data.storagePath && path.basename(data.storagePath, path.extname(data.storagePath));
       if (fileName === fileId) {
         fileDoc = doc;
         fileData = data;
@@ -238,9 +240,9 @@ router.get('/download/:fileId', async (req, res) => {
       return res.status(404).json({ error: 'File not found' });
     }
     
-    // Check if file exists on disk
-    if (!fs.existsSync(fileData.storagePath)) {
-      return res.status(404).json({ error: 'File not found on disk' });
+    const fileStream = await storageService.openStoredFile(fileData);
+    if (!fileStream) {
+      return res.status(404).json({ error: 'File not found in storage' });
     }
     
     // Update download count
@@ -254,8 +256,7 @@ router.get('/download/:fileId', async (req, res) => {
     res.setHeader('Content-Type', fileData.mimeType);
     
     // Stream the file
-    const fileStream = fs.createReadStream(fileData.storagePath);
-    fileStream.pipe(res);
+    storageService.sendStoredFile(res, fileStream);
     
   } catch (error) {
     console.error('Error downloading file:', error);
@@ -288,10 +289,9 @@ router.delete('/:id', verifyToken, async (req, res) => {
       }
     }
     
-    // Delete file from disk
-    if (fs.existsSync(fileData.storagePath)) {
-      fs.unlinkSync(fileData.storagePath);
-      console.log('🗑️ File deleted from disk:', fileData.storagePath);
+    // Delete file from storage (shared content stays while other files use it)
+    if (await releaseStoredUpload(fileData)) {
+      console.log('🗑️ File deleted from storage:', fileData.storagePath);
     }
     
     // Delete from database
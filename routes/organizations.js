@@ -13,6 +13,7 @@ const {
   canAssignRole,
   getRoleLevel
 } = require('../middleware/rbac');
+const { normalizeMaxUploadSize, getMaxUploadSize } = require('../services/uploadSessionService');
 
 const db = admin.firestore();
 
@@ -173,6 +174,49 @@ router.put('/members/:memberId/role', verifyToken, requireOrganizationPermission
   }
 });
 
+// GET /api/organizations/settings/uploads - Upload size limit for the organization's members
+router.get('/settings/uploads', verifyToken, requireOrganizationPermission(PERMISSIONS.VIEW_ORG_MEMBERS), async (req, res) => {
+  try {
+    const orgDoc = await db.collection('organizations').doc(req.organizationId).get();
+    if (!orgDoc.exists) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    res.json({
+      maxUploadSizeMB: orgDoc.data().settings?.maxUploadSizeMB || null,
+      maxUploadSize: await getMaxUploadSize(req.organizationId)
+    });
+  } catch (error) {
+    console.error('Error fetching upload settings:', error);
+    res.status(500).json({ error: 'Failed to fetch upload settings' });
+  }
+});
+
+// PUT /api/organizations/settings/uploads - Set the upload size limit
+// Body: { maxUploadSizeMB } (null goes back to the server default)
+router.put('/settings/uploads', verifyToken, requireOrganizationPermission(PERMISSIONS.MANAGE_ORGANIZATION), async (req, res) => {
+  try {
+    const { maxUploadSizeMB, error } = normalizeMaxUploadSize(req.body.maxUploadSizeMB);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await db.collection('organizations').doc(req.organizationId).update({
+      'settings.maxUploadSizeMB': maxUploadSizeMB,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    res.json({
+      message: 'Upload settings updated successfully',
+      maxUploadSizeMB,
+      maxUploadSize: await getMaxUploadSize(req.organizationId)
+    });
+  } catch (error) {
+    console.error('Error updating upload settings:', error);
+    res.status(500).json({ error: 'Failed to update upload settings' });
+  }
+});
+
 // POST /api/organizations/invite - Invite new member to organization
 router.post('/invite', verifyToken, requireOrganizationPermission(PERMISSIONS.MANAGE_ORG_MEMBERS), async (req, res) => {
   try {
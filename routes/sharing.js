@@ -1,9 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const admin = require('firebase-admin');
-const fs = require('fs');
 const crypto = require('crypto');
 const { verifyToken } = require('../middleware/auth');
+const storageService = require('../services/storageService');
 
 const db = admin.firestore();
 
@@ -111,14 +111,20 @@ router.get('/access/:shareToken', async (req, res) => {
     
     // Return file info or direct download
     if (shareData.allowDownload) {
+      // Backends that can sign URLs (S3) serve the download directly
+      const signedUrl = await storageService.getStoredFileUrl(fileData, { fileName: fileData.fileName });
+      if (signedUrl) {
+        return res.redirect(signedUrl);
+      }
+
       // Stream the file
-      if (fs.existsSync(fileData.storagePath)) {
+      const fileStream = await storageService.openStoredFile(fileData);
+      if (fileStream) {
         res.setHeader('Content-Disposition', `attachment; filename="${fileData.fileName}"`);
         res.setHeader('Content-Type', fileData.mimeType);
-        const fileStream = fs.createReadStream(fileData.storagePath);
-        fileStream.pipe(res);
+        storageService.sendStoredFile(res, fileStream);
       } else {
-        res.status(404).json({ error: 'File not found on disk' });
+        res.status(404).json({ error: 'File not found in storage' });
       }
     } else {
       // Return file info for preview
@@ -6,304 +6,2945 @@ const {
   ROLES, 
   PERMISSIONS, 
   requirePermission, 
-  requireOwnershipOrRole 
+  requireOwnershipOrRole,
+  getUserWorkspaceRole,
+  hasPermission
 } = require('../middleware/rbac');
 const { notificationHelpers } = require('../services/notificationService');
 const socketService = require('../services/socketService');
+const workflowService = require('../services/workflowService');
+const recurrenceService = require('../services/recurrenceService');
+const { resolveMentions } = require('../services/mentionService');
+const {
+  MAX_TASK_PEOPLE,
+  getTaskAssignees,
+  isTaskAssignee,
+  buildAssignment,
+  parseTaskPeople,
+  formatTask,
+  annotateBlockedStatus,
+  annotateWorkflowStatus,
+  recalculateTaskProgress,
+  collectDescendantIds,
+  createBatchWriter
+} = require('../services/taskService');
+const timeTrackingService = require('../services/timeTrackingService');
+const customFieldService = require('../services/customFieldService');
+const templateService = require('../services/templateService');
+const checklistService = require('../services/checklistService');
+const taskHistoryService = require('../services/taskHistoryService');
+const trashService = require('../services/trashService');
+const assignmentService = require('../services/assignmentService');
+const sprintService = require('../services/sprintService');
+const calendarService = require('../services/calendarService');
+
+const { HISTORY_ACTIONS } = taskHistoryService;
 
 const db = admin.firestore();
 
-router.get('/', verifyToken, requirePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
+// Subtasks can be nested, but not indefinitely
+const MAX_SUBTASK_DEPTH = 5;
+
+// Direct children that are still open block completing their parent
+async function getOpenSubtasks(taskId) {
+  const childrenSnapshot = await db.collection('tasks')
+    .where('parentTaskId', '==', taskId)
+    .get();
+
+  return childrenSnapshot.docs
+    .filter(doc => !doc.data().completed)
+    .map(doc => ({ id: doc.id, title: doc.data().title }));
+}
+
+async function buildSubtaskTree(taskId) {
+  const childrenSnapshot = await db.collection('tasks')
+    .where('parentTaskId', '==', taskId)
+    .get();
+
+  const children = await Promise.all(childrenSnapshot.docs.map(async (doc) => ({
+    ...formatTask(doc),
+    subtasks: await buildSubtaskTree(doc.id)
+  })));
+
+  // Oldest first so steps read in the order they were added
+  return children.sort((a, b) => {
+    if (!a.createdAt) return 1;
+    if (!b.createdAt) return -1;
+    return a.createdAt - b.createdAt;
+  });
+}
+
+// Follow blockedBy links from startId and return the chain of IDs that reaches targetId, or null
+async function findDependencyPath(startId, targetId) {
+  const visited = new Set();
+  const stack = [[startId]];
+
+  while (stack.length > 0) {
+    const chain = stack.pop();
+    const currentId = chain[chain.length - 1];
+
+    if (currentId === targetId) return chain;
+    if (visited.has(currentId)) continue;
+    visited.add(currentId);
+
+    const doc = await db.collection('tasks').doc(currentId).get();
+    if (!doc.exists) continue;
+
+    (doc.data().blockedBy || []).forEach(nextId => {
+      if (!visited.has(nextId)) stack.push([...chain, nextId]);
+    });
+  }
+
+  return null;
+}
+
+// Send a task update for every dependent whose last open blocker was just completed
+async function notifyUnblockedTasks(taskId, userId) {
+  const dependentsSnapshot = await db.collection('tasks')
+    .where('blockedBy', 'array-contains', taskId)
+    .get();
+
+  const unblockedTaskIds = [];
+
+  for (const doc of dependentsSnapshot.docs) {
+    const dependent = doc.data();
+    if (dependent.completed) continue;
+
+    const otherBlockerIds = (dependent.blockedBy || []).filter(blockerId => blockerId !== taskId);
+    const otherBlockers = otherBlockerIds.length > 0
+      ? await db.getAll(...otherBlockerIds.map(blockerId => db.collection('tasks').doc(blockerId)))
+      : [];
+
+    const stillBlocked = otherBlockers.some(blockerDoc => blockerDoc.exists && !blockerDoc.data().completed);
+    if (!stillBlocked) {
+      socketService.sendTaskUpdate({
+        id: doc.id,
+        title: dependent.title,
+        assignedTo: dependent.assignedTo,
+        workspaceId: dependent.workspaceId
+      }, 'unblocked', userId);
+      unblockedTaskIds.push(doc.id);
+    }
+  }
+
+  return unblockedTaskIds;
+}
+
+// History entries describe changes that were already saved, so a failed write is logged
+// instead of failing the request
+async function logTaskHistory(entry, batch = null) {
+  try {
+    await taskHistoryService.recordTaskHistory(entry, batch);
+  } catch (historyError) {
+    console.error('Error recording task history:', historyError);
+  }
+}
+
+// Record an edit, with a change of assignees kept as its own "assign" entry
+async function logTaskEdit(taskId, taskData, updates, userId, batch = null) {
+  const changes = taskHistoryService.diffTaskFields({ ...taskData, assignees: getTaskAssignees(taskData) }, updates);
+  const base = { taskId, workspaceId: taskData.workspaceId, changedBy: userId };
+
+  await logTaskHistory({
+    ...base,
+    action: HISTORY_ACTIONS.ASSIGN,
+    changes: changes.filter(change => change.field === 'assignees')
+  }, batch);
+  await logTaskHistory({
+    ...base,
+    action: HISTORY_ACTIONS.UPDATE,
+    changes: changes.filter(change => change.field !== 'assignees')
+  }, batch);
+}
+
+const logTaskCreated = (taskId, taskData, userId) => logTaskHistory({
+  taskId,
+  workspaceId: taskData.workspaceId,
+  action: HISTORY_ACTIONS.CREATE,
+  // New tasks always start open, so only their initial status is worth listing
+  changes: taskHistoryService.diffTaskFields({}, taskData).filter(change => change.field !== 'completed'),
+  changedBy: userId
+});
+
+// Assignees and watchers other than the owner must be members of the task's workspace,
+// so personal tasks can only involve their owner
+async function findNonMembers(userIds, taskData, memberCache = new Map()) {
+  const nonMembers = [];
+  for (const userId of new Set(userIds)) {
+    if (userId === taskData.userId) continue;
+    if (!taskData.workspaceId) {
+      nonMembers.push(userId);
+      continue;
+    }
+    const cacheKey = `${taskData.workspaceId}:${userId}`;
+    if (!memberCache.has(cacheKey)) {
+      memberCache.set(cacheKey, Boolean(await getUserWorkspaceRole(userId, taskData.workspaceId)));
+    }
+    if (!memberCache.get(cacheKey)) nonMembers.push(userId);
+  }
+  return nonMembers;
+}
+
+// Notify users newly assigned to a task (and its watchers); notifications never fail the request
+async function notifyNewAssignees(taskId, taskData, previousAssignees, userId) {
+  const addedIds = getTaskAssignees(taskData).filter(assigneeId => !previousAssignees.includes(assigneeId));
+  if (addedIds.every(assigneeId => assigneeId === userId)) return;
+
+  try {
+    await notificationHelpers.taskAssigneesAdded({
+      id: taskId,
+      title: taskData.title,
+      workspaceId: taskData.workspaceId,
+      dueDate: taskData.dueDate,
+      // Watchers of a brand-new task have nothing to hear about yet
+      watchers: previousAssignees.length > 0 ? taskData.watchers || [] : []
+    }, userId, addedIds);
+
+    socketService.sendTaskUpdate({
+      id: taskId,
+      title: taskData.title,
+      assignedTo: taskData.assignedTo,
+      assignees: addedIds,
+      workspaceId: taskData.workspaceId
+    }, 'assigned', userId);
+  } catch (notificationError) {
+    console.error('Error sending task assignment notification:', notificationError);
+  }
+}
+
+async function notifyTaskCompleted(taskId, taskData, userId) {
+  try {
+    const completer = await admin.auth().getUser(userId);
+    await notificationHelpers.taskCompleted({ id: taskId, ...taskData }, userId, completer.displayName || completer.email);
+  } catch (notificationError) {
+    console.error('Error sending task completion notification:', notificationError);
+  }
+}
+
+// Move a task to a new workflow status, keeping `completed` in sync and recording the transition.
+// Callers are responsible for transition rules and the open-subtask guard.
+// Field updates for moving a task to a status, without writing them
+function buildStatusChange(taskData, workflow, toStatus, userId) {
+  const fromStatus = workflowService.resolveTaskStatus(taskData, workflow);
+  const completed = workflowService.isDoneStatus(workflow, toStatus);
+  const completionChanged = completed !== Boolean(taskData.completed);
+
+  const updateData = {
+    status: toStatus,
+    completed,
+    statusChangedAt: admin.firestore.FieldValue.serverTimestamp(),
+    statusChangedBy: userId,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+  if (completionChanged) {
+    updateData.completedAt = completed ? admin.firestore.FieldValue.serverTimestamp() : null;
+  }
+
+  return { fromStatus, toStatus, completed, completionChanged, updateData };
+}
+
+async function applyStatusChange(taskRef, taskData, workflow, toStatus, userId) {
+  const change = buildStatusChange(taskData, workflow, toStatus, userId);
+  await taskRef.update(change.updateData);
+  const { unblockedTaskIds, nextTaskId } = await finishStatusChange(taskRef, taskData, change, userId);
+
+  const { fromStatus, completed, completionChanged } = change;
+  if (completionChanged && completed) {
+    await notifyTaskCompleted(taskRef.id, taskData, userId);
+  }
+  return { fromStatus, toStatus, completed, completionChanged, unblockedTaskIds, nextTaskId };
+}
+
+// Runs once a status change is written: transition log, parent progress, unblocked
+// dependents and the next instance of a recurring series
+async function finishStatusChange(taskRef, taskData, { fromStatus, toStatus, completed, completionChanged }, userId) {
+  if (fromStatus !== toStatus) {
+    await workflowService.recordTransition({
+      taskId: taskRef.id,
+      workspaceId: taskData.workspaceId,
+      from: fromStatus,
+      to: toStatus,
+      changedBy: userId
+    });
+  }
+
+  let historyAction = HISTORY_ACTIONS.UPDATE;
+  if (completionChanged) {
+    historyAction = completed ? HISTORY_ACTIONS.COMPLETE : HISTORY_ACTIONS.REOPEN;
+  }
+  await logTaskHistory({
+    taskId: taskRef.id,
+    workspaceId: taskData.workspaceId,
+    action: historyAction,
+    changes: taskHistoryService.diffTaskFields(
+      { status: fromStatus, completed: Boolean(taskData.completed) },
+      { status: toStatus, completed }
+    ),
+    changedBy: userId
+  });
+
+  if (completionChanged && taskData.parentTaskId) {
+    await recalculateTaskProgress(taskData.parentTaskId);
+  }
+
+  let unblockedTaskIds = [];
+  if (completionChanged && completed) {
+    try {
+      unblockedTaskIds = await notifyUnblockedTasks(taskRef.id, userId);
+    } catch (dependencyError) {
+      console.error('Error notifying unblocked tasks:', dependencyError);
+    }
+  }
+
+  // Completing the latest instance of a recurring series creates the next one right away
+  let nextTaskId = null;
+  if (completionChanged && completed && taskData.seriesId) {
+    try {
+      const nextTask = await recurrenceService.generateNextInstance(taskData.seriesId, {
+        afterTaskId: taskRef.id,
+        triggeredBy: userId
+      });
+      nextTaskId = nextTask ? nextTask.id : null;
+    } catch (recurrenceError) {
+      console.error('Error creating next recurring task:', recurrenceError);
+    }
+  }
+
+  return { unblockedTaskIds, nextTaskId };
+}
+
+// Status a task should move to when a legacy client sets `completed` directly
+function statusForCompletion(taskData, workflow, completed) {
+  const currentStatus = workflowService.resolveTaskStatus(taskData, workflow);
+  if (workflowService.isDoneStatus(workflow, currentStatus) === completed) {
+    return currentStatus;
+  }
+  return completed ? workflowService.getDoneStatus(workflow) : workflowService.getInitialStatus(workflow);
+}
+
+// ========================= TASK LISTING =========================
+
+const TASK_SORT_FIELDS = ['createdAt', 'updatedAt', 'dueDate', 'title'];
+const DEFAULT_TASK_PAGE_SIZE = 50;
+const MAX_TASK_PAGE_SIZE = 100;
+// Filters Firestore can't apply are checked in memory; this caps the documents read per request
+const MAX_TASK_SCAN = 500;
+// Firestore runs each combination of `in` values as its own query and allows at most 30
+const MAX_TASK_FILTER_COMBINATIONS = 30;
+
+const parseListParam = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+
+// Date-only bounds cover the whole day, so dueTo=2024-05-01 includes tasks due that afternoon
+const parseDueBound = (value, endOfDay) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return undefined;
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  return dateOnly && endOfDay ? date.getTime() + 24 * 60 * 60 * 1000 - 1 : date.getTime();
+};
+
+// Cursors are opaque to clients: the sort value and id of the last task scanned
+const encodeTaskCursor = (sortKey, position) => {
+  const value = position.value instanceof admin.firestore.Timestamp
+    ? { ts: position.value.toMillis() }
+    : position.value;
+  return Buffer.from(JSON.stringify({ s: sortKey, v: value, id: position.id })).toString('base64url');
+};
+
+const decodeTaskCursor = (cursor, sortKey) => {
+  try {
+    const parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (parsed.s !== sortKey || typeof parsed.id !== 'string') return null;
+    const value = parsed.v && typeof parsed.v === 'object'
+      ? admin.firestore.Timestamp.fromMillis(parsed.v.ts)
+      : parsed.v;
+    return { value, id: parsed.id };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Same ordering Firestore uses for the listing queries: sort value (nulls first), then document id
+const compareTaskPositions = (a, b, direction) => {
+  const normalize = (value) => (value && typeof value.toMillis === 'function' ? value.toMillis() : value);
+  const aValue = normalize(a.value);
+  const bValue = normalize(b.value);
+  let result = 0;
+  if (aValue !== bValue) {
+    if (aValue === null || aValue === undefined) result = -1;
+    else if (bValue === null || bValue === undefined) result = 1;
+    else result = aValue < bValue ? -1 : 1;
+  }
+  if (!result && a.id !== b.id) {
+    result = a.id < b.id ? -1 : 1;
+  }
+  return direction === 'desc' ? -result : result;
+};
+
+// Workspace, status, priority and completion are filtered by Firestore; every filter is still
+// checked in memory by matchesTaskFilters
+function applyTaskQueryFilters(query, filters) {
+  const whereAny = (q, field, values) => (values.length === 1 ? q.where(field, '==', values[0]) : q.where(field, 'in', values));
+  if (filters.workspaceId) query = query.where('workspaceId', '==', filters.workspaceId);
+  if (filters.completed !== undefined) query = query.where('completed', '==', filters.completed);
+  if (filters.statuses.length) query = whereAny(query, 'status', filters.statuses);
+  if (filters.priorities.length) query = whereAny(query, 'priority', filters.priorities);
+  return query;
+}
+
+function matchesTaskFilters(task, filters) {
+  if (filters.workspaceId && task.workspaceId !== filters.workspaceId) return false;
+  if (filters.statuses.length && !filters.statuses.includes(task.status)) return false;
+  if (filters.priorities.length && !filters.priorities.includes(task.priority)) return false;
+  if (filters.categories.length && !filters.categories.includes(task.category)) return false;
+  if (filters.assignee && !task.assignees.includes(filters.assignee)) return false;
+  if (filters.sprintId !== null && (task.sprintId || 'none') !== filters.sprintId) return false;
+  if (filters.completed !== undefined && Boolean(task.completed) !== filters.completed) return false;
+
+  if (filters.dueFrom !== null || filters.dueTo !== null) {
+    const due = task.dueDate ? new Date(task.dueDate).getTime() : NaN;
+    if (Number.isNaN(due)) return false;
+    if (filters.dueFrom !== null && due < filters.dueFrom) return false;
+    if (filters.dueTo !== null && due > filters.dueTo) return false;
+  }
+
+  if (filters.text) {
+    const haystack = `${task.title || ''} ${task.description || ''}`.toLowerCase();
+    if (!haystack.includes(filters.text)) return false;
+  }
+
+  if (filters.customFields.some(filter => !filter.matches(task.customFields[filter.key]))) return false;
+  return true;
+}
+
+// A user's tasks are the ones they created plus the ones assigned to them. Each set is
+// read as a cursor-paged stream in the requested order and merged, so a page never needs
+// more than a few batches regardless of how many tasks the user has. Tasks created before
+// multiple assignees are only found through `assignedTo`.
+async function listUserTasks(userId, { sortField, direction, limit, after, filters }) {
+  const batchSize = Math.max(limit, 20);
+  let position = after;
+  const positionOf = (doc) => ({ value: doc.get(sortField), id: doc.id });
+  const fetchStream = async (field, operator = '==') => {
+    let query = applyTaskQueryFilters(db.collection('tasks').where(field, operator, userId), filters)
+      .orderBy(sortField, direction)
+      .orderBy(admin.firestore.FieldPath.documentId(), direction);
+    if (position) {
+      query = query.startAfter(position.value, position.id);
+    }
+    const snapshot = await query.limit(batchSize).get();
+    return { docs: snapshot.docs, hasMore: snapshot.size === batchSize };
+  };
+
+  const tasks = [];
+  let scanned = 0;
+  let hasMore = true;
+
+  while (hasMore && tasks.length < limit && scanned < MAX_TASK_SCAN) {
+    const streams = await Promise.all([
+      fetchStream('userId'),
+      fetchStream('assignees', 'array-contains'),
+      fetchStream('assignedTo')
+    ]);
+
+    // A stream with more results may still hold documents that sort before anything past
+    // its last one, so only documents up to the earliest such boundary are safe to use
+    let boundary = null;
+    streams.forEach(stream => {
+      if (!stream.hasMore) return;
+      const last = positionOf(stream.docs[stream.docs.length - 1]);
+      if (!boundary || compareTaskPositions(last, boundary, direction) < 0) {
+        boundary = last;
+      }
+    });
+
+    // Self-assigned tasks come back from several streams
+    const docMap = new Map();
+    streams.forEach(stream => stream.docs.forEach(doc => docMap.set(doc.id, doc)));
+    const docs = Array.from(docMap.values())
+      .filter(doc => !boundary || compareTaskPositions(positionOf(doc), boundary, direction) <= 0)
+      .sort((a, b) => compareTaskPositions(positionOf(a), positionOf(b), direction));
+
+    const candidates = docs.map(formatTask);
+    await annotateWorkflowStatus(candidates);
+
+    hasMore = Boolean(boundary);
+    for (let i = 0; i < candidates.length; i++) {
+      position = positionOf(docs[i]);
+      scanned++;
+      if (matchesTaskFilters(candidates[i], filters)) {
+        tasks.push(candidates[i]);
+      }
+      if (tasks.length === limit) {
+        hasMore = hasMore || i < candidates.length - 1;
+        break;
+      }
+    }
+  }
+
+  return { tasks, nextPosition: hasMore ? position : null };
+}
+
+// Firestore can't order by a custom field without an index per field, so sorting by one reads
+// all of the user's matching tasks in the workspace, in batches, and orders them in memory
+async function listUserTasksByCustomField(userId, { field, direction, limit, after, filters }) {
+  const docMap = new Map();
+  await Promise.all([['userId', '=='], ['assignees', 'array-contains'], ['assignedTo', '==']].map(async ([ownerField, operator]) => {
+    const query = applyTaskQueryFilters(db.collection('tasks').where(ownerField, operator, userId), filters)
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(MAX_TASK_SCAN);
+    let snapshot = await query.get();
+    snapshot.docs.forEach(doc => docMap.set(doc.id, doc));
+    while (snapshot.size === MAX_TASK_SCAN) {
+      snapshot = await query.startAfter(snapshot.docs[snapshot.size - 1].id).get();
+      snapshot.docs.forEach(doc => docMap.set(doc.id, doc));
+    }
+  }));
+
+  const candidates = Array.from(docMap.values()).map(formatTask);
+  await annotateWorkflowStatus(candidates);
+
+  const positionOf = (task) => ({ value: customFieldService.getSortValue(field, task.customFields[field.key]), id: task.id });
+  const matching = candidates
+    .filter(task => matchesTaskFilters(task, filters))
+    .filter(task => !after || compareTaskPositions(positionOf(task), after, direction) > 0)
+    .sort((a, b) => compareTaskPositions(positionOf(a), positionOf(b), direction));
+
+  const tasks = matching.slice(0, limit);
+  const hasMore = matching.length > limit;
+  return { tasks, nextPosition: hasMore ? positionOf(tasks[tasks.length - 1]) : null };
+}
+
+// GET /api/tasks - List tasks created by or assigned to the user, filtered, sorted and paginated
+router.get('/', verifyToken, requirePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
+  try {
+    const {
+      workspaceId,
+      status,
+      priority,
+      category,
+      assignee,
+      sprintId,
+      completed,
+      dueFrom,
+      dueTo,
+      q,
+      sort = 'createdAt',
+      cursor
+    } = req.query;
+
+    // Custom fields are filtered with cf.<key>=value and sorted with sort=cf.<key>
+    const customFilterKeys = Object.keys(req.query).filter(key => key.startsWith('cf.'));
+    const customSort = sort.startsWith('cf.');
+    if (!customSort && !TASK_SORT_FIELDS.includes(sort)) {
+      return res.status(400).json({ error: `sort must be one of: ${TASK_SORT_FIELDS.join(', ')}, or cf.<field key>` });
+    }
+
+    let customFields = [];
+    if (customSort || customFilterKeys.length > 0) {
+      if (!workspaceId) {
+        return res.status(400).json({ error: 'workspaceId is required to filter or sort by custom fields' });
+      }
+      customFields = await customFieldService.getCustomFields(workspaceId);
+    }
+    const findCustomField = (param) => customFields.find(field => field.key === param.slice(3));
+
+    const customFilters = [];
+    for (const param of customFilterKeys) {
+      const field = findCustomField(param);
+      if (!field) {
+        return res.status(400).json({ error: `Unknown custom field "${param.slice(3)}"` });
+      }
+      const { matches, error } = customFieldService.parseCustomFieldFilter(field, req.query[param]);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      customFilters.push({ key: field.key, matches });
+    }
+
+    const sortCustomField = customSort ? findCustomField(sort) : null;
+    if (customSort && !sortCustomField) {
+      return res.status(400).json({ error: `Unknown custom field "${sort.slice(3)}"` });
+    }
+
+    // Newest first for timestamps, earliest/alphabetical first otherwise
+    const direction = req.query.order || (sort === 'createdAt' || sort === 'updatedAt' ? 'desc' : 'asc');
+    if (!['asc', 'desc'].includes(direction)) {
+      return res.status(400).json({ error: 'order must be asc or desc' });
+    }
+
+    const limit = req.query.limit === undefined ? DEFAULT_TASK_PAGE_SIZE : parseInt(req.query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return res.status(400).json({ error: 'limit must be a positive integer' });
+    }
+
+    if (completed !== undefined && !['true', 'false'].includes(completed)) {
+      return res.status(400).json({ error: 'completed must be true or false' });
+    }
+
+    const statuses = parseListParam(status);
+    const priorities = parseListParam(priority);
+    if (Math.max(statuses.length, 1) * Math.max(priorities.length, 1) > MAX_TASK_FILTER_COMBINATIONS) {
+      return res.status(400).json({ error: `Too many status and priority values: at most ${MAX_TASK_FILTER_COMBINATIONS} combinations` });
+    }
+
+    const dueFromMs = parseDueBound(dueFrom, false);
+    const dueToMs = parseDueBound(dueTo, true);
+    if (dueFromMs === undefined || dueToMs === undefined) {
+      return res.status(400).json({ error: 'dueFrom and dueTo must be valid dates' });
+    }
+
+    const sortKey = `${sort}:${direction}`;
+    let after = null;
+    if (cursor) {
+      after = decodeTaskCursor(cursor, sortKey);
+      if (!after) {
+        return res.status(400).json({ error: 'Invalid cursor for this sort order' });
+      }
+    }
+
+    const listTasks = sortCustomField ? listUserTasksByCustomField : listUserTasks;
+    const { tasks, nextPosition } = await listTasks(req.user.uid, {
+      sortField: sort,
+      field: sortCustomField,
+      direction,
+      limit: Math.min(limit, MAX_TASK_PAGE_SIZE),
+      after,
+      filters: {
+        workspaceId: workspaceId || null,
+        statuses,
+        priorities,
+        categories: parseListParam(category),
+        assignee: assignee || null,
+        sprintId: sprintId || null,
+        completed: completed === undefined ? undefined : completed === 'true',
+        dueFrom: dueFromMs,
+        dueTo: dueToMs,
+        text: q ? String(q).trim().toLowerCase() : '',
+        customFields: customFilters
+      }
+    });
+
+    await annotateBlockedStatus(tasks);
+
+    res.json({
+      tasks,
+      nextCursor: nextPosition ? encodeTaskCursor(sortKey, nextPosition) : null
+    });
+  } catch (error) {
+    console.error('Error fetching tasks:', error);
+    res.status(500).json({ error: 'Failed to fetch tasks' });
+  }
+});
+
+// ========================= CALENDAR FEED =========================
+
+const calendarFeedUrl = (req, token) => {
+  const baseUrl = process.env.API_BASE_URL || process.env.RENDER_EXTERNAL_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl}/api/tasks/calendar.ics?token=${token}`;
+};
+
+const getActiveCalendarFeeds = (userId) => db.collection('calendarFeeds')
+  .where('userId', '==', userId)
+  .where('isActive', '==', true)
+  .get();
+
+const formatCalendarFeed = (req, data) => ({
+  active: true,
+  url: calendarFeedUrl(req, data.token),
+  createdAt: data.createdAt?.toDate?.() || null,
+  lastAccessedAt: data.lastAccessedAt?.toDate?.() || null
+});
+
+// GET /api/tasks/calendar.ics?token=... - iCalendar feed of the token owner's open assigned tasks
+// Calendar apps can't send auth headers, so the token in the URL is the credential
+router.get('/calendar.ics', async (req, res) => {
+  try {
+    const { token } = req.query;
+    if (!token || typeof token !== 'string') {
+      return res.status(401).json({ error: 'Calendar feed token is required' });
+    }
+
+    const feedSnapshot = await db.collection('calendarFeeds')
+      .where('token', '==', token)
+      .where('isActive', '==', true)
+      .get();
+    if (feedSnapshot.empty) {
+      return res.status(404).json({ error: 'Calendar feed not found or revoked' });
+    }
+
+    const feedDoc = feedSnapshot.docs[0];
+    const { userId } = feedDoc.data();
+    const userDoc = await db.collection('users').doc(userId).get();
+    if (!userDoc.exists || userDoc.data().isActive === false) {
+      return res.status(404).json({ error: 'Calendar feed not found or revoked' });
+    }
+
+    // Tasks created before multiple assignees are only found through `assignedTo`
+    const snapshots = await Promise.all([
+      db.collection('tasks').where('assignees', 'array-contains', userId).where('completed', '==', false).get(),
+      db.collection('tasks').where('assignedTo', '==', userId).where('completed', '==', false).get()
+    ]);
+    const taskMap = new Map();
+    snapshots.forEach(snapshot => snapshot.docs.forEach(doc => taskMap.set(doc.id, { id: doc.id, ...doc.data() })));
+    const tasks = [...taskMap.values()].filter(task => isTaskAssignee(task, userId));
+
+    try {
+      await feedDoc.ref.update({
+        lastAccessedAt: admin.firestore.FieldValue.serverTimestamp(),
+        accessCount: admin.firestore.FieldValue.increment(1)
+      });
+    } catch (accessError) {
+      console.error('Error recording calendar feed access:', accessError);
+    }
+
+    const name = `CloudCollab - ${userDoc.data().displayName || userDoc.data().email || 'My tasks'}`;
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="cloudcollab-tasks.ics"');
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.send(calendarService.buildTaskCalendar(tasks, { name }));
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    res.status(500).json({ error: 'Failed to build calendar feed' });
+  }
+});
+
+// GET /api/tasks/calendar-feed - The user's calendar feed subscription URL, if one is active
+router.get('/calendar-feed', verifyToken, requirePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
+  try {
+    const snapshot = await getActiveCalendarFeeds(req.user.uid);
+    if (snapshot.empty) {
+      return res.json({ active: false, url: null });
+    }
+    res.json(formatCalendarFeed(req, snapshot.docs[0].data()));
+  } catch (error) {
+    console.error('Error fetching calendar feed:', error);
+    res.status(500).json({ error: 'Failed to fetch calendar feed' });
+  }
+});
+
+// POST /api/tasks/calendar-feed - Create a calendar feed URL, revoking any previous one
+router.post('/calendar-feed', verifyToken, requirePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
+  try {
+    const existing = await getActiveCalendarFeeds(req.user.uid);
+    const batch = db.batch();
+    existing.forEach(doc => batch.update(doc.ref, {
+      isActive: false,
+      revokedAt: admin.firestore.FieldValue.serverTimestamp()
+    }));
+
+    const feedData = {
+      userId: req.user.uid,
+      token: calendarService.generateFeedToken(),
+      isActive: true,
+      accessCount: 0,
+      lastAccessedAt: null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    const feedRef = db.collection('calendarFeeds').doc();
+    batch.set(feedRef, feedData);
+    await batch.commit();
+
+    const createdDoc = await feedRef.get();
+    res.status(201).json({
+      message: existing.empty ? 'Calendar feed created' : 'Calendar feed replaced; the previous URL no longer works',
+      ...formatCalendarFeed(req, createdDoc.data())
+    });
+  } catch (error) {
+    console.error('Error creating calendar feed:', error);
+    res.status(500).json({ error: 'Failed to create calendar feed' });
+  }
+});
+
+// DELETE /api/tasks/calendar-feed - Revoke the user's calendar feed URL
+router.delete('/calendar-feed', verifyToken, requirePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
+  try {
+    const existing = await getActiveCalendarFeeds(req.user.uid);
+    if (existing.empty) {
+      return res.status(404).json({ error: 'No active calendar feed' });
+    }
+
+    const batch = db.batch();
+    existing.forEach(doc => batch.update(doc.ref, {
+      isActive: false,
+      revokedAt: admin.firestore.FieldValue.serverTimestamp()
+    }));
+    await batch.commit();
+
+    res.json({ message: 'Calendar feed revoked' });
+  } catch (error) {
+    console.error('Error revoking calendar feed:', error);
+    res.status(500).json({ error: 'Failed to revoke calendar feed' });
+  }
+});
+
+// ========================= TASK CRUD =========================
+
+router.post('/', verifyToken, requirePermission(PERMISSIONS.CREATE_TASKS), async (req, res) => {
+  try {
+    const { title, description, priority = 'medium', dueDate, category = 'general', workspaceId, recurrence } = req.body;
+    
+    if (!title || !description) {
+      return res.status(400).json({ error: 'Title and description are required' });
+    }
+    
+    // Body: `assignees` and `watchers` (user ID lists), or a single `assignedTo` from older clients
+    const { error: peopleError, assignees = [], watchers = [] } = parseTaskPeople(req.body);
+    if (peopleError) {
+      return res.status(400).json({ error: peopleError });
+    }
+    const nonMembers = await findNonMembers([...assignees, ...watchers], { userId: req.user.uid, workspaceId });
+    if (nonMembers.length > 0) {
+      return res.status(400).json({ error: 'Assignees and watchers must be members of the task\'s workspace', userIds: nonMembers });
+    }
+    
+    const { values: customFields, errors: customFieldErrors } = await customFieldService.validateCustomFieldValues(
+      workspaceId || null,
+      req.body.customFields
+    );
+    if (!customFields) {
+      return res.status(400).json({ error: 'Invalid custom fields', details: customFieldErrors });
+    }
+    
+    let recurrenceRule = null;
+    if (recurrence) {
+      const { rule, error } = recurrenceService.parseRecurrence(recurrence);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      recurrenceRule = rule;
+      
+      if (dueDate && Number.isNaN(new Date(dueDate).getTime())) {
+        return res.status(400).json({ error: 'dueDate must be a valid date' });
+      }
+    }
+    
+    const { sprintId, error: sprintError } = await sprintService.resolveSprintForTask(req.body.sprintId, workspaceId || null);
+    if (sprintError) {
+      return res.status(400).json({ error: sprintError });
+    }
+    
+    // Workspace tasks created without an assignee go through the workspace's assignment policy
+    let autoAssignment = null;
+    if (workspaceId && assignees.length === 0) {
+      // Only people who may create tasks in the workspace get to hand work to its members
+      const role = await getUserWorkspaceRole(req.user.uid, workspaceId);
+      if (!role || !hasPermission(role, PERMISSIONS.CREATE_TASKS)) {
+        return res.status(403).json({ error: 'Access denied: Cannot create tasks in this workspace' });
+      }
+      autoAssignment = await assignmentService.chooseAssignee(workspaceId);
+    }
+    
+    const workflow = await workflowService.getWorkflow(workspaceId);
+    
+    const taskData = {
+      title,
+      description,
+      priority,
+      dueDate: dueDate || null,
+      category,
+      userId: req.user.uid,
+      ...buildAssignment(autoAssignment ? [autoAssignment.userId] : assignees, req.user.uid),
+      watchers,
+      workspaceId: workspaceId || null,
+      sprintId,
+      customFields,
+      status: workflowService.getInitialStatus(workflow),
+      completed: false,
+      parentTaskId: null,
+      depth: 0,
+      subtaskCount: 0,
+      completedSubtaskCount: 0,
+      progress: 0,
+      attachedFiles: [],
+      attachmentCount: 0,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    if (autoAssignment) {
+      taskData.autoAssignment = {
+        assigneeId: autoAssignment.userId,
+        policy: autoAssignment.policy,
+        reason: autoAssignment.reason
+      };
+    }
+    
+    let docRef;
+    if (recurrenceRule) {
+      // Recurring tasks are the first instance of a series that holds the rule and template fields
+      const seriesRef = db.collection('taskSeries').doc();
+      const startDate = dueDate ? new Date(dueDate) : new Date();
+      const dateOnly = recurrenceService.isDateOnly(dueDate);
+      const nextOccurrence = recurrenceService.getNextOccurrence(recurrenceRule, startDate);
+      const hasMore = recurrenceService.isWithinBounds(recurrenceRule, 2, nextOccurrence);
+      
+      docRef = db.collection('tasks').doc(`${seriesRef.id}-1`);
+      Object.assign(taskData, {
+        dueDate: recurrenceService.formatDueDate(startDate, dateOnly),
+        seriesId: seriesRef.id,
+        recurrence: recurrenceRule,
+        occurrenceNumber: 1
+      });
+      
+      const batch = db.batch();
+      batch.set(seriesRef, {
+        title,
+        description,
+        priority,
+        category,
+        userId: req.user.uid,
+        assignedTo: taskData.assignedTo,
+        assignees: taskData.assignees,
+        watchers,
+        workspaceId: taskData.workspaceId,
+        customFields,
+        rule: recurrenceRule,
+        startDate: admin.firestore.Timestamp.fromDate(startDate),
+        dateOnly,
+        nextOccurrenceAt: hasMore ? admin.firestore.Timestamp.fromDate(nextOccurrence) : null,
+        occurrenceCount: 1,
+        currentTaskId: docRef.id,
+        active: hasMore,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      batch.set(docRef, taskData);
+      await batch.commit();
+    } else {
+      docRef = await db.collection('tasks').add(taskData);
+    }
+    
+    // Fetch the created task to get actual timestamps
+    const createdTaskDoc = await docRef.get();
+    const createdTaskData = createdTaskDoc.data();
+    
+    await logTaskCreated(docRef.id, taskData, req.user.uid);
+    await notifyNewAssignees(docRef.id, taskData, [], req.user.uid);
+    
+    res.status(201).json({ 
+      id: docRef.id, 
+      ...createdTaskData,
+      createdAt: createdTaskData.createdAt?.toDate?.()?.toISOString() || new Date().toISOString(),
+      updatedAt: createdTaskData.updatedAt?.toDate?.()?.toISOString() || new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error creating task:', error);
+    res.status(500).json({ error: 'Failed to create task' });
+  }
+});
+
+// POST /api/tasks/from-template/:templateId - Create a task from a saved workspace template
+// Body: { variables, dueDate, assignees, watchers, customFields }; dueDate overrides the template's offset
+router.post('/from-template/:templateId', verifyToken, requirePermission(PERMISSIONS.CREATE_TASKS), async (req, res) => {
+  try {
+    const { templateId } = req.params;
+    const { variables = {}, dueDate } = req.body;
+
+    const templateDoc = await db.collection('taskTemplates').doc(templateId).get();
+    if (!templateDoc.exists) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const template = templateDoc.data();
+    const role = await getUserWorkspaceRole(req.user.uid, template.workspaceId);
+    if (!role || !hasPermission(role, PERMISSIONS.CREATE_TASKS)) {
+      return res.status(403).json({ error: 'Access denied: Cannot create tasks in this workspace' });
+    }
+
+    if (typeof variables !== 'object' || Array.isArray(variables)) {
+      return res.status(400).json({ error: 'variables must be an object' });
+    }
+
+    const { error: peopleError, assignees = [], watchers = [] } = parseTaskPeople(req.body);
+    if (peopleError) {
+      return res.status(400).json({ error: peopleError });
+    }
+    const nonMembers = await findNonMembers([...assignees, ...watchers], { userId: req.user.uid, workspaceId: template.workspaceId });
+    if (nonMembers.length > 0) {
+      return res.status(400).json({ error: 'Assignees and watchers must be members of the task\'s workspace', userIds: nonMembers });
+    }
+
+    const [workspaceDoc, userDoc] = await Promise.all([
+      db.collection('workspaces').doc(template.workspaceId).get(),
+      db.collection('users').doc(req.user.uid).get()
+    ]);
+    const { task: fields, missing } = templateService.applyTemplate(template, {
+      workspace: workspaceDoc.exists ? workspaceDoc.data().name : '',
+      user: userDoc.exists ? (userDoc.data().displayName || userDoc.data().email) : req.user.email,
+      ...variables
+    });
+    if (!fields) {
+      return res.status(400).json({ error: `Missing template variables: ${missing.join(', ')}`, missing });
+    }
+
+    const { values: customFields, errors: customFieldErrors } = await customFieldService.validateCustomFieldValues(
+      template.workspaceId,
+      req.body.customFields
+    );
+    if (!customFields) {
+      return res.status(400).json({ error: 'Invalid custom fields', details: customFieldErrors });
+    }
+
+    const workflow = await workflowService.getWorkflow(template.workspaceId);
+
+    const taskData = {
+      title: fields.title,
+      description: fields.description,
+      priority: fields.priority,
+      dueDate: dueDate || fields.dueDate,
+      category: fields.category,
+      userId: req.user.uid,
+      ...buildAssignment(assignees, req.user.uid),
+      watchers,
+      workspaceId: template.workspaceId,
+      customFields,
+      checklist: fields.checklist,
+      templateId,
+      status: workflowService.getInitialStatus(workflow),
+      completed: false,
+      parentTaskId: null,
+      depth: 0,
+      subtaskCount: 0,
+      completedSubtaskCount: 0,
+      progress: 0,
+      attachedFiles: [],
+      attachmentCount: 0,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    const docRef = await db.collection('tasks').add(taskData);
+    const createdTaskDoc = await docRef.get();
+    await logTaskCreated(docRef.id, taskData, req.user.uid);
+    await notifyNewAssignees(docRef.id, taskData, [], req.user.uid);
+
+    res.status(201).json(formatTask(createdTaskDoc));
+  } catch (error) {
+    console.error('Error creating task from template:', error);
+    res.status(500).json({ error: 'Failed to create task from template' });
+  }
+});
+
+// PUT /api/tasks/:id - Update task (requires ownership OR MANAGER+ role)
+router.put('/:id', verifyToken, requireOwnershipOrRole(ROLES.MANAGER), async (req, res) => {
+  try {
+    const { id } = req.params;
+    console.log('Updating task:', id, 'for user:', req.user.uid);
+    
+    // First, verify the task exists and belongs to the user
+    const taskRef = db.collection('tasks').doc(id);
+    const taskDoc = await taskRef.get();
+    
+    if (!taskDoc.exists) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    
+    const taskData = taskDoc.data();
+    if (taskData.userId !== req.user.uid) {
+      return res.status(403).json({ error: 'Access denied: Not your task' });
+    }
+    
+    // Prepare update data
+    const allowedFields = ['title', 'description', 'priority', 'dueDate', 'category', 'completed'];
+    const updateData = {};
+    
+    // Only update provided fields
+    for (const field of allowedFields) {
+      if (req.body.hasOwnProperty(field)) {
+        updateData[field] = req.body[field];
+      }
+    }
+    
+    if (req.body.hasOwnProperty('customFields')) {
+      const { values, errors } = await customFieldService.validateCustomFieldValues(
+        taskData.workspaceId || null,
+        req.body.customFields,
+        { existing: taskData.customFields || {}, partial: true }
+      );
+      if (!values) {
+        return res.status(400).json({ error: 'Invalid custom fields', details: errors });
+      }
+      updateData.customFields = values;
+    }
+    
+    // Removing every assignee hands the task back to its creator; anyone else involved
+    // must belong to the task's workspace
+    const { error: peopleError, assignees, watchers } = parseTaskPeople(req.body);
+    if (peopleError) {
+      return res.status(400).json({ error: peopleError });
+    }
+    const nonMembers = await findNonMembers([...(assignees || []), ...(watchers || [])], taskData);
+    if (nonMembers.length > 0) {
+      return res.status(400).json({ error: 'Tasks can only be assigned to or watched by members of their workspace', userIds: nonMembers });
+    }
+    if (assignees) {
+      Object.assign(updateData, buildAssignment(assignees, taskData.userId));
+    }
+    if (watchers) {
+      updateData.watchers = watchers;
+    }
+    
+    if (req.body.hasOwnProperty('sprintId')) {
+      const { sprintId, error: sprintError } = await sprintService.resolveSprintForTask(req.body.sprintId, taskData.workspaceId || null);
+      if (sprintError) {
+        return res.status(400).json({ error: sprintError });
+      }
+      updateData.sprintId = sprintId;
+    }
+    
+    // Completing through PUT follows the same subtask rules as PATCH /:id/complete
+    const completionChanged = updateData.hasOwnProperty('completed') &&
+      Boolean(updateData.completed) !== Boolean(taskData.completed);
+    
+    if (completionChanged && updateData.completed && req.body.force !== true) {
+      const openSubtasks = await getOpenSubtasks(id);
+      if (openSubtasks.length > 0) {
+        return res.status(409).json({
+          error: 'Task has open subtasks',
+          message: 'Complete all subtasks first or pass force: true to override',
+          openSubtasks
+        });
+      }
+    }
+    
+    // `completed` is derived from the workflow status, so route it through a status change
+    delete updateData.completed;
+    
+    // Always update the timestamp
+    updateData.updatedAt = admin.firestore.FieldValue.serverTimestamp();
+    
+    // Update the task
+    await taskRef.update(updateData);
+    await logTaskEdit(id, taskData, updateData, req.user.uid);
+    
+    if (updateData.assignees) {
+      await notifyNewAssignees(id, { ...taskData, ...updateData }, getTaskAssignees(taskData), req.user.uid);
+    }
+    
+    if (completionChanged) {
+      const workflow = await workflowService.getWorkflow(taskData.workspaceId);
+      const toStatus = statusForCompletion(taskData, workflow, Boolean(req.body.completed));
+      await applyStatusChange(taskRef, taskData, workflow, toStatus, req.user.uid);
+    }
+    
+    // Get the updated task to return
+    const updatedDoc = await taskRef.get();
+    const updatedTask = {
+      id: updatedDoc.id,
+      ...updatedDoc.data(),
+      createdAt: updatedDoc.data().createdAt?.toDate?.() || null,
+      updatedAt: updatedDoc.data().updatedAt?.toDate?.() || new Date()
+    };
+    
+    console.log('Task updated successfully');
+    res.json({
+      message: 'Task updated successfully',
+      task: updatedTask
+    });
+    
+  } catch (error) {
+    console.error('Error updating task:', error);
+    res.status(500).json({ 
+      error: 'Failed to update task',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// DELETE /api/tasks/:id - Move a task and its subtasks to the trash (requires ownership OR MANAGER+ role)
+router.delete('/:id', verifyToken, requireOwnershipOrRole(ROLES.MANAGER), async (req, res) => {
+  try {
+    const { id } = req.params;
+    console.log('Deleting task:', id, 'for user:', req.user.uid);
+    
+    // First, verify the task exists and belongs to the user
+    const taskRef = db.collection('tasks').doc(id);
+    const taskDoc = await taskRef.get();
+    
+    if (!taskDoc.exists) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    
+    const taskData = taskDoc.data();
+    if (taskData.userId !== req.user.uid) {
+      return res.status(403).json({ error: 'Access denied: Not your task' });
+    }
+    
+    // Store task data before deletion for response
+    const deletedTask = {
+      id: taskDoc.id,
+      ...taskData,
+      createdAt: taskData.createdAt?.toDate?.() || null,
+      updatedAt: taskData.updatedAt?.toDate?.() || null
+    };
+    
+    // Subtasks go to the trash with their parent and come back with it
+    const trashed = await trashService.trashTaskTrees([id], req.user.uid);
+    const { descendantIds, entryId } = trashed.get(id);
+    
+    if (taskData.parentTaskId) {
+      await recalculateTaskProgress(taskData.parentTaskId);
+    }
+    
+    console.log('Task deleted successfully');
+    res.json({
+      message: 'Task moved to trash',
+      deletedTask: deletedTask,
+      deletedSubtaskIds: descendantIds,
+      trashEntryId: entryId
+    });
+    
+  } catch (error) {
+    console.error('Error deleting task:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete task',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// PATCH /api/tasks/:id/complete - Toggle task completion (requires ownership OR MANAGER+ role)
+// Body (optional): { completed: boolean } to set an explicit state, { force: true } to complete
+// a task whose subtasks are still open
+router.patch('/:id/complete', verifyToken, requireOwnershipOrRole(ROLES.MANAGER), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { completed, force = false } = req.body || {};
+    console.log('Toggling completion for task:', id);
+    
+    const taskRef = db.collection('tasks').doc(id);
+    const taskDoc = await taskRef.get();
+    
+    if (!taskDoc.exists) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    
+    const taskData = taskDoc.data();
+    if (taskData.userId !== req.user.uid) {
+      return res.status(403).json({ error: 'Access denied: Not your task' });
+    }
+    
+    // Toggle completion status unless an explicit state was requested
+    const newCompletionStatus = typeof completed === 'boolean' ? completed : !taskData.completed;
+    
+    if (newCompletionStatus && !taskData.completed && force !== true) {
+      const openSubtasks = await getOpenSubtasks(id);
+      if (openSubtasks.length > 0) {
+        return res.status(409).json({
+          error: 'Task has open subtasks',
+          message: 'Complete all subtasks first or pass force: true to override',
+          openSubtasks
+        });
+      }
+    }
+    
+    // Completion maps onto the workspace workflow: done moves to the first "done" status,
+    // reopening moves back to the initial status
+    const workflow = await workflowService.getWorkflow(taskData.workspaceId);
+    const toStatus = statusForCompletion(taskData, workflow, newCompletionStatus);
+    const { unblockedTaskIds, nextTaskId } = await applyStatusChange(taskRef, taskData, workflow, toStatus, req.user.uid);
+    
+    // Participants are notified of completion by the status change itself
+    try {
+      socketService.sendTaskUpdate({
+        id: id,
+        title: taskData.title,
+        assignedTo: taskData.assignedTo,
+        assignees: getTaskAssignees(taskData),
+        workspaceId: taskData.workspaceId
+      }, newCompletionStatus ? 'completed' : 'reopened', req.user.uid);
+    } catch (socketError) {
+      console.error('Error sending task completion update:', socketError);
+    }
+    
+    res.json({
+      message: `Task marked as ${newCompletionStatus ? 'completed' : 'incomplete'}`,
+      completed: newCompletionStatus,
+      status: toStatus,
+      taskId: id,
+      unblockedTaskIds,
+      nextTaskId
+    });
+    
+  } catch (error) {
+    console.error('Error toggling task completion:', error);
+    res.status(500).json({ error: 'Failed to update task completion' });
+  }
+});
+
+// ========================= BULK OPERATIONS =========================
+
+const BULK_ACTIONS = ['update', 'complete', 'move', 'delete'];
+const BULK_UPDATE_FIELDS = ['priority', 'category', 'dueDate', 'sprintId', 'assignedTo', 'assignees', 'watchers'];
+const BULK_PEOPLE_FIELDS = ['assignedTo', 'assignees', 'watchers'];
+const MAX_BULK_TASKS = 200;
+
+// Task owners can apply any bulk action; anyone else needs a workspace role that
+// can assign tasks (or delete them, for deletes). Assignees can also complete their tasks.
+async function canBulkEditTask(taskData, userId, action, roleCache) {
+  if (taskData.userId === userId) return true;
+  if (action === 'complete' && isTaskAssignee(taskData, userId)) return true;
+  if (!taskData.workspaceId) return false;
+
+  if (!roleCache.has(taskData.workspaceId)) {
+    roleCache.set(taskData.workspaceId, await getUserWorkspaceRole(userId, taskData.workspaceId));
+  }
+  const role = roleCache.get(taskData.workspaceId);
+  const permission = action === 'delete' ? PERMISSIONS.DELETE_TASKS : PERMISSIONS.ASSIGN_TASKS;
+  return Boolean(role) && hasPermission(role, permission);
+}
+
+// POST /api/tasks/bulk - Apply one action to many tasks
+// Body: { action, taskIds, changes } where action is one of:
+//   update   - changes: any of { priority, category, dueDate, sprintId, assignees, watchers } (or legacy assignedTo)
+//   complete - completed: true (default) or false; force: true completes tasks with open subtasks
+//   move     - workspaceId: target workspace, or null for personal tasks; subtasks move with their parent
+//   delete   - moves tasks to the trash; subtasks go with their parent
+router.post('/bulk', verifyToken, requirePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
+  try {
+    const { action, taskIds, changes = {}, force = false } = req.body;
+
+    if (!BULK_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `action must be one of: ${BULK_ACTIONS.join(', ')}` });
+    }
+    if (!Array.isArray(taskIds) || taskIds.length === 0 || taskIds.some(id => typeof id !== 'string' || !id)) {
+      return res.status(400).json({ error: 'taskIds must be a non-empty array of task IDs' });
+    }
+    if (taskIds.length > MAX_BULK_TASKS) {
+      return res.status(400).json({ error: `At most ${MAX_BULK_TASKS} tasks can be changed at once` });
+    }
+
+    const ids = [...new Set(taskIds)];
+    let updates = null;
+    let people = {};
+    let completed = true;
+    let targetWorkspaceId = null;
+    let targetWorkflow = null;
+    let targetSprint = null;
+
+    if (action === 'update') {
+      updates = {};
+      BULK_UPDATE_FIELDS.forEach(field => {
+        if (changes && Object.prototype.hasOwnProperty.call(changes, field)) {
+          updates[field] = changes[field] === '' ? null : changes[field];
+        }
+      });
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json({ error: `changes must include any of: ${BULK_UPDATE_FIELDS.join(', ')}` });
+      }
+      if (updates.priority !== undefined && !['low', 'medium', 'high'].includes(updates.priority)) {
+        return res.status(400).json({ error: 'priority must be low, medium or high' });
+      }
+      if (updates.category !== undefined && (typeof updates.category !== 'string' || !updates.category.trim())) {
+        return res.status(400).json({ error: 'category must be a non-empty string' });
+      }
+      if (updates.dueDate && Number.isNaN(new Date(updates.dueDate).getTime())) {
+        return res.status(400).json({ error: 'dueDate must be a valid date or null' });
+      }
+      if (updates.sprintId) {
+        const sprintDoc = await db.collection('sprints').doc(String(updates.sprintId)).get();
+        if (!sprintDoc.exists || sprintDoc.data().closedAt) {
+          return res.status(400).json({ error: 'sprintId must be an open sprint or null' });
+        }
+        targetSprint = { id: sprintDoc.id, workspaceId: sprintDoc.data().workspaceId };
+      }
+
+      // Assignment fields are resolved per task, since an empty list falls back to each task's owner
+      const { error: peopleError, ...parsedPeople } = parseTaskPeople(updates);
+      if (peopleError) {
+        return res.status(400).json({ error: peopleError });
+      }
+      people = parsedPeople;
+      BULK_PEOPLE_FIELDS.forEach(field => delete updates[field]);
+    }
+
+    if (action === 'complete') {
+      if (req.body.completed !== undefined && typeof req.body.completed !== 'boolean') {
+        return res.status(400).json({ error: 'completed must be true or false' });
+      }
+      completed = req.body.completed !== false;
+    }
+
+    if (action === 'move') {
+      targetWorkspaceId = req.body.workspaceId || null;
+      if (targetWorkspaceId) {
+        const targetRole = await getUserWorkspaceRole(req.user.uid, targetWorkspaceId);
+        if (!targetRole || !hasPermission(targetRole, PERMISSIONS.CREATE_TASKS)) {
+          return res.status(403).json({ error: 'Access denied: Cannot create tasks in the target workspace' });
+        }
+      }
+      targetWorkflow = await workflowService.getWorkflow(targetWorkspaceId);
+    }
+
+    const results = new Map();
+    const fail = (taskId, status, error) => results.set(taskId, { taskId, success: false, status, error });
+    const succeed = (taskId, extra = {}) => results.set(taskId, { taskId, success: true, ...extra });
+
+    // Permissions are checked per task; tasks that fail are reported and skipped
+    const taskDocs = await db.getAll(...ids.map(id => db.collection('tasks').doc(id)));
+    const roleCache = new Map();
+    const allowed = [];
+    for (const doc of taskDocs) {
+      if (!doc.exists) {
+        fail(doc.id, 404, 'Task not found');
+      } else if (!(await canBulkEditTask(doc.data(), req.user.uid, action, roleCache))) {
+        fail(doc.id, 403, 'Access denied');
+      } else {
+        allowed.push(doc);
+      }
+    }
+
+    const selectedIds = new Set(allowed.map(doc => doc.id));
+    const changed = [];
+
+    if (action === 'delete' && allowed.length > 0) {
+      const trashed = await trashService.trashTaskTrees(allowed.map(doc => doc.id), req.user.uid);
+      const removedIds = new Set([...selectedIds, ...[...trashed.values()].flatMap(result => result.descendantIds)]);
+      allowed.forEach(doc => {
+        const { descendantIds, entryId } = trashed.get(doc.id);
+        succeed(doc.id, { deletedSubtaskIds: descendantIds, trashEntryId: entryId });
+        changed.push(doc);
+      });
+
+      const parentIds = new Set(allowed.map(doc => doc.data().parentTaskId).filter(id => id && !removedIds.has(id)));
+      for (const parentId of parentIds) {
+        await recalculateTaskProgress(parentId);
+      }
+    }
+
+    if (action !== 'delete') {
+      const writer = createBatchWriter();
+      const statusChanges = [];
+      const workflows = await workflowService.getWorkflows(allowed.map(doc => doc.data().workspaceId));
+      const memberCache = new Map();
+
+      for (const doc of allowed) {
+        const taskData = doc.data();
+
+        if (action === 'update') {
+          const taskUpdates = { ...updates };
+          if (people.assignees) Object.assign(taskUpdates, buildAssignment(people.assignees, taskData.userId));
+          if (people.watchers) taskUpdates.watchers = people.watchers;
+
+          const nonMembers = await findNonMembers([...(people.assignees || []), ...(people.watchers || [])], taskData, memberCache);
+          if (nonMembers.length > 0) {
+            fail(doc.id, 400, 'Assignees and watchers must be members of the task\'s workspace');
+            continue;
+          }
+          if (targetSprint && targetSprint.workspaceId !== taskData.workspaceId) {
+            fail(doc.id, 400, 'Sprint not found in the task\'s workspace');
+            continue;
+          }
+          writer.update(doc.ref, { ...taskUpdates, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+          await logTaskEdit(doc.id, taskData, taskUpdates, req.user.uid, writer);
+        }
+
+        if (action === 'complete') {
+          if (Boolean(taskData.completed) === completed) {
+            succeed(doc.id, { unchanged: true });
+            continue;
+          }
+          if (completed && force !== true) {
+            const openSubtasks = (await getOpenSubtasks(doc.id)).filter(subtask => !selectedIds.has(subtask.id));
+            if (openSubtasks.length > 0) {
+              fail(doc.id, 409, 'Task has open subtasks');
+              continue;
+            }
+          }
+          const workflow = workflows.get(taskData.workspaceId || '') || workflowService.DEFAULT_WORKFLOW;
+          const change = buildStatusChange(taskData, workflow, statusForCompletion(taskData, workflow, completed), req.user.uid);
+          writer.update(doc.ref, change.updateData);
+          statusChanges.push({ doc, change });
+        }
+
+        if (action === 'move') {
+          if (taskData.parentTaskId) {
+            if (!selectedIds.has(taskData.parentTaskId)) {
+              fail(doc.id, 400, 'Subtasks move with their parent task');
+            } else {
+              succeed(doc.id);
+            }
+            continue;
+          }
+
+          // Custom field values and sprints belong to the old workspace, and statuses follow the new workflow
+          const treeIds = [doc.id, ...(await collectDescendantIds(doc.id))];
+          const treeDocs = await db.getAll(...treeIds.map(id => db.collection('tasks').doc(id)));
+          for (const treeDoc of treeDocs.filter(existing => existing.exists)) {
+            const moveData = {
+              workspaceId: targetWorkspaceId,
+              sprintId: null,
+              customFields: {},
+              status: workflowService.resolveTaskStatus(treeDoc.data(), targetWorkflow)
+            };
+            writer.update(treeDoc.ref, { ...moveData, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+            await logTaskEdit(treeDoc.id, treeDoc.data(), moveData, req.user.uid, writer);
+          }
+        }
+
+        succeed(doc.id);
+        changed.push(doc);
+      }
+
+      await writer.commit();
+
+      for (const { doc, change } of statusChanges) {
+        try {
+          await finishStatusChange(doc.ref, doc.data(), change, req.user.uid);
+        } catch (statusError) {
+          console.error(`Error finishing status change for task ${doc.id}:`, statusError);
+        }
+      }
+    }
+
+    // One notification per affected assignee or watcher, covering all of their changed tasks
+    if (changed.length > 0) {
+      try {
+        const actor = await admin.auth().getUser(req.user.uid);
+        const verb = {
+          update: people.assignees !== undefined ? 'reassigned' : 'updated',
+          complete: completed ? 'completed' : 'reopened',
+          move: 'moved',
+          delete: 'deleted'
+        }[action];
+
+        const tasksByRecipient = new Map();
+        changed.forEach(doc => {
+          const taskData = doc.data();
+          const recipients = new Set([
+            ...getTaskAssignees(taskData),
+            ...(taskData.watchers || []),
+            ...(people.assignees || []),
+            ...(people.watchers || [])
+          ]);
+          recipients.forEach(recipientId => {
+            if (!recipientId || recipientId === req.user.uid) return;
+            if (!tasksByRecipient.has(recipientId)) tasksByRecipient.set(recipientId, []);
+            tasksByRecipient.get(recipientId).push({ id: doc.id, title: taskData.title });
+          });
+        });
+
+        for (const [recipientId, tasks] of tasksByRecipient) {
+          await notificationHelpers.tasksBulkUpdated({
+            action,
+            verb,
+            tasks,
+            actorName: actor.displayName || actor.email
+          }, req.user.uid, recipientId);
+        }
+      } catch (notificationError) {
+        console.error('Error sending bulk task notifications:', notificationError);
+      }
+    }
+
+    const ordered = ids.map(id => results.get(id));
+    res.json({
+      action,
+      results: ordered,
+      succeeded: ordered.filter(result => result.success).length,
+      failed: ordered.filter(result => !result.success).length
+    });
+  } catch (error) {
+    console.error('Error applying bulk task action:', error);
+    res.status(500).json({ error: 'Failed to apply bulk action' });
+  }
+});
+
+// ========================= WORKFLOW ENDPOINTS =========================
+
+// GET /api/tasks/workflow - Get the status workflow for a workspace (or personal tasks)
+// Query: ?workspaceId=<id>
+router.get('/workflow', verifyToken, requirePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
+  try {
+    const { workspaceId } = req.query;
+
+    if (workspaceId) {
+      const role = await getUserWorkspaceRole(req.user.uid, workspaceId);
+      if (!role) {
+        return res.status(403).json({ error: 'Access denied: Not a workspace member' });
+      }
+    }
+
+    const workflow = await workflowService.getWorkflow(workspaceId);
+    res.json({ workspaceId: workspaceId || null, workflow });
+  } catch (error) {
+    console.error('Error fetching workflow:', error);
+    res.status(500).json({ error: 'Failed to fetch workflow' });
+  }
+});
+
+// POST /api/tasks/:id/transition - Move a task to another workflow status
+// Body: { status: string, force?: boolean } - force skips the open-subtask check when moving to a done status
+router.post('/:id/transition', verifyToken, requirePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, force = false } = req.body || {};
+
+    if (!status) {
+      return res.status(400).json({ error: 'Target status is required' });
+    }
+
+    const taskRef = db.collection('tasks').doc(id);
+    const taskDoc = await taskRef.get();
+
+    if (!taskDoc.exists) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const taskData = taskDoc.data();
+    if (!(await canEditTask(taskData, req.user.uid))) {
+      return res.status(403).json({ error: 'Access denied: Cannot change this task' });
+    }
+
+    const workflow = await workflowService.getWorkflow(taskData.workspaceId);
+    const targetStatus = workflowService.findStatus(workflow, status);
+
+    if (!targetStatus) {
+      return res.status(400).json({
+        error: 'Unknown status',
+        validStatuses: workflow.statuses.map(s => s.key)
+      });
+    }
+
+    const currentStatus = workflowService.resolveTaskStatus(taskData, workflow);
+    if (currentStatus === status) {
+      return res.json({ message: 'Task already has this status', taskId: id, status, completed: Boolean(taskData.completed) });
+    }
+
+    if (!workflowService.isTransitionAllowed(workflow, currentStatus, status)) {
+      return res.status(409).json({
+        error: 'Transition not allowed',
+        message: `Tasks cannot move from "${workflowService.findStatus(workflow, currentStatus).label}" to "${targetStatus.label}"`,
+        allowedTransitions: workflow.transitions[currentStatus] || []
+      });
+    }
+
+    if (targetStatus.category === 'done' && !taskData.completed && force !== true) {
+      const openSubtasks = await getOpenSubtasks(id);
+      if (openSubtasks.length > 0) {
+        return res.status(409).json({
+          error: 'Task has open subtasks',
+          message: 'Complete all subtasks first or pass force: true to override',
+          openSubtasks
+        });
+      }
+    }
+
+    const result = await applyStatusChange(taskRef, taskData, workflow, status, req.user.uid);
+
+    try {
+      socketService.sendTaskUpdate({
+        id,
+        title: taskData.title,
+        assignedTo: taskData.assignedTo,
+        workspaceId: taskData.workspaceId
+      }, `moved to ${targetStatus.label}`, req.user.uid);
+    } catch (socketError) {
+      console.error('Error sending task transition update:', socketError);
+    }
+
+    res.json({
+      message: `Task moved to ${targetStatus.label}`,
+      taskId: id,
+      from: result.fromStatus,
+      status: result.toStatus,
+      completed: result.completed,
+      unblockedTaskIds: result.unblockedTaskIds,
+      nextTaskId: result.nextTaskId
+    });
+  } catch (error) {
+    console.error('Error transitioning task:', error);
+    res.status(500).json({ error: 'Failed to change task status' });
+  }
+});
+
+// GET /api/tasks/:id/transitions - Get the status change history of a task
+router.get('/:id/transitions', verifyToken, requirePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const taskDoc = await db.collection('tasks').doc(id).get();
+    if (!taskDoc.exists) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const taskData = taskDoc.data();
+    if (taskData.userId !== req.user.uid && !isTaskAssignee(taskData, req.user.uid)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    // Sort in memory to avoid a composite index
+    const snapshot = await db.collection('taskTransitions')
+      .where('taskId', '==', id)
+      .get();
+
+    const transitions = snapshot.docs
+      .map(doc => ({
+        id: doc.id,
+        ...doc.data(),
+        changedAt: doc.data().changedAt?.toDate?.() || null
+      }))
+      .sort((a, b) => (a.changedAt || 0) - (b.changedAt || 0));
+
+    res.json({ taskId: id, transitions });
+  } catch (error) {
+    console.error('Error fetching task transitions:', error);
+    res.status(500).json({ error: 'Failed to fetch task transitions' });
+  }
+});
+
+// GET /api/tasks/:id/history - Get the field-level change history of a task (oldest first)
+router.get('/:id/history', verifyToken, requirePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const taskDoc = await db.collection('tasks').doc(id).get();
+    if (!taskDoc.exists) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    if (!(await canAccessTask(taskDoc.data(), req.user.uid))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const history = await taskHistoryService.getTaskHistory(id);
+    res.json({ taskId: id, history });
+  } catch (error) {
+    console.error('Error fetching task history:', error);
+    res.status(500).json({ error: 'Failed to fetch task history' });
+  }
+});
+
+// ========================= WATCHER ENDPOINTS =========================
+
+// POST /api/tasks/:id/watch - Watch a task: get its assignment, comment and completion notifications
+router.post('/:id/watch', verifyToken, requirePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const taskRef = db.collection('tasks').doc(id);
+    const taskDoc = await taskRef.get();
+
+    if (!taskDoc.exists) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const taskData = taskDoc.data();
+    if (!(await canAccessTask(taskData, req.user.uid))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const watchers = taskData.watchers || [];
+    if (!watchers.includes(req.user.uid)) {
+      if (watchers.length >= MAX_TASK_PEOPLE) {
+        return res.status(400).json({ error: `A task can have at most ${MAX_TASK_PEOPLE} watchers` });
+      }
+      await taskRef.update({ watchers: admin.firestore.FieldValue.arrayUnion(req.user.uid) });
+    }
+
+    res.json({ taskId: id, watching: true, watchers: [...new Set([...watchers, req.user.uid])] });
+  } catch (error) {
+    console.error('Error watching task:', error);
+    res.status(500).json({ error: 'Failed to watch task' });
+  }
+});
+
+// DELETE /api/tasks/:id/watch - Stop watching a task
+router.delete('/:id/watch', verifyToken, requirePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const taskRef = db.collection('tasks').doc(id);
+    const taskDoc = await taskRef.get();
+
+    if (!taskDoc.exists) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    await taskRef.update({ watchers: admin.firestore.FieldValue.arrayRemove(req.user.uid) });
+
+    const watchers = (taskDoc.data().watchers || []).filter(userId => userId !== req.user.uid);
+    res.json({ taskId: id, watching: false, watchers });
+  } catch (error) {
+    console.error('Error unwatching task:', error);
+    res.status(500).json({ error: 'Failed to stop watching task' });
+  }
+});
+
+// ========================= RECURRING SERIES ENDPOINTS =========================
+
+const formatSeries = (doc) => {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    summary: recurrenceService.describeRecurrence(data.rule),
+    startDate: data.startDate?.toDate?.() || null,
+    nextOccurrenceAt: data.nextOccurrenceAt?.toDate?.() || null,
+    endedAt: data.endedAt?.toDate?.() || null,
+    createdAt: data.createdAt?.toDate?.() || null,
+    updatedAt: data.updatedAt?.toDate?.() || null
+  };
+};
+
+// GET /api/tasks/series/:seriesId - Get a recurring series and its instances
+router.get('/series/:seriesId', verifyToken, requirePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
+  try {
+    const { seriesId } = req.params;
+
+    const seriesDoc = await db.collection('taskSeries').doc(seriesId).get();
+    if (!seriesDoc.exists) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    const series = seriesDoc.data();
+    if (series.userId !== req.user.uid && !isTaskAssignee(series, req.user.uid)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const instancesSnapshot = await db.collection('tasks')
+      .where('seriesId', '==', seriesId)
+      .get();
+
+    const instances = instancesSnapshot.docs
+      .map(formatTask)
+      .sort((a, b) => (a.occurrenceNumber || 0) - (b.occurrenceNumber || 0));
+
+    res.json({ series: formatSeries(seriesDoc), instances });
+  } catch (error) {
+    console.error('Error fetching task series:', error);
+    res.status(500).json({ error: 'Failed to fetch task series' });
+  }
+});
+
+// PUT /api/tasks/series/:seriesId - Edit the whole series
+// Body: any of { title, description, priority, category, assignees, watchers, recurrence }.
+// Template changes are applied to open instances as well as future ones.
+router.put('/series/:seriesId', verifyToken, requirePermission(PERMISSIONS.CREATE_TASKS), async (req, res) => {
+  try {
+    const { seriesId } = req.params;
+    const seriesRef = db.collection('taskSeries').doc(seriesId);
+    const seriesDoc = await seriesRef.get();
+
+    if (!seriesDoc.exists) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    const series = seriesDoc.data();
+    if (series.userId !== req.user.uid) {
+      return res.status(403).json({ error: 'Access denied: Not your series' });
+    }
+
+    const templateUpdates = {};
+    ['title', 'description', 'priority', 'category'].forEach(field => {
+      if (req.body.hasOwnProperty(field)) {
+        templateUpdates[field] = req.body[field];
+      }
+    });
+
+    if (templateUpdates.title === '' || templateUpdates.description === '') {
+      return res.status(400).json({ error: 'Title and description cannot be empty' });
+    }
+
+    const { error: peopleError, assignees, watchers } = parseTaskPeople(req.body);
+    if (peopleError) {
+      return res.status(400).json({ error: peopleError });
+    }
+    const nonMembers = await findNonMembers([...(assignees || []), ...(watchers || [])], series);
+    if (nonMembers.length > 0) {
+      return res.status(400).json({ error: 'Assignees and watchers must be members of the series\' workspace', userIds: nonMembers });
+    }
+    if (assignees) {
+      Object.assign(templateUpdates, buildAssignment(assignees, series.userId));
+    }
+    if (watchers) {
+      templateUpdates.watchers = watchers;
+    }
+
+    const seriesUpdates = {
+      ...templateUpdates,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    const instanceUpdates = { ...templateUpdates };
+
+    if (req.body.recurrence) {
+      const { rule, error } = recurrenceService.parseRecurrence(req.body.recurrence);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      // Reschedule from the latest instance's due date under the new rule
+      const currentDoc = series.currentTaskId
+        ? await db.collection('tasks').doc(series.currentTaskId).get()
+        : null;
+      const fromDate = currentDoc?.exists && currentDoc.data().dueDate
+        ? new Date(currentDoc.data().dueDate)
+        : new Date();
+      const nextOccurrence = recurrenceService.getNextOccurrence(rule, fromDate);
+      const hasMore = recurrenceService.isWithinBounds(rule, (series.occurrenceCount || 0) + 1, nextOccurrence);
+
+      seriesUpdates.rule = rule;
+      if (series.active) {
+        seriesUpdates.nextOccurrenceAt = hasMore ? admin.firestore.Timestamp.fromDate(nextOccurrence) : null;
+        seriesUpdates.active = hasMore;
+      }
+      instanceUpdates.recurrence = rule;
+    }
+
+    const openInstancesSnapshot = await db.collection('tasks')
+      .where('seriesId', '==', seriesId)
+      .where('completed', '==', false)
+      .get();
+
+    const batch = db.batch();
+    batch.update(seriesRef, seriesUpdates);
+    if (Object.keys(instanceUpdates).length > 0) {
+      openInstancesSnapshot.forEach(doc => {
+        batch.update(doc.ref, {
+          ...instanceUpdates,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      });
+    }
+    await batch.commit();
+
+    const updatedDoc = await seriesRef.get();
+    res.json({
+      message: 'Series updated successfully',
+      series: formatSeries(updatedDoc),
+      updatedInstanceIds: Object.keys(instanceUpdates).length > 0 ? openInstancesSnapshot.docs.map(doc => doc.id) : []
+    });
+  } catch (error) {
+    console.error('Error updating task series:', error);
+    res.status(500).json({ error: 'Failed to update task series' });
+  }
+});
+
+// POST /api/tasks/series/:seriesId/stop - Stop creating new instances (existing tasks are kept)
+router.post('/series/:seriesId/stop', verifyToken, requirePermission(PERMISSIONS.CREATE_TASKS), async (req, res) => {
+  try {
+    const { seriesId } = req.params;
+    const seriesRef = db.collection('taskSeries').doc(seriesId);
+    const seriesDoc = await seriesRef.get();
+
+    if (!seriesDoc.exists) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    if (seriesDoc.data().userId !== req.user.uid) {
+      return res.status(403).json({ error: 'Access denied: Not your series' });
+    }
+
+    await seriesRef.update({
+      active: false,
+      nextOccurrenceAt: null,
+      endedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    res.json({ message: 'Series stopped', seriesId });
+  } catch (error) {
+    console.error('Error stopping task series:', error);
+    res.status(500).json({ error: 'Failed to stop task series' });
+  }
+});
+
+// ========================= SUBTASK ENDPOINTS =========================
+
+// POST /api/tasks/:id/subtasks - Create a subtask under an existing task
+router.post('/:id/subtasks', verifyToken, requirePermission(PERMISSIONS.CREATE_TASKS), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { title, description = '', priority, dueDate, category } = req.body;
+
+    if (!title) {
+      return res.status(400).json({ error: 'Subtask title is required' });
+    }
+
+    const { error: peopleError, assignees = [], watchers = [] } = parseTaskPeople(req.body);
+    if (peopleError) {
+      return res.status(400).json({ error: peopleError });
+    }
+
+    const parentDoc = await db.collection('tasks').doc(id).get();
+    if (!parentDoc.exists) {
+      return res.status(404).json({ error: 'Parent task not found' });
+    }
+
+    const parentData = parentDoc.data();
+
+    if (parentData.userId !== req.user.uid && !isTaskAssignee(parentData, req.user.uid)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (parentData.completed) {
+      return res.status(409).json({ error: 'Cannot add subtasks to a completed task' });
+    }
+
+    const depth = (parentData.depth || 0) + 1;
+    if (depth > MAX_SUBTASK_DEPTH) {
+      return res.status(400).json({ error: `Subtasks cannot be nested more than ${MAX_SUBTASK_DEPTH} levels deep` });
+    }
+
+    const nonMembers = await findNonMembers([...assignees, ...watchers], { userId: req.user.uid, workspaceId: parentData.workspaceId });
+    if (nonMembers.length > 0) {
+      return res.status(400).json({ error: 'Assignees and watchers must be members of the task\'s workspace', userIds: nonMembers });
+    }
+
+    const workflow = await workflowService.getWorkflow(parentData.workspaceId);
+
+    const subtaskData = {
+      title,
+      description,
+      priority: priority || parentData.priority || 'medium',
+      dueDate: dueDate || null,
+      category: category || parentData.category || 'general',
+      userId: req.user.uid,
+      ...buildAssignment(assignees, req.user.uid),
+      watchers,
+      workspaceId: parentData.workspaceId || null,
+      status: workflowService.getInitialStatus(workflow),
+      completed: false,
+      parentTaskId: id,
+      depth,
+      subtaskCount: 0,
+      completedSubtaskCount: 0,
+      progress: 0,
+      attachedFiles: [],
+      attachmentCount: 0,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    const docRef = await db.collection('tasks').add(subtaskData);
+    await recalculateTaskProgress(id);
+    await logTaskCreated(docRef.id, subtaskData, req.user.uid);
+
+    const createdDoc = await docRef.get();
+    await notifyNewAssignees(docRef.id, subtaskData, [], req.user.uid);
+
+    try {
+      socketService.sendTaskUpdate({
+        id,
+        title: parentData.title,
+        assignedTo: parentData.assignedTo,
+        assignees: getTaskAssignees(parentData),
+        workspaceId: parentData.workspaceId
+      }, 'subtask-added', req.user.uid);
+    } catch (notificationError) {
+      console.error('Error sending subtask notifications:', notificationError);
+    }
+
+    res.status(201).json(formatTask(createdDoc));
+  } catch (error) {
+    console.error('Error creating subtask:', error);
+    res.status(500).json({ error: 'Failed to create subtask' });
+  }
+});
+
+// GET /api/tasks/:id/subtasks - Get the full subtask tree with rolled-up progress
+router.get('/:id/subtasks', verifyToken, requirePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const taskDoc = await db.collection('tasks').doc(id).get();
+    if (!taskDoc.exists) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const taskData = taskDoc.data();
+
+    if (taskData.userId !== req.user.uid && !isTaskAssignee(taskData, req.user.uid)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const subtasks = await buildSubtaskTree(id);
+
+    res.json({
+      task: formatTask(taskDoc),
+      subtasks
+    });
+  } catch (error) {
+    console.error('Error fetching subtasks:', error);
+    res.status(500).json({ error: 'Failed to fetch subtasks' });
+  }
+});
+
+// ========================= TASK DEPENDENCY ENDPOINTS =========================
+
+// GET /api/tasks/:id/dependencies - Get blockers of a task and the tasks it blocks
+router.get('/:id/dependencies', verifyToken, requirePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const taskDoc = await db.collection('tasks').doc(id).get();
+    if (!taskDoc.exists) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const taskData = taskDoc.data();
+
+    if (taskData.userId !== req.user.uid && !isTaskAssignee(taskData, req.user.uid)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const [task] = await annotateBlockedStatus([formatTask(taskDoc)]);
+
+    const blockingSnapshot = await db.collection('tasks')
+      .where('blockedBy', 'array-contains', id)
+      .get();
+
+    const blocking = blockingSnapshot.docs.map(doc => ({
+      id: doc.id,
+      title: doc.data().title,
+      completed: Boolean(doc.data().completed)
+    }));
+
+    res.json({
+      taskId: id,
+      blocked: task.blocked,
+      blockedBy: task.blockers,
+      blocking
+    });
+  } catch (error) {
+    console.error('Error fetching task dependencies:', error);
+    res.status(500).json({ error: 'Failed to fetch task dependencies' });
+  }
+});
+
+// POST /api/tasks/:id/dependencies - Mark this task as blocked by another task
+router.post('/:id/dependencies', verifyToken, requirePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { blockerId } = req.body;
+
+    if (!blockerId) {
+      return res.status(400).json({ error: 'Blocker task ID is required' });
+    }
+
+    if (blockerId === id) {
+      return res.status(400).json({ error: 'A task cannot block itself' });
+    }
+
+    const [taskDoc, blockerDoc] = await Promise.all([
+      db.collection('tasks').doc(id).get(),
+      db.collection('tasks').doc(blockerId).get()
+    ]);
+
+    if (!taskDoc.exists) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (!blockerDoc.exists) {
+      return res.status(404).json({ error: 'Blocking task not found' });
+    }
+
+    const taskData = taskDoc.data();
+    const blockerData = blockerDoc.data();
+
+    if (!(await canEditTask(taskData, req.user.uid))) {
+      return res.status(403).json({ error: 'Access denied: Cannot change this task' });
+    }
+
+    if (!(await canAccessTask(blockerData, req.user.uid))) {
+      return res.status(403).json({ error: 'Access denied to blocking task' });
+    }
+
+    if ((taskData.blockedBy || []).includes(blockerId)) {
+      return res.status(409).json({ error: 'Dependency already exists' });
+    }
+
+    // Adding "id is blocked by blockerId" closes a cycle if blockerId already depends on id
+    const cyclePath = await findDependencyPath(blockerId, id);
+    if (cyclePath) {
+      const cycleIds = [id, ...cyclePath];
+      const cycleDocs = await db.getAll(...[...new Set(cycleIds)].map(taskId => db.collection('tasks').doc(taskId)));
+      const titles = new Map(cycleDocs.map(doc => [doc.id, doc.exists ? doc.data().title : doc.id]));
+
+      return res.status(409).json({
+        error: 'Dependency cycle detected',
+        message: `"${blockerData.title}" cannot block "${taskData.title}" because it already depends on it: ` +
+          cycleIds.map(taskId => `"${titles.get(taskId)}"`).join(' → '),
+        cycle: cycleIds.map(taskId => ({ id: taskId, title: titles.get(taskId) }))
+      });
+    }
+
+    await taskDoc.ref.update({
+      blockedBy: admin.firestore.FieldValue.arrayUnion(blockerId),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    const blocked = !taskData.completed && !blockerData.completed;
+
+    if (blocked) {
+      try {
+        socketService.sendTaskUpdate({
+          id,
+          title: taskData.title,
+          assignedTo: taskData.assignedTo,
+          workspaceId: taskData.workspaceId
+        }, 'blocked', req.user.uid);
+      } catch (socketError) {
+        console.error('Error sending task blocked update:', socketError);
+      }
+    }
+
+    res.status(201).json({
+      message: 'Dependency added successfully',
+      taskId: id,
+      blockerId,
+      blocked
+    });
+  } catch (error) {
+    console.error('Error adding task dependency:', error);
+    res.status(500).json({ error: 'Failed to add task dependency' });
+  }
+});
+
+// DELETE /api/tasks/:id/dependencies/:blockerId - Remove a dependency link
+router.delete('/:id/dependencies/:blockerId', verifyToken, requirePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
+  try {
+    const { id, blockerId } = req.params;
+
+    const taskDoc = await db.collection('tasks').doc(id).get();
+    if (!taskDoc.exists) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const taskData = taskDoc.data();
+
+    if (!(await canEditTask(taskData, req.user.uid))) {
+      return res.status(403).json({ error: 'Access denied: Cannot change this task' });
+    }
+
+    if (!(taskData.blockedBy || []).includes(blockerId)) {
+      return res.status(404).json({ error: 'Dependency not found' });
+    }
+
+    const [previousTask] = await annotateBlockedStatus([formatTask(taskDoc)]);
+
+    await taskDoc.ref.update({
+      blockedBy: admin.firestore.FieldValue.arrayRemove(blockerId),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    const updatedDoc = await taskDoc.ref.get();
+    const [task] = await annotateBlockedStatus([formatTask(updatedDoc)]);
+
+    if (previousTask.blocked && !task.blocked) {
+      try {
+        socketService.sendTaskUpdate({
+          id,
+          title: taskData.title,
+          assignedTo: taskData.assignedTo,
+          workspaceId: taskData.workspaceId
+        }, 'unblocked', req.user.uid);
+      } catch (socketError) {
+        console.error('Error sending task unblocked update:', socketError);
+      }
+    }
+
+    res.json({
+      message: 'Dependency removed successfully',
+      taskId: id,
+      blockerId,
+      blocked: task.blocked
+    });
+  } catch (error) {
+    console.error('Error removing task dependency:', error);
+    res.status(500).json({ error: 'Failed to remove task dependency' });
+  }
+});
+
+// ========================= TASK COMMENT ENDPOINTS =========================
+
+const MAX_COMMENT_LENGTH = 5000;
+
+// Owner and assignee can always see a task; workspace tasks are also visible to workspace members
+async function canAccessTask(taskData, userId) {
+  if (taskData.userId === userId || isTaskAssignee(taskData, userId)) return true;
+  if (!taskData.workspaceId) return false;
+  return Boolean(await getUserWorkspaceRole(userId, taskData.workspaceId));
+}
+
+// Owners and assignees can change a task; other workspace members need a role that may assign tasks
+async function canEditTask(taskData, userId) {
+  if (!(await canAccessTask(taskData, userId))) return false;
+  if (taskData.userId === userId || isTaskAssignee(taskData, userId)) return true;
+  const role = await getUserWorkspaceRole(userId, taskData.workspaceId);
+  return hasPermission(role, PERMISSIONS.ASSIGN_TASKS);
+}
+
+const formatComment = (doc) => {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    taskId: data.taskId,
+    parentCommentId: data.parentCommentId || null,
+    authorId: data.authorId,
+    authorName: data.authorName,
+    body: data.deleted ? '' : data.body,
+    mentions: data.deleted ? [] : (data.mentions || []),
+    deleted: Boolean(data.deleted),
+    editCount: (data.edits || []).length,
+    createdAt: data.createdAt?.toDate?.() || null,
+    updatedAt: data.updatedAt?.toDate?.() || null,
+    editedAt: data.editedAt?.toDate?.() || null
+  };
+};
+
+// Notify task comment recipients and push each notification to them in real time
+async function notifyTaskComment(comment, taskId, taskData, recipientIds, mentioned) {
+  const notifications = await notificationHelpers.taskComment(comment, { id: taskId, ...taskData }, recipientIds, mentioned);
+  notifications.forEach(notification => {
+    socketService.sendNotificationToUser(notification.userId, {
+      ...notification,
+      createdAt: new Date().toISOString(),
+      isRead: false
+    });
+  });
+}
+
+// GET /api/tasks/:taskId/comments - Get comment threads for a task (oldest first, replies nested)
+router.get('/:taskId/comments', verifyToken, requirePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
+  try {
+    const { taskId } = req.params;
+
+    const taskDoc = await db.collection('tasks').doc(taskId).get();
+    if (!taskDoc.exists) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (!(await canAccessTask(taskDoc.data(), req.user.uid))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const snapshot = await db.collection('taskComments')
+      .where('taskId', '==', taskId)
+      .get();
+
+    const comments = snapshot.docs.map(formatComment);
+    comments.sort((a, b) => (a.createdAt?.getTime() || 0) - (b.createdAt?.getTime() || 0));
+
+    const threads = comments
+      .filter(comment => !comment.parentCommentId)
+      .map(comment => ({
+        ...comment,
+        replies: comments.filter(reply => reply.parentCommentId === comment.id)
+      }));
+
+    res.json({
+      taskId,
+      threads,
+      total: comments.filter(comment => !comment.deleted).length
+    });
+  } catch (error) {
+    console.error('Error fetching task comments:', error);
+    res.status(500).json({ error: 'Failed to fetch comments' });
+  }
+});
+
+// POST /api/tasks/:taskId/comments - Add a comment or a reply
+// Body: { body: string, parentCommentId?: string } - replies to a reply join the same thread
+router.post('/:taskId/comments', verifyToken, requirePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+
+    if (!body) {
+      return res.status(400).json({ error: 'Comment body is required' });
+    }
+    if (body.length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({ error: `Comment cannot be longer than ${MAX_COMMENT_LENGTH} characters` });
+    }
+
+    const taskDoc = await db.collection('tasks').doc(taskId).get();
+    if (!taskDoc.exists) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const taskData = taskDoc.data();
+
+    if (!(await canAccessTask(taskData, req.user.uid))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    // Threads are one level deep: a reply always hangs off the top-level comment
+    let parentCommentId = null;
+    if (req.body.parentCommentId) {
+      const parentDoc = await db.collection('taskComments').doc(req.body.parentCommentId).get();
+      if (!parentDoc.exists || parentDoc.data().taskId !== taskId) {
+        return res.status(400).json({ error: 'Parent comment not found on this task' });
+      }
+      parentCommentId = parentDoc.data().parentCommentId || parentDoc.id;
+    }
+
+    const mentionedMembers = await resolveMentions(body, taskData.workspaceId);
+    const authorData = await admin.auth().getUser(req.user.uid);
+
+    const commentData = {
+      taskId,
+      workspaceId: taskData.workspaceId || null,
+      parentCommentId,
+      authorId: req.user.uid,
+      authorName: authorData.displayName || authorData.email,
+      body,
+      mentions: mentionedMembers.map(member => ({
+        userId: member.userId,
+        displayName: member.displayName || member.email,
+        handle: member.handle
+      })),
+      edits: [],
+      deleted: false,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      editedAt: null
+    };
+
+    const commentRef = db.collection('taskComments').doc();
+    const batch = db.batch();
+    batch.set(commentRef, commentData);
+    batch.update(taskDoc.ref, {
+      commentCount: admin.firestore.FieldValue.increment(1)
+    });
+    await batch.commit();
+
+    const comment = formatComment(await commentRef.get());
+
+    try {
+      // Assignees and watchers hear about every comment, unless it already mentions them
+      const mentionedIds = comment.mentions.map(mention => mention.userId);
+      await notifyTaskComment(comment, taskId, taskData, mentionedIds, true);
+      await notifyTaskComment(
+        comment,
+        taskId,
+        taskData,
+        [...getTaskAssignees(taskData), ...(taskData.watchers || [])].filter(userId => !mentionedIds.includes(userId)),
+        false
+      );
+
+      if (taskData.workspaceId) {
+        socketService.sendTaskComment(taskData.workspaceId, comment, 'created', req.user.uid);
+      }
+    } catch (notificationError) {
+      console.error('Error sending comment notifications:', notificationError);
+      // Don't fail the comment if notifications fail
+    }
+
+    res.status(201).json({ ...comment, replies: parentCommentId ? undefined : [] });
+  } catch (error) {
+    console.error('Error creating task comment:', error);
+    res.status(500).json({ error: 'Failed to create comment' });
+  }
+});
+
+// PUT /api/tasks/:taskId/comments/:commentId - Edit your own comment (previous text is kept in the edit history)
+router.put('/:taskId/comments/:commentId', verifyToken, requirePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
+  try {
+    const { taskId, commentId } = req.params;
+    const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+
+    if (!body) {
+      return res.status(400).json({ error: 'Comment body is required' });
+    }
+    if (body.length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({ error: `Comment cannot be longer than ${MAX_COMMENT_LENGTH} characters` });
+    }
+
+    const commentRef = db.collection('taskComments').doc(commentId);
+    const commentDoc = await commentRef.get();
+    if (!commentDoc.exists || commentDoc.data().taskId !== taskId || commentDoc.data().deleted) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const existing = commentDoc.data();
+    if (existing.authorId !== req.user.uid) {
+      return res.status(403).json({ error: 'Only the author can edit a comment' });
+    }
+
+    if (existing.body === body) {
+      return res.json(formatComment(commentDoc));
+    }
+
+    const taskDoc = await db.collection('tasks').doc(taskId).get();
+    const taskData = taskDoc.exists ? taskDoc.data() : {};
+
+    const mentionedMembers = await resolveMentions(body, existing.workspaceId);
+    const previousMentionIds = (existing.mentions || []).map(mention => mention.userId);
+
+    await commentRef.update({
+      body,
+      mentions: mentionedMembers.map(member => ({
+        userId: member.userId,
+        displayName: member.displayName || member.email,
+        handle: member.handle
+      })),
+      edits: admin.firestore.FieldValue.arrayUnion({
+        body: existing.body,
+        editedAt: existing.editedAt || existing.createdAt
+      }),
+      editedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    const comment = formatComment(await commentRef.get());
+
+    try {
+      // Only people newly mentioned by the edit are notified
+      const newMentionIds = comment.mentions
+        .map(mention => mention.userId)
+        .filter(userId => !previousMentionIds.includes(userId));
+      await notifyTaskComment(comment, taskId, taskData, newMentionIds, true);
+
+      if (existing.workspaceId) {
+        socketService.sendTaskComment(existing.workspaceId, comment, 'updated', req.user.uid);
+      }
+    } catch (notificationError) {
+      console.error('Error sending comment notifications:', notificationError);
+    }
+
+    res.json(comment);
+  } catch (error) {
+    console.error('Error updating task comment:', error);
+    res.status(500).json({ error: 'Failed to update comment' });
+  }
+});
+
+// GET /api/tasks/:taskId/comments/:commentId/history - Get the edit history of a comment (oldest first)
+router.get('/:taskId/comments/:commentId/history', verifyToken, requirePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
+  try {
+    const { taskId, commentId } = req.params;
+
+    const commentDoc = await db.collection('taskComments').doc(commentId).get();
+    if (!commentDoc.exists || commentDoc.data().taskId !== taskId) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const taskDoc = await db.collection('tasks').doc(taskId).get();
+    if (!taskDoc.exists || !(await canAccessTask(taskDoc.data(), req.user.uid))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const data = commentDoc.data();
+    if (data.deleted) {
+      return res.json({ commentId, current: null, edits: [] });
+    }
+
+    res.json({
+      commentId,
+      current: {
+        body: data.body,
+        editedAt: data.editedAt?.toDate?.() || data.createdAt?.toDate?.() || null
+      },
+      edits: (data.edits || []).map(edit => ({
+        body: edit.body,
+        editedAt: edit.editedAt?.toDate?.() || null
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching comment history:', error);
+    res.status(500).json({ error: 'Failed to fetch comment history' });
+  }
+});
+
+// DELETE /api/tasks/:taskId/comments/:commentId - Delete a comment (author or task owner)
+// A comment that still has replies is blanked out so the thread stays readable
+router.delete('/:taskId/comments/:commentId', verifyToken, requirePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
+  try {
+    const { taskId, commentId } = req.params;
+
+    const commentRef = db.collection('taskComments').doc(commentId);
+    const commentDoc = await commentRef.get();
+    if (!commentDoc.exists || commentDoc.data().taskId !== taskId || commentDoc.data().deleted) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const existing = commentDoc.data();
+    const taskRef = db.collection('tasks').doc(taskId);
+    const taskDoc = await taskRef.get();
+    const taskData = taskDoc.exists ? taskDoc.data() : {};
+
+    if (existing.authorId !== req.user.uid && taskData.userId !== req.user.uid) {
+      return res.status(403).json({ error: 'Only the author or the task owner can delete a comment' });
+    }
+
+    const repliesSnapshot = existing.parentCommentId
+      ? null
+      : await db.collection('taskComments').where('parentCommentId', '==', commentId).get();
+    const hasReplies = Boolean(repliesSnapshot && !repliesSnapshot.empty);
+
+    const batch = db.batch();
+    if (hasReplies) {
+      batch.update(commentRef, {
+        body: '',
+        mentions: [],
+        edits: [],
+        deleted: true,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    } else {
+      batch.delete(commentRef);
+    }
+    if (taskDoc.exists) {
+      batch.update(taskRef, {
+        commentCount: admin.firestore.FieldValue.increment(-1)
+      });
+    }
+    await batch.commit();
+
+    // Removing the last reply also removes a blanked-out parent
+    if (existing.parentCommentId) {
+      const parentRef = db.collection('taskComments').doc(existing.parentCommentId);
+      const [parentDoc, siblingsSnapshot] = await Promise.all([
+        parentRef.get(),
+        db.collection('taskComments').where('parentCommentId', '==', existing.parentCommentId).get()
+      ]);
+      if (parentDoc.exists && parentDoc.data().deleted && siblingsSnapshot.empty) {
+        await parentRef.delete();
+      }
+    }
+
+    try {
+      if (existing.workspaceId) {
+        socketService.sendTaskComment(existing.workspaceId, { id: commentId, taskId }, 'deleted', req.user.uid);
+      }
+    } catch (socketError) {
+      console.error('Error broadcasting comment deletion:', socketError);
+    }
+
+    res.json({
+      message: 'Comment deleted successfully',
+      commentId,
+      softDeleted: hasReplies
+    });
+  } catch (error) {
+    console.error('Error deleting task comment:', error);
+    res.status(500).json({ error: 'Failed to delete comment' });
+  }
+});
+
+// ========================= TASK CHECKLIST ENDPOINTS =========================
+
+// Runs a checklist change in a transaction and tells other viewers about the result
+async function applyChecklistChange(req, res, change) {
+  const { taskId } = req.params;
+
+  const taskDoc = await db.collection('tasks').doc(taskId).get();
+  if (!taskDoc.exists) {
+    return res.status(404).json({ error: 'Task not found' });
+  }
+  if (!(await canAccessTask(taskDoc.data(), req.user.uid))) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  const result = await checklistService.updateChecklist(taskId, change);
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error, checklist: result.checklist });
+  }
+
+  const checklistProgress = checklistService.getChecklistProgress(result.checklist);
+  try {
+    socketService.sendTaskUpdate(result.task, 'updated', req.user.uid, {
+      change: 'checklist',
+      checklist: result.checklist,
+      checklistProgress
+    });
+  } catch (socketError) {
+    console.error('Error sending checklist update:', socketError);
+  }
+
+  return res.json({
+    item: result.item || null,
+    checklist: result.checklist,
+    checklistProgress
+  });
+}
+
+// POST /api/tasks/:taskId/checklist - Add an item; `position` inserts it at that index
+router.post('/:taskId/checklist', verifyToken, requirePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
+  try {
+    const { text, error } = checklistService.validateItemText(req.body.text);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const position = req.body.position === undefined ? undefined : Number(req.body.position);
+    if (position !== undefined && !Number.isInteger(position)) {
+      return res.status(400).json({ error: 'position must be an integer' });
+    }
+
+    await applyChecklistChange(req, res, checklist => checklistService.addItem(checklist, text, position));
+  } catch (error) {
+    console.error('Error adding checklist item:', error);
+    res.status(500).json({ error: 'Failed to add checklist item' });
+  }
+});
+
+// PUT /api/tasks/:taskId/checklist/order - Reorder items; `itemIds` must list every item once
+router.put('/:taskId/checklist/order', verifyToken, requirePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
   try {
-    // Fetch tasks created by user (without orderBy to avoid index requirement)
-    const createdTasksSnapshot = await db.collection('tasks')
-      .where('userId', '==', req.user.uid)
-      .get();
-    
-    // Fetch tasks assigned to user (without orderBy to avoid index requirement)
-    const assignedTasksSnapshot = await db.collection('tasks')
-      .where('assignedTo', '==', req.user.uid)
-      .get();
-    
-    const taskMap = new Map();
-    
-    // Add created tasks
-    createdTasksSnapshot.forEach(doc => {
-      const data = doc.data();
-      taskMap.set(doc.id, { 
-        id: doc.id, 
-        ...data,
-        createdAt: data.createdAt?.toDate?.() || null,
-        updatedAt: data.updatedAt?.toDate?.() || null
-      });
-    });
-    
-    // Add assigned tasks (avoid duplicates if user assigned task to themselves)
-    assignedTasksSnapshot.forEach(doc => {
-      if (!taskMap.has(doc.id)) {
-        const data = doc.data();
-        taskMap.set(doc.id, { 
-          id: doc.id, 
-          ...data,
-          createdAt: data.createdAt?.toDate?.() || null,
-          updatedAt: data.updatedAt?.toDate?.() || null
-        });
+    const { itemIds } = req.body;
+    if (!Array.isArray(itemIds)) {
+      return res.status(400).json({ error: 'itemIds must be an array' });
+    }
+
+    await applyChecklistChange(req, res, checklist => checklistService.reorderItems(checklist, itemIds));
+  } catch (error) {
+    console.error('Error reordering checklist:', error);
+    res.status(500).json({ error: 'Failed to reorder checklist' });
+  }
+});
+
+// PATCH /api/tasks/:taskId/checklist/:itemId - Check, uncheck or rename an item
+router.patch('/:taskId/checklist/:itemId', verifyToken, requirePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
+  try {
+    const updates = {};
+    if (req.body.text !== undefined) {
+      const { text, error } = checklistService.validateItemText(req.body.text);
+      if (error) {
+        return res.status(400).json({ error });
       }
-    });
-    
-    // Convert map to array and sort by createdAt
-    const tasks = Array.from(taskMap.values()).sort((a, b) => {
-      if (!a.createdAt) return 1;
-      if (!b.createdAt) return -1;
-      return b.createdAt - a.createdAt;
-    });
-    
-    res.json(tasks);
+      updates.text = text;
+    }
+    if (req.body.completed !== undefined) {
+      if (typeof req.body.completed !== 'boolean') {
+        return res.status(400).json({ error: 'completed must be true or false' });
+      }
+      updates.completed = req.body.completed;
+    }
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'Provide text or completed' });
+    }
+
+    await applyChecklistChange(req, res, checklist =>
+      checklistService.updateItem(checklist, req.params.itemId, updates, req.user.uid));
   } catch (error) {
-    console.error('Error fetching tasks:', error);
-    res.status(500).json({ error: 'Failed to fetch tasks' });
+    console.error('Error updating checklist item:', error);
+    res.status(500).json({ error: 'Failed to update checklist item' });
   }
 });
 
-router.post('/', verifyToken, requirePermission(PERMISSIONS.CREATE_TASKS), async (req, res) => {
+// DELETE /api/tasks/:taskId/checklist/:itemId - Remove an item
+router.delete('/:taskId/checklist/:itemId', verifyToken, requirePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
   try {
-    const { title, description, priority = 'medium', dueDate, category = 'general', assignedTo, workspaceId } = req.body;
-    
-    if (!title || !description) {
-      return res.status(400).json({ error: 'Title and description are required' });
+    await applyChecklistChange(req, res, checklist => checklistService.removeItem(checklist, req.params.itemId));
+  } catch (error) {
+    console.error('Error removing checklist item:', error);
+    res.status(500).json({ error: 'Failed to remove checklist item' });
+  }
+});
+
+// ========================= TIME TRACKING ENDPOINTS =========================
+
+// Tell the user's other tabs about the timer; delivery problems never fail the request
+function broadcastTimer(userId, timer) {
+  try {
+    socketService.sendTimerUpdate(userId, timer);
+  } catch (socketError) {
+    console.error('Error sending timer update:', socketError);
+  }
+}
+
+// GET /api/tasks/timer - Get the user's running timer (null when none is running)
+router.get('/timer', verifyToken, requirePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
+  try {
+    const timer = await timeTrackingService.getRunningTimer(req.user.uid);
+    res.json({ timer });
+  } catch (error) {
+    console.error('Error fetching running timer:', error);
+    res.status(500).json({ error: 'Failed to fetch running timer' });
+  }
+});
+
+// POST /api/tasks/timer/stop - Stop the user's running timer
+router.post('/timer/stop', verifyToken, requirePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
+  try {
+    const entry = await timeTrackingService.stopTimer(req.user.uid);
+    if (!entry) {
+      return res.status(404).json({ error: 'No timer is running' });
     }
-    
-    const taskData = {
-      title,
-      description,
-      priority,
-      dueDate: dueDate || null,
-      category,
-      userId: req.user.uid,
-      assignedTo: assignedTo || req.user.uid,
-      workspaceId: workspaceId || null,
-      completed: false,
-      attachedFiles: [],
-      attachmentCount: 0,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    };
-    
-    const docRef = await db.collection('tasks').add(taskData);
-    
-    // Fetch the created task to get actual timestamps
-    const createdTaskDoc = await docRef.get();
-    const createdTaskData = createdTaskDoc.data();
-    
-    if (assignedTo && assignedTo !== req.user.uid) {
-      try {
-        await notificationHelpers.taskAssigned({
-          id: docRef.id,
-          title: title,
-          workspaceId: workspaceId,
-          dueDate: dueDate
-        }, req.user.uid, assignedTo);
-
-        // Send real-time task update
-        socketService.sendTaskUpdate({
-          id: docRef.id,
-          title: title,
-          assignedTo: assignedTo,
-          workspaceId: workspaceId
-        }, 'assigned', req.user.uid);
-      } catch (notificationError) {
-        console.error('Error sending task assignment notification:', notificationError);
-        // Don't fail the task creation if notifications fail
+
+    broadcastTimer(req.user.uid, null);
+    res.json({ message: 'Timer stopped', entry });
+  } catch (error) {
+    console.error('Error stopping timer:', error);
+    res.status(500).json({ error: 'Failed to stop timer' });
+  }
+});
+
+// GET /api/tasks/time-report - Hours by user, workspace and day for a date range (?format=csv to export)
+router.get('/time-report', verifyToken, requirePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
+  try {
+    const { workspaceId, userId, from, to, format } = req.query;
+
+    const { range, error: rangeError } = timeTrackingService.parseReportRange(from, to);
+    if (!range) {
+      return res.status(400).json({ error: rangeError });
+    }
+
+    // Within a workspace, roles that can assign tasks see everyone's time; others only their own
+    let canSeeEveryone = false;
+    if (workspaceId) {
+      const role = await getUserWorkspaceRole(req.user.uid, workspaceId);
+      if (!role) {
+        return res.status(403).json({ error: 'Access denied: Not a workspace member' });
       }
+      canSeeEveryone = hasPermission(role, PERMISSIONS.ASSIGN_TASKS);
     }
-    
-    res.status(201).json({ 
-      id: docRef.id, 
-      ...createdTaskData,
-      createdAt: createdTaskData.createdAt?.toDate?.()?.toISOString() || new Date().toISOString(),
-      updatedAt: createdTaskData.updatedAt?.toDate?.()?.toISOString() || new Date().toISOString()
+    if (userId && userId !== req.user.uid && !canSeeEveryone) {
+      return res.status(403).json({ error: 'You can only report on your own time' });
+    }
+
+    // Filter dates in memory to avoid a composite index
+    const snapshot = workspaceId
+      ? await db.collection('timeEntries').where('workspaceId', '==', workspaceId).get()
+      : await db.collection('timeEntries').where('userId', '==', req.user.uid).get();
+
+    const entries = snapshot.docs
+      .map(timeTrackingService.formatTimeEntry)
+      .filter(entry => !entry.running)
+      .filter(entry => entry.startedAt.getTime() >= range.startMs && entry.startedAt.getTime() <= range.endMs)
+      .filter(entry => canSeeEveryone || entry.userId === req.user.uid)
+      .filter(entry => !userId || entry.userId === userId);
+
+    const userIds = [...new Set(entries.map(entry => entry.userId))];
+    const workspaceIds = [...new Set(entries.map(entry => entry.workspaceId).filter(Boolean))];
+    const [userDocs, workspaceDocs] = await Promise.all([
+      userIds.length ? db.getAll(...userIds.map(id => db.collection('users').doc(id))) : [],
+      workspaceIds.length ? db.getAll(...workspaceIds.map(id => db.collection('workspaces').doc(id))) : []
+    ]);
+    const users = new Map(userDocs.filter(doc => doc.exists).map(doc => [doc.id, doc.data()]));
+    const workspaces = new Map(workspaceDocs.filter(doc => doc.exists).map(doc => [doc.id, doc.data()]));
+
+    const report = timeTrackingService.buildTimeReport(entries, users, workspaces);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="time-report-${range.from}-to-${range.to}.csv"`);
+      return res.send(timeTrackingService.toTimeReportCsv(report));
+    }
+
+    res.json({
+      from: range.from,
+      to: range.to,
+      workspaceId: workspaceId || null,
+      userId: userId || null,
+      ...report
     });
   } catch (error) {
-    console.error('Error creating task:', error);
-    res.status(500).json({ error: 'Failed to create task' });
+    console.error('Error building time report:', error);
+    res.status(500).json({ error: 'Failed to build time report' });
   }
 });
 
-// PUT /api/tasks/:id - Update task (requires ownership OR MANAGER+ role)
-router.put('/:id', verifyToken, requireOwnershipOrRole(ROLES.MANAGER), async (req, res) => {
+// POST /api/tasks/:taskId/timer/start - Start a timer on a task (one running timer per user)
+router.post('/:taskId/timer/start', verifyToken, requirePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
   try {
-    const { id } = req.params;
-    console.log('Updating task:', id, 'for user:', req.user.uid);
-    
-    // First, verify the task exists and belongs to the user
-    const taskRef = db.collection('tasks').doc(id);
-    const taskDoc = await taskRef.get();
-    
+    const { taskId } = req.params;
+
+    const taskDoc = await db.collection('tasks').doc(taskId).get();
     if (!taskDoc.exists) {
       return res.status(404).json({ error: 'Task not found' });
     }
-    
-    const taskData = taskDoc.data();
-    if (taskData.userId !== req.user.uid) {
-      return res.status(403).json({ error: 'Access denied: Not your task' });
+    if (!(await canAccessTask(taskDoc.data(), req.user.uid))) {
+      return res.status(403).json({ error: 'Access denied' });
     }
-    
-    // Prepare update data
-    const allowedFields = ['title', 'description', 'priority', 'dueDate', 'category', 'completed'];
-    const updateData = {};
-    
-    // Only update provided fields
-    for (const field of allowedFields) {
-      if (req.body.hasOwnProperty(field)) {
-        updateData[field] = req.body[field];
-      }
+
+    const note = typeof req.body.note === 'string' ? req.body.note.trim().slice(0, 500) : '';
+    const { entry, running } = await timeTrackingService.startTimer(req.user.uid, taskId, taskDoc.data(), note);
+    if (!entry) {
+      return res.status(409).json({
+        error: 'A timer is already running',
+        message: `Stop the timer on "${running.taskTitle}" first`,
+        running
+      });
     }
-    
-    // Always update the timestamp
-    updateData.updatedAt = admin.firestore.FieldValue.serverTimestamp();
-    
-    // Update the task
-    await taskRef.update(updateData);
-    
-    // Get the updated task to return
-    const updatedDoc = await taskRef.get();
-    const updatedTask = {
-      id: updatedDoc.id,
-      ...updatedDoc.data(),
-      createdAt: updatedDoc.data().createdAt?.toDate?.() || null,
-      updatedAt: updatedDoc.data().updatedAt?.toDate?.() || new Date()
-    };
-    
-    console.log('Task updated successfully');
-    res.json({
-      message: 'Task updated successfully',
-      task: updatedTask
-    });
-    
+
+    broadcastTimer(req.user.uid, entry);
+    res.status(201).json({ message: 'Timer started', timer: entry });
   } catch (error) {
-    console.error('Error updating task:', error);
-    res.status(500).json({ 
-      error: 'Failed to update task',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    console.error('Error starting timer:', error);
+    res.status(500).json({ error: 'Failed to start timer' });
   }
 });
 
-// DELETE /api/tasks/:id - Delete task (requires ownership OR MANAGER+ role)
-router.delete('/:id', verifyToken, requireOwnershipOrRole(ROLES.MANAGER), async (req, res) => {
+// GET /api/tasks/:taskId/time-entries - List a task's time entries with totals
+router.get('/:taskId/time-entries', verifyToken, requirePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
   try {
-    const { id } = req.params;
-    console.log('Deleting task:', id, 'for user:', req.user.uid);
-    
-    // First, verify the task exists and belongs to the user
-    const taskRef = db.collection('tasks').doc(id);
-    const taskDoc = await taskRef.get();
-    
+    const { taskId } = req.params;
+
+    const taskDoc = await db.collection('tasks').doc(taskId).get();
     if (!taskDoc.exists) {
       return res.status(404).json({ error: 'Task not found' });
     }
-    
-    const taskData = taskDoc.data();
-    if (taskData.userId !== req.user.uid) {
-      return res.status(403).json({ error: 'Access denied: Not your task' });
+    if (!(await canAccessTask(taskDoc.data(), req.user.uid))) {
+      return res.status(403).json({ error: 'Access denied' });
     }
-    
-    // Store task data before deletion for response
-    const deletedTask = {
-      id: taskDoc.id,
-      ...taskData,
-      createdAt: taskData.createdAt?.toDate?.() || null,
-      updatedAt: taskData.updatedAt?.toDate?.() || null
-    };
-    
-    // Delete the task
-    await taskRef.delete();
-    
-    console.log('Task deleted successfully');
+
+    const snapshot = await db.collection('timeEntries')
+      .where('taskId', '==', taskId)
+      .get();
+
+    // Sort in memory to avoid a composite index
+    const entries = snapshot.docs
+      .map(timeTrackingService.formatTimeEntry)
+      .sort((a, b) => b.startedAt - a.startedAt);
+
     res.json({
-      message: 'Task deleted successfully',
-      deletedTask: deletedTask
+      taskId,
+      entries,
+      ...timeTrackingService.summarizeTaskEntries(entries)
     });
-    
   } catch (error) {
-    console.error('Error deleting task:', error);
-    res.status(500).json({ 
-      error: 'Failed to delete task',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    console.error('Error fetching time entries:', error);
+    res.status(500).json({ error: 'Failed to fetch time entries' });
   }
 });
 
-// PATCH /api/tasks/:id/complete - Toggle task completion (requires ownership OR MANAGER+ role)
-router.patch('/:id/complete', verifyToken, requireOwnershipOrRole(ROLES.MANAGER), async (req, res) => {
+// POST /api/tasks/:taskId/time-entries - Log time manually
+router.post('/:taskId/time-entries', verifyToken, requirePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
   try {
-    const { id } = req.params;
-    console.log('Toggling completion for task:', id);
-    
-    const taskRef = db.collection('tasks').doc(id);
-    const taskDoc = await taskRef.get();
-    
+    const { taskId } = req.params;
+
+    const taskDoc = await db.collection('tasks').doc(taskId).get();
     if (!taskDoc.exists) {
       return res.status(404).json({ error: 'Task not found' });
     }
-    
-    const taskData = taskDoc.data();
-    if (taskData.userId !== req.user.uid) {
-      return res.status(403).json({ error: 'Access denied: Not your task' });
+    if (!(await canAccessTask(taskDoc.data(), req.user.uid))) {
+      return res.status(403).json({ error: 'Access denied' });
     }
-    
-    // Toggle completion status
-    const newCompletionStatus = !taskData.completed;
-    
-    await taskRef.update({
-      completed: newCompletionStatus,
-      completedAt: newCompletionStatus ? admin.firestore.FieldValue.serverTimestamp() : null,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    });
-    
-    // Send notification if task is completed and was assigned by someone else
-    if (newCompletionStatus && taskData.userId !== req.user.uid) {
-      try {
-        const { createNotification, NOTIFICATION_TYPES, PRIORITY_LEVELS } = require('../services/notificationService');
-        const completerData = await admin.auth().getUser(req.user.uid);
-        
-        await createNotification({
-          userId: taskData.userId,
-          type: NOTIFICATION_TYPES.TASK_COMPLETED,
-          title: 'Task completed',
-          message: `${completerData.displayName || completerData.email} completed task: "${taskData.title}"`,
-          priority: PRIORITY_LEVELS.MEDIUM,
-          metadata: {
-            taskId: id,
-            taskTitle: taskData.title,
-            completedBy: req.user.uid,
-            completerName: completerData.displayName || completerData.email
-          },
-          triggeredBy: req.user.uid
-        });
 
-        // Send real-time task update
-        socketService.sendTaskUpdate({
-          id: id,
-          title: taskData.title,
-          assignedTo: taskData.assignedTo,
-          workspaceId: taskData.workspaceId
-        }, newCompletionStatus ? 'completed' : 'reopened', req.user.uid);
-      } catch (notificationError) {
-        console.error('Error sending task completion notification:', notificationError);
-        // Don't fail the update if notifications fail
-      }
+    const { entry: manual, error: entryError } = timeTrackingService.parseManualEntry(req.body);
+    if (!manual) {
+      return res.status(400).json({ error: entryError });
     }
-    
-    res.json({
-      message: `Task marked as ${newCompletionStatus ? 'completed' : 'incomplete'}`,
-      completed: newCompletionStatus,
-      taskId: id
-    });
-    
+
+    const entry = await timeTrackingService.addManualEntry(req.user.uid, taskId, taskDoc.data(), manual);
+    res.status(201).json(entry);
   } catch (error) {
-    console.error('Error toggling task completion:', error);
-    res.status(500).json({ error: 'Failed to update task completion' });
+    console.error('Error adding time entry:', error);
+    res.status(500).json({ error: 'Failed to add time entry' });
+  }
+});
+
+// DELETE /api/tasks/:taskId/time-entries/:entryId - Delete one of your own time entries
+router.delete('/:taskId/time-entries/:entryId', verifyToken, requirePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
+  try {
+    const { taskId, entryId } = req.params;
+
+    const entryDoc = await db.collection('timeEntries').doc(entryId).get();
+    if (!entryDoc.exists || entryDoc.data().taskId !== taskId) {
+      return res.status(404).json({ error: 'Time entry not found' });
+    }
+    if (entryDoc.data().userId !== req.user.uid) {
+      return res.status(403).json({ error: 'You can only delete your own time entries' });
+    }
+    if (!entryDoc.data().endedAt) {
+      return res.status(409).json({ error: 'Stop the running timer before deleting its entry' });
+    }
+
+    await timeTrackingService.deleteEntry(entryDoc);
+    res.json({ message: 'Time entry deleted', entryId });
+  } catch (error) {
+    console.error('Error deleting time entry:', error);
+    res.status(500).json({ error: 'Failed to delete time entry' });
   }
 });
 
@@ -328,7 +2969,7 @@ router.post('/:taskId/attach-file', verifyToken, requirePermission(PERMISSIONS.E
     const taskData = taskDoc.data();
 
     // Check task ownership or permissions
-    if (taskData.userId !== req.user.uid && taskData.assignedTo !== req.user.uid) {
+    if (taskData.userId !== req.user.uid && !isTaskAssignee(taskData, req.user.uid)) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -368,18 +3009,26 @@ router.post('/:taskId/attach-file', verifyToken, requirePermission(PERMISSIONS.E
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
     });
 
-    // Send notification if task is assigned to someone else
-    if (taskData.assignedTo && taskData.assignedTo !== req.user.uid) {
-      try {
+    await logTaskHistory({
+      taskId,
+      workspaceId: taskData.workspaceId,
+      action: HISTORY_ACTIONS.ATTACH_FILE,
+      changes: [{ field: 'attachedFiles', from: null, to: fileData.fileName, fileId }],
+      changedBy: req.user.uid
+    });
+
+    // Send notification to every assignee other than the user attaching the file
+    try {
+      for (const assigneeId of getTaskAssignees(taskData)) {
         await notificationHelpers.fileAttachedToTask({
           taskId: taskId,
           taskTitle: taskData.title,
           fileName: fileData.fileName,
           attachedBy: req.user.uid
-        }, taskData.assignedTo);
-      } catch (notificationError) {
-        console.error('Error sending file attachment notification:', notificationError);
+        }, assigneeId);
       }
+    } catch (notificationError) {
+      console.error('Error sending file attachment notification:', notificationError);
     }
 
     // Send real-time update
@@ -420,7 +3069,7 @@ router.delete('/:taskId/detach-file/:fileId', verifyToken, requirePermission(PER
     const taskData = taskDoc.data();
 
     // Check task ownership or permissions
-    if (taskData.userId !== req.user.uid && taskData.assignedTo !== req.user.uid) {
+    if (taskData.userId !== req.user.uid && !isTaskAssignee(taskData, req.user.uid)) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -450,6 +3099,14 @@ router.delete('/:taskId/detach-file/:fileId', verifyToken, requirePermission(PER
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
     });
 
+    await logTaskHistory({
+      taskId,
+      workspaceId: taskData.workspaceId,
+      action: HISTORY_ACTIONS.DETACH_FILE,
+      changes: [{ field: 'attachedFiles', from: fileDoc.data().fileName, to: null, fileId }],
+      changedBy: req.user.uid
+    });
+
     // Send real-time update
     if (taskData.workspaceId) {
       socketService.sendTaskUpdate({
@@ -487,7 +3144,7 @@ router.get('/:taskId/files', verifyToken, requirePermission(PERMISSIONS.VIEW_TAS
     const taskData = taskDoc.data();
 
     // Check task access permissions
-    if (taskData.userId !== req.user.uid && taskData.assignedTo !== req.user.uid) {
+    if (taskData.userId !== req.user.uid && !isTaskAssignee(taskData, req.user.uid)) {
       // Check workspace access if task is in workspace
       if (taskData.workspaceId) {
         // Add workspace member check here if needed
@@ -561,7 +3218,7 @@ router.post('/:taskId/upload-file', verifyToken, requirePermission(PERMISSIONS.U
     const taskData = taskDoc.data();
 
     // Check task access permissions
-    if (taskData.userId !== req.user.uid && taskData.assignedTo !== req.user.uid) {
+    if (taskData.userId !== req.user.uid && !isTaskAssignee(taskData, req.user.uid)) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
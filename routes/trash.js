@@ -0,0 +1,105 @@
+const express = require('express');
+const router = express.Router();
+const admin = require('firebase-admin');
+const { verifyToken } = require('../middleware/auth');
+const {
+  PERMISSIONS,
+  requirePermission,
+  getUserWorkspaceRole,
+  hasPermission
+} = require('../middleware/rbac');
+const trashService = require('../services/trashService');
+
+const db = admin.firestore();
+
+// Whoever owns or deleted an item can restore or purge it; in a workspace, so can roles
+// that may delete that kind of item
+async function canManageEntry(entry, userId) {
+  if (entry.ownerId === userId || entry.deletedBy === userId) return true;
+  if (!entry.workspaceId) return false;
+
+  const role = await getUserWorkspaceRole(userId, entry.workspaceId);
+  const permission = entry.type === trashService.TRASH_TYPES.TASK
+    ? PERMISSIONS.DELETE_TASKS
+    : PERMISSIONS.DELETE_FILES;
+  return Boolean(role) && hasPermission(role, permission);
+}
+
+// Load a trash entry and check the caller may act on it; sends the error response otherwise
+async function loadManageableEntry(req, res) {
+  const entryDoc = await db.collection('trash').doc(req.params.entryId).get();
+  if (!entryDoc.exists) {
+    res.status(404).json({ error: 'Trash item not found' });
+    return null;
+  }
+  if (!(await canManageEntry(entryDoc.data(), req.user.uid))) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+  return entryDoc;
+}
+
+// GET /api/trash - List deleted tasks and files
+// Query: workspaceId for a workspace's trash; without it, the user's personal items
+router.get('/', verifyToken, requirePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
+  try {
+    const { workspaceId } = req.query;
+
+    if (workspaceId) {
+      const role = await getUserWorkspaceRole(req.user.uid, workspaceId);
+      if (!role) {
+        return res.status(403).json({ error: 'Access denied: Not a workspace member' });
+      }
+    }
+
+    const items = await trashService.listTrash({ workspaceId, userId: req.user.uid });
+    res.json({
+      workspaceId: workspaceId || null,
+      retentionDays: trashService.getRetentionDays(),
+      items
+    });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({ error: 'Failed to fetch trash' });
+  }
+});
+
+// POST /api/trash/:entryId/restore - Put a deleted task (with its subtasks) or file back
+router.post('/:entryId/restore', verifyToken, requirePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
+  try {
+    const entryDoc = await loadManageableEntry(req, res);
+    if (!entryDoc) return;
+
+    const result = await trashService.restoreEntry(entryDoc);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const entry = entryDoc.data();
+    res.json({
+      message: `${entry.type === trashService.TRASH_TYPES.TASK ? 'Task' : 'File'} restored`,
+      type: entry.type,
+      itemId: entry.itemId,
+      restoredIds: result.restoredIds
+    });
+  } catch (error) {
+    console.error('Error restoring trash item:', error);
+    res.status(500).json({ error: 'Failed to restore item' });
+  }
+});
+
+// DELETE /api/trash/:entryId - Permanently delete an item from the trash
+router.delete('/:entryId', verifyToken, requirePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
+  try {
+    const entryDoc = await loadManageableEntry(req, res);
+    if (!entryDoc) return;
+
+    await trashService.purgeEntry(entryDoc);
+    res.json({ message: 'Item permanently deleted', entryId: entryDoc.id });
+  } catch (error) {
+    console.error('Error permanently deleting trash item:', error);
+    res.status(500).json({ error: 'Failed to permanently delete item' });
+  }
+});
+
+module.exports = router;
@@ -15,6 +15,20 @@ const {
 } = require('../middleware/rbac');
 const { notificationHelpers } = require('../services/notificationService');
 const socketService = require('../services/socketService');
+const workflowService = require('../services/workflowService');
+const customFieldService = require('../services/customFieldService');
+const templateService = require('../services/templateService');
+const assignmentService = require('../services/assignmentService');
+const sprintService = require('../services/sprintService');
+const folderService = require('../services/folderService');
+const { getWorkspaceMemberDirectory } = require('../services/mentionService');
+const {
+  formatTask,
+  annotateBlockedStatus,
+  annotateWorkflowStatus,
+  annotateAssignees,
+  createBatchWriter
+} = require('../services/taskService');
 
 const db = admin.firestore();
 
@@ -141,6 +155,636 @@ router.put('/:id', verifyToken, requireWorkspacePermission(PERMISSIONS.EDIT_WORK
   }
 });
 
+// PUT /api/workspaces/:id/workflow - Configure task statuses and allowed transitions
+router.put('/:id/workflow', verifyToken, requireWorkspacePermission(PERMISSIONS.EDIT_WORKSPACES), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const workspaceDoc = await db.collection('workspaces').doc(id).get();
+    if (!workspaceDoc.exists) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+
+    const { workflow, errors } = workflowService.normalizeWorkflow(req.body);
+    if (!workflow) {
+      return res.status(400).json({ error: 'Invalid workflow', details: errors });
+    }
+
+    // Tasks whose status no longer exists fall back to the initial or done status when read
+    await db.collection('workspaces').doc(id).update({
+      workflow,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    res.json({
+      message: 'Workflow updated successfully',
+      workspaceId: id,
+      workflow
+    });
+  } catch (error) {
+    console.error('Error updating workflow:', error);
+    res.status(500).json({ error: 'Failed to update workflow' });
+  }
+});
+
+// GET /api/workspaces/:id/custom-fields - Custom task field definitions
+router.get('/:id/custom-fields', verifyToken, requireWorkspacePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const workspaceDoc = await db.collection('workspaces').doc(id).get();
+    if (!workspaceDoc.exists) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+
+    res.json({
+      workspaceId: id,
+      fields: workspaceDoc.data().customFields || []
+    });
+  } catch (error) {
+    console.error('Error fetching custom fields:', error);
+    res.status(500).json({ error: 'Failed to fetch custom fields' });
+  }
+});
+
+// PUT /api/workspaces/:id/custom-fields - Replace the custom task field definitions
+router.put('/:id/custom-fields', verifyToken, requireWorkspacePermission(PERMISSIONS.EDIT_WORKSPACES), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const workspaceDoc = await db.collection('workspaces').doc(id).get();
+    if (!workspaceDoc.exists) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+
+    const { fields, errors } = customFieldService.normalizeCustomFields(req.body.fields);
+    if (!fields) {
+      return res.status(400).json({ error: 'Invalid custom fields', details: errors });
+    }
+
+    // Values of removed fields stay on tasks but are no longer validated, filtered or shown
+    await db.collection('workspaces').doc(id).update({
+      customFields: fields,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    res.json({
+      message: 'Custom fields updated successfully',
+      workspaceId: id,
+      fields
+    });
+  } catch (error) {
+    console.error('Error updating custom fields:', error);
+    res.status(500).json({ error: 'Failed to update custom fields' });
+  }
+});
+
+// GET /api/workspaces/:id/assignment-policy - Auto-assignment policy and the members it picks from
+router.get('/:id/assignment-policy', verifyToken, requireWorkspacePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const workspaceDoc = await db.collection('workspaces').doc(id).get();
+    if (!workspaceDoc.exists) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+
+    const policy = assignmentService.getAssignmentPolicy(workspaceDoc.data());
+    const members = await assignmentService.getEligibleMembers(id);
+    const loads = await assignmentService.getMemberLoads(id, members.map(member => member.userId), policy.priorityWeights);
+
+    res.json({
+      workspaceId: id,
+      policy,
+      eligibleMembers: members.map(member => ({ ...member, ...loads.get(member.userId) }))
+    });
+  } catch (error) {
+    console.error('Error fetching assignment policy:', error);
+    res.status(500).json({ error: 'Failed to fetch assignment policy' });
+  }
+});
+
+// PUT /api/workspaces/:id/assignment-policy - Choose how new workspace tasks without an assignee are assigned
+router.put('/:id/assignment-policy', verifyToken, requireWorkspacePermission(PERMISSIONS.EDIT_WORKSPACES), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const workspaceDoc = await db.collection('workspaces').doc(id).get();
+    if (!workspaceDoc.exists) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+
+    const { policy, errors } = assignmentService.normalizeAssignmentPolicy(req.body);
+    if (!policy) {
+      return res.status(400).json({ error: 'Invalid assignment policy', details: errors });
+    }
+
+    await db.collection('workspaces').doc(id).update({
+      assignmentPolicy: policy,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    res.json({
+      message: 'Assignment policy updated successfully',
+      workspaceId: id,
+      policy
+    });
+  } catch (error) {
+    console.error('Error updating assignment policy:', error);
+    res.status(500).json({ error: 'Failed to update assignment policy' });
+  }
+});
+
+// GET /api/workspaces/:id/task-templates - Saved task templates
+router.get('/:id/task-templates', verifyToken, requireWorkspacePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
+  try {
+    const templates = await templateService.getWorkspaceTemplates(req.params.id);
+    res.json({ workspaceId: req.params.id, templates });
+  } catch (error) {
+    console.error('Error fetching task templates:', error);
+    res.status(500).json({ error: 'Failed to fetch task templates' });
+  }
+});
+
+// POST /api/workspaces/:id/task-templates - Save a task template
+router.post('/:id/task-templates', verifyToken, requireWorkspacePermission(PERMISSIONS.ASSIGN_TASKS), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const workspaceDoc = await db.collection('workspaces').doc(id).get();
+    if (!workspaceDoc.exists) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+
+    const { template, errors } = templateService.normalizeTemplate(req.body);
+    if (!template) {
+      return res.status(400).json({ error: 'Invalid template', details: errors });
+    }
+
+    const docRef = await db.collection('taskTemplates').add({
+      ...template,
+      workspaceId: id,
+      createdBy: req.user.uid,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    const createdDoc = await docRef.get();
+    res.status(201).json({
+      message: 'Template created successfully',
+      template: templateService.formatTemplate(createdDoc)
+    });
+  } catch (error) {
+    console.error('Error creating task template:', error);
+    res.status(500).json({ error: 'Failed to create task template' });
+  }
+});
+
+// PUT /api/workspaces/:id/task-templates/:templateId - Replace a task template
+router.put('/:id/task-templates/:templateId', verifyToken, requireWorkspacePermission(PERMISSIONS.ASSIGN_TASKS), async (req, res) => {
+  try {
+    const { id, templateId } = req.params;
+    const templateRef = db.collection('taskTemplates').doc(templateId);
+    const templateDoc = await templateRef.get();
+
+    if (!templateDoc.exists || templateDoc.data().workspaceId !== id) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const { template, errors } = templateService.normalizeTemplate(req.body);
+    if (!template) {
+      return res.status(400).json({ error: 'Invalid template', details: errors });
+    }
+
+    await templateRef.update({
+      ...template,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    const updatedDoc = await templateRef.get();
+    res.json({
+      message: 'Template updated successfully',
+      template: templateService.formatTemplate(updatedDoc)
+    });
+  } catch (error) {
+    console.error('Error updating task template:', error);
+    res.status(500).json({ error: 'Failed to update task template' });
+  }
+});
+
+// DELETE /api/workspaces/:id/task-templates/:templateId - Delete a task template
+router.delete('/:id/task-templates/:templateId', verifyToken, requireWorkspacePermission(PERMISSIONS.ASSIGN_TASKS), async (req, res) => {
+  try {
+    const { id, templateId } = req.params;
+    const templateRef = db.collection('taskTemplates').doc(templateId);
+    const templateDoc = await templateRef.get();
+
+    if (!templateDoc.exists || templateDoc.data().workspaceId !== id) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    // Tasks already created from the template keep their copied fields
+    await templateRef.delete();
+    res.json({ message: 'Template deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting task template:', error);
+    res.status(500).json({ error: 'Failed to delete task template' });
+  }
+});
+
+// ========================= SPRINTS & MILESTONES =========================
+
+// GET /api/workspaces/:id/sprints - Sprints and milestones with their task counts, by start date
+router.get('/:id/sprints', verifyToken, requireWorkspacePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Equality filters only; sorted in memory to avoid a composite index
+    const [sprintSnapshot, taskSnapshot] = await Promise.all([
+      db.collection('sprints').where('workspaceId', '==', id).get(),
+      db.collection('tasks').where('workspaceId', '==', id).get()
+    ]);
+
+    const counts = new Map();
+    taskSnapshot.forEach(doc => {
+      const { sprintId, completed } = doc.data();
+      if (!sprintId) return;
+      const entry = counts.get(sprintId) || { taskCount: 0, openTaskCount: 0 };
+      entry.taskCount++;
+      if (!completed) entry.openTaskCount++;
+      counts.set(sprintId, entry);
+    });
+
+    const sprints = sprintSnapshot.docs
+      .map(doc => {
+        const { burndown, ...sprint } = sprintService.formatSprint(doc);
+        return { ...sprint, ...(counts.get(doc.id) || { taskCount: 0, openTaskCount: 0 }) };
+      })
+      .sort((a, b) => a.startDate.localeCompare(b.startDate) || a.name.localeCompare(b.name));
+
+    res.json({ workspaceId: id, sprints });
+  } catch (error) {
+    console.error('Error fetching sprints:', error);
+    res.status(500).json({ error: 'Failed to fetch sprints' });
+  }
+});
+
+// POST /api/workspaces/:id/sprints - Create a sprint or milestone
+router.post('/:id/sprints', verifyToken, requireWorkspacePermission(PERMISSIONS.ASSIGN_TASKS), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const workspaceDoc = await db.collection('workspaces').doc(id).get();
+    if (!workspaceDoc.exists) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+
+    const { sprint, errors } = sprintService.normalizeSprint(req.body, workspaceDoc.data().customFields || []);
+    if (!sprint) {
+      return res.status(400).json({ error: 'Invalid sprint', details: errors });
+    }
+
+    const docRef = await db.collection('sprints').add({
+      ...sprint,
+      workspaceId: id,
+      closedAt: null,
+      createdBy: req.user.uid,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    const createdDoc = await docRef.get();
+    res.status(201).json({
+      message: 'Sprint created successfully',
+      sprint: sprintService.formatSprint(createdDoc)
+    });
+  } catch (error) {
+    console.error('Error creating sprint:', error);
+    res.status(500).json({ error: 'Failed to create sprint' });
+  }
+});
+
+// PUT /api/workspaces/:id/sprints/:sprintId - Update a sprint's name, goal, dates or points field
+router.put('/:id/sprints/:sprintId', verifyToken, requireWorkspacePermission(PERMISSIONS.ASSIGN_TASKS), async (req, res) => {
+  try {
+    const { id, sprintId } = req.params;
+    const sprintRef = db.collection('sprints').doc(sprintId);
+    const sprintDoc = await sprintRef.get();
+
+    if (!sprintDoc.exists || sprintDoc.data().workspaceId !== id) {
+      return res.status(404).json({ error: 'Sprint not found' });
+    }
+    if (sprintDoc.data().closedAt) {
+      return res.status(409).json({ error: 'Closed sprints cannot be changed' });
+    }
+
+    const customFields = await customFieldService.getCustomFields(id);
+    const { sprint, errors } = sprintService.normalizeSprint(req.body, customFields, sprintDoc.data());
+    if (!sprint) {
+      return res.status(400).json({ error: 'Invalid sprint', details: errors });
+    }
+
+    await sprintRef.update({
+      ...sprint,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    const updatedDoc = await sprintRef.get();
+    res.json({
+      message: 'Sprint updated successfully',
+      sprint: sprintService.formatSprint(updatedDoc)
+    });
+  } catch (error) {
+    console.error('Error updating sprint:', error);
+    res.status(500).json({ error: 'Failed to update sprint' });
+  }
+});
+
+// DELETE /api/workspaces/:id/sprints/:sprintId - Delete a sprint; its tasks go back to the backlog
+router.delete('/:id/sprints/:sprintId', verifyToken, requireWorkspacePermission(PERMISSIONS.ASSIGN_TASKS), async (req, res) => {
+  try {
+    const { id, sprintId } = req.params;
+    const sprintRef = db.collection('sprints').doc(sprintId);
+    const sprintDoc = await sprintRef.get();
+
+    if (!sprintDoc.exists || sprintDoc.data().workspaceId !== id) {
+      return res.status(404).json({ error: 'Sprint not found' });
+    }
+
+    const taskDocs = await sprintService.getSprintTasks(sprintId);
+    const writer = createBatchWriter();
+    taskDocs.forEach(doc => writer.update(doc.ref, {
+      sprintId: null,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }));
+    writer.delete(sprintRef);
+    await writer.commit();
+
+    res.json({ message: 'Sprint deleted successfully', releasedTaskCount: taskDocs.length });
+  } catch (error) {
+    console.error('Error deleting sprint:', error);
+    res.status(500).json({ error: 'Failed to delete sprint' });
+  }
+});
+
+// GET /api/workspaces/:id/sprints/:sprintId/burndown - Remaining tasks (or points) per day
+router.get('/:id/sprints/:sprintId/burndown', verifyToken, requireWorkspacePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
+  try {
+    const { id, sprintId } = req.params;
+    const sprintDoc = await db.collection('sprints').doc(sprintId).get();
+
+    if (!sprintDoc.exists || sprintDoc.data().workspaceId !== id) {
+      return res.status(404).json({ error: 'Sprint not found' });
+    }
+
+    // Closed sprints report the burndown frozen when they were closed
+    const sprint = sprintDoc.data();
+    const burndown = sprint.closedAt && sprint.burndown
+      ? sprint.burndown
+      : sprintService.computeBurndown(sprint, (await sprintService.getSprintTasks(sprintId)).map(doc => doc.data()));
+
+    res.json({
+      sprintId,
+      state: sprintService.getSprintState(sprint),
+      startDate: sprint.startDate,
+      endDate: sprint.endDate,
+      ...burndown
+    });
+  } catch (error) {
+    console.error('Error fetching burndown:', error);
+    res.status(500).json({ error: 'Failed to fetch burndown' });
+  }
+});
+
+// POST /api/workspaces/:id/sprints/:sprintId/close - Close a sprint and carry unfinished tasks over
+// Body: { carryOverTo } - a sprint ID, "new" (default) for a following sprint of the same length,
+// or null to send unfinished tasks back to the backlog
+router.post('/:id/sprints/:sprintId/close', verifyToken, requireWorkspacePermission(PERMISSIONS.ASSIGN_TASKS), async (req, res) => {
+  try {
+    const { id, sprintId } = req.params;
+    const { carryOverTo = 'new' } = req.body;
+    const sprintDoc = await db.collection('sprints').doc(sprintId).get();
+
+    if (!sprintDoc.exists || sprintDoc.data().workspaceId !== id) {
+      return res.status(404).json({ error: 'Sprint not found' });
+    }
+    if (sprintDoc.data().closedAt) {
+      return res.status(409).json({ error: 'Sprint is already closed' });
+    }
+    if (carryOverTo !== null && typeof carryOverTo !== 'string') {
+      return res.status(400).json({ error: 'carryOverTo must be a sprint ID, "new" or null' });
+    }
+
+    const { summary, nextSprintId, error } = await sprintService.closeSprint(sprintDoc, carryOverTo, req.user.uid);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const [closedDoc, nextDoc] = await Promise.all([
+      sprintDoc.ref.get(),
+      nextSprintId ? db.collection('sprints').doc(nextSprintId).get() : null
+    ]);
+
+    try {
+      socketService.sendWorkspaceActivity(id, {
+        type: 'sprint_closed',
+        sprintId,
+        name: sprintDoc.data().name,
+        carriedOverTasks: summary.carriedOverTasks,
+        carriedOverTo: summary.carriedOverTo,
+        closedBy: req.user.uid
+      }, req.user.uid);
+    } catch (socketError) {
+      console.error('Error sending sprint update:', socketError);
+    }
+
+    res.json({
+      message: 'Sprint closed successfully',
+      summary,
+      sprint: sprintService.formatSprint(closedDoc),
+      nextSprint: nextDoc ? sprintService.formatSprint(nextDoc) : null
+    });
+  } catch (error) {
+    console.error('Error closing sprint:', error);
+    res.status(500).json({ error: 'Failed to close sprint' });
+  }
+});
+
+// ========================= FILE FOLDERS =========================
+
+const sendFolderActivity = (workspaceId, activity, userId) => {
+  try {
+    socketService.sendWorkspaceActivity(workspaceId, { ...activity, userId }, userId);
+  } catch (socketError) {
+    console.error('Error sending folder update:', socketError);
+  }
+};
+
+// GET /api/workspaces/:id/folders - Folder tree of the workspace's files, with file counts
+router.get('/:id/folders', verifyToken, requireWorkspacePermission(PERMISSIONS.VIEW_FILES), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [folders, filesSnapshot] = await Promise.all([
+      folderService.getWorkspaceFolders(id),
+      db.collection('files').where('workspaceId', '==', id).get()
+    ]);
+
+    const fileCounts = new Map();
+    let rootFileCount = 0;
+    filesSnapshot.forEach(doc => {
+      const { folderId } = doc.data();
+      if (folderId && folders.has(folderId)) {
+        fileCounts.set(folderId, (fileCounts.get(folderId) || 0) + 1);
+      } else {
+        rootFileCount++;
+      }
+    });
+
+    res.json({
+      workspaceId: id,
+      rootFileCount,
+      folders: folderService.buildFolderTree(folders, fileCounts)
+    });
+  } catch (error) {
+    console.error('Error fetching folders:', error);
+    res.status(500).json({ error: 'Failed to fetch folders' });
+  }
+});
+
+// POST /api/workspaces/:id/folders - Create a folder
+// Body: { name, parentId? } - without parentId the folder goes at the top level
+router.post('/:id/folders', verifyToken, requirePermission(PERMISSIONS.UPLOAD_FILES), requireWorkspacePermission(PERMISSIONS.UPLOAD_FILES), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { name, error: nameError } = folderService.normalizeFolderName(req.body.name);
+    if (nameError) {
+      return res.status(400).json({ error: nameError });
+    }
+
+    const folders = await folderService.getWorkspaceFolders(id);
+    const placement = folderService.validatePlacement(folders, { parentId: req.body.parentId, name });
+    if (placement.error) {
+      return res.status(placement.status).json({ error: placement.error });
+    }
+
+    const docRef = await db.collection('folders').add({
+      workspaceId: id,
+      name,
+      parentId: placement.parentId,
+      createdBy: req.user.uid,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    const created = await docRef.get();
+    folders.set(docRef.id, { id: docRef.id, ...created.data() });
+    const folder = folderService.formatFolder(folders.get(docRef.id), folders);
+
+    sendFolderActivity(id, { type: 'folder_created', folderId: docRef.id, name }, req.user.uid);
+
+    res.status(201).json(folder);
+  } catch (error) {
+    console.error('Error creating folder:', error);
+    res.status(500).json({ error: 'Failed to create folder' });
+  }
+});
+
+// PUT /api/workspaces/:id/folders/:folderId - Rename and/or move a folder
+// Body: { name?, parentId? } - parentId null moves the folder to the top level
+router.put('/:id/folders/:folderId', verifyToken, requirePermission(PERMISSIONS.UPLOAD_FILES), requireWorkspacePermission(PERMISSIONS.UPLOAD_FILES), async (req, res) => {
+  try {
+    const { id, folderId } = req.params;
+
+    const folders = await folderService.getWorkspaceFolders(id);
+    const existing = folders.get(folderId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+
+    let name = existing.name;
+    if (req.body.name !== undefined) {
+      const normalized = folderService.normalizeFolderName(req.body.name);
+      if (normalized.error) {
+        return res.status(400).json({ error: normalized.error });
+      }
+      name = normalized.name;
+    }
+
+    const parentId = req.body.parentId !== undefined ? req.body.parentId : existing.parentId;
+    const placement = folderService.validatePlacement(folders, { folderId, parentId, name });
+    if (placement.error) {
+      return res.status(placement.status).json({ error: placement.error });
+    }
+
+    const updates = {
+      name,
+      parentId: placement.parentId,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    await db.collection('folders').doc(folderId).update(updates);
+
+    folders.set(folderId, { ...existing, ...updates, updatedAt: new Date() });
+    const folder = folderService.formatFolder(folders.get(folderId), folders);
+
+    sendFolderActivity(id, {
+      type: placement.parentId !== (existing.parentId || null) ? 'folder_moved' : 'folder_renamed',
+      folderId,
+      name,
+      parentId: placement.parentId
+    }, req.user.uid);
+
+    res.json(folder);
+  } catch (error) {
+    console.error('Error updating folder:', error);
+    res.status(500).json({ error: 'Failed to update folder' });
+  }
+});
+
+// DELETE /api/workspaces/:id/folders/:folderId - Delete a folder with its subfolders
+// A folder that isn't empty needs ?recursive=true; the files inside go to the trash
+router.delete('/:id/folders/:folderId', verifyToken, requireWorkspacePermission(PERMISSIONS.DELETE_FILES), async (req, res) => {
+  try {
+    const { id, folderId } = req.params;
+
+    const folders = await folderService.getWorkspaceFolders(id);
+    const folder = folders.get(folderId);
+    if (!folder) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+
+    const folderIds = folderService.getDescendantFolderIds(folderId, folders);
+    if (req.query.recursive !== 'true') {
+      const files = await folderService.getFilesInFolders(id, folderIds);
+      if (folderIds.length > 1 || files.length > 0) {
+        return res.status(409).json({
+          error: 'Folder is not empty; confirm with ?recursive=true to delete it with everything inside',
+          folderCount: folderIds.length - 1,
+          fileCount: files.length
+        });
+      }
+    }
+
+    const result = await folderService.deleteFolderTree(folder, folders, req.user.uid);
+
+    sendFolderActivity(id, {
+      type: 'folder_deleted',
+      folderId,
+      name: folder.name,
+      deletedFolderIds: result.deletedFolderIds
+    }, req.user.uid);
+
+    res.json({
+      message: 'Folder deleted successfully',
+      ...result
+    });
+  } catch (error) {
+    console.error('Error deleting folder:', error);
+    res.status(500).json({ error: 'Failed to delete folder' });
+  }
+});
+
 // DELETE /api/workspaces/:id - Delete workspace (requires ownership OR ADMIN+ role)
 router.delete('/:id', verifyToken, requireWorkspacePermission(PERMISSIONS.DELETE_WORKSPACES), async (req, res) => {
   try {
@@ -586,6 +1230,44 @@ router.get('/:id/members', verifyToken, requireWorkspacePermission(PERMISSIONS.V
   }
 });
 
+// GET /api/workspaces/:id/tasks - Shared board: every task in the workspace with assignee info (requires VIEW_TASKS permission)
+router.get('/:id/tasks', verifyToken, requireWorkspacePermission(PERMISSIONS.VIEW_TASKS), async (req, res) => {
+  try {
+    // Permission is already verified by middleware
+    const { id } = req.params;
+
+    const workspaceDoc = await db.collection('workspaces').doc(id).get();
+    if (!workspaceDoc.exists) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+
+    const [tasksSnapshot, members] = await Promise.all([
+      db.collection('tasks').where('workspaceId', '==', id).get(),
+      getWorkspaceMemberDirectory(id)
+    ]);
+
+    // Sort in memory to avoid a composite index
+    const tasks = tasksSnapshot.docs.map(formatTask).sort((a, b) => {
+      if (!a.createdAt) return 1;
+      if (!b.createdAt) return -1;
+      return b.createdAt - a.createdAt;
+    });
+
+    await annotateBlockedStatus(tasks);
+    await annotateWorkflowStatus(tasks);
+    await annotateAssignees(tasks, members);
+
+    res.json({
+      workspaceId: id,
+      tasks,
+      total: tasks.length
+    });
+  } catch (error) {
+    console.error('Error fetching workspace tasks:', error);
+    res.status(500).json({ error: 'Failed to fetch workspace tasks' });
+  }
+});
+
 // DELETE /api/workspaces/:id/members/:memberId - Remove member from workspace (requires MANAGE_MEMBERS permission)
 router.delete('/:id/members/:memberId', verifyToken, requireWorkspacePermission(PERMISSIONS.MANAGE_MEMBERS), async (req, res) => {
   try {
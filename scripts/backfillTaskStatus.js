@@ -0,0 +1,62 @@
+// scripts/backfillTaskStatus.js - Store the workflow status on tasks that don't have one
+//
+// Usage: npm run backfill-task-status [-- --dry-run]
+//
+// Tasks created before workflows have no `status`, and a task whose status was removed from
+// its workflow holds one that no longer exists. The API shows both as the workflow's initial
+// (or done) status, but task listings filter on the stored field, so these tasks would be
+// missing from status-filtered lists. This writes the status the API already shows.
+// Running it again is safe.
+require('dotenv').config();
+require('../firebaseConfig');
+const admin = require('firebase-admin');
+const workflowService = require('../services/workflowService');
+const { createBatchWriter } = require('../services/taskService');
+
+const db = admin.firestore();
+
+async function backfill({ dryRun = false } = {}) {
+  const snapshot = await db.collection('tasks').get();
+  const workflows = await workflowService.getWorkflows(snapshot.docs.map(doc => doc.data().workspaceId));
+
+  const writer = createBatchWriter();
+  let updated = 0;
+  snapshot.forEach(doc => {
+    const task = doc.data();
+    const workflow = workflows.get(task.workspaceId || '') || workflowService.DEFAULT_WORKFLOW;
+    const status = workflowService.resolveTaskStatus(task, workflow);
+    if (task.status === status) return;
+
+    if (dryRun) {
+      console.log(`Would set ${doc.id}: ${task.status || '(none)'} -> ${status}`);
+    } else {
+      writer.update(doc.ref, { status });
+    }
+    updated++;
+  });
+
+  if (!dryRun) {
+    await writer.commit();
+  }
+  console.log(`${updated} of ${snapshot.size} task(s) ${dryRun ? 'would be ' : ''}updated`);
+  return { scanned: snapshot.size, updated };
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const unknown = args.filter(arg => arg !== '--dry-run');
+  if (unknown.length > 0) {
+    console.error(`Unknown argument: ${unknown[0]}`);
+    console.error('Usage: npm run backfill-task-status [-- --dry-run]');
+    process.exit(1);
+  }
+
+  backfill({ dryRun: args.includes('--dry-run') })
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Task status backfill failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { backfill };
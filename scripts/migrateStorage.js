@@ -0,0 +1,132 @@
+// scripts/migrateStorage.js - Move stored files from one storage backend to another
+//
+// Usage: npm run migrate-storage -- --to <local|s3> [--from <local|s3>] [--delete-source] [--dry-run]
+//
+// Copies every file (current versions, older versions, shared blobs and files in the trash) that isn't
+// in the target backend yet, then points its documents at the copy. Set STORAGE_DRIVER to
+// the target first so new uploads don't land in the old backend while this runs. Running
+// it again is safe: objects already copied are not uploaded twice.
+require('dotenv').config();
+require('../firebaseConfig');
+const admin = require('firebase-admin');
+const storageService = require('../services/storageService');
+const { BLOBS_COLLECTION } = require('../services/fileBlobService');
+const { createBatchWriter } = require('../services/taskService');
+
+const db = admin.firestore();
+
+function parseArgs(argv) {
+  const options = { from: null, to: null, deleteSource: false, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--to') options.to = argv[++i];
+    else if (arg === '--from') options.from = argv[++i];
+    else if (arg === '--delete-source') options.deleteSource = true;
+    else if (arg === '--dry-run') options.dryRun = true;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  if (!options.to) throw new Error('--to is required');
+  return options;
+}
+
+// Stored objects to move, each with the documents that point at it
+async function collectStoredObjects({ from, to }) {
+  const objects = new Map();
+  const add = (record, target) => {
+    const driverName = record.storageDriver || storageService.DEFAULT_DRIVER;
+    if (!record.storagePath || driverName === to || (from && driverName !== from)) return;
+
+    const id = storageService.storedObjectId(record);
+    if (!objects.has(id)) objects.set(id, { record, targets: [] });
+    objects.get(id).targets.push(target);
+  };
+
+  const [filesSnapshot, versionsSnapshot, blobsSnapshot, trashSnapshot] = await Promise.all([
+    db.collection('files').get(),
+    db.collection('fileVersions').get(),
+    db.collection(BLOBS_COLLECTION).get(),
+    db.collection('trash').where('type', '==', 'file').get()
+  ]);
+  filesSnapshot.forEach(doc => add(doc.data(), { ref: doc.ref }));
+  versionsSnapshot.forEach(doc => add(doc.data(), { ref: doc.ref }));
+  blobsSnapshot.forEach(doc => add(doc.data(), { ref: doc.ref }));
+  // Trashed files keep their data inside the trash entry until they are restored
+  trashSnapshot.forEach(doc => add(doc.data().items[0].data, { ref: doc.ref, trashItems: doc.data().items }));
+
+  return [...objects.values()];
+}
+
+async function migrate(options) {
+  const target = storageService.getDriver(options.to);
+  const objects = await collectStoredObjects(options);
+  console.log(`${objects.length} stored file(s) to move to ${options.to}${options.dryRun ? ' (dry run)' : ''}`);
+
+  const totals = { moved: 0, alreadyThere: 0, missing: 0, failed: 0 };
+  for (const { record, targets } of objects) {
+    const label = `${record.storageDriver || storageService.DEFAULT_DRIVER}:${record.storagePath}`;
+    try {
+      const stats = await storageService.statStoredFile(record);
+      if (!stats) {
+        console.warn(`Missing in source storage, skipped: ${label}`);
+        totals.missing++;
+        continue;
+      }
+
+      const key = target.toKey(storageService.getStorageKey(record));
+      if (options.dryRun) {
+        console.log(`Would move ${label} -> ${options.to}:${key} (${targets.length} document(s))`);
+        totals.moved++;
+        continue;
+      }
+
+      const existing = await target.stat(key);
+      if (existing && existing.size === stats.size) {
+        totals.alreadyThere++;
+      } else {
+        const stream = await storageService.openStoredFile(record);
+        await target.put(key, stream, { contentType: record.mimeType, size: stats.size });
+        totals.moved++;
+      }
+
+      const location = { storageDriver: options.to, storagePath: key };
+      const writer = createBatchWriter();
+      targets.forEach(({ ref, trashItems }) => {
+        writer.update(ref, trashItems
+          ? { items: trashItems.map((item, index) => (index === 0 ? { ...item, data: { ...item.data, ...location } } : item)) }
+          : location);
+      });
+      await writer.commit();
+
+      if (options.deleteSource) {
+        await storageService.deleteStoredFile(record);
+      }
+      console.log(`Moved ${label} -> ${options.to}:${key}`);
+    } catch (error) {
+      console.error(`Failed to move ${label}:`, error.message);
+      totals.failed++;
+    }
+  }
+
+  console.log(`Done: ${totals.moved} moved, ${totals.alreadyThere} already in ${options.to}, ${totals.missing} missing, ${totals.failed} failed`);
+  return totals;
+}
+
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error('Usage: npm run migrate-storage -- --to <local|s3> [--from <local|s3>] [--delete-source] [--dry-run]');
+    process.exit(1);
+  }
+
+  migrate(options)
+    .then(totals => process.exit(totals.failed > 0 ? 1 : 0))
+    .catch(error => {
+      console.error('Storage migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrate };
@@ -241,6 +241,14 @@ try {
   console.error('Could not load file routes:', error.message);
 }
 
+try {
+  const trashRoutes = require('./routes/trash');
+  app.use('/api/trash', trashRoutes);
+  console.log('Trash routes loaded successfully');
+} catch (error) {
+  console.error('Could not load trash routes:', error.message);
+}
+
 try {
   const workspaceRoutes = require('./routes/workspaces');
   app.use('/api/workspaces', workspaceRoutes);
@@ -305,6 +313,18 @@ server.listen(PORT, () => {
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`Health Check: http://localhost:${PORT}/health`);
   console.log(`Socket.IO ready for real-time connections`);
+  
+  const { startRecurrenceScheduler } = require('./services/recurrenceService');
+  startRecurrenceScheduler();
+  
+  const { startReminderScheduler } = require('./services/reminderService');
+  startReminderScheduler();
+  
+  const { startTrashPurgeScheduler } = require('./services/trashService');
+  startTrashPurgeScheduler();
+  
+  const { startUploadCleanupScheduler } = require('./services/uploadSessionService');
+  startUploadCleanupScheduler();
 });
 
 process.on('SIGINT', () => {
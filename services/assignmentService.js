@@ -0,0 +1,188 @@
+const admin = require('firebase-admin');
+const { ROLES, PERMISSIONS, hasPermission } = require('../middleware/rbac');
+const { getTaskAssignees } = require('./taskService');
+
+const db = admin.firestore();
+
+const ASSIGNMENT_POLICIES = {
+  NONE: 'none',
+  ROUND_ROBIN: 'round_robin',
+  LEAST_LOADED: 'least_loaded'
+};
+
+// How much one open task adds to its assignees' load, by priority
+const DEFAULT_PRIORITY_WEIGHTS = {
+  low: 1,
+  medium: 2,
+  high: 3
+};
+
+const MAX_PRIORITY_WEIGHT = 100;
+
+/**
+ * Validate an assignment policy from a request body
+ * @param {Object} input - { mode, priorityWeights }
+ * @returns {Object} - { policy } or { errors }
+ */
+function normalizeAssignmentPolicy(input) {
+  const errors = [];
+  const mode = input?.mode;
+
+  if (!Object.values(ASSIGNMENT_POLICIES).includes(mode)) {
+    errors.push(`mode must be one of: ${Object.values(ASSIGNMENT_POLICIES).join(', ')}`);
+  }
+
+  const priorityWeights = { ...DEFAULT_PRIORITY_WEIGHTS };
+  if (input?.priorityWeights !== undefined) {
+    if (typeof input.priorityWeights !== 'object' || input.priorityWeights === null || Array.isArray(input.priorityWeights)) {
+      errors.push('priorityWeights must be an object');
+    } else {
+      Object.entries(input.priorityWeights).forEach(([priority, weight]) => {
+        if (!Object.prototype.hasOwnProperty.call(DEFAULT_PRIORITY_WEIGHTS, priority)) {
+          errors.push(`Unknown priority "${priority}" in priorityWeights`);
+        } else if (typeof weight !== 'number' || !(weight > 0) || weight > MAX_PRIORITY_WEIGHT) {
+          errors.push(`Weight for "${priority}" must be a number between 0 and ${MAX_PRIORITY_WEIGHT}`);
+        } else {
+          priorityWeights[priority] = weight;
+        }
+      });
+    }
+  }
+
+  if (errors.length > 0) return { errors };
+  return { policy: { mode, priorityWeights } };
+}
+
+/**
+ * A workspace's assignment policy, with defaults filled in
+ * @param {Object} workspaceData - Workspace document data
+ * @returns {Object} - { mode, priorityWeights }
+ */
+function getAssignmentPolicy(workspaceData) {
+  const stored = workspaceData?.assignmentPolicy || {};
+  return {
+    mode: Object.values(ASSIGNMENT_POLICIES).includes(stored.mode) ? stored.mode : ASSIGNMENT_POLICIES.NONE,
+    priorityWeights: { ...DEFAULT_PRIORITY_WEIGHTS, ...(stored.priorityWeights || {}) }
+  };
+}
+
+/**
+ * Workspace members who can be given tasks: listed in workspaceMembers, with a role that can
+ * view and create tasks, and an account that hasn't been deactivated
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Array>} - [{ userId, displayName, role }], ordered by user ID
+ */
+async function getEligibleMembers(workspaceId) {
+  const snapshot = await db.collection('workspaceMembers')
+    .where('workspaceId', '==', workspaceId)
+    .get();
+
+  const members = new Map();
+  snapshot.forEach(doc => {
+    const data = doc.data();
+    const role = (data.role || ROLES.MEMBER).toLowerCase();
+    if (data.userId && hasPermission(role, PERMISSIONS.VIEW_TASKS) && hasPermission(role, PERMISSIONS.CREATE_TASKS)) {
+      members.set(data.userId, { userId: data.userId, displayName: data.displayName || data.userEmail || null, role });
+    }
+  });
+  if (members.size === 0) return [];
+
+  const userDocs = await db.getAll(...[...members.keys()].map(userId => db.collection('users').doc(userId)));
+  return userDocs
+    .filter(doc => doc.exists && doc.data().isActive !== false)
+    .map(doc => members.get(doc.id))
+    .sort((a, b) => (a.userId < b.userId ? -1 : 1));
+}
+
+/**
+ * Open tasks and priority-weighted load of each member in a workspace
+ * @param {string} workspaceId - Workspace ID
+ * @param {Array<string>} userIds - Members to count for
+ * @param {Object} priorityWeights - Weight per priority
+ * @returns {Promise<Map>} - userId -> { openTasks, load }
+ */
+async function getMemberLoads(workspaceId, userIds, priorityWeights = DEFAULT_PRIORITY_WEIGHTS) {
+  const loads = new Map(userIds.map(userId => [userId, { openTasks: 0, load: 0 }]));
+
+  // Equality filters only, so no composite index is needed
+  const snapshot = await db.collection('tasks')
+    .where('workspaceId', '==', workspaceId)
+    .where('completed', '==', false)
+    .get();
+
+  snapshot.forEach(doc => {
+    const task = doc.data();
+    const weight = priorityWeights[task.priority] || priorityWeights.medium;
+    getTaskAssignees(task).forEach(userId => {
+      const entry = loads.get(userId);
+      if (entry) {
+        entry.openTasks++;
+        entry.load += weight;
+      }
+    });
+  });
+
+  return loads;
+}
+
+const describeMember = (member) => member.displayName || member.userId;
+
+/**
+ * Pick an assignee for a new workspace task according to the workspace's policy
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object|null>} - { userId, policy, reason }, or null when the workspace has
+ *   no policy or no eligible members
+ */
+async function chooseAssignee(workspaceId) {
+  const workspaceRef = db.collection('workspaces').doc(workspaceId);
+  const workspaceDoc = await workspaceRef.get();
+  if (!workspaceDoc.exists) return null;
+
+  const policy = getAssignmentPolicy(workspaceDoc.data());
+  if (policy.mode === ASSIGNMENT_POLICIES.NONE) return null;
+
+  const members = await getEligibleMembers(workspaceId);
+  if (members.length === 0) return null;
+
+  if (policy.mode === ASSIGNMENT_POLICIES.ROUND_ROBIN) {
+    // The cursor moves in a transaction so tasks created at the same time go to different members
+    return db.runTransaction(async (transaction) => {
+      const current = await transaction.get(workspaceRef);
+      const lastUserId = current.data().assignmentCursor || null;
+      const next = (lastUserId && members.find(member => member.userId > lastUserId)) || members[0];
+
+      transaction.update(workspaceRef, { assignmentCursor: next.userId });
+      return {
+        userId: next.userId,
+        policy: policy.mode,
+        reason: `Round robin: next in turn among ${members.length} eligible member${members.length === 1 ? '' : 's'}`
+      };
+    });
+  }
+
+  const loads = await getMemberLoads(workspaceId, members.map(member => member.userId), policy.priorityWeights);
+  // Ties go to the member with fewer open tasks, then by user ID
+  const [chosen] = members.slice().sort((a, b) => {
+    const loadA = loads.get(a.userId);
+    const loadB = loads.get(b.userId);
+    return (loadA.load - loadB.load) || (loadA.openTasks - loadB.openTasks);
+  });
+  const { openTasks, load } = loads.get(chosen.userId);
+
+  return {
+    userId: chosen.userId,
+    policy: policy.mode,
+    reason: `Least loaded: ${describeMember(chosen)} had ${openTasks} open task${openTasks === 1 ? '' : 's'} ` +
+      `(weighted load ${load}), the lowest among ${members.length} eligible member${members.length === 1 ? '' : 's'}`
+  };
+}
+
+module.exports = {
+  ASSIGNMENT_POLICIES,
+  DEFAULT_PRIORITY_WEIGHTS,
+  normalizeAssignmentPolicy,
+  getAssignmentPolicy,
+  getEligibleMembers,
+  getMemberLoads,
+  chooseAssignee
+};
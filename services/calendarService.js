@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const PRIORITY_LEVELS = { high: 1, medium: 5, low: 9 };
+
+// Events for tasks due at a specific time; date-only due dates become all-day events
+const TIMED_EVENT_DURATION = 'PT30M';
+
+const generateFeedToken = () => crypto.randomBytes(32).toString('hex');
+
+const toDate = (value) => value?.toDate?.() || (value ? new Date(value) : null);
+
+const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a single space (RFC 5545 3.1)
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * The date lines of a task's event, or null when it has no usable due date
+ * @param {string} dueDate - "YYYY-MM-DD" or an ISO date-time
+ * @returns {Array<string>|null}
+ */
+function eventTiming(dueDate) {
+  if (!dueDate) return null;
+
+  if (DATE_ONLY.test(dueDate)) {
+    const start = new Date(`${dueDate}T00:00:00Z`);
+    if (Number.isNaN(start.getTime())) return null;
+    const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+    return [
+      `DTSTART;VALUE=DATE:${dueDate.replace(/-/g, '')}`,
+      `DTEND;VALUE=DATE:${end.toISOString().slice(0, 10).replace(/-/g, '')}`
+    ];
+  }
+
+  const start = new Date(dueDate);
+  if (Number.isNaN(start.getTime())) return null;
+  return [`DTSTART:${formatDateTime(start)}`, `DURATION:${TIMED_EVENT_DURATION}`];
+}
+
+/**
+ * Build an iCalendar (RFC 5545) document with one event per task due date
+ * @param {Array<Object>} tasks - Tasks with `id`; tasks without a valid `dueDate` are skipped
+ * @param {Object} [options] - { name, now }
+ * @returns {string} - The .ics file contents
+ */
+function buildTaskCalendar(tasks, { name = 'CloudCollab tasks', now = new Date() } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//CloudCollab//Tasks//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+
+  tasks.forEach(task => {
+    const timing = eventTiming(task.dueDate);
+    if (!timing) return;
+
+    const updatedAt = toDate(task.updatedAt) || toDate(task.createdAt) || now;
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:task-${task.id}@cloudcollab`,
+      `DTSTAMP:${formatDateTime(now)}`,
+      `LAST-MODIFIED:${formatDateTime(updatedAt)}`,
+      ...timing,
+      `SUMMARY:${escapeText(task.title)}`,
+      `DESCRIPTION:${escapeText(task.description)}`,
+      `PRIORITY:${PRIORITY_LEVELS[task.priority] || PRIORITY_LEVELS.medium}`,
+      `CATEGORIES:${escapeText(task.category || 'general')}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  generateFeedToken,
+  buildTaskCalendar
+};
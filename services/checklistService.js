@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+
+const db = admin.firestore();
+
+const MAX_CHECKLIST_ITEMS = 100;
+const MAX_CHECKLIST_ITEM_LENGTH = 500;
+
+/**
+ * Build a new, unchecked checklist item
+ * @param {string} text - Item text
+ * @returns {Object} - { id, text, completed, completedBy, completedAt }
+ */
+const createChecklistItem = (text) => ({
+  id: crypto.randomBytes(8).toString('hex'),
+  text,
+  completed: false,
+  completedBy: null,
+  completedAt: null
+});
+
+/**
+ * Count checked items
+ * @param {Array} checklist - Checklist items
+ * @returns {{ completed: number, total: number }}
+ */
+const getChecklistProgress = (checklist = []) => ({
+  completed: checklist.filter(item => item.completed).length,
+  total: checklist.length
+});
+
+// Returns the trimmed text or an error message
+function validateItemText(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return { text: null, error: 'Item text is required' };
+  }
+  if (text.trim().length > MAX_CHECKLIST_ITEM_LENGTH) {
+    return { text: null, error: `Item text must be at most ${MAX_CHECKLIST_ITEM_LENGTH} characters` };
+  }
+  return { text: text.trim(), error: null };
+}
+
+// Each change below takes the current items and returns { checklist, item } or { error, status }
+
+function addItem(checklist, text, position) {
+  if (checklist.length >= MAX_CHECKLIST_ITEMS) {
+    return { error: `A checklist can have at most ${MAX_CHECKLIST_ITEMS} items`, status: 400 };
+  }
+  const item = createChecklistItem(text);
+  const index = Number.isInteger(position) ? Math.min(Math.max(position, 0), checklist.length) : checklist.length;
+  checklist.splice(index, 0, item);
+  return { checklist, item };
+}
+
+function updateItem(checklist, itemId, { text, completed }, userId) {
+  const item = checklist.find(existing => existing.id === itemId);
+  if (!item) {
+    return { error: 'Checklist item not found', status: 404 };
+  }
+  if (text !== undefined) item.text = text;
+  if (completed !== undefined && Boolean(completed) !== Boolean(item.completed)) {
+    // Server timestamps can't be used inside arrays, so completion times are ISO strings
+    item.completed = Boolean(completed);
+    item.completedBy = item.completed ? userId : null;
+    item.completedAt = item.completed ? new Date().toISOString() : null;
+  }
+  return { checklist, item };
+}
+
+function reorderItems(checklist, itemIds) {
+  const byId = new Map(checklist.map(item => [item.id, item]));
+  const sameItems = itemIds.length === checklist.length &&
+    new Set(itemIds).size === itemIds.length &&
+    itemIds.every(id => byId.has(id));
+  if (!sameItems) {
+    // The client's copy is stale; it should reload and retry
+    return { error: 'itemIds must list every checklist item exactly once', status: 409 };
+  }
+  return { checklist: itemIds.map(id => byId.get(id)) };
+}
+
+function removeItem(checklist, itemId) {
+  const index = checklist.findIndex(item => item.id === itemId);
+  if (index === -1) {
+    return { error: 'Checklist item not found', status: 404 };
+  }
+  const [item] = checklist.splice(index, 1);
+  return { checklist, item };
+}
+
+/**
+ * Apply a change to a task's checklist in a transaction, so concurrent edits are
+ * retried against the latest items instead of overwriting each other
+ * @param {string} taskId - Task ID
+ * @param {Function} change - Receives a copy of the items and returns { checklist, item } or { error, status }
+ * @returns {Promise<Object>} - { checklist, item, task } or { error, status, checklist }
+ */
+async function updateChecklist(taskId, change) {
+  const taskRef = db.collection('tasks').doc(taskId);
+
+  return db.runTransaction(async (transaction) => {
+    const taskDoc = await transaction.get(taskRef);
+    if (!taskDoc.exists) {
+      return { error: 'Task not found', status: 404 };
+    }
+
+    const current = taskDoc.data().checklist || [];
+    const result = change(current.map(item => ({ ...item })));
+    if (result.error) {
+      return { ...result, checklist: current };
+    }
+
+    transaction.update(taskRef, {
+      checklist: result.checklist,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return { ...result, task: { id: taskDoc.id, ...taskDoc.data() } };
+  });
+}
+
+module.exports = {
+  MAX_CHECKLIST_ITEMS,
+  MAX_CHECKLIST_ITEM_LENGTH,
+  createChecklistItem,
+  getChecklistProgress,
+  validateItemText,
+  addItem,
+  updateItem,
+  reorderItems,
+  removeItem,
+  updateChecklist
+};
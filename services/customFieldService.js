@@ -0,0 +1,261 @@
+const admin = require('firebase-admin');
+const { getWorkspaceMemberDirectory } = require('./mentionService');
+
+const db = admin.firestore();
+
+const FIELD_TYPES = ['text', 'number', 'date', 'select', 'multi_select', 'user'];
+const SELECT_TYPES = ['select', 'multi_select'];
+const MAX_CUSTOM_FIELDS = 30;
+const MAX_OPTIONS = 100;
+const MAX_TEXT_LENGTH = 1000;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const isValidDay = (value) => DATE_PATTERN.test(value) && !isNaN(new Date(`${value}T00:00:00Z`).getTime());
+
+/**
+ * Validate a workspace's custom field definitions
+ * @param {Array} input - Ordered list of { key, label, type, required, options }
+ *   (`options` is required for select and multi_select fields)
+ * @returns {{ fields: Array|null, errors: Array<string> }}
+ */
+function normalizeCustomFields(input) {
+  if (!Array.isArray(input)) {
+    return { fields: null, errors: ['fields must be an array'] };
+  }
+  if (input.length > MAX_CUSTOM_FIELDS) {
+    return { fields: null, errors: [`A workspace can have at most ${MAX_CUSTOM_FIELDS} custom fields`] };
+  }
+
+  const errors = [];
+  const fields = [];
+  const keys = new Set();
+
+  input.forEach((field, index) => {
+    const key = typeof field?.key === 'string' ? field.key.trim() : '';
+    const label = typeof field?.label === 'string' && field.label.trim() ? field.label.trim() : key;
+    const type = field?.type;
+
+    if (!/^[a-z][a-z0-9_]{0,39}$/i.test(key)) {
+      errors.push(`Field ${index + 1} needs a key that starts with a letter and has only letters, digits or "_"`);
+      return;
+    }
+    if (keys.has(key)) {
+      errors.push(`Duplicate field key "${key}"`);
+      return;
+    }
+    if (!FIELD_TYPES.includes(type)) {
+      errors.push(`Field "${key}" has invalid type "${type}" (expected one of: ${FIELD_TYPES.join(', ')})`);
+      return;
+    }
+
+    const normalized = { key, label, type, required: field.required === true };
+
+    if (SELECT_TYPES.includes(type)) {
+      const options = Array.isArray(field.options)
+        ? [...new Set(field.options.filter(option => typeof option === 'string').map(option => option.trim()).filter(Boolean))]
+        : [];
+      if (options.length === 0) {
+        errors.push(`Field "${key}" needs at least one option`);
+        return;
+      }
+      if (options.length > MAX_OPTIONS) {
+        errors.push(`Field "${key}" can have at most ${MAX_OPTIONS} options`);
+        return;
+      }
+      normalized.options = options;
+    }
+
+    keys.add(key);
+    fields.push(normalized);
+  });
+
+  if (errors.length > 0) {
+    return { fields: null, errors };
+  }
+  return { fields, errors };
+}
+
+/**
+ * Get the custom field definitions of a workspace
+ * @param {string|null} workspaceId - Workspace ID; personal tasks have no custom fields
+ * @returns {Promise<Array>} - Field definitions
+ */
+async function getCustomFields(workspaceId) {
+  if (!workspaceId) return [];
+
+  const workspaceDoc = await db.collection('workspaces').doc(workspaceId).get();
+  return workspaceDoc.exists ? (workspaceDoc.data().customFields || []) : [];
+}
+
+const isEmptyValue = (value) => value === null || value === undefined || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+// Normalize one value for its field type; returns { value } or { error }
+function normalizeValue(field, value) {
+  switch (field.type) {
+    case 'text':
+      if (typeof value !== 'string') return { error: `"${field.label}" must be text` };
+      if (value.length > MAX_TEXT_LENGTH) return { error: `"${field.label}" must be at most ${MAX_TEXT_LENGTH} characters` };
+      return { value: value.trim() };
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) return { error: `"${field.label}" must be a number` };
+      return { value: number };
+    }
+    case 'date':
+      if (typeof value !== 'string' || !isValidDay(value)) return { error: `"${field.label}" must be a date in YYYY-MM-DD format` };
+      return { value };
+    case 'select':
+      if (!field.options.includes(value)) return { error: `"${field.label}" must be one of: ${field.options.join(', ')}` };
+      return { value };
+    case 'multi_select': {
+      const values = Array.isArray(value) ? value : [value];
+      const invalid = values.filter(item => !field.options.includes(item));
+      if (invalid.length > 0) return { error: `"${field.label}" has unknown options: ${invalid.join(', ')}` };
+      return { value: [...new Set(values)] };
+    }
+    case 'user':
+      if (typeof value !== 'string') return { error: `"${field.label}" must be a user ID` };
+      return { value };
+    default:
+      return { error: `"${field.label}" has an unsupported type` };
+  }
+}
+
+/**
+ * Validate custom field values for a task in a workspace
+ * @param {string|null} workspaceId - The task's workspace
+ * @param {Object} input - Map of field key to value; null or '' clears a value
+ * @param {Object} options
+ * @param {Object} options.existing - Current values when updating a task
+ * @param {boolean} options.partial - Updates only check the fields they touch, so tasks
+ *   created before a field became required stay editable
+ * @returns {Promise<{ values: Object|null, errors: Array<string> }>} - The complete map to store
+ */
+async function validateCustomFieldValues(workspaceId, input, { existing = {}, partial = false } = {}) {
+  const values = input || {};
+  if (typeof values !== 'object' || Array.isArray(values)) {
+    return { values: null, errors: ['customFields must be an object'] };
+  }
+
+  const fields = await getCustomFields(workspaceId);
+  if (!workspaceId && Object.keys(values).length > 0) {
+    return { values: null, errors: ['Custom fields are only available on workspace tasks'] };
+  }
+
+  const fieldsByKey = new Map(fields.map(field => [field.key, field]));
+  const errors = [];
+  const result = partial ? { ...existing } : {};
+  const userValues = [];
+
+  Object.entries(values).forEach(([key, value]) => {
+    const field = fieldsByKey.get(key);
+    if (!field) {
+      errors.push(`Unknown custom field "${key}"`);
+      return;
+    }
+    if (isEmptyValue(value)) {
+      delete result[key];
+      return;
+    }
+
+    const normalized = normalizeValue(field, value);
+    if (normalized.error) {
+      errors.push(normalized.error);
+      return;
+    }
+    if (field.type === 'user') {
+      userValues.push({ field, userId: normalized.value });
+    }
+    result[key] = normalized.value;
+  });
+
+  fields
+    .filter(field => field.required && (!partial || Object.prototype.hasOwnProperty.call(values, field.key)))
+    .forEach(field => {
+      if (isEmptyValue(result[field.key])) {
+        errors.push(`"${field.label}" is required`);
+      }
+    });
+
+  if (userValues.length > 0 && errors.length === 0) {
+    const members = await getWorkspaceMemberDirectory(workspaceId);
+    const memberIds = new Set(members.map(member => member.userId));
+    userValues
+      .filter(({ userId }) => !memberIds.has(userId))
+      .forEach(({ field }) => errors.push(`"${field.label}" must be a member of the workspace`));
+  }
+
+  if (errors.length > 0) {
+    return { values: null, errors };
+  }
+  return { values: result, errors };
+}
+
+/**
+ * Value used when sorting tasks by a custom field (null when the task has none)
+ * @param {Object} field - Field definition
+ * @param {*} value - Stored value
+ * @returns {number|string|null}
+ */
+function getSortValue(field, value) {
+  if (isEmptyValue(value)) return null;
+  if (field.type === 'number') return Number.isFinite(Number(value)) ? Number(value) : null;
+  if (field.type === 'multi_select') return [].concat(value).map(String).sort().join(', ').toLowerCase();
+  return String(value).toLowerCase();
+}
+
+/**
+ * Build a matcher for a custom field filter from the task listing query string
+ * @param {Object} field - Field definition
+ * @param {string} raw - Filter value. Numbers and dates take a value or an inclusive range
+ *   ("3..8", "2025-01-01..", "..5"); select, multi_select and user fields take a comma-separated
+ *   list that matches any; text matches a case-insensitive substring
+ * @returns {{ matches: Function|null, error: string|null }}
+ */
+function parseCustomFieldFilter(field, raw) {
+  const text = String(raw).trim();
+
+  if (field.type === 'number' || field.type === 'date') {
+    const [min, max] = text.includes('..') ? text.split('..') : [text, text];
+    const parse = (bound) => {
+      if (!bound) return null;
+      if (field.type === 'number') return Number.isFinite(Number(bound)) ? Number(bound) : undefined;
+      return isValidDay(bound) ? bound : undefined;
+    };
+    const lower = parse(min);
+    const upper = parse(max);
+    if (lower === undefined || upper === undefined || (lower === null && upper === null)) {
+      return { matches: null, error: `Invalid filter for "${field.key}"` };
+    }
+    return {
+      matches: (value) => {
+        const sortValue = getSortValue(field, value);
+        if (sortValue === null) return false;
+        const comparable = field.type === 'number' ? sortValue : value;
+        return (lower === null || comparable >= lower) && (upper === null || comparable <= upper);
+      },
+      error: null
+    };
+  }
+
+  if (field.type === 'text') {
+    const needle = text.toLowerCase();
+    return { matches: (value) => typeof value === 'string' && value.toLowerCase().includes(needle), error: null };
+  }
+
+  const wanted = text.split(',').map(item => item.trim()).filter(Boolean);
+  return {
+    matches: (value) => [].concat(isEmptyValue(value) ? [] : value).some(item => wanted.includes(item)),
+    error: null
+  };
+}
+
+module.exports = {
+  FIELD_TYPES,
+  normalizeCustomFields,
+  getCustomFields,
+  validateCustomFieldValues,
+  getSortValue,
+  parseCustomFieldFilter
+};
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const storageService = require('./storageService');
+
+const db = admin.firestore();
+
+// Stored contents by SHA-256; each file version that uses one holds a reference to it
+const BLOBS_COLLECTION = 'fileBlobs';
+
+// Key for a new blob, spread over subfolders so no single folder gets huge. Each blob
+// created for a checksum gets its own key, so content re-uploaded while an orphaned blob
+// is being deleted never lands on the key that is about to be removed.
+const blobKey = (checksum) => `blobs/${checksum.slice(0, 2)}/${checksum}-${crypto.randomBytes(6).toString('hex')}`;
+
+/**
+ * Store an upload received on local disk, once per distinct content. If the same content
+ * is already stored, the upload is dropped and the stored copy gets another reference.
+ * @param {string} localPath - Where multer (or a resumable upload) left the file
+ * @param {Object} options - { checksum, contentType, size }
+ * @returns {Promise<Object>} - { blobId, storageDriver, storagePath, deduplicated }; blobId is
+ *   null when there is no checksum and the file was stored on its own
+ */
+async function storeUpload(localPath, { checksum, contentType, size }) {
+  if (!checksum) {
+    return { blobId: null, ...(await storageService.storeUploadedFile(localPath, { contentType })), deduplicated: false };
+  }
+
+  const blobRef = db.collection(BLOBS_COLLECTION).doc(checksum);
+  let uploaded = null;
+
+  // Runs at most twice: again only if the blob was purged between the check and the transaction
+  for (;;) {
+    if (!uploaded && !(await blobRef.get()).exists) {
+      uploaded = await storageService.storeUploadedFile(localPath, { contentType, key: blobKey(checksum) });
+    }
+
+    const blob = await db.runTransaction(async (transaction) => {
+      const blobDoc = await transaction.get(blobRef);
+      if (blobDoc.exists) {
+        transaction.update(blobRef, {
+          refCount: admin.firestore.FieldValue.increment(1),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return blobDoc.data();
+      }
+      if (!uploaded) return null;
+
+      const data = {
+        checksum,
+        size,
+        mimeType: contentType || null,
+        storageDriver: uploaded.storageDriver,
+        storagePath: uploaded.storagePath,
+        refCount: 1,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+      transaction.set(blobRef, data);
+      return data;
+    });
+
+    if (blob) {
+      // Duplicate content: the copy just received isn't needed
+      if (!uploaded) {
+        await fs.promises.unlink(localPath).catch(() => {});
+      } else if (uploaded.storagePath !== blob.storagePath) {
+        // An identical upload created the blob first
+        await storageService.deleteStoredFile(uploaded).catch(error => console.error('Error removing duplicate upload:', error));
+      }
+      return {
+        blobId: checksum,
+        storageDriver: blob.storageDriver,
+        storagePath: blob.storagePath,
+        deduplicated: !uploaded || uploaded.storagePath !== blob.storagePath
+      };
+    }
+  }
+}
+
+/**
+ * Drop one reference to a blob, deleting the stored content when it was the last one
+ * @param {string} blobId - Blob ID (the content's SHA-256)
+ * @returns {Promise<boolean>} - Whether the stored content was deleted
+ */
+async function releaseBlob(blobId) {
+  const blobRef = db.collection(BLOBS_COLLECTION).doc(blobId);
+  const orphaned = await db.runTransaction(async (transaction) => {
+    const blobDoc = await transaction.get(blobRef);
+    if (!blobDoc.exists) return null;
+
+    const blob = blobDoc.data();
+    if ((blob.refCount || 0) <= 1) {
+      transaction.delete(blobRef);
+      return blob;
+    }
+    transaction.update(blobRef, {
+      refCount: admin.firestore.FieldValue.increment(-1),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return null;
+  });
+
+  return orphaned ? storageService.deleteStoredFile(orphaned) : false;
+}
+
+/**
+ * Give up a stored upload that ended up unused: releases its blob reference, or deletes
+ * the file if it was stored on its own
+ * @param {Object} stored - From storeUpload
+ * @returns {Promise<boolean>}
+ */
+function releaseStoredUpload(stored) {
+  return stored.blobId ? releaseBlob(stored.blobId) : storageService.deleteStoredFile(stored);
+}
+
+/**
+ * Logical size (what the versions add up to) against physical size (what is actually stored)
+ * @param {Array<Object>} versions - File or version document data
+ * @returns {Object} - { logicalBytes, physicalBytes, savedBytes }
+ */
+function summarizeStorage(versions) {
+  let logicalBytes = 0;
+  const stored = new Map();
+  versions.forEach(version => {
+    const size = version.fileSize || 0;
+    logicalBytes += size;
+    const id = version.blobId ? `blob:${version.blobId}` : version.storagePath ? storageService.storedObjectId(version) : null;
+    if (id) stored.set(id, size);
+  });
+
+  const physicalBytes = [...stored.values()].reduce((sum, size) => sum + size, 0);
+  return { logicalBytes, physicalBytes, savedBytes: logicalBytes - physicalBytes };
+}
+
+module.exports = {
+  BLOBS_COLLECTION,
+  storeUpload,
+  releaseBlob,
+  releaseStoredUpload,
+  summarizeStorage
+};
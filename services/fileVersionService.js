@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const admin = require('firebase-admin');
+const { BLOBS_COLLECTION } = require('./fileBlobService');
+
+const db = admin.firestore();
+
+const toIso = (value) => value?.toDate?.()?.toISOString() || value || null;
+
+// Version documents get predictable IDs so two uploads can't claim the same number
+const versionDocId = (fileId, version) => `${fileId}_v${version}`;
+
+/**
+ * SHA-256 of a file on disk, or null when it can't be read
+ * @param {string} filePath - Absolute path of the file
+ * @returns {Promise<string|null>}
+ */
+function computeChecksum(filePath) {
+  return new Promise((resolve) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', () => resolve(null))
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * What changed between two versions of a file
+ * @param {Object|null} previous - Earlier version (or null for the first one)
+ * @param {Object} next - { fileName, mimeType, fileSize, checksum }
+ * @returns {Object|null} - { sizeDelta, fileNameChanged, mimeTypeChanged, contentChanged }
+ */
+function describeChanges(previous, next) {
+  if (!previous) return null;
+  return {
+    sizeDelta: (next.fileSize || 0) - (previous.fileSize || 0),
+    fileNameChanged: previous.fileName !== next.fileName,
+    mimeTypeChanged: previous.mimeType !== next.mimeType,
+    // Unknown when either checksum is missing (versions recorded before checksums)
+    contentChanged: previous.checksum && next.checksum ? previous.checksum !== next.checksum : null
+  };
+}
+
+// Version 1 of a file uploaded before versioning, built from the file document itself
+const initialVersionFromFile = (fileId, fileData) => ({
+  fileId,
+  version: 1,
+  fileName: fileData.fileName,
+  mimeType: fileData.mimeType,
+  fileSize: fileData.fileSize || 0,
+  storageDriver: fileData.storageDriver || null,
+  storagePath: fileData.storagePath,
+  blobId: fileData.blobId || null,
+  checksum: fileData.checksum || null,
+  uploadedBy: fileData.uploadedBy,
+  uploadedAt: fileData.uploadedAt || null,
+  restoredFrom: null,
+  changes: null
+});
+
+const formatFileVersion = (data, currentVersion, names) => ({
+  version: data.version,
+  fileName: data.fileName,
+  mimeType: data.mimeType,
+  fileSize: data.fileSize,
+  checksum: data.checksum || null,
+  uploadedBy: data.uploadedBy,
+  uploadedByName: names.get(data.uploadedBy) || null,
+  uploadedAt: toIso(data.uploadedAt),
+  restoredFrom: data.restoredFrom || null,
+  changes: data.changes || null,
+  isCurrent: data.version === currentVersion
+});
+
+/**
+ * All stored versions of a file, oldest first. A file uploaded before versioning has
+ * no stored versions; it is reported as a single version 1.
+ * @param {string} fileId - File ID
+ * @param {Object} fileData - The file document's data
+ * @returns {Promise<Array<Object>>} - Raw version data
+ */
+async function getStoredVersions(fileId, fileData) {
+  const snapshot = await db.collection('fileVersions').where('fileId', '==', fileId).get();
+  const versions = snapshot.docs.map(doc => doc.data()).sort((a, b) => a.version - b.version);
+  return versions.length > 0 ? versions : [initialVersionFromFile(fileId, fileData)];
+}
+
+/**
+ * List a file's versions for API responses, newest first, with the name of each uploader
+ * @param {string} fileId - File ID
+ * @param {Object} fileData - The file document's data
+ * @returns {Promise<Array<Object>>}
+ */
+async function listFileVersions(fileId, fileData) {
+  const currentVersion = fileData.currentVersion || 1;
+  const versions = await getStoredVersions(fileId, fileData);
+
+  const userIds = [...new Set(versions.map(version => version.uploadedBy).filter(Boolean))];
+  const names = new Map();
+  if (userIds.length > 0) {
+    const userDocs = await db.getAll(...userIds.map(id => db.collection('users').doc(id)));
+    userDocs.forEach(doc => {
+      if (doc.exists) names.set(doc.id, doc.data().displayName || doc.data().email);
+    });
+  }
+
+  return versions.map(version => formatFileVersion(version, currentVersion, names)).reverse();
+}
+
+/**
+ * A single version of a file
+ * @param {string} fileId - File ID
+ * @param {Object} fileData - The file document's data
+ * @param {number} version - Version number
+ * @returns {Promise<Object|null>} - Raw version data, or null if there is no such version
+ */
+async function getFileVersion(fileId, fileData, version) {
+  const versionDoc = await db.collection('fileVersions').doc(versionDocId(fileId, version)).get();
+  if (versionDoc.exists) return versionDoc.data();
+  if (version === 1 && !fileData.currentVersion) return initialVersionFromFile(fileId, fileData);
+  return null;
+}
+
+/**
+ * Record the first version of a newly uploaded file, in the batch that creates the file
+ * @param {string} fileId - File ID
+ * @param {Object} version - { fileName, mimeType, fileSize, storageDriver, storagePath, blobId, checksum, uploadedBy }
+ * @param {Object} batch - Firestore write batch
+ */
+function recordInitialVersion(fileId, version, batch) {
+  batch.set(db.collection('fileVersions').doc(versionDocId(fileId, 1)), {
+    fileId,
+    version: 1,
+    ...version,
+    restoredFrom: null,
+    changes: null,
+    uploadedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+}
+
+/**
+ * Make a new current version of a file. The blobs of older versions stay in storage.
+ * @param {Object} fileRef - Firestore document reference of the file
+ * @param {Object} version - { fileName, mimeType, fileSize, storageDriver, storagePath, blobId, checksum, uploadedBy, restoredFrom? }
+ * @param {Object} [options] - { retainBlob }: take a new reference to version.blobId (a fresh
+ *   upload already holds one from fileBlobService.storeUpload; a restore does not)
+ * @returns {Promise<Object>} - { version, changes, fileData } or { error, status }
+ */
+async function addFileVersion(fileRef, version, { retainBlob = false } = {}) {
+  return db.runTransaction(async (transaction) => {
+    const fileDoc = await transaction.get(fileRef);
+    if (!fileDoc.exists) {
+      return { error: 'File not found', status: 404 };
+    }
+
+    const fileData = fileDoc.data();
+    const previousNumber = fileData.currentVersion || 1;
+    const previousDoc = await transaction.get(db.collection('fileVersions').doc(versionDocId(fileRef.id, previousNumber)));
+    const previous = previousDoc.exists ? previousDoc.data() : initialVersionFromFile(fileRef.id, fileData);
+
+    let blobId = version.blobId || null;
+    if (retainBlob && blobId) {
+      const blobDoc = await transaction.get(db.collection(BLOBS_COLLECTION).doc(blobId));
+      if (blobDoc.exists) {
+        transaction.update(blobDoc.ref, {
+          refCount: admin.firestore.FieldValue.increment(1),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      } else {
+        blobId = null;
+      }
+    }
+
+    // Files uploaded before versioning get their original upload recorded as version 1
+    if (!fileData.currentVersion && !previousDoc.exists) {
+      transaction.set(previousDoc.ref, previous);
+    }
+
+    const number = previousNumber + 1;
+    const changes = describeChanges(previous, version);
+    transaction.set(db.collection('fileVersions').doc(versionDocId(fileRef.id, number)), {
+      fileId: fileRef.id,
+      version: number,
+      fileName: version.fileName,
+      mimeType: version.mimeType,
+      fileSize: version.fileSize,
+      storageDriver: version.storageDriver || null,
+      storagePath: version.storagePath,
+      blobId,
+      checksum: version.checksum || null,
+      uploadedBy: version.uploadedBy,
+      uploadedAt: admin.firestore.FieldValue.serverTimestamp(),
+      restoredFrom: version.restoredFrom || null,
+      changes
+    });
+
+    // The file document always mirrors its current version
+    const updates = {
+      fileName: version.fileName,
+      originalName: version.fileName,
+      mimeType: version.mimeType,
+      fileSize: version.fileSize,
+      size: version.fileSize,
+      storageDriver: version.storageDriver || null,
+      storagePath: version.storagePath,
+      blobId,
+      checksum: version.checksum || null,
+      currentVersion: number,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    transaction.update(fileRef, updates);
+
+    return { version: number, changes, fileData: { ...fileData, ...updates } };
+  });
+}
+
+/**
+ * Delete the version records of a file
+ * @param {string} fileId - File ID
+ * @param {Object} writer - Batch writer the deletes are added to
+ * @returns {Promise<Array<Object>>} - { storageDriver, storagePath, blobId, uploadedBy } of each version
+ */
+async function deleteFileVersions(fileId, writer) {
+  const snapshot = await db.collection('fileVersions').where('fileId', '==', fileId).get();
+  const storedFiles = [];
+  snapshot.forEach(doc => {
+    const { storageDriver, storagePath, blobId, uploadedBy } = doc.data();
+    if (storagePath) storedFiles.push({ storageDriver, storagePath, blobId: blobId || null, uploadedBy });
+    writer.delete(doc.ref);
+  });
+  return storedFiles;
+}
+
+module.exports = {
+  computeChecksum,
+  describeChanges,
+  getStoredVersions,
+  listFileVersions,
+  getFileVersion,
+  recordInitialVersion,
+  addFileVersion,
+  deleteFileVersions
+};
@@ -0,0 +1,225 @@
+const admin = require('firebase-admin');
+const trashService = require('./trashService');
+const { createBatchWriter } = require('./taskService');
+
+const db = admin.firestore();
+
+const MAX_FOLDER_NAME_LENGTH = 100;
+const MAX_FOLDER_DEPTH = 10;
+
+// Stands for the top level of a workspace in requests; stored as a null folderId/parentId
+const ROOT_FOLDER = 'root';
+
+const toIso = (value) => value?.toDate?.()?.toISOString() || value || null;
+
+/**
+ * Validate a folder name
+ * @param {*} name - Requested name
+ * @returns {Object} - { name } or { error }
+ */
+function normalizeFolderName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) return { error: 'Folder name is required' };
+  if (trimmed.length > MAX_FOLDER_NAME_LENGTH) {
+    return { error: `Folder name cannot be longer than ${MAX_FOLDER_NAME_LENGTH} characters` };
+  }
+  if (/[/\\]/.test(trimmed)) return { error: 'Folder name cannot contain slashes' };
+  return { name: trimmed };
+}
+
+/**
+ * All folders of a workspace
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Map<string, Object>>} - Folder ID → { id, name, parentId, ... }
+ */
+async function getWorkspaceFolders(workspaceId) {
+  const snapshot = await db.collection('folders').where('workspaceId', '==', workspaceId).get();
+  return new Map(snapshot.docs.map(doc => [doc.id, { id: doc.id, ...doc.data() }]));
+}
+
+/**
+ * Path from the top of the workspace down to a folder
+ * @param {string|null} folderId - Folder ID, or null for the top level
+ * @param {Map<string, Object>} folders - From getWorkspaceFolders
+ * @returns {Array<Object>} - [{ id, name }], outermost first; empty for the top level
+ */
+function getBreadcrumbs(folderId, folders) {
+  const breadcrumbs = [];
+  const seen = new Set();
+  let current = folderId ? folders.get(folderId) : null;
+  while (current && !seen.has(current.id)) {
+    seen.add(current.id);
+    breadcrumbs.unshift({ id: current.id, name: current.name });
+    current = current.parentId ? folders.get(current.parentId) : null;
+  }
+  return breadcrumbs;
+}
+
+/**
+ * A folder and every folder below it
+ * @param {string} folderId - Folder ID
+ * @param {Map<string, Object>} folders - From getWorkspaceFolders
+ * @returns {Array<string>} - Folder IDs, starting with folderId
+ */
+function getDescendantFolderIds(folderId, folders) {
+  const ids = [folderId];
+  for (let i = 0; i < ids.length; i++) {
+    folders.forEach(folder => {
+      if (folder.parentId === ids[i] && !ids.includes(folder.id)) ids.push(folder.id);
+    });
+  }
+  return ids;
+}
+
+// Levels of folders below folderId (0 when it has no subfolders)
+function subtreeHeight(folderId, folders) {
+  const children = [...folders.values()].filter(folder => folder.parentId === folderId);
+  return children.reduce((height, child) => Math.max(height, 1 + subtreeHeight(child.id, folders)), 0);
+}
+
+const nameTaken = (folders, parentId, name, excludeId = null) => [...folders.values()].some(folder =>
+  folder.id !== excludeId &&
+  (folder.parentId || null) === (parentId || null) &&
+  folder.name.toLowerCase() === name.toLowerCase()
+);
+
+/**
+ * Check where a folder can go. Siblings need distinct names (ignoring case), a folder
+ * can't be moved into itself or below itself, and nesting is limited to MAX_FOLDER_DEPTH.
+ * @param {Map<string, Object>} folders - From getWorkspaceFolders
+ * @param {Object} placement - { folderId (null for a new folder), parentId, name }
+ * @returns {Object} - { parentId } or { error, status }
+ */
+function validatePlacement(folders, { folderId = null, parentId, name }) {
+  const targetParentId = parentId || null;
+
+  if (targetParentId && !folders.has(targetParentId)) {
+    return { error: 'Parent folder not found in this workspace', status: 404 };
+  }
+  if (folderId && targetParentId && getDescendantFolderIds(folderId, folders).includes(targetParentId)) {
+    return { error: 'A folder cannot be moved into itself or one of its subfolders', status: 400 };
+  }
+
+  const depth = getBreadcrumbs(targetParentId, folders).length + 1 + (folderId ? subtreeHeight(folderId, folders) : 0);
+  if (depth > MAX_FOLDER_DEPTH) {
+    return { error: `Folders cannot be nested more than ${MAX_FOLDER_DEPTH} levels deep`, status: 400 };
+  }
+
+  if (nameTaken(folders, targetParentId, name, folderId)) {
+    return { error: `A folder named "${name}" already exists here`, status: 409 };
+  }
+
+  return { parentId: targetParentId };
+}
+
+/**
+ * Nested folder tree, sorted by name at every level
+ * @param {Map<string, Object>} folders - From getWorkspaceFolders
+ * @param {Map<string, number>} [fileCounts] - Folder ID → number of files directly in it
+ * @returns {Array<Object>} - Top-level folders, each with `children`
+ */
+function buildFolderTree(folders, fileCounts = new Map()) {
+  const nodes = new Map();
+  folders.forEach(folder => {
+    nodes.set(folder.id, {
+      id: folder.id,
+      name: folder.name,
+      parentId: folder.parentId || null,
+      fileCount: fileCounts.get(folder.id) || 0,
+      children: []
+    });
+  });
+
+  const roots = [];
+  nodes.forEach(node => {
+    const parent = node.parentId ? nodes.get(node.parentId) : null;
+    (parent ? parent.children : roots).push(node);
+  });
+
+  const sortLevel = (level) => {
+    level.sort((a, b) => a.name.localeCompare(b.name));
+    level.forEach(node => sortLevel(node.children));
+    return level;
+  };
+  return sortLevel(roots);
+}
+
+const formatFolder = (folder, folders) => ({
+  id: folder.id,
+  workspaceId: folder.workspaceId,
+  name: folder.name,
+  parentId: folder.parentId || null,
+  breadcrumbs: getBreadcrumbs(folder.id, folders),
+  createdBy: folder.createdBy,
+  createdAt: toIso(folder.createdAt),
+  updatedAt: toIso(folder.updatedAt)
+});
+
+/**
+ * Check that a workspace file can be put in a folder
+ * @param {string|null} folderId - Folder ID, or null/'root' for the top level
+ * @param {string|null} workspaceId - The file's workspace
+ * @returns {Promise<Object>} - { folderId } or { error }
+ */
+async function resolveFolderForFile(folderId, workspaceId) {
+  if (folderId === null || folderId === undefined || folderId === '' || folderId === ROOT_FOLDER) {
+    return { folderId: null };
+  }
+  if (typeof folderId !== 'string') return { error: 'folderId must be a folder ID or null' };
+  if (!workspaceId) return { error: 'Only workspace files can be put in folders' };
+
+  const folderDoc = await db.collection('folders').doc(folderId).get();
+  if (!folderDoc.exists || folderDoc.data().workspaceId !== workspaceId) {
+    return { error: 'Folder not found in the file\'s workspace' };
+  }
+  return { folderId };
+}
+
+/**
+ * Files directly inside the given folders
+ * @param {string} workspaceId - Workspace ID
+ * @param {Array<string>} folderIds - Folder IDs
+ * @returns {Promise<Array<Object>>} - File document snapshots
+ */
+async function getFilesInFolders(workspaceId, folderIds) {
+  const snapshot = await db.collection('files').where('workspaceId', '==', workspaceId).get();
+  return snapshot.docs.filter(doc => folderIds.includes(doc.data().folderId));
+}
+
+/**
+ * Delete a folder with its subfolders. Files inside go to the trash; if one is restored
+ * after its folder is gone, it comes back at the top of the workspace.
+ * @param {Object} folder - Folder from getWorkspaceFolders
+ * @param {Map<string, Object>} folders - From getWorkspaceFolders
+ * @param {string} userId - User deleting the folder
+ * @returns {Promise<Object>} - { deletedFolderIds, trashedFileIds }
+ */
+async function deleteFolderTree(folder, folders, userId) {
+  const folderIds = getDescendantFolderIds(folder.id, folders);
+  const fileDocs = await getFilesInFolders(folder.workspaceId, folderIds);
+
+  for (const fileDoc of fileDocs) {
+    await trashService.trashFile(fileDoc, userId);
+  }
+
+  const writer = createBatchWriter();
+  folderIds.forEach(id => writer.delete(db.collection('folders').doc(id)));
+  await writer.commit();
+
+  return { deletedFolderIds: folderIds, trashedFileIds: fileDocs.map(doc => doc.id) };
+}
+
+module.exports = {
+  ROOT_FOLDER,
+  MAX_FOLDER_DEPTH,
+  normalizeFolderName,
+  getWorkspaceFolders,
+  getBreadcrumbs,
+  getDescendantFolderIds,
+  validatePlacement,
+  buildFolderTree,
+  formatFolder,
+  resolveFolderForFile,
+  getFilesInFolders,
+  deleteFolderTree
+};
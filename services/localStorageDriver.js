@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+const DEFAULT_ROOT = path.join(__dirname, '..', 'uploads');
+
+/**
+ * Storage driver that keeps files on the server's disk, under uploads/ by default
+ * @param {Object} [options] - { root }
+ * @returns {Object} - Storage driver (see storageService)
+ */
+function createLocalStorageDriver({ root = DEFAULT_ROOT } = {}) {
+  const rootDir = path.resolve(root);
+
+  // Older file documents hold an absolute path (sometimes from another machine) or one
+  // starting with uploads/; both name the same file as the part after uploads/
+  const toKey = (storagePath) => {
+    const normalized = storagePath.split(path.sep).join('/');
+    if (!path.isAbsolute(storagePath)) {
+      return normalized.startsWith('uploads/') ? normalized.slice('uploads/'.length) : normalized;
+    }
+    if (path.resolve(storagePath).startsWith(rootDir + path.sep)) {
+      return path.relative(rootDir, path.resolve(storagePath)).split(path.sep).join('/');
+    }
+    const marker = normalized.lastIndexOf('/uploads/');
+    return marker === -1 ? normalized : normalized.slice(marker + '/uploads/'.length);
+  };
+
+  // Keys can never point outside the storage root
+  const resolve = (key) => {
+    const resolved = path.resolve(rootDir, toKey(key));
+    if (!resolved.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return resolved;
+  };
+
+  const stat = async (key) => {
+    const stats = await fs.promises.stat(resolve(key)).catch(() => null);
+    return stats && stats.isFile() ? { size: stats.size, lastModified: stats.mtime } : null;
+  };
+
+  return {
+    name: 'local',
+
+    toKey,
+
+    // Path on disk of a stored file, for code that has to work with local files directly
+    resolve,
+
+    async put(key, source) {
+      const target = resolve(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+      if (typeof source === 'string') {
+        if (path.resolve(source) !== target) {
+          await fs.promises.copyFile(source, target);
+        }
+      } else if (Buffer.isBuffer(source)) {
+        await fs.promises.writeFile(target, source);
+      } else {
+        await pipeline(source, fs.createWriteStream(target));
+      }
+      return { key: toKey(key), size: (await stat(key)).size };
+    },
+
+    async getStream(key) {
+      if (!(await stat(key))) return null;
+      return fs.createReadStream(resolve(key));
+    },
+
+    stat,
+
+    async delete(key) {
+      try {
+        await fs.promises.unlink(resolve(key));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    },
+
+    // Local files are only served through the API
+    async getSignedUrl() {
+      return null;
+    }
+  };
+}
+
+module.exports = { createLocalStorageDriver };
@@ -0,0 +1,91 @@
+const admin = require('firebase-admin');
+
+const db = admin.firestore();
+
+// @handle, where the handle is an email, the local part of an email or a display name without spaces
+const MENTION_PATTERN = /(^|[^\w@])@([\w.+-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/g;
+
+const normalizeHandle = (value) => (value || '').replace(/\s+/g, '').toLowerCase();
+
+/**
+ * Get the owner and members of a workspace with the handles they can be mentioned by
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Array>} - [{ userId, email, displayName, handle }]
+ */
+async function getWorkspaceMemberDirectory(workspaceId) {
+  const workspaceDoc = await db.collection('workspaces').doc(workspaceId).get();
+  if (!workspaceDoc.exists) return [];
+
+  const workspaceData = workspaceDoc.data();
+  const membersSnapshot = await db.collection('workspaceMembers')
+    .where('workspaceId', '==', workspaceId)
+    .get();
+
+  const members = [];
+
+  try {
+    const ownerUser = await admin.auth().getUser(workspaceData.ownerId);
+    members.push({
+      userId: ownerUser.uid,
+      email: ownerUser.email,
+      displayName: ownerUser.displayName || null
+    });
+  } catch (error) {
+    console.warn('Could not fetch owner details:', error.message);
+  }
+
+  membersSnapshot.forEach(doc => {
+    const data = doc.data();
+    if (data.userId !== workspaceData.ownerId) {
+      members.push({
+        userId: data.userId,
+        email: data.userEmail,
+        displayName: data.displayName || null
+      });
+    }
+  });
+
+  return members.map(member => ({
+    ...member,
+    handle: member.email ? member.email.split('@')[0] : normalizeHandle(member.displayName)
+  }));
+}
+
+/**
+ * Extract the raw @handles from a piece of text
+ * @param {string} text - Comment body
+ * @returns {Array<string>} - Lowercased handles, without the leading @
+ */
+function extractMentionHandles(text) {
+  const handles = new Set();
+  for (const match of (text || '').matchAll(MENTION_PATTERN)) {
+    handles.add(match[2].replace(/[.\-+]+$/, '').toLowerCase());
+  }
+  return [...handles];
+}
+
+/**
+ * Resolve @mentions in a piece of text against the members of a workspace.
+ * Handles that don't match a member are ignored.
+ * @param {string} text - Comment body
+ * @param {string|null} workspaceId - Workspace the text belongs to
+ * @returns {Promise<Array>} - Mentioned members [{ userId, email, displayName, handle }]
+ */
+async function resolveMentions(text, workspaceId) {
+  const handles = extractMentionHandles(text);
+  if (handles.length === 0 || !workspaceId) return [];
+
+  const members = await getWorkspaceMemberDirectory(workspaceId);
+
+  return members.filter(member => handles.some(handle =>
+    handle === (member.email || '').toLowerCase() ||
+    handle === (member.handle || '').toLowerCase() ||
+    (member.displayName && handle === normalizeHandle(member.displayName))
+  ));
+}
+
+module.exports = {
+  getWorkspaceMemberDirectory,
+  extractMentionHandles,
+  resolveMentions
+};
@@ -1,4 +1,5 @@
 const admin = require('firebase-admin');
+const { getTaskAssignees, getTaskParticipants } = require('./taskService');
 
 const db = admin.firestore();
 
@@ -12,6 +13,7 @@ const NOTIFICATION_TYPES = {
   TASK_DUE_SOON: 'task_due_soon',
   TASK_OVERDUE: 'task_overdue',
   TASK_COMMENT: 'task_comment',
+  TASKS_BULK_UPDATED: 'tasks_bulk_updated',
   WORKSPACE_INVITE: 'workspace_invite',
   WORKSPACE_REMOVED: 'workspace_removed',
   WORKSPACE_ROLE_CHANGED: 'workspace_role_changed',
@@ -364,6 +366,39 @@ const notificationHelpers = {
     return notifications;
   },
 
+  /**
+   * File comment notification (uploader and workspace members)
+   */
+  async fileComment(commentData, fileData, recipients = []) {
+    const notifications = [];
+    const anchorText = commentData.anchor?.type === 'page'
+      ? ` (page ${commentData.anchor.page})`
+      : '';
+
+    for (const recipientId of new Set(recipients)) {
+      if (recipientId !== commentData.authorId) {
+        const notificationId = await createNotification({
+          userId: recipientId,
+          type: NOTIFICATION_TYPES.FILE_COMMENT,
+          title: 'New comment on file',
+          message: `${commentData.authorName} commented on "${fileData.fileName}"${anchorText}`,
+          priority: recipientId === fileData.uploadedBy ? PRIORITY_LEVELS.MEDIUM : PRIORITY_LEVELS.LOW,
+          metadata: {
+            fileId: fileData.id,
+            fileName: fileData.fileName,
+            commentId: commentData.id,
+            workspaceId: fileData.workspaceId || null
+          },
+          triggeredBy: commentData.authorId
+        });
+
+        if (notificationId) notifications.push(notificationId);
+      }
+    }
+
+    return notifications;
+  },
+
   /**
    * Task assigned notification
    */
@@ -385,6 +420,140 @@ const notificationHelpers = {
     });
   },
 
+  /**
+   * Assignment fan-out: each new assignee is told the task is theirs and the task's
+   * watchers hear that it has new assignees
+   * @param {Object} taskData - { id, title, workspaceId, dueDate, watchers }
+   * @param {Array<string>} addedIds - Users newly assigned to the task
+   */
+  async taskAssigneesAdded(taskData, assignerId, addedIds) {
+    const notifications = [];
+    const added = [...new Set(addedIds)];
+    if (added.length === 0) return notifications;
+
+    for (const assigneeId of added) {
+      const notificationId = await notificationHelpers.taskAssigned(taskData, assignerId, assigneeId);
+      if (notificationId) notifications.push(notificationId);
+    }
+
+    for (const watcherId of new Set(taskData.watchers || [])) {
+      if (watcherId === assignerId || added.includes(watcherId)) continue;
+      const notificationId = await createNotification({
+        userId: watcherId,
+        type: NOTIFICATION_TYPES.TASK_ASSIGNED,
+        title: 'Watched task reassigned',
+        message: `${added.length} new assignee${added.length === 1 ? '' : 's'} on task "${taskData.title}"`,
+        priority: PRIORITY_LEVELS.LOW,
+        metadata: {
+          taskId: taskData.id,
+          workspaceId: taskData.workspaceId || null,
+          assigneeIds: added
+        },
+        triggeredBy: assignerId
+      });
+      if (notificationId) notifications.push(notificationId);
+    }
+
+    return notifications;
+  },
+
+  /**
+   * Task completed notification for the owner, assignees and watchers
+   * @param {Object} taskData - Task data including its id
+   */
+  async taskCompleted(taskData, completerId, completerName) {
+    const notifications = [];
+    const responsible = [taskData.userId, ...getTaskAssignees(taskData)];
+
+    for (const recipientId of getTaskParticipants(taskData)) {
+      if (recipientId === completerId) continue;
+      const notificationId = await createNotification({
+        userId: recipientId,
+        type: NOTIFICATION_TYPES.TASK_COMPLETED,
+        title: 'Task completed',
+        message: `${completerName} completed task: "${taskData.title}"`,
+        priority: responsible.includes(recipientId) ? PRIORITY_LEVELS.MEDIUM : PRIORITY_LEVELS.LOW,
+        metadata: {
+          taskId: taskData.id,
+          taskTitle: taskData.title,
+          workspaceId: taskData.workspaceId || null,
+          completedBy: completerId,
+          completerName
+        },
+        triggeredBy: completerId
+      });
+      if (notificationId) notifications.push(notificationId);
+    }
+
+    return notifications;
+  },
+
+  /**
+   * Task comment notification for mentioned users, or for the task's assignees and watchers
+   * @param {Object} commentData - Formatted comment ({ id, authorId, authorName })
+   * @param {Object} taskData - Task data including its id
+   * @returns {Promise<Array>} - The notifications created, with their IDs, for real-time delivery
+   */
+  async taskComment(commentData, taskData, recipients = [], mentioned = false) {
+    const notifications = [];
+    const assignees = getTaskAssignees(taskData);
+
+    for (const recipientId of new Set(recipients)) {
+      if (recipientId === commentData.authorId) continue;
+
+      let title = 'You were mentioned';
+      if (!mentioned) {
+        title = assignees.includes(recipientId) ? 'New comment on your task' : 'New comment on a task you watch';
+      }
+      const notification = {
+        userId: recipientId,
+        type: NOTIFICATION_TYPES.TASK_COMMENT,
+        title,
+        message: mentioned
+          ? `${commentData.authorName} mentioned you on task "${taskData.title}"`
+          : `${commentData.authorName} commented on task "${taskData.title}"`,
+        priority: mentioned ? PRIORITY_LEVELS.HIGH : PRIORITY_LEVELS.MEDIUM,
+        metadata: {
+          taskId: taskData.id,
+          taskTitle: taskData.title,
+          commentId: commentData.id,
+          workspaceId: taskData.workspaceId || null
+        },
+        triggeredBy: commentData.authorId
+      };
+
+      const notificationId = await createNotification(notification);
+      if (notificationId) notifications.push({ id: notificationId, ...notification });
+    }
+
+    return notifications;
+  },
+
+  /**
+   * One notification for every task of a recipient changed by a bulk action
+   * @param {Object} changeData - { action, verb, tasks: [{ id, title }], actorName }
+   */
+  async tasksBulkUpdated(changeData, actorId, recipientId) {
+    if (actorId === recipientId || changeData.tasks.length === 0) return null;
+
+    const count = changeData.tasks.length;
+    const titles = changeData.tasks.slice(0, 3).map(task => `"${task.title}"`).join(', ');
+    const more = count > 3 ? ` and ${count - 3} more` : '';
+
+    return await createNotification({
+      userId: recipientId,
+      type: NOTIFICATION_TYPES.TASKS_BULK_UPDATED,
+      title: `${count} task${count === 1 ? '' : 's'} ${changeData.verb}`,
+      message: `${changeData.actorName} ${changeData.verb} ${titles}${more}`,
+      priority: changeData.action === 'delete' ? PRIORITY_LEVELS.HIGH : PRIORITY_LEVELS.MEDIUM,
+      metadata: {
+        action: changeData.action,
+        taskIds: changeData.tasks.map(task => task.id)
+      },
+      triggeredBy: actorId
+    });
+  },
+
   /**
    * Workspace invitation notification
    */
@@ -0,0 +1,375 @@
+const admin = require('firebase-admin');
+const workflowService = require('./workflowService');
+const socketService = require('./socketService');
+
+const db = admin.firestore();
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Scheduled runs create an instance this long before it is due so it shows up ahead of time
+const LEAD_TIME_MS = Number(process.env.RECURRENCE_LEAD_TIME_MS) || DAY_MS;
+
+let schedulerTimer = null;
+
+const parseUntil = (value) => {
+  if (!value) return null;
+  // RRULE style 20250131 or 20250131T000000Z, otherwise anything Date understands
+  const compact = /^(\d{4})(\d{2})(\d{2})(T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  const date = compact
+    ? new Date(Date.UTC(+compact[1], +compact[2] - 1, +compact[3], +(compact[5] || 23), +(compact[6] || 59), +(compact[7] || 59)))
+    : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Parse a recurrence rule from a request body
+ * @param {string|Object} input - 'daily' | 'weekly' | 'monthly', an RRULE string such as
+ *   'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH', or { rrule } / { frequency, interval, byDay, byMonthDay, count, until }
+ * @returns {{ rule: Object|null, error: string|null }}
+ */
+function parseRecurrence(input) {
+  if (!input) {
+    return { rule: null, error: 'Recurrence rule is required' };
+  }
+
+  let parts = {};
+  if (typeof input === 'string' && /^(daily|weekly|monthly)$/i.test(input)) {
+    parts.FREQ = input.toUpperCase();
+  } else if (typeof input === 'string' || typeof input.rrule === 'string') {
+    const rrule = (typeof input === 'string' ? input : input.rrule).replace(/^RRULE:/i, '');
+    rrule.split(';').filter(Boolean).forEach(pair => {
+      const [key, value] = pair.split('=');
+      parts[(key || '').trim().toUpperCase()] = (value || '').trim();
+    });
+  } else if (typeof input === 'object') {
+    parts = {
+      FREQ: (input.frequency || input.freq || '').toUpperCase(),
+      INTERVAL: input.interval,
+      BYDAY: Array.isArray(input.byDay) ? input.byDay.join(',') : input.byDay,
+      BYMONTHDAY: input.byMonthDay,
+      COUNT: input.count,
+      UNTIL: input.until
+    };
+  }
+
+  const supported = ['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'COUNT', 'UNTIL'];
+  const unsupported = Object.keys(parts).filter(key => !supported.includes(key) && parts[key] !== undefined);
+  if (unsupported.length > 0) {
+    return { rule: null, error: `Unsupported recurrence parts: ${unsupported.join(', ')}` };
+  }
+
+  const frequency = (parts.FREQ || '').toUpperCase();
+  if (!FREQUENCIES.includes(frequency)) {
+    return { rule: null, error: 'Recurrence frequency must be DAILY, WEEKLY or MONTHLY' };
+  }
+
+  const interval = parts.INTERVAL === undefined || parts.INTERVAL === '' ? 1 : Number(parts.INTERVAL);
+  if (!Number.isInteger(interval) || interval < 1 || interval > 365) {
+    return { rule: null, error: 'Recurrence interval must be a whole number between 1 and 365' };
+  }
+
+  let byDay = [];
+  if (parts.BYDAY) {
+    if (frequency !== 'WEEKLY') {
+      return { rule: null, error: 'BYDAY is only supported for WEEKLY recurrence' };
+    }
+    byDay = String(parts.BYDAY).toUpperCase().split(',').map(day => day.trim()).filter(Boolean);
+    if (byDay.some(day => !WEEKDAYS.includes(day))) {
+      return { rule: null, error: 'BYDAY must list days as MO, TU, WE, TH, FR, SA or SU' };
+    }
+    byDay = WEEKDAYS.filter(day => byDay.includes(day));
+  }
+
+  let byMonthDay = null;
+  if (parts.BYMONTHDAY !== undefined && parts.BYMONTHDAY !== null && parts.BYMONTHDAY !== '') {
+    if (frequency !== 'MONTHLY') {
+      return { rule: null, error: 'BYMONTHDAY is only supported for MONTHLY recurrence' };
+    }
+    byMonthDay = Number(parts.BYMONTHDAY);
+    if (!Number.isInteger(byMonthDay) || byMonthDay < 1 || byMonthDay > 31) {
+      return { rule: null, error: 'BYMONTHDAY must be between 1 and 31' };
+    }
+  }
+
+  let count = null;
+  if (parts.COUNT !== undefined && parts.COUNT !== null && parts.COUNT !== '') {
+    count = Number(parts.COUNT);
+    if (!Number.isInteger(count) || count < 1) {
+      return { rule: null, error: 'COUNT must be a positive whole number' };
+    }
+  }
+
+  let until = null;
+  if (parts.UNTIL) {
+    until = parseUntil(String(parts.UNTIL));
+    if (!until) {
+      return { rule: null, error: 'UNTIL must be a valid date' };
+    }
+  }
+
+  const rule = { frequency, interval, byDay, byMonthDay, count, until: until ? until.toISOString() : null };
+  rule.rrule = toRRule(rule);
+  return { rule, error: null };
+}
+
+function toRRule(rule) {
+  const parts = [`FREQ=${rule.frequency}`];
+  if (rule.interval && rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay && rule.byDay.length > 0) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+  if (rule.byMonthDay) parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+  return parts.join(';');
+}
+
+// Human readable summary, e.g. "Every 2 weeks on MO, TH"
+function describeRecurrence(rule) {
+  const units = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' };
+  const unit = units[rule.frequency];
+  let text = rule.interval > 1 ? `Every ${rule.interval} ${unit}s` : `Every ${unit}`;
+  if (rule.byDay && rule.byDay.length > 0) text += ` on ${rule.byDay.join(', ')}`;
+  if (rule.byMonthDay) text += ` on day ${rule.byMonthDay}`;
+  if (rule.count) text += `, ${rule.count} times`;
+  if (rule.until) text += ` until ${rule.until.slice(0, 10)}`;
+  return text;
+}
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * Compute the occurrence that follows `previous`
+ * @param {Object} rule - Parsed recurrence rule
+ * @param {Date} previous - Date of the previous occurrence
+ * @param {Date} anchor - Date of the first occurrence (keeps the day of month stable)
+ * @returns {Date} - Next occurrence (time of day is preserved)
+ */
+function getNextOccurrence(rule, previous, anchor = previous) {
+  const prev = new Date(previous);
+
+  if (rule.frequency === 'DAILY') {
+    return new Date(prev.getTime() + rule.interval * DAY_MS);
+  }
+
+  if (rule.frequency === 'WEEKLY') {
+    if (!rule.byDay || rule.byDay.length === 0) {
+      return new Date(prev.getTime() + rule.interval * 7 * DAY_MS);
+    }
+
+    const days = rule.byDay.map(day => WEEKDAYS.indexOf(day));
+    // Weeks start on Monday; look for a later listed day in the same week first
+    const mondayIndex = (prev.getUTCDay() + 6) % 7;
+    const laterThisWeek = days
+      .map(day => (day + 6) % 7)
+      .filter(index => index > mondayIndex)
+      .sort((a, b) => a - b)[0];
+
+    if (laterThisWeek !== undefined) {
+      return new Date(prev.getTime() + (laterThisWeek - mondayIndex) * DAY_MS);
+    }
+
+    const firstIndex = Math.min(...days.map(day => (day + 6) % 7));
+    const weekStart = prev.getTime() - mondayIndex * DAY_MS;
+    return new Date(weekStart + rule.interval * 7 * DAY_MS + firstIndex * DAY_MS);
+  }
+
+  // MONTHLY: same day of month as the anchor (or BYMONTHDAY), clamped to short months
+  const targetDay = rule.byMonthDay || new Date(anchor).getUTCDate();
+  const monthIndex = prev.getUTCMonth() + rule.interval;
+  const year = prev.getUTCFullYear() + Math.floor(monthIndex / 12);
+  const month = monthIndex % 12;
+  const next = new Date(prev);
+  next.setUTCDate(1);
+  next.setUTCFullYear(year, month, Math.min(targetDay, daysInMonth(year, month)));
+  return next;
+}
+
+// Whether an occurrence number (1-based) at a given date is still inside the rule's bounds
+function isWithinBounds(rule, occurrenceNumber, date) {
+  if (rule.count && occurrenceNumber > rule.count) return false;
+  if (rule.until && date > new Date(rule.until)) return false;
+  return true;
+}
+
+// Due dates given as YYYY-MM-DD stay date-only on every instance of the series
+const isDateOnly = (value) => typeof value === 'string' && DATE_ONLY_PATTERN.test(value);
+
+const formatDueDate = (date, dateOnly) => (dateOnly ? date.toISOString().slice(0, 10) : date.toISOString());
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+/**
+ * Create the next task of a series and advance the series
+ * @param {string} seriesId - Series ID
+ * @param {Object} options
+ * @param {string} options.afterTaskId - Only advance if this task is still the latest instance
+ *   (used when an instance is completed)
+ * @param {Date} options.now - Current time; scheduled runs only create instances due within the lead time
+ * @param {number} options.leadMs - How far ahead of its date a scheduled run may create an instance
+ * @param {string} options.triggeredBy - User who caused the new instance, if any
+ * @returns {Promise<Object|null>} - The created task, or null if nothing was due
+ */
+async function generateNextInstance(seriesId, { afterTaskId = null, now = new Date(), leadMs = LEAD_TIME_MS, triggeredBy = null } = {}) {
+  const seriesRef = db.collection('taskSeries').doc(seriesId);
+  const seriesSnapshot = await seriesRef.get();
+  if (!seriesSnapshot.exists) return null;
+
+  const workflow = await workflowService.getWorkflow(seriesSnapshot.data().workspaceId);
+
+  const created = await db.runTransaction(async (transaction) => {
+    const seriesDoc = await transaction.get(seriesRef);
+    if (!seriesDoc.exists) return null;
+
+    const series = seriesDoc.data();
+    if (!series.active || !series.nextOccurrenceAt) return null;
+    if (afterTaskId && series.currentTaskId !== afterTaskId) return null;
+
+    let occurrenceDate = toDate(series.nextOccurrenceAt);
+    if (!afterTaskId && occurrenceDate.getTime() > now.getTime() + leadMs) return null;
+
+    const anchor = toDate(series.startDate) || occurrenceDate;
+    let occurrenceNumber = (series.occurrenceCount || 0) + 1;
+
+    // After downtime, skip occurrences that were missed entirely rather than flooding the board
+    if (!afterTaskId) {
+      let following = getNextOccurrence(series.rule, occurrenceDate, anchor);
+      while (following <= now && isWithinBounds(series.rule, occurrenceNumber + 1, following)) {
+        occurrenceDate = following;
+        occurrenceNumber += 1;
+        following = getNextOccurrence(series.rule, occurrenceDate, anchor);
+      }
+    }
+
+    if (!isWithinBounds(series.rule, occurrenceNumber, occurrenceDate)) {
+      transaction.update(seriesRef, {
+        active: false,
+        nextOccurrenceAt: null,
+        endedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      return null;
+    }
+
+    // Deterministic IDs make a retried run fail instead of creating a duplicate instance
+    const taskRef = db.collection('tasks').doc(`${seriesId}-${occurrenceNumber}`);
+    const taskData = {
+      title: series.title,
+      description: series.description,
+      priority: series.priority,
+      category: series.category,
+      userId: series.userId,
+      assignedTo: series.assignedTo || series.userId,
+      assignees: series.assignees || [series.assignedTo || series.userId],
+      watchers: series.watchers || [],
+      workspaceId: series.workspaceId || null,
+      customFields: series.customFields || {},
+      dueDate: formatDueDate(occurrenceDate, series.dateOnly),
+      status: workflowService.getInitialStatus(workflow),
+      completed: false,
+      parentTaskId: null,
+      depth: 0,
+      subtaskCount: 0,
+      completedSubtaskCount: 0,
+      progress: 0,
+      attachedFiles: [],
+      attachmentCount: 0,
+      seriesId,
+      recurrence: series.rule,
+      occurrenceNumber,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    transaction.create(taskRef, taskData);
+
+    const nextOccurrence = getNextOccurrence(series.rule, occurrenceDate, anchor);
+    const hasMore = isWithinBounds(series.rule, occurrenceNumber + 1, nextOccurrence);
+    transaction.update(seriesRef, {
+      currentTaskId: taskRef.id,
+      occurrenceCount: occurrenceNumber,
+      nextOccurrenceAt: hasMore ? admin.firestore.Timestamp.fromDate(nextOccurrence) : null,
+      active: hasMore,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { id: taskRef.id, ...taskData };
+  });
+
+  if (created) {
+    try {
+      socketService.sendTaskUpdate(created, 'created', triggeredBy || created.userId);
+    } catch (socketError) {
+      console.error('Error sending recurring task update:', socketError);
+    }
+  }
+
+  return created;
+}
+
+/**
+ * Create instances for every active series whose next date falls within the lead time
+ * @returns {Promise<number>} - Number of instances created
+ */
+async function processDueSeries(now = new Date(), leadMs = LEAD_TIME_MS) {
+  // Filter dates in memory to avoid a composite index on active + nextOccurrenceAt
+  const snapshot = await db.collection('taskSeries')
+    .where('active', '==', true)
+    .get();
+
+  let createdCount = 0;
+  for (const doc of snapshot.docs) {
+    const nextOccurrenceAt = toDate(doc.data().nextOccurrenceAt);
+    if (!nextOccurrenceAt || nextOccurrenceAt.getTime() > now.getTime() + leadMs) continue;
+
+    try {
+      const created = await generateNextInstance(doc.id, { now, leadMs });
+      if (created) createdCount++;
+    } catch (error) {
+      console.error(`Error creating next instance for series ${doc.id}:`, error);
+    }
+  }
+
+  return createdCount;
+}
+
+function startRecurrenceScheduler(intervalMs = Number(process.env.RECURRENCE_SCAN_INTERVAL_MS) || 5 * 60 * 1000) {
+  if (schedulerTimer) return schedulerTimer;
+
+  const run = async () => {
+    try {
+      const createdCount = await processDueSeries();
+      if (createdCount > 0) {
+        console.log(`Recurrence scheduler created ${createdCount} task(s)`);
+      }
+    } catch (error) {
+      console.error('Recurrence scheduler error:', error);
+    }
+  };
+
+  schedulerTimer = setInterval(run, intervalMs);
+  schedulerTimer.unref();
+  run();
+  console.log(`Recurrence scheduler started (every ${Math.round(intervalMs / 1000)}s)`);
+  return schedulerTimer;
+}
+
+function stopRecurrenceScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
+
+module.exports = {
+  parseRecurrence,
+  toRRule,
+  describeRecurrence,
+  getNextOccurrence,
+  isWithinBounds,
+  isDateOnly,
+  formatDueDate,
+  generateNextInstance,
+  processDueSeries,
+  startRecurrenceScheduler,
+  stopRecurrenceScheduler
+};
@@ -0,0 +1,275 @@
+const admin = require('firebase-admin');
+const { NOTIFICATION_TYPES, PRIORITY_LEVELS, createNotification } = require('./notificationService');
+const socketService = require('./socketService');
+const { getTaskAssignees } = require('./taskService');
+
+const db = admin.firestore();
+
+const HOUR_MS = 60 * 60 * 1000;
+const STATUS_DOC = 'taskReminders';
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000;
+
+// Tasks that were already long overdue when the scheduler first saw them don't get a reminder
+const OVERDUE_CUTOFF_MS = 7 * 24 * HOUR_MS;
+
+let schedulerTimer = null;
+let schedulerIntervalMs = null;
+let scanInProgress = false;
+
+// Lead times in hours before the due date, e.g. TASK_REMINDER_LEAD_HOURS=24,1
+function getLeadTimes() {
+  const leadHours = (process.env.TASK_REMINDER_LEAD_HOURS || '24')
+    .split(',')
+    .map(value => Number(value.trim()))
+    .filter(value => Number.isFinite(value) && value > 0);
+  return [...new Set(leadHours.length > 0 ? leadHours : [24])].sort((a, b) => a - b);
+}
+
+// Date-only due dates ("2025-10-30") are treated as due at the end of that day (UTC)
+function parseDueDate(dueDate) {
+  if (!dueDate) return null;
+  if (dueDate.toDate) return dueDate.toDate();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(dueDate)) {
+    return new Date(`${dueDate}T23:59:59.999Z`);
+  }
+  const date = new Date(dueDate);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Work out which reminder (if any) a task is owed right now
+ * @param {Date} due - Task due date
+ * @param {Date} now - Current time
+ * @param {Array<number>} leadTimes - Lead times in hours, ascending
+ * @returns {Object|null} - { kind: 'due_soon', leadHours } or { kind: 'overdue' }
+ */
+function getReminderWindow(due, now, leadTimes) {
+  if (now >= due) {
+    return now.getTime() - due.getTime() <= OVERDUE_CUTOFF_MS ? { kind: 'overdue' } : null;
+  }
+  // Only the tightest window that has opened is sent, so a late scan never sends a burst
+  const leadHours = leadTimes.find(hours => due.getTime() - now.getTime() <= hours * HOUR_MS);
+  return leadHours ? { kind: 'due_soon', leadHours } : null;
+}
+
+const formatTimeLeft = (ms) => {
+  const hours = Math.round(ms / HOUR_MS);
+  if (hours < 1) return 'less than an hour';
+  if (hours < 48) return `${hours} hour${hours === 1 ? '' : 's'}`;
+  return `${Math.round(hours / 24)} days`;
+};
+
+// Claim a reminder for one recipient by creating its marker document. The ID includes the
+// due date so rescheduling a task re-arms its reminders; create() fails if the marker already
+// exists, which keeps reminders unique across restarts and multiple server instances.
+async function claimReminder(taskId, window, due, recipientId) {
+  const key = window.kind === 'overdue' ? 'overdue' : `due_soon_${window.leadHours}h`;
+  const markerRef = db.collection('taskReminders').doc(`${taskId}_${key}_${due.getTime()}_${recipientId}`);
+
+  try {
+    await markerRef.create({
+      taskId,
+      kind: window.kind,
+      leadHours: window.leadHours || null,
+      dueDate: admin.firestore.Timestamp.fromDate(due),
+      userId: recipientId,
+      sentAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return true;
+  } catch (error) {
+    // 6 = ALREADY_EXISTS
+    if (error.code === 6 || error.code === 'already-exists') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+// Every assignee gets the reminder; unassigned tasks remind their owner
+async function sendReminder(taskId, task, window, due, now) {
+  const assignees = getTaskAssignees(task);
+  const recipients = assignees.length > 0 ? assignees : [task.userId].filter(Boolean);
+
+  let sent = 0;
+  for (const recipientId of recipients) {
+    if (await sendReminderTo(recipientId, taskId, task, window, due, now)) {
+      sent++;
+    }
+  }
+  return sent;
+}
+
+async function sendReminderTo(recipientId, taskId, task, window, due, now) {
+  const claimed = await claimReminder(taskId, window, due, recipientId);
+  if (!claimed) return false;
+
+  const isOverdue = window.kind === 'overdue';
+  const type = isOverdue ? NOTIFICATION_TYPES.TASK_OVERDUE : NOTIFICATION_TYPES.TASK_DUE_SOON;
+  const title = isOverdue ? 'Task overdue' : 'Task due soon';
+  const message = isOverdue
+    ? `Task "${task.title}" was due on ${due.toLocaleString()}`
+    : `Task "${task.title}" is due in ${formatTimeLeft(due.getTime() - now.getTime())}`;
+  const priority = isOverdue ? PRIORITY_LEVELS.HIGH : PRIORITY_LEVELS.MEDIUM;
+  const metadata = {
+    taskId,
+    taskTitle: task.title,
+    dueDate: due.toISOString(),
+    workspaceId: task.workspaceId || null,
+    leadHours: window.leadHours || null
+  };
+
+  const notificationId = await createNotification({
+    userId: recipientId,
+    type,
+    title,
+    message,
+    priority,
+    metadata
+  });
+
+  // createNotification returns null when the user has turned this type off
+  if (notificationId) {
+    socketService.sendNotificationToUser(recipientId, {
+      id: notificationId,
+      type,
+      title,
+      message,
+      priority,
+      metadata,
+      createdAt: new Date().toISOString(),
+      isRead: false
+    });
+  }
+
+  return true;
+}
+
+/**
+ * Scan open tasks and send due-soon / overdue reminders that have not been sent yet
+ * @param {Date} now - Current time
+ * @returns {Promise<{ scanned: number, sent: number }>}
+ */
+async function scanDueTasks(now = new Date()) {
+  const leadTimes = getLeadTimes();
+
+  // Due dates are "YYYY-MM-DD" or ISO strings, which sort as text, so only tasks between the
+  // overdue cutoff and the longest lead time are read. The lower bound is a date alone, since a
+  // date-only due date sorts before every timestamp on that day.
+  const earliest = new Date(now.getTime() - OVERDUE_CUTOFF_MS).toISOString().slice(0, 10);
+  const latest = new Date(now.getTime() + Math.max(...leadTimes) * HOUR_MS).toISOString();
+  const snapshot = await db.collection('tasks')
+    .where('completed', '==', false)
+    .where('dueDate', '>=', earliest)
+    .where('dueDate', '<=', latest)
+    .get();
+
+  let scanned = 0;
+  let sent = 0;
+
+  for (const doc of snapshot.docs) {
+    const task = doc.data();
+    const due = parseDueDate(task.dueDate);
+    if (!due) continue;
+
+    scanned++;
+    const window = getReminderWindow(due, now, leadTimes);
+    if (!window) continue;
+
+    try {
+      sent += await sendReminder(doc.id, task, window, due, now);
+    } catch (error) {
+      console.error(`Error sending reminder for task ${doc.id}:`, error);
+    }
+  }
+
+  return { scanned, sent };
+}
+
+async function runScan() {
+  if (scanInProgress) return null;
+  scanInProgress = true;
+  const startedAt = new Date();
+  const statusRef = db.collection('schedulerStatus').doc(STATUS_DOC);
+
+  try {
+    const { scanned, sent } = await scanDueTasks(startedAt);
+    await statusRef.set({
+      lastScanAt: admin.firestore.Timestamp.fromDate(startedAt),
+      lastScanDurationMs: Date.now() - startedAt.getTime(),
+      lastScanTasks: scanned,
+      lastScanSent: sent,
+      totalSent: admin.firestore.FieldValue.increment(sent),
+      lastError: null
+    }, { merge: true });
+
+    if (sent > 0) {
+      console.log(`Reminder scheduler sent ${sent} reminder(s)`);
+    }
+    return { scanned, sent };
+  } catch (error) {
+    console.error('Reminder scheduler error:', error);
+    try {
+      await statusRef.set({
+        lastScanAt: admin.firestore.Timestamp.fromDate(startedAt),
+        lastError: error.message
+      }, { merge: true });
+    } catch (statusError) {
+      console.error('Error saving reminder scheduler status:', statusError);
+    }
+    return null;
+  } finally {
+    scanInProgress = false;
+  }
+}
+
+/**
+ * Get the persisted status of the reminder scheduler
+ * @returns {Promise<Object>} - Last scan time, counts and configuration
+ */
+async function getReminderStatus() {
+  const statusDoc = await db.collection('schedulerStatus').doc(STATUS_DOC).get();
+  const status = statusDoc.exists ? statusDoc.data() : {};
+
+  return {
+    running: Boolean(schedulerTimer),
+    scanInProgress,
+    leadHours: getLeadTimes(),
+    intervalMs: schedulerIntervalMs,
+    lastScanAt: status.lastScanAt?.toDate?.() || null,
+    lastScanDurationMs: status.lastScanDurationMs ?? null,
+    lastScanTasks: status.lastScanTasks ?? 0,
+    lastScanSent: status.lastScanSent ?? 0,
+    totalSent: status.totalSent ?? 0,
+    lastError: status.lastError || null
+  };
+}
+
+function startReminderScheduler(intervalMs = Number(process.env.TASK_REMINDER_SCAN_INTERVAL_MS) || DEFAULT_INTERVAL_MS) {
+  if (schedulerTimer) return schedulerTimer;
+
+  schedulerIntervalMs = intervalMs;
+  schedulerTimer = setInterval(runScan, intervalMs);
+  schedulerTimer.unref();
+  runScan();
+  console.log(`Reminder scheduler started (every ${Math.round(intervalMs / 1000)}s, lead hours: ${getLeadTimes().join(', ')})`);
+  return schedulerTimer;
+}
+
+function stopReminderScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+    schedulerIntervalMs = null;
+  }
+}
+
+module.exports = {
+  getLeadTimes,
+  parseDueDate,
+  getReminderWindow,
+  scanDueTasks,
+  runScan,
+  getReminderStatus,
+  startReminderScheduler,
+  stopReminderScheduler
+};
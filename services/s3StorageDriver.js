@@ -0,0 +1,105 @@
+const fs = require('fs');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+const DEFAULT_SIGNED_URL_EXPIRY_SECONDS = 15 * 60;
+
+const isNotFound = (error) =>
+  error.name === 'NoSuchKey' || error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404;
+
+/**
+ * Storage driver for Amazon S3 and S3-compatible services (MinIO, Cloudflare R2, ...)
+ * @param {Object} options - { bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, prefix }
+ * @returns {Object} - Storage driver (see storageService)
+ */
+function createS3StorageDriver({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle = false, prefix = '' }) {
+  if (!bucket) {
+    throw new Error('S3 storage needs a bucket (S3_BUCKET)');
+  }
+
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    // Plain uploads without the newer checksum trailers, which not every S3-compatible service accepts
+    requestChecksumCalculation: 'WHEN_REQUIRED',
+    responseChecksumValidation: 'WHEN_REQUIRED',
+    // Without explicit keys the SDK uses its usual credential chain (environment, instance role, ...)
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const toKey = (storagePath) => storagePath.replace(/\\/g, '/').replace(/^\/+/, '');
+  const objectKey = (key) => `${prefix}${toKey(key)}`;
+
+  const stat = async (key) => {
+    try {
+      const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+      return { size: head.ContentLength, lastModified: head.LastModified, contentType: head.ContentType };
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  };
+
+  return {
+    name: 's3',
+
+    toKey,
+
+    async put(key, source, { contentType, size } = {}) {
+      let body = source;
+      let contentLength = size;
+      if (typeof source === 'string') {
+        contentLength = (await fs.promises.stat(source)).size;
+        body = fs.createReadStream(source);
+      }
+
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: body,
+        ContentType: contentType || 'application/octet-stream',
+        // Streams need their length up front
+        ContentLength: Buffer.isBuffer(body) ? undefined : contentLength
+      }));
+      return { key: toKey(key), size: Buffer.isBuffer(body) ? body.length : contentLength };
+    },
+
+    async getStream(key) {
+      try {
+        const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return object.Body;
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    },
+
+    stat,
+
+    async delete(key) {
+      if (!(await stat(key))) return false;
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+      return true;
+    },
+
+    async getSignedUrl(key, { fileName, inline = false, expiresIn = DEFAULT_SIGNED_URL_EXPIRY_SECONDS } = {}) {
+      const command = new GetObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        ResponseContentDisposition: fileName
+          ? `${inline ? 'inline' : 'attachment'}; filename="${fileName}"`
+          : undefined
+      });
+      return getSignedUrl(client, command, { expiresIn });
+    }
+  };
+}
+
+module.exports = { createS3StorageDriver };
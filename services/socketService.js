@@ -110,22 +110,27 @@ function sendFileUpdate(workspaceId, fileData, action, userId) {
   console.log(`Sent file update to workspace ${workspaceId}: ${action} - ${fileData.name}`);
 }
 
-function sendTaskUpdate(taskData, action, userId) {
+// `details` is merged into both payloads, e.g. the new checklist so viewers can update in place
+function sendTaskUpdate(taskData, action, userId, details = {}) {
   if (!io) {
     console.error('Socket.IO not initialized');
     return;
   }
   
-  if (taskData.assignedTo && taskData.assignedTo !== userId) {
-    sendNotificationToUser(taskData.assignedTo, {
+  // `assignees` lists everyone to tell; older callers only pass `assignedTo`
+  const recipients = taskData.assignees || (taskData.assignedTo ? [taskData.assignedTo] : []);
+  recipients.forEach(recipientId => {
+    if (recipientId === userId) return;
+    sendNotificationToUser(recipientId, {
       type: 'task_update',
       title: `Task ${action}`,
       message: `Task "${taskData.title}" has been ${action}`,
       taskId: taskData.id,
       action,
+      ...details,
       timestamp: new Date().toISOString()
     });
-  }
+  });
   
   if (taskData.workspaceId) {
     sendWorkspaceActivity(taskData.workspaceId, {
@@ -134,6 +139,7 @@ function sendTaskUpdate(taskData, action, userId) {
       taskTitle: taskData.title,
       action,
       userId,
+      ...details,
       timestamp: new Date().toISOString()
     }, userId);
   }
@@ -141,6 +147,38 @@ function sendTaskUpdate(taskData, action, userId) {
   console.log(`Sent task update: ${action} - ${taskData.title}`);
 }
 
+function sendTaskComment(workspaceId, commentData, action, userId) {
+  if (!io) {
+    console.error('Socket.IO not initialized');
+    return;
+  }
+
+  const room = `workspace:${workspaceId}`;
+  io.to(room).emit('task-comment', {
+    taskId: commentData.taskId,
+    commentId: commentData.id,
+    action,
+    userId,
+    timestamp: new Date().toISOString(),
+    comment: commentData
+  });
+
+  console.log(`Sent task comment to workspace ${workspaceId}: ${action} on task ${commentData.taskId}`);
+}
+
+// Keeps the running-timer indicator in sync across the user's open tabs and devices
+function sendTimerUpdate(userId, timer) {
+  if (!io) {
+    console.error('Socket.IO not initialized');
+    return;
+  }
+
+  io.to(`user:${userId}`).emit('timer-update', {
+    timer,
+    timestamp: new Date().toISOString()
+  });
+}
+
 function getWorkspaceConnectedUsers(workspaceId) {
   if (!io) {
     console.error('Socket.IO not initialized');
@@ -219,6 +257,8 @@ module.exports = {
   sendUserStatusUpdate,
   sendFileUpdate,
   sendTaskUpdate,
+  sendTaskComment,
+  sendTimerUpdate,
   getWorkspaceConnectedUsers,
   getWorkspaceConnectedUserDetails,
   broadcastSystemAnnouncement,
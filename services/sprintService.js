@@ -0,0 +1,277 @@
+const admin = require('firebase-admin');
+const { createBatchWriter } = require('./taskService');
+const { HISTORY_ACTIONS, recordTaskHistory } = require('./taskHistoryService');
+
+const db = admin.firestore();
+
+const SPRINT_TYPES = ['sprint', 'milestone'];
+
+// Planned and active are derived from the dates; only closing is stored
+const SPRINT_STATES = {
+  PLANNED: 'planned',
+  ACTIVE: 'active',
+  CLOSED: 'closed'
+};
+
+const MAX_SPRINT_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isDateKey = (value) => typeof value === 'string' && DATE_PATTERN.test(value) &&
+  new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) === value;
+
+const toDateKey = (date) => date.toISOString().slice(0, 10);
+const addDays = (dateKey, days) => toDateKey(new Date(Date.parse(`${dateKey}T00:00:00Z`) + days * DAY_MS));
+const daysBetween = (fromKey, toKey) => Math.round((Date.parse(`${toKey}T00:00:00Z`) - Date.parse(`${fromKey}T00:00:00Z`)) / DAY_MS);
+
+const toDate = (value) => value?.toDate?.() || (value ? new Date(value) : null);
+
+/**
+ * Validate sprint details from a request body
+ * @param {Object} input - { name, type, goal, startDate, endDate, pointsField }
+ * @param {Array} customFields - The workspace's custom field definitions
+ * @param {Object} [existing] - Current sprint data, for partial updates
+ * @returns {Object} - { sprint } or { errors }
+ */
+function normalizeSprint(input, customFields = [], existing = null) {
+  const errors = [];
+  const merged = { ...(existing || {}), ...(input || {}) };
+
+  const name = typeof merged.name === 'string' ? merged.name.trim() : '';
+  if (!name || name.length > 100) {
+    errors.push('name is required and must be at most 100 characters');
+  }
+
+  const type = merged.type || 'sprint';
+  if (!SPRINT_TYPES.includes(type)) {
+    errors.push(`type must be one of: ${SPRINT_TYPES.join(', ')}`);
+  }
+
+  const goal = merged.goal === undefined || merged.goal === null ? '' : merged.goal;
+  if (typeof goal !== 'string' || goal.length > 500) {
+    errors.push('goal must be a string of at most 500 characters');
+  }
+
+  const { startDate, endDate } = merged;
+  if (!isDateKey(startDate) || !isDateKey(endDate)) {
+    errors.push('startDate and endDate must be dates in YYYY-MM-DD format');
+  } else if (endDate < startDate) {
+    errors.push('endDate must not be before startDate');
+  } else if (daysBetween(startDate, endDate) >= MAX_SPRINT_DAYS) {
+    errors.push(`A sprint can span at most ${MAX_SPRINT_DAYS} days`);
+  }
+
+  // Burndown can count points from a number custom field instead of tasks
+  const pointsField = merged.pointsField || null;
+  if (pointsField && !customFields.some(field => field.key === pointsField && field.type === 'number')) {
+    errors.push(`pointsField "${pointsField}" must be a number custom field of the workspace`);
+  }
+
+  if (errors.length > 0) return { errors };
+  return { sprint: { name, type, goal: goal.trim(), startDate, endDate, pointsField } };
+}
+
+/**
+ * Where a sprint is in its lifecycle
+ * @param {Object} sprint - Sprint data
+ * @param {string} [today] - Today's date (YYYY-MM-DD, UTC)
+ * @returns {string} - One of SPRINT_STATES
+ */
+function getSprintState(sprint, today = toDateKey(new Date())) {
+  if (sprint.closedAt) return SPRINT_STATES.CLOSED;
+  return today < sprint.startDate ? SPRINT_STATES.PLANNED : SPRINT_STATES.ACTIVE;
+}
+
+const formatSprint = (doc) => {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    state: getSprintState(data),
+    closedAt: toDate(data.closedAt),
+    createdAt: toDate(data.createdAt),
+    updatedAt: toDate(data.updatedAt)
+  };
+};
+
+/**
+ * Check that a task in a workspace can be put into a sprint
+ * @param {string|null} sprintId - Sprint ID, or null to take the task out of its sprint
+ * @param {string|null} workspaceId - The task's workspace
+ * @returns {Promise<Object>} - { sprintId } or { error }
+ */
+async function resolveSprintForTask(sprintId, workspaceId) {
+  if (sprintId === null || sprintId === undefined || sprintId === '') return { sprintId: null };
+  if (typeof sprintId !== 'string') return { error: 'sprintId must be a sprint ID or null' };
+
+  const sprintDoc = await db.collection('sprints').doc(sprintId).get();
+  if (!sprintDoc.exists || sprintDoc.data().workspaceId !== workspaceId) {
+    return { error: 'Sprint not found in the task\'s workspace' };
+  }
+  if (sprintDoc.data().closedAt) {
+    return { error: 'Tasks cannot be added to a closed sprint' };
+  }
+  return { sprintId };
+}
+
+const getSprintTasks = async (sprintId) => {
+  const snapshot = await db.collection('tasks').where('sprintId', '==', sprintId).get();
+  return snapshot.docs;
+};
+
+const taskPoints = (task, pointsField) => {
+  const value = pointsField ? task.customFields?.[pointsField] : null;
+  return typeof value === 'number' && value > 0 ? value : 0;
+};
+
+/**
+ * Remaining work at the end of each sprint day. A task counts from the day it was created
+ * (or the first day, if earlier) until the day it was completed.
+ * @param {Object} sprint - Sprint data
+ * @param {Array<Object>} tasks - Task data of the sprint's tasks
+ * @param {string} [today] - Today's date (YYYY-MM-DD, UTC); later days have no actual values
+ * @returns {Object} - { unit, total, days: [{ date, scope, remaining, ideal }] }
+ */
+function computeBurndown(sprint, tasks, today = toDateKey(new Date())) {
+  const unit = sprint.pointsField ? 'points' : 'tasks';
+  const entries = tasks.map(task => {
+    const completedAt = task.completed ? toDate(task.completedAt) || toDate(task.updatedAt) : null;
+    const createdAt = toDate(task.createdAt);
+    return {
+      weight: unit === 'points' ? taskPoints(task, sprint.pointsField) : 1,
+      addedOn: createdAt ? toDateKey(createdAt) : sprint.startDate,
+      // Completed tasks without a completion time count as done from the start
+      doneOn: task.completed ? (completedAt ? toDateKey(completedAt) : sprint.startDate) : null
+    };
+  });
+
+  const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+  const length = daysBetween(sprint.startDate, sprint.endDate);
+  const days = [];
+  for (let i = 0; i <= length; i++) {
+    const date = addDays(sprint.startDate, i);
+    const ideal = length === 0 ? 0 : Math.round((total * (1 - i / length)) * 100) / 100;
+    if (date > today) {
+      days.push({ date, scope: null, remaining: null, ideal });
+      continue;
+    }
+    const inScope = entries.filter(entry => entry.addedOn <= date);
+    days.push({
+      date,
+      scope: inScope.reduce((sum, entry) => sum + entry.weight, 0),
+      remaining: inScope
+        .filter(entry => !entry.doneOn || entry.doneOn > date)
+        .reduce((sum, entry) => sum + entry.weight, 0),
+      ideal
+    });
+  }
+
+  return { unit, total, days };
+}
+
+// "Sprint 7" is followed by "Sprint 8"; other names get a suffix
+const nextSprintName = (name) => {
+  const match = name.match(/^(.*?)(\d+)$/);
+  return match ? `${match[1]}${Number(match[2]) + 1}` : `${name} (continued)`.slice(0, 100);
+};
+
+/**
+ * Close a sprint: freeze its burndown and move its unfinished tasks on
+ * @param {Object} sprintDoc - Sprint document snapshot
+ * @param {string|null} carryOverTo - Sprint ID, 'new' for a following sprint of the same
+ *   length, or null to move unfinished tasks back to the backlog
+ * @param {string} userId - User closing the sprint
+ * @returns {Promise<Object>} - { summary, nextSprintId } or { error }
+ */
+async function closeSprint(sprintDoc, carryOverTo, userId) {
+  const sprint = sprintDoc.data();
+  let targetRef = null;
+  let nextSprint = null;
+
+  if (carryOverTo === 'new') {
+    const length = daysBetween(sprint.startDate, sprint.endDate);
+    const startDate = addDays(sprint.endDate, 1);
+    nextSprint = {
+      workspaceId: sprint.workspaceId,
+      name: nextSprintName(sprint.name),
+      type: sprint.type,
+      goal: '',
+      startDate,
+      endDate: addDays(startDate, length),
+      pointsField: sprint.pointsField || null,
+      closedAt: null,
+      createdBy: userId,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    targetRef = db.collection('sprints').doc();
+  } else if (carryOverTo) {
+    if (carryOverTo === sprintDoc.id) {
+      return { error: 'A sprint cannot carry its tasks over to itself' };
+    }
+    const { error } = await resolveSprintForTask(carryOverTo, sprint.workspaceId);
+    if (error) return { error };
+    targetRef = db.collection('sprints').doc(carryOverTo);
+  }
+
+  const taskDocs = await getSprintTasks(sprintDoc.id);
+  const tasks = taskDocs.map(doc => doc.data());
+  const unfinished = taskDocs.filter(doc => !doc.data().completed);
+  const weigh = (list) => list.reduce((sum, task) => sum + taskPoints(task, sprint.pointsField), 0);
+
+  const summary = {
+    completedTasks: tasks.length - unfinished.length,
+    carriedOverTasks: unfinished.length,
+    carriedOverTo: targetRef ? targetRef.id : null
+  };
+  if (sprint.pointsField) {
+    summary.completedPoints = weigh(tasks.filter(task => task.completed));
+    summary.carriedOverPoints = weigh(unfinished.map(doc => doc.data()));
+  }
+
+  // Carried-over tasks leave this sprint, so its burndown is kept as it stood at closing
+  const writer = createBatchWriter();
+  if (nextSprint) writer.set(targetRef, nextSprint);
+  writer.update(sprintDoc.ref, {
+    closedAt: admin.firestore.FieldValue.serverTimestamp(),
+    closedBy: userId,
+    summary,
+    burndown: computeBurndown(sprint, tasks),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  const toSprintId = targetRef ? targetRef.id : null;
+  unfinished.forEach(doc => {
+    writer.update(doc.ref, {
+      sprintId: toSprintId,
+      carriedOverFrom: admin.firestore.FieldValue.arrayUnion(sprintDoc.id),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  });
+  await writer.commit();
+
+  // Large sprints span several batches, so history is only written once every move is committed
+  const historyWriter = createBatchWriter();
+  await Promise.all(unfinished.map(doc => recordTaskHistory({
+    taskId: doc.id,
+    workspaceId: sprint.workspaceId,
+    action: HISTORY_ACTIONS.UPDATE,
+    changes: [{ field: 'sprintId', from: sprintDoc.id, to: toSprintId }],
+    changedBy: userId
+  }, historyWriter)));
+  await historyWriter.commit();
+
+  return { summary, nextSprintId: nextSprint ? targetRef.id : null };
+}
+
+module.exports = {
+  SPRINT_TYPES,
+  SPRINT_STATES,
+  normalizeSprint,
+  getSprintState,
+  formatSprint,
+  resolveSprintForTask,
+  getSprintTasks,
+  computeBurndown,
+  closeSprint
+};
@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const { createLocalStorageDriver } = require('./localStorageDriver');
+const { createS3StorageDriver } = require('./s3StorageDriver');
+
+// Uploads arrive here first (multer and resumable uploads) before they are stored
+const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+
+// Documents written before storage drivers existed hold local paths and no storageDriver
+const DEFAULT_DRIVER = 'local';
+
+/*
+ * Every storage driver has the same shape; keys are relative paths such as "<uid>/<file>":
+ *   name                                    - 'local' or 's3'
+ *   toKey(storagePath)                      - Key for a stored path (older documents hold local paths)
+ *   put(key, source, { contentType, size }) - Store a local file path, Buffer or stream; resolves { key, size }
+ *   getStream(key)                          - Readable stream of the contents, or null if missing
+ *   stat(key)                               - { size, lastModified }, or null if missing
+ *   delete(key)                             - Resolves true if something was deleted
+ *   getSignedUrl(key, { fileName, inline, expiresIn }) - Temporary direct URL, or null if unsupported
+ */
+const DRIVER_FACTORIES = {
+  local: () => createLocalStorageDriver({ root: process.env.LOCAL_STORAGE_DIR || UPLOADS_DIR }),
+  s3: () => createS3StorageDriver({
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION,
+    endpoint: process.env.S3_ENDPOINT,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    prefix: process.env.S3_KEY_PREFIX || ''
+  })
+};
+
+const drivers = new Map();
+
+// Backend new uploads go to, e.g. STORAGE_DRIVER=s3
+function getStorageDriverName() {
+  return process.env.STORAGE_DRIVER || DEFAULT_DRIVER;
+}
+
+/**
+ * A storage driver by name; drivers are created on first use
+ * @param {string} [name] - 'local' or 's3'; defaults to the configured driver
+ * @returns {Object} - Storage driver
+ */
+function getDriver(name = getStorageDriverName()) {
+  if (!DRIVER_FACTORIES[name]) {
+    throw new Error(`Unknown storage driver "${name}" (expected one of: ${Object.keys(DRIVER_FACTORIES).join(', ')})`);
+  }
+  if (!drivers.has(name)) {
+    drivers.set(name, DRIVER_FACTORIES[name]());
+  }
+  return drivers.get(name);
+}
+
+// The driver and key a file or version document points at
+const locate = (record) => {
+  const driver = getDriver(record.storageDriver || DEFAULT_DRIVER);
+  return { driver, key: driver.toKey(record.storagePath) };
+};
+
+/**
+ * Key of a stored file in its backend
+ * @param {Object} record - { storageDriver, storagePath }
+ * @returns {string}
+ */
+function getStorageKey(record) {
+  return locate(record).key;
+}
+
+/**
+ * Identifies a stored object, so documents sharing one (e.g. restored versions) can be told apart
+ * @param {Object} record - { storageDriver, storagePath }
+ * @returns {string}
+ */
+function storedObjectId(record) {
+  return `${record.storageDriver || DEFAULT_DRIVER}:${locate(record).key}`;
+}
+
+/**
+ * Move an upload received on local disk into the configured storage backend
+ * @param {string} localPath - Where multer (or a resumable upload) left the file
+ * @param {Object} options - { contentType, key }; the key defaults to the file's place under uploads/
+ * @returns {Promise<Object>} - { storageDriver, storagePath } to save on the file document
+ */
+async function storeUploadedFile(localPath, { contentType, key = path.relative(UPLOADS_DIR, localPath).split(path.sep).join('/') } = {}) {
+  const driver = getDriver();
+  await driver.put(key, localPath, { contentType });
+
+  // The local driver keeps the file where it was received if the key points there
+  if (driver.name !== 'local' || path.resolve(driver.resolve(key)) !== path.resolve(localPath)) {
+    await fs.promises.unlink(localPath).catch(() => {});
+  }
+  return { storageDriver: driver.name, storagePath: key };
+}
+
+/**
+ * Open a stored file for reading
+ * @param {Object} record - File or version document data ({ storageDriver, storagePath, uploadedBy })
+ * @returns {Promise<Object|null>} - Readable stream, or null if the file is missing
+ */
+async function openStoredFile(record) {
+  if (!record?.storagePath) return null;
+  const { driver, key } = locate(record);
+  const stream = await driver.getStream(key);
+  if (stream || driver.name !== 'local') return stream;
+
+  // Older local paths can be stale; the file is then found in its uploader's folder
+  return driver.getStream(`${record.uploadedBy || 'anonymous'}/${path.posix.basename(key)}`);
+}
+
+/**
+ * Size and modification time of a stored file
+ * @param {Object} record - File or version document data
+ * @returns {Promise<Object|null>} - { size, lastModified }, or null if the file is missing
+ */
+async function statStoredFile(record) {
+  if (!record?.storagePath) return null;
+  const { driver, key } = locate(record);
+  const stats = await driver.stat(key);
+  if (stats || driver.name !== 'local') return stats;
+  return driver.stat(`${record.uploadedBy || 'anonymous'}/${path.posix.basename(key)}`);
+}
+
+/**
+ * Delete a stored file
+ * @param {Object} record - File or version document data
+ * @returns {Promise<boolean>} - Whether something was deleted
+ */
+async function deleteStoredFile(record) {
+  if (!record?.storagePath) return false;
+  const { driver, key } = locate(record);
+  return driver.delete(key);
+}
+
+/**
+ * Stream a stored file to an HTTP response. A read error (a dropped S3 connection, say)
+ * ends the response instead of surfacing as an unhandled stream error.
+ * @param {Object} res - Express response, with its headers set
+ * @param {Object} fileStream - From openStoredFile
+ */
+function sendStoredFile(res, fileStream) {
+  fileStream.on('error', (streamError) => {
+    console.error('Error streaming stored file:', streamError);
+    if (res.headersSent) {
+      res.destroy(streamError);
+    } else {
+      res.status(500).json({ error: 'Failed to read file from storage' });
+    }
+  });
+  fileStream.pipe(res);
+}
+
+/**
+ * Temporary URL that downloads a stored file straight from the backend
+ * @param {Object} record - File or version document data
+ * @param {Object} [options] - { fileName, inline, expiresIn (seconds) }
+ * @returns {Promise<string|null>} - URL, or null when the backend can't sign URLs (local disk)
+ */
+async function getStoredFileUrl(record, options = {}) {
+  if (!record?.storagePath) return null;
+  const { driver, key } = locate(record);
+  return driver.getSignedUrl(key, options);
+}
+
+module.exports = {
+  DEFAULT_DRIVER,
+  getStorageDriverName,
+  getDriver,
+  getStorageKey,
+  storedObjectId,
+  storeUploadedFile,
+  openStoredFile,
+  statStoredFile,
+  deleteStoredFile,
+  sendStoredFile,
+  getStoredFileUrl
+};
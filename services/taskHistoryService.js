@@ -0,0 +1,143 @@
+const admin = require('firebase-admin');
+
+const db = admin.firestore();
+
+const HISTORY_ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  ASSIGN: 'assign',
+  COMPLETE: 'complete',
+  REOPEN: 'reopen',
+  ATTACH_FILE: 'attach_file',
+  DETACH_FILE: 'detach_file'
+};
+
+// Task fields whose changes are recorded; custom fields are diffed per key
+const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'priority',
+  'dueDate',
+  'category',
+  'assignees',
+  'watchers',
+  'workspaceId',
+  'sprintId',
+  'status',
+  'completed'
+];
+
+const isBlank = (value) => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+const sameValue = (a, b) => {
+  if (isBlank(a) && isBlank(b)) return true;
+  return JSON.stringify(a) === JSON.stringify(b);
+};
+
+const toStored = (value) => (isBlank(value) ? null : value);
+
+/**
+ * Compare two versions of a task
+ * @param {Object} before - Previous task data ({} for a new task)
+ * @param {Object} after - New task data; fields it doesn't contain are treated as unchanged
+ * @returns {Array<{ field: string, from: *, to: * }>} - One entry per changed field,
+ *   with custom fields reported as `customFields.<key>`
+ */
+function diffTaskFields(before, after) {
+  const changes = [];
+
+  TRACKED_FIELDS.forEach(field => {
+    if (!Object.prototype.hasOwnProperty.call(after, field)) return;
+    if (!sameValue(before[field], after[field])) {
+      changes.push({ field, from: toStored(before[field]), to: toStored(after[field]) });
+    }
+  });
+
+  if (after.customFields) {
+    const previous = before.customFields || {};
+    const keys = new Set([...Object.keys(previous), ...Object.keys(after.customFields)]);
+    keys.forEach(key => {
+      if (!sameValue(previous[key], after.customFields[key])) {
+        changes.push({
+          field: `customFields.${key}`,
+          from: toStored(previous[key]),
+          to: toStored(after.customFields[key])
+        });
+      }
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * Record a history entry for a task. Entries without changes are skipped.
+ * @param {Object} entry - { taskId, workspaceId, action, changes, changedBy }
+ * @param {Object} [batch] - Write batch (or anything with `set`) to add the entry to
+ *   instead of writing it right away
+ * @returns {Promise<string|null>} - History entry ID
+ */
+async function recordTaskHistory({ taskId, workspaceId, action, changes, changedBy }, batch = null) {
+  if (!changes || changes.length === 0) return null;
+
+  const entryRef = db.collection('taskHistory').doc();
+  const data = {
+    taskId,
+    workspaceId: workspaceId || null,
+    action,
+    changes,
+    changedBy,
+    changedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+
+  if (batch) {
+    batch.set(entryRef, data);
+  } else {
+    await entryRef.set(data);
+  }
+  return entryRef.id;
+}
+
+/**
+ * Get a task's history, oldest first, with the name of whoever made each change
+ * @param {string} taskId - Task ID
+ * @returns {Promise<Array>} - History entries
+ */
+async function getTaskHistory(taskId) {
+  // Sort in memory to avoid a composite index
+  const snapshot = await db.collection('taskHistory')
+    .where('taskId', '==', taskId)
+    .get();
+
+  const userIds = [...new Set(snapshot.docs.map(doc => doc.data().changedBy).filter(Boolean))];
+  const names = new Map();
+  if (userIds.length > 0) {
+    const userDocs = await db.getAll(...userIds.map(id => db.collection('users').doc(id)));
+    userDocs.forEach(doc => {
+      if (doc.exists) names.set(doc.id, doc.data().displayName || doc.data().email);
+    });
+  }
+
+  return snapshot.docs
+    .map(doc => {
+      const data = doc.data();
+      return {
+        id: doc.id,
+        action: data.action,
+        changes: data.changes || [],
+        changedBy: data.changedBy,
+        changedByName: names.get(data.changedBy) || null,
+        changedAt: data.changedAt?.toDate?.() || null
+      };
+    })
+    .sort((a, b) => (a.changedAt || 0) - (b.changedAt || 0));
+}
+
+module.exports = {
+  HISTORY_ACTIONS,
+  TRACKED_FIELDS,
+  diffTaskFields,
+  recordTaskHistory,
+  getTaskHistory
+};
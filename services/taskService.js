@@ -0,0 +1,288 @@
+const admin = require('firebase-admin');
+const workflowService = require('./workflowService');
+const recurrenceService = require('./recurrenceService');
+const { getChecklistProgress } = require('./checklistService');
+
+const db = admin.firestore();
+
+// Upper bound for each of a task's assignee and watcher lists
+const MAX_TASK_PEOPLE = 20;
+
+/**
+ * Assignees of a task, primary assignee first. Tasks created before multiple
+ * assignees only have `assignedTo`.
+ * @param {Object} task - Task data
+ * @returns {Array<string>} - User IDs
+ */
+function getTaskAssignees(task) {
+  if (Array.isArray(task.assignees) && task.assignees.length > 0) return task.assignees;
+  return task.assignedTo ? [task.assignedTo] : [];
+}
+
+const isTaskAssignee = (task, userId) => getTaskAssignees(task).includes(userId);
+
+// Owner, assignees and watchers: everyone who hears about activity on a task
+const getTaskParticipants = (task) =>
+  [...new Set([task.userId, ...getTaskAssignees(task), ...(task.watchers || [])])].filter(Boolean);
+
+/**
+ * Assignment fields for a task. Without assignees the task goes back to its owner;
+ * `assignedTo` mirrors the primary assignee for older clients.
+ * @param {Array<string>} assignees - User IDs, primary assignee first
+ * @param {string} ownerId - Task owner
+ * @returns {Object} - { assignees, assignedTo }
+ */
+function buildAssignment(assignees, ownerId) {
+  const ids = assignees && assignees.length > 0 ? assignees : [ownerId];
+  return { assignees: ids, assignedTo: ids[0] };
+}
+
+const parseUserIdList = (value, label) => {
+  if (value === null) return { ids: [] };
+  if (!Array.isArray(value) || value.some(id => typeof id !== 'string' || !id.trim())) {
+    return { error: `${label} must be an array of user IDs` };
+  }
+  const ids = [...new Set(value.map(id => id.trim()))];
+  if (ids.length > MAX_TASK_PEOPLE) {
+    return { error: `A task can have at most ${MAX_TASK_PEOPLE} ${label}` };
+  }
+  return { ids };
+};
+
+/**
+ * Read the assignees and watchers a request sets on a task. `assignees` takes precedence
+ * over the single `assignedTo` that older clients send.
+ * @param {Object} body - Request body
+ * @returns {Object} - { assignees, watchers } (each undefined when the body leaves it alone), or { error }
+ */
+function parseTaskPeople(body) {
+  const people = {};
+
+  if (body.assignees !== undefined) {
+    const { ids, error } = parseUserIdList(body.assignees, 'assignees');
+    if (error) return { error };
+    people.assignees = ids;
+  } else if (body.assignedTo !== undefined) {
+    if (body.assignedTo && typeof body.assignedTo !== 'string') {
+      return { error: 'assignedTo must be a user ID' };
+    }
+    people.assignees = body.assignedTo ? [body.assignedTo] : [];
+  }
+
+  if (body.watchers !== undefined) {
+    const { ids, error } = parseUserIdList(body.watchers, 'watchers');
+    if (error) return { error };
+    people.watchers = ids;
+  }
+
+  return people;
+}
+
+/**
+ * Shape a task document for API responses
+ * @param {Object} doc - Firestore document snapshot from the tasks collection
+ * @returns {Object} - Task with defaults filled in and timestamps converted to dates
+ */
+const formatTask = (doc) => {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    parentTaskId: data.parentTaskId || null,
+    blockedBy: data.blockedBy || [],
+    assignees: getTaskAssignees(data),
+    watchers: data.watchers || [],
+    seriesId: data.seriesId || null,
+    recurrenceSummary: data.recurrence ? recurrenceService.describeRecurrence(data.recurrence) : null,
+    subtaskCount: data.subtaskCount || 0,
+    completedSubtaskCount: data.completedSubtaskCount || 0,
+    progress: data.progress || 0,
+    commentCount: data.commentCount || 0,
+    timeTrackedSeconds: data.timeTrackedSeconds || 0,
+    customFields: data.customFields || {},
+    checklist: data.checklist || [],
+    checklistProgress: getChecklistProgress(data.checklist),
+    createdAt: data.createdAt?.toDate?.() || null,
+    updatedAt: data.updatedAt?.toDate?.() || null
+  };
+};
+
+// Resolve each task's blockers and flag tasks that still have open ones
+async function annotateBlockedStatus(tasks) {
+  const knownTasks = new Map(tasks.map(task => [task.id, task]));
+  const missingIds = new Set();
+
+  tasks.forEach(task => {
+    (task.blockedBy || []).forEach(blockerId => {
+      if (!knownTasks.has(blockerId)) missingIds.add(blockerId);
+    });
+  });
+
+  if (missingIds.size > 0) {
+    const blockerDocs = await db.getAll(...[...missingIds].map(blockerId => db.collection('tasks').doc(blockerId)));
+    blockerDocs.forEach(doc => {
+      if (doc.exists) knownTasks.set(doc.id, { id: doc.id, ...doc.data() });
+    });
+  }
+
+  tasks.forEach(task => {
+    task.blockers = (task.blockedBy || [])
+      .filter(blockerId => knownTasks.has(blockerId))
+      .map(blockerId => {
+        const blocker = knownTasks.get(blockerId);
+        return { id: blockerId, title: blocker.title, completed: Boolean(blocker.completed) };
+      });
+    task.blocked = !task.completed && task.blockers.some(blocker => !blocker.completed);
+  });
+
+  return tasks;
+}
+
+// Fill in each task's workflow status, resolving legacy tasks from their completed flag
+async function annotateWorkflowStatus(tasks) {
+  const workflows = await workflowService.getWorkflows(tasks.map(task => task.workspaceId));
+  tasks.forEach(task => {
+    const workflow = workflows.get(task.workspaceId || '') || workflowService.DEFAULT_WORKFLOW;
+    task.status = workflowService.resolveTaskStatus(task, workflow);
+  });
+  return tasks;
+}
+
+/**
+ * Attach assignee display info to each task
+ * @param {Array} tasks - Formatted tasks
+ * @param {Array} knownUsers - Users already loaded, e.g. a workspace member directory
+ *   ([{ userId, email, displayName }]); anyone else is looked up in the users collection
+ * @returns {Promise<Array>} - The same tasks with `assignee` set to the primary assignee
+ *   ({ userId, email, displayName } or null) and `assigneeUsers` to all of them
+ */
+async function annotateAssignees(tasks, knownUsers = []) {
+  const users = new Map(knownUsers.map(user => [user.userId, user]));
+  const missingIds = [...new Set(tasks.flatMap(getTaskAssignees))]
+    .filter(userId => !users.has(userId));
+
+  if (missingIds.length > 0) {
+    const userDocs = await db.getAll(...missingIds.map(userId => db.collection('users').doc(userId)));
+    userDocs.forEach(doc => {
+      if (doc.exists) {
+        const data = doc.data();
+        users.set(doc.id, { userId: doc.id, email: data.email || null, displayName: data.displayName || null });
+      }
+    });
+  }
+
+  const describeUser = (userId) => {
+    const user = users.get(userId);
+    return {
+      userId,
+      email: user?.email || null,
+      displayName: user?.displayName || user?.email || 'Unknown User'
+    };
+  };
+
+  tasks.forEach(task => {
+    task.assigneeUsers = getTaskAssignees(task).map(describeUser);
+    task.assignee = task.assigneeUsers[0] || null;
+  });
+
+  return tasks;
+}
+
+// A completed task counts as fully done; an open parent contributes its rolled-up progress
+const getEffectiveProgress = (task) => {
+  if (task.completed) return 100;
+  if (task.subtaskCount) return task.progress || 0;
+  return 0;
+};
+
+// Recompute subtask counters and progress for a task from its direct children,
+// then walk up the hierarchy so every ancestor reflects the change
+async function recalculateTaskProgress(taskId) {
+  let currentId = taskId;
+
+  while (currentId) {
+    const taskRef = db.collection('tasks').doc(currentId);
+    const [taskDoc, childrenSnapshot] = await Promise.all([
+      taskRef.get(),
+      db.collection('tasks').where('parentTaskId', '==', currentId).get()
+    ]);
+
+    if (!taskDoc.exists) return;
+
+    let completedSubtaskCount = 0;
+    let progressTotal = 0;
+    childrenSnapshot.forEach(doc => {
+      const child = doc.data();
+      if (child.completed) completedSubtaskCount++;
+      progressTotal += getEffectiveProgress(child);
+    });
+
+    const subtaskCount = childrenSnapshot.size;
+    await taskRef.update({
+      subtaskCount,
+      completedSubtaskCount,
+      progress: subtaskCount > 0 ? Math.round(progressTotal / subtaskCount) : 0
+    });
+
+    currentId = taskDoc.data().parentTaskId || null;
+  }
+}
+
+// IDs of every subtask below a task, at any depth
+async function collectDescendantIds(taskId) {
+  const descendantIds = [];
+  let pending = [taskId];
+
+  while (pending.length > 0) {
+    const snapshots = await Promise.all(pending.map(id =>
+      db.collection('tasks').where('parentTaskId', '==', id).get()
+    ));
+    pending = [];
+    snapshots.forEach(snapshot => {
+      snapshot.forEach(doc => {
+        descendantIds.push(doc.id);
+        pending.push(doc.id);
+      });
+    });
+  }
+
+  return descendantIds;
+}
+
+// Firestore batches hold at most 500 writes, so large changes are spread over several.
+// Each batch is atomic on its own; the batches are not atomic together.
+function createBatchWriter(limit = 450) {
+  const batches = [db.batch()];
+  let count = 0;
+  const current = () => {
+    if (count === limit) {
+      batches.push(db.batch());
+      count = 0;
+    }
+    count++;
+    return batches[batches.length - 1];
+  };
+
+  return {
+    set: (ref, data) => current().set(ref, data),
+    update: (ref, data) => current().update(ref, data),
+    delete: (ref) => current().delete(ref),
+    commit: () => Promise.all(batches.map(batch => batch.commit()))
+  };
+}
+
+module.exports = {
+  MAX_TASK_PEOPLE,
+  getTaskAssignees,
+  isTaskAssignee,
+  getTaskParticipants,
+  buildAssignment,
+  parseTaskPeople,
+  formatTask,
+  annotateBlockedStatus,
+  annotateWorkflowStatus,
+  annotateAssignees,
+  recalculateTaskProgress,
+  collectDescendantIds,
+  createBatchWriter
+};
@@ -0,0 +1,166 @@
+const admin = require('firebase-admin');
+const { createChecklistItem, MAX_CHECKLIST_ITEMS, MAX_CHECKLIST_ITEM_LENGTH } = require('./checklistService');
+
+const db = admin.firestore();
+
+const PRIORITIES = ['low', 'medium', 'high'];
+const MAX_DUE_OFFSET_DAYS = 365;
+
+// {{name}} placeholders; names are letters, digits and "_"
+const VARIABLE_PATTERN = /\{\{\s*([a-z][a-z0-9_]*)\s*\}\}/gi;
+
+// Filled in by the server unless the request provides them
+const BUILT_IN_VARIABLES = ['date', 'workspace', 'user'];
+
+/**
+ * Validate a task template
+ * @param {Object} input - { name, titlePattern, description, priority, category, checklist, dueOffsetDays }
+ *   where `checklist` is a list of item texts and `dueOffsetDays` is the number of days
+ *   after creation the task is due (null for no due date)
+ * @returns {{ template: Object|null, errors: Array<string> }}
+ */
+function normalizeTemplate(input) {
+  const errors = [];
+  const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+  const template = {
+    name: text(input?.name),
+    titlePattern: text(input?.titlePattern),
+    description: text(input?.description),
+    priority: input?.priority || 'medium',
+    category: text(input?.category) || 'general',
+    checklist: [],
+    dueOffsetDays: input?.dueOffsetDays === undefined || input?.dueOffsetDays === null || input?.dueOffsetDays === ''
+      ? null
+      : Number(input.dueOffsetDays)
+  };
+
+  if (!template.name) errors.push('name is required');
+  if (!template.titlePattern) errors.push('titlePattern is required');
+  if (!PRIORITIES.includes(template.priority)) {
+    errors.push(`priority must be one of: ${PRIORITIES.join(', ')}`);
+  }
+  if (template.dueOffsetDays !== null &&
+      (!Number.isInteger(template.dueOffsetDays) || template.dueOffsetDays < 0 || template.dueOffsetDays > MAX_DUE_OFFSET_DAYS)) {
+    errors.push(`dueOffsetDays must be a whole number of days from 0 to ${MAX_DUE_OFFSET_DAYS}`);
+  }
+
+  const checklist = input?.checklist === undefined ? [] : input.checklist;
+  if (!Array.isArray(checklist)) {
+    errors.push('checklist must be an array of item texts');
+  } else {
+    template.checklist = checklist.map(text).filter(Boolean);
+    if (template.checklist.length > MAX_CHECKLIST_ITEMS) {
+      errors.push(`A checklist can have at most ${MAX_CHECKLIST_ITEMS} items`);
+    }
+    if (template.checklist.some(item => item.length > MAX_CHECKLIST_ITEM_LENGTH)) {
+      errors.push(`Checklist items must be at most ${MAX_CHECKLIST_ITEM_LENGTH} characters`);
+    }
+  }
+
+  if (errors.length > 0) {
+    return { template: null, errors };
+  }
+  return { template, errors };
+}
+
+/**
+ * List the variables a template uses, excluding built-ins
+ * @param {Object} template - Normalized template
+ * @returns {Array<string>} - Variable names in order of first use
+ */
+function getTemplateVariables(template) {
+  const names = new Set();
+  [template.titlePattern, template.description, ...(template.checklist || [])].forEach(text => {
+    for (const match of (text || '').matchAll(VARIABLE_PATTERN)) {
+      if (!BUILT_IN_VARIABLES.includes(match[1])) names.add(match[1]);
+    }
+  });
+  return [...names];
+}
+
+const substitute = (text, variables) =>
+  (text || '').replace(VARIABLE_PATTERN, (placeholder, name) => variables[name]);
+
+/**
+ * Fill in a template for a new task
+ * @param {Object} template - Template document data
+ * @param {Object} variables - Values for {{name}} placeholders; `date` (YYYY-MM-DD),
+ *   `workspace` and `user` default to the creation date, workspace name and creator name
+ * @param {Date} now - Creation time, the base for the relative due date
+ * @returns {{ task: Object|null, missing: Array<string> }} - Task fields
+ *   ({ title, description, priority, category, dueDate, checklist }) or the variables without a value
+ */
+function applyTemplate(template, variables, now = new Date()) {
+  const values = {};
+  Object.entries(variables || {}).forEach(([name, value]) => {
+    if (value !== null && value !== undefined && String(value).trim() !== '') {
+      values[name] = String(value).trim();
+    }
+  });
+  if (!values.date) values.date = now.toISOString().slice(0, 10);
+
+  const missing = getTemplateVariables(template).filter(name => values[name] === undefined);
+  if (missing.length > 0) {
+    return { task: null, missing };
+  }
+
+  let dueDate = null;
+  if (template.dueOffsetDays !== null && template.dueOffsetDays !== undefined) {
+    const due = new Date(now);
+    due.setUTCDate(due.getUTCDate() + template.dueOffsetDays);
+    dueDate = due.toISOString().slice(0, 10);
+  }
+
+  return {
+    task: {
+      title: substitute(template.titlePattern, values),
+      description: substitute(template.description, values),
+      priority: template.priority,
+      category: template.category,
+      dueDate,
+      checklist: (template.checklist || []).map(item => createChecklistItem(substitute(item, values)))
+    },
+    missing
+  };
+}
+
+/**
+ * Shape a template document for API responses
+ * @param {Object} doc - Firestore document snapshot from the taskTemplates collection
+ * @returns {Object} - Template with its variables listed and timestamps converted to dates
+ */
+const formatTemplate = (doc) => {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    variables: getTemplateVariables(data),
+    createdAt: data.createdAt?.toDate?.() || null,
+    updatedAt: data.updatedAt?.toDate?.() || null
+  };
+};
+
+/**
+ * Get a workspace's templates, sorted by name
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Array>} - Formatted templates
+ */
+async function getWorkspaceTemplates(workspaceId) {
+  const snapshot = await db.collection('taskTemplates')
+    .where('workspaceId', '==', workspaceId)
+    .get();
+
+  return snapshot.docs
+    .map(formatTemplate)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  BUILT_IN_VARIABLES,
+  normalizeTemplate,
+  getTemplateVariables,
+  applyTemplate,
+  formatTemplate,
+  getWorkspaceTemplates
+};
@@ -0,0 +1,373 @@
+const admin = require('firebase-admin');
+
+const db = admin.firestore();
+
+// A single entry can't be longer than a day; longer stretches should be logged per day
+const MAX_ENTRY_SECONDS = 24 * 60 * 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDate = (value) => value?.toDate?.() || null;
+
+const formatTimeEntry = (doc) => {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    running: !data.endedAt,
+    startedAt: toDate(data.startedAt),
+    endedAt: toDate(data.endedAt),
+    createdAt: toDate(data.createdAt),
+    updatedAt: toDate(data.updatedAt)
+  };
+};
+
+/**
+ * Get the user's running timer
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - The running time entry, or null when no timer is running
+ */
+async function getRunningTimer(userId) {
+  const activeDoc = await db.collection('activeTimers').doc(userId).get();
+  if (!activeDoc.exists) return null;
+
+  const entryDoc = await db.collection('timeEntries').doc(activeDoc.data().entryId).get();
+  return entryDoc.exists ? formatTimeEntry(entryDoc) : null;
+}
+
+/**
+ * Start a timer on a task. The activeTimers/{userId} marker is claimed in the same
+ * transaction as the entry is created, so a user never has two timers running.
+ * @param {string} userId - User starting the timer
+ * @param {string} taskId - Task ID
+ * @param {Object} taskData - Task document data
+ * @param {string} note - Optional note for the entry
+ * @returns {Promise<{ entry: Object|null, running: Object|null }>} - `running` is the
+ *   already-running timer when one blocks the start
+ */
+async function startTimer(userId, taskId, taskData, note = '') {
+  const activeRef = db.collection('activeTimers').doc(userId);
+  const entryRef = db.collection('timeEntries').doc();
+
+  const result = await db.runTransaction(async (transaction) => {
+    const activeDoc = await transaction.get(activeRef);
+    if (activeDoc.exists) {
+      return { started: false, running: activeDoc.data() };
+    }
+
+    const startedAt = admin.firestore.Timestamp.now();
+    transaction.create(entryRef, {
+      taskId,
+      taskTitle: taskData.title,
+      workspaceId: taskData.workspaceId || null,
+      userId,
+      source: 'timer',
+      note,
+      startedAt,
+      endedAt: null,
+      durationSeconds: null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    transaction.create(activeRef, {
+      entryId: entryRef.id,
+      taskId,
+      taskTitle: taskData.title,
+      startedAt
+    });
+    return { started: true };
+  });
+
+  if (!result.started) {
+    return {
+      entry: null,
+      running: {
+        id: result.running.entryId,
+        taskId: result.running.taskId,
+        taskTitle: result.running.taskTitle,
+        startedAt: toDate(result.running.startedAt)
+      }
+    };
+  }
+
+  return { entry: formatTimeEntry(await entryRef.get()), running: null };
+}
+
+/**
+ * Stop the user's running timer and add its duration to the task total
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - The finished entry, or null when no timer was running
+ */
+async function stopTimer(userId) {
+  const activeRef = db.collection('activeTimers').doc(userId);
+
+  const entryId = await db.runTransaction(async (transaction) => {
+    const activeDoc = await transaction.get(activeRef);
+    if (!activeDoc.exists) return null;
+
+    const { entryId: runningEntryId, taskId } = activeDoc.data();
+    const entryRef = db.collection('timeEntries').doc(runningEntryId);
+    const taskRef = db.collection('tasks').doc(taskId);
+    const [entryDoc, taskDoc] = await Promise.all([transaction.get(entryRef), transaction.get(taskRef)]);
+
+    transaction.delete(activeRef);
+    if (!entryDoc.exists) return null;
+
+    const endedAt = admin.firestore.Timestamp.now();
+    const durationSeconds = Math.max(0, Math.round((endedAt.toMillis() - entryDoc.data().startedAt.toMillis()) / 1000));
+    transaction.update(entryRef, {
+      endedAt,
+      durationSeconds,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    // The task may have been deleted while the timer ran; the entry is kept for reporting
+    if (taskDoc.exists) {
+      transaction.update(taskRef, {
+        timeTrackedSeconds: admin.firestore.FieldValue.increment(durationSeconds)
+      });
+    }
+    return runningEntryId;
+  });
+
+  if (!entryId) return null;
+  return formatTimeEntry(await db.collection('timeEntries').doc(entryId).get());
+}
+
+/**
+ * Validate a manual time entry from a request body
+ * @param {Object} input - { startedAt, endedAt } or { date, minutes }, plus an optional note
+ * @returns {{ entry: Object|null, error: string|null }} - entry holds startedAt/endedAt Dates,
+ *   durationSeconds and note
+ */
+function parseManualEntry(input = {}) {
+  let startedAt;
+  let endedAt;
+
+  if (input.minutes !== undefined) {
+    const minutes = Number(input.minutes);
+    if (!Number.isFinite(minutes) || minutes <= 0) {
+      return { entry: null, error: 'minutes must be a positive number' };
+    }
+    startedAt = input.date ? new Date(input.date) : new Date(Date.now() - minutes * 60 * 1000);
+    endedAt = new Date(startedAt.getTime() + minutes * 60 * 1000);
+  } else if (input.startedAt && input.endedAt) {
+    startedAt = new Date(input.startedAt);
+    endedAt = new Date(input.endedAt);
+  } else {
+    return { entry: null, error: 'Provide startedAt and endedAt, or minutes' };
+  }
+
+  if (isNaN(startedAt.getTime()) || isNaN(endedAt.getTime())) {
+    return { entry: null, error: 'Invalid date' };
+  }
+
+  const durationSeconds = Math.round((endedAt.getTime() - startedAt.getTime()) / 1000);
+  if (durationSeconds <= 0) {
+    return { entry: null, error: 'endedAt must be after startedAt' };
+  }
+  if (durationSeconds > MAX_ENTRY_SECONDS) {
+    return { entry: null, error: 'A time entry cannot be longer than 24 hours' };
+  }
+  if (endedAt.getTime() > Date.now() + 60 * 1000) {
+    return { entry: null, error: 'Time entries cannot end in the future' };
+  }
+
+  const note = typeof input.note === 'string' ? input.note.trim().slice(0, 500) : '';
+  return { entry: { startedAt, endedAt, durationSeconds, note }, error: null };
+}
+
+/**
+ * Record a manual time entry and add it to the task total
+ * @param {string} userId - User the time belongs to
+ * @param {string} taskId - Task ID
+ * @param {Object} taskData - Task document data
+ * @param {Object} manual - Parsed entry from parseManualEntry
+ * @returns {Promise<Object>} - The created entry
+ */
+async function addManualEntry(userId, taskId, taskData, manual) {
+  const entryRef = db.collection('timeEntries').doc();
+  const batch = db.batch();
+
+  batch.set(entryRef, {
+    taskId,
+    taskTitle: taskData.title,
+    workspaceId: taskData.workspaceId || null,
+    userId,
+    source: 'manual',
+    note: manual.note,
+    startedAt: admin.firestore.Timestamp.fromDate(manual.startedAt),
+    endedAt: admin.firestore.Timestamp.fromDate(manual.endedAt),
+    durationSeconds: manual.durationSeconds,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  batch.update(db.collection('tasks').doc(taskId), {
+    timeTrackedSeconds: admin.firestore.FieldValue.increment(manual.durationSeconds)
+  });
+  await batch.commit();
+
+  return formatTimeEntry(await entryRef.get());
+}
+
+/**
+ * Delete a finished time entry and take it off the task total
+ * @param {Object} entryDoc - Time entry document snapshot
+ */
+async function deleteEntry(entryDoc) {
+  const entry = entryDoc.data();
+  const batch = db.batch();
+  batch.delete(entryDoc.ref);
+
+  const taskDoc = await db.collection('tasks').doc(entry.taskId).get();
+  if (taskDoc.exists && entry.durationSeconds) {
+    batch.update(taskDoc.ref, {
+      timeTrackedSeconds: admin.firestore.FieldValue.increment(-entry.durationSeconds)
+    });
+  }
+  await batch.commit();
+}
+
+// Per-user totals for a task's entries; running timers count up to now
+function summarizeTaskEntries(entries) {
+  const byUser = new Map();
+  let totalSeconds = 0;
+
+  entries.forEach(entry => {
+    const seconds = entry.running
+      ? Math.round((Date.now() - entry.startedAt.getTime()) / 1000)
+      : entry.durationSeconds || 0;
+    totalSeconds += seconds;
+    byUser.set(entry.userId, (byUser.get(entry.userId) || 0) + seconds);
+  });
+
+  return {
+    totalSeconds,
+    byUser: Array.from(byUser.entries()).map(([userId, seconds]) => ({ userId, seconds }))
+  };
+}
+
+/**
+ * Parse the report date range. Dates are UTC calendar days and both ends are inclusive.
+ * @param {string} from - YYYY-MM-DD (defaults to 30 days before `to`)
+ * @param {string} to - YYYY-MM-DD (defaults to today)
+ * @returns {{ range: { from: string, to: string, startMs: number, endMs: number }|null, error: string|null }}
+ */
+function parseReportRange(from, to) {
+  const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(`${value}T00:00:00Z`).getTime());
+  if ((from && !isDay(from)) || (to && !isDay(to))) {
+    return { range: null, error: 'from and to must be dates in YYYY-MM-DD format' };
+  }
+
+  const toDay = to || new Date().toISOString().slice(0, 10);
+  const endMs = new Date(`${toDay}T00:00:00Z`).getTime() + DAY_MS - 1;
+  const fromDay = from || new Date(endMs + 1 - 30 * DAY_MS).toISOString().slice(0, 10);
+  const startMs = new Date(`${fromDay}T00:00:00Z`).getTime();
+
+  if (startMs > endMs) {
+    return { range: null, error: 'from must not be after to' };
+  }
+  return { range: { from: fromDay, to: toDay, startMs, endMs }, error: null };
+}
+
+const toHours = (seconds) => Math.round((seconds / 3600) * 100) / 100;
+
+/**
+ * Aggregate finished time entries into hours by user, workspace and day.
+ * Entries count towards the day they started on (UTC).
+ * @param {Array} entries - Formatted time entries
+ * @param {Map} users - userId -> { displayName, email }
+ * @param {Map} workspaces - workspaceId -> { name }
+ * @returns {Object} - { totalHours, byUser, byWorkspace, byDate, entries }
+ */
+function buildTimeReport(entries, users, workspaces) {
+  const groups = { byUser: new Map(), byWorkspace: new Map(), byDate: new Map() };
+  const add = (map, key, seconds, fields) => {
+    const current = map.get(key) || { ...fields, seconds: 0 };
+    current.seconds += seconds;
+    map.set(key, current);
+  };
+
+  let totalSeconds = 0;
+  const rows = entries.map(entry => {
+    const user = users.get(entry.userId) || {};
+    const workspaceName = entry.workspaceId ? (workspaces.get(entry.workspaceId)?.name || 'Unknown Workspace') : 'Personal';
+    const date = entry.startedAt.toISOString().slice(0, 10);
+    const seconds = entry.durationSeconds || 0;
+
+    totalSeconds += seconds;
+    add(groups.byUser, entry.userId, seconds, { userId: entry.userId, displayName: user.displayName || null, email: user.email || null });
+    add(groups.byWorkspace, entry.workspaceId || '', seconds, { workspaceId: entry.workspaceId || null, workspaceName });
+    add(groups.byDate, date, seconds, { date });
+
+    return {
+      id: entry.id,
+      date,
+      userId: entry.userId,
+      userName: user.displayName || user.email || entry.userId,
+      email: user.email || '',
+      workspaceId: entry.workspaceId || null,
+      workspaceName,
+      taskId: entry.taskId,
+      taskTitle: entry.taskTitle,
+      note: entry.note || '',
+      source: entry.source,
+      startedAt: entry.startedAt,
+      endedAt: entry.endedAt,
+      hours: toHours(seconds)
+    };
+  });
+
+  const finish = (map) => Array.from(map.values())
+    .map(({ seconds, ...fields }) => ({ ...fields, hours: toHours(seconds) }));
+
+  return {
+    totalHours: toHours(totalSeconds),
+    byUser: finish(groups.byUser).sort((a, b) => b.hours - a.hours),
+    byWorkspace: finish(groups.byWorkspace).sort((a, b) => b.hours - a.hours),
+    byDate: finish(groups.byDate).sort((a, b) => a.date.localeCompare(b.date)),
+    entries: rows.sort((a, b) => a.startedAt - b.startedAt)
+  };
+}
+
+// Quote cells that need it, and keep spreadsheets from evaluating notes or titles as formulas
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One line per time entry, ready for billing spreadsheets
+function toTimeReportCsv(report) {
+  const header = ['Date', 'User', 'Email', 'Workspace', 'Task', 'Note', 'Source', 'Started', 'Ended', 'Hours'];
+  const lines = report.entries.map(row => [
+    row.date,
+    row.userName,
+    row.email,
+    row.workspaceName,
+    row.taskTitle,
+    row.note,
+    row.source,
+    row.startedAt.toISOString(),
+    row.endedAt.toISOString(),
+    row.hours
+  ].map(csvCell).join(','));
+
+  return [header.join(','), ...lines].join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  MAX_ENTRY_SECONDS,
+  formatTimeEntry,
+  getRunningTimer,
+  startTimer,
+  stopTimer,
+  parseManualEntry,
+  addManualEntry,
+  deleteEntry,
+  summarizeTaskEntries,
+  parseReportRange,
+  buildTimeReport,
+  toTimeReportCsv
+};
@@ -0,0 +1,332 @@
+const admin = require('firebase-admin');
+const { collectDescendantIds, createBatchWriter, recalculateTaskProgress } = require('./taskService');
+const { deleteFileVersions } = require('./fileVersionService');
+const storageService = require('./storageService');
+const { releaseBlob } = require('./fileBlobService');
+
+const db = admin.firestore();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const TRASH_TYPES = {
+  TASK: 'task',
+  FILE: 'file'
+};
+
+let schedulerTimer = null;
+
+// Days a deleted item stays in the trash, e.g. TRASH_RETENTION_DAYS=30
+function getRetentionDays() {
+  const days = Number(process.env.TRASH_RETENTION_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+const snapshotItem = (doc) => ({ id: doc.id, data: doc.data() });
+
+/**
+ * Shape a trash entry for API responses (the stored documents are left out)
+ * @param {Object} doc - Firestore document snapshot from the trash collection
+ * @returns {Object} - Entry with its deletion and purge dates
+ */
+const formatTrashEntry = (doc) => {
+  const data = doc.data();
+  const deletedAt = toDate(data.deletedAt);
+  return {
+    id: doc.id,
+    type: data.type,
+    itemId: data.itemId,
+    workspaceId: data.workspaceId || null,
+    ownerId: data.ownerId,
+    title: data.title,
+    itemCount: (data.items || []).length,
+    size: data.size || null,
+    deletedBy: data.deletedBy,
+    deletedAt,
+    purgeAt: deletedAt ? new Date(deletedAt.getTime() + getRetentionDays() * DAY_MS) : null
+  };
+};
+
+/**
+ * Move tasks and their subtasks to the trash. Each task tree becomes one trash entry;
+ * a selected task that sits under another selected task goes into its ancestor's entry.
+ * @param {Array<string>} taskIds - IDs of existing tasks
+ * @param {string} userId - User deleting the tasks
+ * @returns {Promise<Map>} - Map of task ID to { descendantIds, entryId }
+ */
+async function trashTaskTrees(taskIds, userId) {
+  const descendantsByTask = new Map();
+  for (const taskId of taskIds) {
+    descendantsByTask.set(taskId, await collectDescendantIds(taskId));
+  }
+  const nestedIds = new Set([...descendantsByTask.values()].flat());
+
+  const results = new Map();
+  const writer = createBatchWriter();
+  for (const [rootId, descendantIds] of descendantsByTask) {
+    if (nestedIds.has(rootId)) continue;
+
+    const docs = (await db.getAll(...[rootId, ...descendantIds].map(id => db.collection('tasks').doc(id))))
+      .filter(doc => doc.exists);
+    const rootData = docs[0].data();
+    const entryRef = db.collection('trash').doc();
+
+    writer.set(entryRef, {
+      type: TRASH_TYPES.TASK,
+      itemId: rootId,
+      workspaceId: rootData.workspaceId || null,
+      ownerId: rootData.userId,
+      title: rootData.title,
+      items: docs.map(snapshotItem),
+      deletedBy: userId,
+      deletedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    docs.forEach(doc => writer.delete(doc.ref));
+    results.set(rootId, { descendantIds, entryId: entryRef.id });
+  }
+  await writer.commit();
+
+  // Tasks deleted along with an ancestor report the ancestor's entry
+  descendantsByTask.forEach((descendantIds, taskId) => {
+    if (results.has(taskId)) return;
+    const owner = [...results.values()].find(result => result.descendantIds.includes(taskId));
+    results.set(taskId, { descendantIds, entryId: owner.entryId });
+  });
+
+  return results;
+}
+
+/**
+ * Move a file to the trash. The file stays on disk until the entry is purged.
+ * @param {Object} fileDoc - Firestore document snapshot from the files collection
+ * @param {string} userId - User deleting the file
+ * @returns {Promise<string>} - Trash entry ID
+ */
+async function trashFile(fileDoc, userId) {
+  const fileData = fileDoc.data();
+  const entryRef = db.collection('trash').doc();
+
+  const batch = db.batch();
+  batch.set(entryRef, {
+    type: TRASH_TYPES.FILE,
+    itemId: fileDoc.id,
+    workspaceId: fileData.workspaceId || null,
+    ownerId: fileData.uploadedBy,
+    title: fileData.fileName,
+    size: fileData.fileSize || null,
+    items: [snapshotItem(fileDoc)],
+    deletedBy: userId,
+    deletedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  batch.delete(fileDoc.ref);
+  await batch.commit();
+
+  return entryRef.id;
+}
+
+/**
+ * List trash entries, newest first
+ * @param {Object} scope - { workspaceId } for a workspace's trash, or { userId } for the
+ *   personal items (outside any workspace) the user owns
+ * @returns {Promise<Array>} - Formatted entries
+ */
+async function listTrash({ workspaceId, userId }) {
+  const snapshot = workspaceId
+    ? await db.collection('trash').where('workspaceId', '==', workspaceId).get()
+    : await db.collection('trash').where('ownerId', '==', userId).get();
+
+  return snapshot.docs
+    .filter(doc => workspaceId || !doc.data().workspaceId)
+    .map(formatTrashEntry)
+    .sort((a, b) => (b.deletedAt || 0) - (a.deletedAt || 0));
+}
+
+/**
+ * Put the documents of a trash entry back and remove the entry. A task whose parent
+ * no longer exists comes back as a top-level task, and a file whose folder no longer
+ * exists comes back outside any folder.
+ * @param {Object} entryDoc - Firestore document snapshot from the trash collection
+ * @returns {Promise<Object>} - { restoredIds } or { error, status }
+ */
+async function restoreEntry(entryDoc) {
+  const entry = entryDoc.data();
+  const collection = entry.type === TRASH_TYPES.TASK ? 'tasks' : 'files';
+  const items = entry.items.map(item => ({ id: item.id, data: { ...item.data } }));
+  const refs = items.map(item => db.collection(collection).doc(item.id));
+
+  const existing = await db.getAll(...refs);
+  if (existing.some(doc => doc.exists)) {
+    return { error: 'An item with the same ID already exists', status: 409 };
+  }
+
+  let parentTaskId = null;
+  if (entry.type === TRASH_TYPES.TASK && items[0].data.parentTaskId) {
+    const parentDoc = await db.collection('tasks').doc(items[0].data.parentTaskId).get();
+    if (parentDoc.exists) {
+      parentTaskId = parentDoc.id;
+    } else {
+      const rootDepth = items[0].data.depth || 0;
+      items[0].data.parentTaskId = null;
+      items.forEach(item => {
+        item.data.depth = Math.max((item.data.depth || 0) - rootDepth, 0);
+      });
+    }
+  }
+
+  // A file whose folder was deleted meanwhile comes back at the top of its workspace
+  if (entry.type === TRASH_TYPES.FILE && items[0].data.folderId) {
+    const folderDoc = await db.collection('folders').doc(items[0].data.folderId).get();
+    if (!folderDoc.exists) {
+      items[0].data.folderId = null;
+    }
+  }
+
+  const writer = createBatchWriter();
+  items.forEach((item, index) => writer.set(refs[index], item.data));
+  writer.delete(entryDoc.ref);
+  await writer.commit();
+
+  if (parentTaskId) {
+    await recalculateTaskProgress(parentTaskId);
+  }
+
+  return { restoredIds: items.map(item => item.id) };
+}
+
+/**
+ * Permanently delete a trash entry: comments, dependency links pointing at deleted
+ * tasks, their history, time entries, running timers and reminder markers and, for files, every version of the file in storage. Content shared with other
+ * files (see fileBlobService) is only deleted once nothing references it.
+ * @param {Object} entryDoc - Firestore document snapshot from the trash collection
+ * @returns {Promise<void>}
+ */
+async function purgeEntry(entryDoc) {
+  const entry = entryDoc.data();
+  const itemIds = entry.items.map(item => item.id);
+  const writer = createBatchWriter();
+  let storedFiles = [];
+  let blobIds = [];
+
+  if (entry.type === TRASH_TYPES.TASK) {
+    const findByTask = (collection) => Promise.all(
+      itemIds.map(id => db.collection(collection).where('taskId', '==', id).get())
+    );
+    const [dependentSnapshots, ...ownedSnapshots] = await Promise.all([
+      Promise.all(itemIds.map(id => db.collection('tasks').where('blockedBy', 'array-contains', id).get())),
+      findByTask('taskComments'),
+      findByTask('taskHistory'),
+      findByTask('timeEntries'),
+      findByTask('activeTimers'),
+      findByTask('taskReminders')
+    ]);
+    dependentSnapshots.forEach((snapshot, index) => {
+      snapshot.forEach(doc => {
+        writer.update(doc.ref, { blockedBy: admin.firestore.FieldValue.arrayRemove(itemIds[index]) });
+      });
+    });
+    // A running timer's marker goes with its entry, so its user can start a new timer
+    ownedSnapshots.flat().forEach(snapshot => snapshot.forEach(doc => writer.delete(doc.ref)));
+  } else {
+    const commentsSnapshot = await db.collection('fileComments').where('fileId', '==', entry.itemId).get();
+    commentsSnapshot.forEach(doc => writer.delete(doc.ref));
+    const versionFiles = await deleteFileVersions(entry.itemId, writer);
+    // Each version holds one reference to its blob
+    blobIds = versionFiles.filter(storedFile => storedFile.blobId).map(storedFile => storedFile.blobId);
+    // Files stored before deduplication have their own file; restored versions share it
+    const unique = new Map();
+    [entry.items[0].data, ...versionFiles].forEach(storedFile => {
+      if (storedFile.storagePath && !storedFile.blobId) unique.set(storageService.storedObjectId(storedFile), storedFile);
+    });
+    storedFiles = [...unique.values()];
+  }
+
+  writer.delete(entryDoc.ref);
+  await writer.commit();
+
+  for (const blobId of blobIds) {
+    try {
+      if (await releaseBlob(blobId)) {
+        console.log('🗑️ Blob deleted from storage:', blobId);
+      }
+    } catch (error) {
+      console.error(`Error releasing blob ${blobId}:`, error);
+    }
+  }
+  for (const storedFile of storedFiles) {
+    try {
+      if (await storageService.deleteStoredFile(storedFile)) {
+        console.log('🗑️ File deleted from storage:', storedFile.storagePath);
+      }
+    } catch (error) {
+      console.error(`Error deleting stored file ${storedFile.storagePath}:`, error);
+    }
+  }
+}
+
+/**
+ * Purge every entry that has been in the trash longer than the retention period
+ * @returns {Promise<number>} - Number of entries purged
+ */
+async function purgeExpiredEntries(now = new Date()) {
+  const cutoff = new Date(now.getTime() - getRetentionDays() * DAY_MS);
+  const snapshot = await db.collection('trash')
+    .where('deletedAt', '<=', admin.firestore.Timestamp.fromDate(cutoff))
+    .get();
+
+  let purgedCount = 0;
+  for (const doc of snapshot.docs) {
+    try {
+      await purgeEntry(doc);
+      purgedCount++;
+    } catch (error) {
+      console.error(`Error purging trash entry ${doc.id}:`, error);
+    }
+  }
+
+  return purgedCount;
+}
+
+function startTrashPurgeScheduler(intervalMs = Number(process.env.TRASH_PURGE_INTERVAL_MS) || DEFAULT_PURGE_INTERVAL_MS) {
+  if (schedulerTimer) return schedulerTimer;
+
+  const run = async () => {
+    try {
+      const purgedCount = await purgeExpiredEntries();
+      if (purgedCount > 0) {
+        console.log(`Trash purge removed ${purgedCount} item(s)`);
+      }
+    } catch (error) {
+      console.error('Trash purge scheduler error:', error);
+    }
+  };
+
+  schedulerTimer = setInterval(run, intervalMs);
+  schedulerTimer.unref();
+  run();
+  console.log(`Trash purge scheduler started (every ${Math.round(intervalMs / 1000)}s, retention: ${getRetentionDays()} days)`);
+  return schedulerTimer;
+}
+
+function stopTrashPurgeScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
+
+module.exports = {
+  TRASH_TYPES,
+  getRetentionDays,
+  formatTrashEntry,
+  trashTaskTrees,
+  trashFile,
+  listTrash,
+  restoreEntry,
+  purgeEntry,
+  purgeExpiredEntries,
+  startTrashPurgeScheduler,
+  stopTrashPurgeScheduler
+};
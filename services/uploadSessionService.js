@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+const admin = require('firebase-admin');
+
+const db = admin.firestore();
+
+const MB = 1024 * 1024;
+const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+const DEFAULT_MAX_UPLOAD_SIZE_MB = 500;
+const MAX_ORG_UPLOAD_SIZE_MB = 10 * 1024;
+const DEFAULT_CHUNK_SIZE = 5 * MB;
+const MAX_CHUNK_SIZE = 10 * MB;
+const DEFAULT_SESSION_TTL_HOURS = 24;
+const DEFAULT_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+let schedulerTimer = null;
+
+// Largest file an organization can upload when it hasn't set its own limit, e.g. MAX_UPLOAD_SIZE_MB=500
+function getDefaultMaxUploadSizeMB() {
+  const size = Number(process.env.MAX_UPLOAD_SIZE_MB);
+  return Number.isFinite(size) && size > 0 ? size : DEFAULT_MAX_UPLOAD_SIZE_MB;
+}
+
+// Hours an upload can sit without receiving a chunk before it is cleaned up, e.g. UPLOAD_SESSION_TTL_HOURS=24
+function getSessionTtlHours() {
+  const hours = Number(process.env.UPLOAD_SESSION_TTL_HOURS);
+  return Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_SESSION_TTL_HOURS;
+}
+
+/**
+ * Validate an organization's upload size limit
+ * @param {*} value - Requested limit in MB, or null to use the server default
+ * @returns {Object} - { maxUploadSizeMB } or { error }
+ */
+function normalizeMaxUploadSize(value) {
+  if (value === null) return { maxUploadSizeMB: null };
+  const size = Number(value);
+  if (!Number.isInteger(size) || size < 1 || size > MAX_ORG_UPLOAD_SIZE_MB) {
+    return { error: `maxUploadSizeMB must be a whole number from 1 to ${MAX_ORG_UPLOAD_SIZE_MB}, or null` };
+  }
+  return { maxUploadSizeMB: size };
+}
+
+/**
+ * Largest upload allowed for an organization's members
+ * @param {string|null} organizationId - Organization ID
+ * @returns {Promise<number>} - Size in bytes
+ */
+async function getMaxUploadSize(organizationId) {
+  let sizeMB = null;
+  if (organizationId) {
+    const organizationDoc = await db.collection('organizations').doc(organizationId).get();
+    sizeMB = organizationDoc.exists ? organizationDoc.data().settings?.maxUploadSizeMB : null;
+  }
+  return (sizeMB || getDefaultMaxUploadSizeMB()) * MB;
+}
+
+// Partial uploads live next to the user's finished uploads until they are completed
+const partialPath = (userId, sessionId) => path.join(UPLOADS_DIR, userId, `${sessionId}.part`);
+
+/**
+ * File name for the finished upload, in the same form multer uses for single-request uploads
+ * @param {string} userId - Uploader
+ * @param {string} fileName - Original file name
+ * @returns {string} - Absolute path
+ */
+const finalPath = (userId, fileName) => path.join(UPLOADS_DIR, userId, `${Date.now()}-${fileName}`);
+
+const toIso = (value) => value?.toDate?.()?.toISOString() || value || null;
+
+const formatUploadSession = (doc) => {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    fileName: data.fileName,
+    mimeType: data.mimeType,
+    totalSize: data.totalSize,
+    receivedBytes: data.receivedBytes,
+    chunkSize: data.chunkSize,
+    workspaceId: data.workspaceId || null,
+    folderId: data.folderId || null,
+    fileId: data.fileId || null,
+    createdAt: toIso(data.createdAt),
+    updatedAt: toIso(data.updatedAt),
+    expiresAt: data.updatedAt?.toDate
+      ? new Date(data.updatedAt.toDate().getTime() + getSessionTtlHours() * 60 * 60 * 1000).toISOString()
+      : null
+  };
+};
+
+/**
+ * Write a chunk at the given offset. Chunks must arrive in order; a chunk that was
+ * already received (e.g. retried after a lost response) is accepted without writing.
+ * @param {Object} sessionDoc - Firestore document snapshot from the uploadSessions collection
+ * @param {number} offset - Byte offset of the chunk
+ * @param {Buffer} chunk - Chunk contents
+ * @returns {Promise<Object>} - { receivedBytes } or { error, status, receivedBytes }
+ */
+async function writeChunk(sessionDoc, offset, chunk) {
+  const session = sessionDoc.data();
+  const receivedBytes = session.receivedBytes;
+
+  if (offset + chunk.length <= receivedBytes) {
+    return { receivedBytes };
+  }
+  if (offset !== receivedBytes) {
+    return { error: `Expected a chunk at offset ${receivedBytes}`, status: 409, receivedBytes };
+  }
+  if (offset + chunk.length > session.totalSize) {
+    return { error: 'Chunk goes past the end of the file', status: 400, receivedBytes };
+  }
+
+  const tempPath = partialPath(session.userId, sessionDoc.id);
+  await fs.promises.mkdir(path.dirname(tempPath), { recursive: true });
+
+  const existingSize = await fs.promises.stat(tempPath).then(stats => stats.size, () => 0);
+  if (existingSize < receivedBytes) {
+    return { error: 'Uploaded data is missing; start the upload again', status: 410, receivedBytes };
+  }
+  // Drop anything past the last acknowledged byte, left over from an interrupted write
+  if (existingSize > receivedBytes) {
+    await fs.promises.truncate(tempPath, receivedBytes);
+  }
+  await fs.promises.appendFile(tempPath, chunk);
+
+  const nextReceived = receivedBytes + chunk.length;
+  await sessionDoc.ref.update({
+    receivedBytes: nextReceived,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  return { receivedBytes: nextReceived };
+}
+
+/**
+ * Move a fully received upload to its final place
+ * @param {Object} sessionDoc - Firestore document snapshot from the uploadSessions collection
+ * @returns {Promise<Object>} - { path } or { error, status }
+ */
+async function assembleUpload(sessionDoc) {
+  const session = sessionDoc.data();
+  if (session.receivedBytes !== session.totalSize) {
+    return { error: `Upload is incomplete (${session.receivedBytes} of ${session.totalSize} bytes received)`, status: 409 };
+  }
+
+  const tempPath = partialPath(session.userId, sessionDoc.id);
+  const stats = await fs.promises.stat(tempPath).catch(() => null);
+  if (!stats || stats.size < session.totalSize) {
+    return { error: 'Uploaded data is missing; start the upload again', status: 410 };
+  }
+  if (stats.size > session.totalSize) {
+    await fs.promises.truncate(tempPath, session.totalSize);
+  }
+
+  const targetPath = finalPath(session.userId, session.fileName);
+  await fs.promises.rename(tempPath, targetPath);
+  return { path: targetPath };
+}
+
+/**
+ * Delete an upload session and whatever it received
+ * @param {Object} sessionDoc - Firestore document snapshot from the uploadSessions collection
+ * @returns {Promise<void>}
+ */
+async function discardSession(sessionDoc) {
+  await fs.promises.unlink(partialPath(sessionDoc.data().userId, sessionDoc.id)).catch(() => {});
+  await sessionDoc.ref.delete();
+}
+
+/**
+ * Clean up uploads that haven't received a chunk within the session TTL
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} - Number of sessions removed
+ */
+async function cleanupAbandonedSessions(now = new Date()) {
+  const cutoff = new Date(now.getTime() - getSessionTtlHours() * 60 * 60 * 1000);
+  const snapshot = await db.collection('uploadSessions')
+    .where('updatedAt', '<=', admin.firestore.Timestamp.fromDate(cutoff))
+    .get();
+
+  let removedCount = 0;
+  for (const doc of snapshot.docs) {
+    try {
+      await discardSession(doc);
+      removedCount++;
+    } catch (error) {
+      console.error(`Error cleaning up upload session ${doc.id}:`, error);
+    }
+  }
+
+  return removedCount;
+}
+
+function startUploadCleanupScheduler(intervalMs = Number(process.env.UPLOAD_CLEANUP_INTERVAL_MS) || DEFAULT_CLEANUP_INTERVAL_MS) {
+  if (schedulerTimer) return schedulerTimer;
+
+  const run = async () => {
+    try {
+      const removedCount = await cleanupAbandonedSessions();
+      if (removedCount > 0) {
+        console.log(`Upload cleanup removed ${removedCount} abandoned upload(s)`);
+      }
+    } catch (error) {
+      console.error('Upload cleanup scheduler error:', error);
+    }
+  };
+
+  schedulerTimer = setInterval(run, intervalMs);
+  schedulerTimer.unref();
+  run();
+  console.log(`Upload cleanup scheduler started (every ${Math.round(intervalMs / 1000)}s, abandoned after ${getSessionTtlHours()} hours)`);
+  return schedulerTimer;
+}
+
+function stopUploadCleanupScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
+
+module.exports = {
+  DEFAULT_CHUNK_SIZE,
+  MAX_CHUNK_SIZE,
+  normalizeMaxUploadSize,
+  getMaxUploadSize,
+  formatUploadSession,
+  writeChunk,
+  assembleUpload,
+  discardSession,
+  cleanupAbandonedSessions,
+  startUploadCleanupScheduler,
+  stopUploadCleanupScheduler
+};
@@ -0,0 +1,219 @@
+const admin = require('firebase-admin');
+
+const db = admin.firestore();
+
+// Every status belongs to one of these buckets; "done" statuses mark a task completed
+const STATUS_CATEGORIES = ['todo', 'in_progress', 'done'];
+
+const DEFAULT_WORKFLOW = {
+  statuses: [
+    { key: 'backlog', label: 'Backlog', category: 'todo' },
+    { key: 'in_progress', label: 'In Progress', category: 'in_progress' },
+    { key: 'review', label: 'Review', category: 'in_progress' },
+    { key: 'done', label: 'Done', category: 'done' }
+  ],
+  transitions: {
+    backlog: ['in_progress', 'done'],
+    in_progress: ['backlog', 'review', 'done'],
+    review: ['in_progress', 'done'],
+    done: ['backlog', 'in_progress', 'review']
+  },
+  initialStatus: 'backlog'
+};
+
+/**
+ * Validate a workflow definition and fill in defaults
+ * @param {Object} input - Workflow from the request body
+ * @param {Array} input.statuses - Ordered list of { key, label, category }
+ * @param {Object} input.transitions - Map of status key to the keys it may move to;
+ *   when omitted, any status may move to any other
+ * @param {string} input.initialStatus - Status given to new tasks (defaults to the first status)
+ * @returns {{ workflow: Object|null, errors: Array<string> }}
+ */
+function normalizeWorkflow(input) {
+  const errors = [];
+
+  if (!input || !Array.isArray(input.statuses) || input.statuses.length < 2) {
+    return { workflow: null, errors: ['At least two statuses are required'] };
+  }
+
+  const statuses = [];
+  const keys = new Set();
+
+  input.statuses.forEach((status, index) => {
+    const key = typeof status?.key === 'string' ? status.key.trim() : '';
+    const label = typeof status?.label === 'string' && status.label.trim() ? status.label.trim() : key;
+    const category = status?.category || 'todo';
+
+    if (!/^[a-z0-9_-]{1,40}$/i.test(key)) {
+      errors.push(`Status ${index + 1} needs a key of letters, digits, "_" or "-"`);
+      return;
+    }
+    if (keys.has(key)) {
+      errors.push(`Duplicate status key "${key}"`);
+      return;
+    }
+    if (!STATUS_CATEGORIES.includes(category)) {
+      errors.push(`Status "${key}" has invalid category "${category}"`);
+      return;
+    }
+
+    keys.add(key);
+    statuses.push({ key, label, category });
+  });
+
+  if (!statuses.some(status => status.category === 'done')) {
+    errors.push('At least one status must have category "done"');
+  }
+  if (!statuses.some(status => status.category !== 'done')) {
+    errors.push('At least one status must not have category "done"');
+  }
+
+  const transitions = {};
+  statuses.forEach(status => {
+    if (!input.transitions) {
+      transitions[status.key] = statuses.map(s => s.key).filter(k => k !== status.key);
+      return;
+    }
+
+    const targets = input.transitions[status.key] || [];
+    if (!Array.isArray(targets)) {
+      errors.push(`Transitions for "${status.key}" must be an array`);
+      return;
+    }
+    targets.forEach(target => {
+      if (!keys.has(target)) {
+        errors.push(`Transition "${status.key}" → "${target}" points to an unknown status`);
+      }
+    });
+    transitions[status.key] = [...new Set(targets.filter(target => target !== status.key))];
+  });
+
+  if (input.transitions) {
+    Object.keys(input.transitions).forEach(from => {
+      if (!keys.has(from)) {
+        errors.push(`Transitions defined for unknown status "${from}"`);
+      }
+    });
+  }
+
+  let initialStatus = input.initialStatus || statuses[0]?.key;
+  const initial = statuses.find(status => status.key === initialStatus);
+  if (!initial) {
+    errors.push(`Initial status "${initialStatus}" is not defined`);
+  } else if (initial.category === 'done') {
+    errors.push('Initial status cannot be a "done" status');
+  }
+
+  if (errors.length > 0) {
+    return { workflow: null, errors };
+  }
+
+  return { workflow: { statuses, transitions, initialStatus }, errors };
+}
+
+/**
+ * Get the workflow used by tasks in a workspace
+ * @param {string|null} workspaceId - Workspace ID; personal tasks use the default workflow
+ * @returns {Promise<Object>} - Workflow definition
+ */
+async function getWorkflow(workspaceId) {
+  if (!workspaceId) {
+    return DEFAULT_WORKFLOW;
+  }
+
+  const workspaceDoc = await db.collection('workspaces').doc(workspaceId).get();
+  if (workspaceDoc.exists && workspaceDoc.data().workflow) {
+    return workspaceDoc.data().workflow;
+  }
+  return DEFAULT_WORKFLOW;
+}
+
+/**
+ * Get workflows for several workspaces at once, keyed by workspace ID
+ * (personal tasks are keyed by an empty string)
+ * @param {Array<string|null>} workspaceIds - Workspace IDs
+ * @returns {Promise<Map>} - Map of workspace ID to workflow
+ */
+async function getWorkflows(workspaceIds) {
+  const workflows = new Map([['', DEFAULT_WORKFLOW]]);
+  const uniqueIds = [...new Set(workspaceIds.filter(Boolean))];
+
+  if (uniqueIds.length > 0) {
+    const workspaceDocs = await db.getAll(...uniqueIds.map(id => db.collection('workspaces').doc(id)));
+    workspaceDocs.forEach(doc => {
+      workflows.set(doc.id, (doc.exists && doc.data().workflow) || DEFAULT_WORKFLOW);
+    });
+  }
+
+  return workflows;
+}
+
+function findStatus(workflow, key) {
+  return workflow.statuses.find(status => status.key === key) || null;
+}
+
+function isDoneStatus(workflow, key) {
+  return findStatus(workflow, key)?.category === 'done';
+}
+
+function getInitialStatus(workflow) {
+  return workflow.initialStatus || workflow.statuses[0].key;
+}
+
+function getDoneStatus(workflow) {
+  return workflow.statuses.find(status => status.category === 'done').key;
+}
+
+// Tasks created before workflows existed (or whose status was removed) fall back
+// to the initial or first done status depending on their completed flag
+function resolveTaskStatus(task, workflow) {
+  if (task.status && findStatus(workflow, task.status)) {
+    return task.status;
+  }
+  return task.completed ? getDoneStatus(workflow) : getInitialStatus(workflow);
+}
+
+function isTransitionAllowed(workflow, from, to) {
+  if (from === to) {
+    return false;
+  }
+  return (workflow.transitions?.[from] || []).includes(to);
+}
+
+/**
+ * Record a status transition for a task
+ * @param {Object} transition - Transition details
+ * @param {string} transition.taskId - Task ID
+ * @param {string|null} transition.workspaceId - Workspace of the task
+ * @param {string} transition.from - Previous status key
+ * @param {string} transition.to - New status key
+ * @param {string} transition.changedBy - User who made the change
+ * @returns {Promise<string>} - Transition document ID
+ */
+async function recordTransition({ taskId, workspaceId, from, to, changedBy }) {
+  const docRef = await db.collection('taskTransitions').add({
+    taskId,
+    workspaceId: workspaceId || null,
+    from,
+    to,
+    changedBy,
+    changedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  return docRef.id;
+}
+
+module.exports = {
+  STATUS_CATEGORIES,
+  DEFAULT_WORKFLOW,
+  normalizeWorkflow,
+  getWorkflow,
+  getWorkflows,
+  findStatus,
+  isDoneStatus,
+  getInitialStatus,
+  getDoneStatus,
+  resolveTaskStatus,
+  isTransitionAllowed,
+  recordTransition
+};